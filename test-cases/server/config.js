@@ -0,0 +1,90 @@
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// Load variables from test-cases/.env when present (never bundled, never committed)
+try {
+    process.loadEnvFile(path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../.env'));
+} catch {
+    // No .env file: rely on the process environment
+}
+
+/**
+ * Parses a positive integer from an environment variable.
+ * @param {string|undefined} value The raw value.
+ * @param {number} fallback The value used when the variable is missing or invalid.
+ * @returns {number} The parsed number.
+ */
+const toPositiveInt = (value, fallback) => {
+    const parsed = Number.parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+/**
+ * Parses a comma-separated list from an environment variable.
+ * @param {string|undefined} value The raw value.
+ * @param {string[]} fallback The value used when the variable is missing.
+ * @returns {string[]} The list items.
+ */
+const toList = (value, fallback) => (value
+    ? value.split(',').map(item => item.trim()).filter(Boolean)
+    : fallback);
+
+const env = process.env;
+
+// Server configuration, read once at startup
+const config = {
+    port: toPositiveInt(env.PORT, 8787),
+    host: env.HOST || '127.0.0.1',
+    // Built app served for every non-API route (drop-in for "vite preview")
+    staticDir: path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', env.STATIC_DIR || 'dist'),
+    // Use the first X-Forwarded-For address as client id (only behind a trusted reverse proxy)
+    trustProxy: env.TRUST_PROXY === 'true',
+    maxBodyBytes: toPositiveInt(env.MAX_BODY_BYTES, 1024 * 1024),
+    gemini: {
+        apiKey: env.GEMINI_API_KEY || '',
+        endpoint: (env.GEMINI_ENDPOINT || 'https://generativelanguage.googleapis.com/v1beta').replace(/\/+$/, ''),
+        defaultModel: env.GEMINI_MODEL || 'gemini-2.0-flash',
+        allowedModels: toList(env.GEMINI_ALLOWED_MODELS, ['gemini-2.0-flash', 'gemini-2.0-flash-lite', 'gemini-2.5-flash', 'gemini-2.5-pro', 'gemini-1.5-pro'])
+    },
+    jira: {
+        baseUrl: (env.JIRA_BASE_URL || '').replace(/\/+$/, ''),
+        // Jira Cloud: e-mail + API token (Basic auth). Jira Server/Data Center: personal access token (Bearer)
+        email: env.JIRA_EMAIL || '',
+        apiToken: env.JIRA_API_TOKEN || '',
+        personalAccessToken: env.JIRA_PAT || '',
+        // REST API v3 returns descriptions in ADF, v2 in wiki markup
+        apiVersion: env.JIRA_API_VERSION || '3',
+        // Custom field holding the acceptance criteria, if the instance has one (e.g. customfield_10035)
+        acceptanceCriteriaField: env.JIRA_ACCEPTANCE_CRITERIA_FIELD || ''
+    },
+    xray: {
+        // "server": Test issues created through the Jira REST API (Xray Server/Data Center custom fields)
+        // "cloud": Test issues created through the Xray Cloud GraphQL API
+        mode: env.XRAY_MODE === 'cloud' ? 'cloud' : 'server',
+        // Project of the created tests; defaults to the project of the story
+        projectKey: env.XRAY_PROJECT_KEY || '',
+        testIssueType: env.XRAY_TEST_ISSUE_TYPE || 'Test',
+        // Link type between the test and the story ("Test": "tests" / "is tested by")
+        linkType: env.XRAY_LINK_TYPE || 'Test',
+        // Xray Server/Data Center custom fields (e.g. customfield_10200 and customfield_10203)
+        testTypeField: env.XRAY_TEST_TYPE_FIELD || '',
+        gherkinField: env.XRAY_GHERKIN_FIELD || '',
+        // Xray Cloud API credentials
+        cloudBaseUrl: (env.XRAY_CLOUD_BASE_URL || 'https://xray.cloud.getxray.app').replace(/\/+$/, ''),
+        clientId: env.XRAY_CLIENT_ID || '',
+        clientSecret: env.XRAY_CLIENT_SECRET || '',
+        // App priorities mapped to Jira priority names
+        priorityMap: {
+            Alta: env.JIRA_PRIORITY_HIGH || 'High',
+            Media: env.JIRA_PRIORITY_MEDIUM || 'Medium',
+            Baja: env.JIRA_PRIORITY_LOW || 'Low'
+        },
+        maxTestsPerRequest: toPositiveInt(env.XRAY_MAX_TESTS_PER_REQUEST, 200)
+    },
+    rateLimit: {
+        windowMs: toPositiveInt(env.RATE_LIMIT_WINDOW_MS, 60 * 1000),
+        maxRequests: toPositiveInt(env.RATE_LIMIT_MAX, 20)
+    }
+};
+
+export default config;
@@ -0,0 +1,84 @@
+import config from './config.js';
+import { HttpError, readJsonBody, sendError } from './http.js';
+
+/**
+ * Validates the model requested by the client against the allowed list.
+ * @param {string|null} requestedModel The "model" query parameter.
+ * @returns {string} The model to use.
+ */
+const resolveModel = (requestedModel) => {
+    if (!requestedModel) {
+        return config.gemini.defaultModel;
+    }
+    if (!config.gemini.allowedModels.includes(requestedModel)) {
+        throw new HttpError(400, `El modelo "${requestedModel}" no está permitido en este servidor.`);
+    }
+    return requestedModel;
+};
+
+/**
+ * Forwards a "generateContent" payload to Gemini with the server-side API key.
+ * The request body ({ contents, generationConfig }) and the response body ({ candidates })
+ * are passed through unchanged, so the client keeps the Gemini request/response shape.
+ * With "stream=1" the streaming endpoint ("streamGenerateContent?alt=sse") is used and its
+ * server-sent events are relayed as they arrive; the upstream call is aborted if the client leaves.
+ * @param {import('node:http').IncomingMessage} req The request.
+ * @param {import('node:http').ServerResponse} res The response.
+ * @param {URL} url The parsed request URL.
+ */
+export const handleGeminiProxy = async (req, res, url) => {
+    if (!config.gemini.apiKey) {
+        sendError(res, 500, 'El servidor no tiene configurada la variable GEMINI_API_KEY.');
+        return;
+    }
+
+    const model = resolveModel(url.searchParams.get('model'));
+    const stream = url.searchParams.get('stream') === '1';
+    const body = await readJsonBody(req, config.maxBodyBytes);
+    if (!Array.isArray(body.contents) || body.contents.length === 0) {
+        throw new HttpError(400, 'La petición debe incluir "contents".');
+    }
+
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            controller.abort();
+        }
+    });
+
+    const method = stream ? 'streamGenerateContent?alt=sse' : 'generateContent';
+    const upstream = await fetch(`${config.gemini.endpoint}/models/${encodeURIComponent(model)}:${method}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'x-goog-api-key': config.gemini.apiKey
+        },
+        // Only forward the fields the app uses
+        body: JSON.stringify({ contents: body.contents, generationConfig: body.generationConfig }),
+        signal: controller.signal
+    });
+
+    if (!stream || !upstream.ok || !upstream.body) {
+        res.writeHead(upstream.status, { 'Content-Type': upstream.headers.get('content-type') || 'application/json; charset=utf-8' });
+        res.end(Buffer.from(await upstream.arrayBuffer()));
+        return;
+    }
+
+    res.writeHead(upstream.status, {
+        'Content-Type': upstream.headers.get('content-type') || 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache',
+        // Disable buffering in reverse proxies such as nginx
+        'X-Accel-Buffering': 'no'
+    });
+    try {
+        for await (const chunk of upstream.body) {
+            res.write(chunk);
+        }
+    } catch (error) {
+        // The client cancelled the generation: nothing left to send
+        if (error.name !== 'AbortError') {
+            throw error;
+        }
+    }
+    res.end();
+};
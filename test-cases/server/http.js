@@ -0,0 +1,79 @@
+/**
+ * Small helpers shared by the route handlers.
+ */
+
+// Error carrying the HTTP status to answer with
+export class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+/**
+ * Sends a JSON response.
+ * @param {import('node:http').ServerResponse} res The response.
+ * @param {number} status The HTTP status.
+ * @param {object} body The JSON body.
+ * @param {object} headers Extra headers.
+ */
+export const sendJson = (res, status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+    res.end(JSON.stringify(body));
+};
+
+/**
+ * Sends an error in the same shape Google APIs use ({ error: { code, message } }),
+ * so the client reads proxy and upstream errors the same way.
+ * @param {import('node:http').ServerResponse} res The response.
+ * @param {number} status The HTTP status.
+ * @param {string} message The error message.
+ * @param {object} headers Extra headers.
+ */
+export const sendError = (res, status, message, headers = {}) => {
+    sendJson(res, status, { error: { code: status, message } }, headers);
+};
+
+/**
+ * Reads and parses a JSON request body, enforcing a size limit. Every route expects an object,
+ * so any other JSON value (null, an array, a number...) is rejected.
+ * @param {import('node:http').IncomingMessage} req The request.
+ * @param {number} maxBytes The maximum body size.
+ * @returns {Promise<object>} The parsed body.
+ */
+export const readJsonBody = async (req, maxBytes) => {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > maxBytes) {
+            throw new HttpError(413, 'El cuerpo de la petición es demasiado grande.');
+        }
+        chunks.push(chunk);
+    }
+    let body;
+    try {
+        body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+    } catch {
+        throw new HttpError(400, 'El cuerpo de la petición no es un JSON válido.');
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new HttpError(400, 'El cuerpo de la petición debe ser un objeto JSON.');
+    }
+    return body;
+};
+
+/**
+ * Returns an identifier of the client for rate limiting.
+ * @param {import('node:http').IncomingMessage} req The request.
+ * @param {boolean} trustProxy Whether X-Forwarded-For can be trusted.
+ * @returns {string} The client id.
+ */
+export const getClientId = (req, trustProxy) => {
+    const forwardedFor = req.headers['x-forwarded-for'];
+    if (trustProxy && forwardedFor) {
+        return String(forwardedFor).split(',')[0].trim();
+    }
+    return req.socket.remoteAddress || 'unknown';
+};
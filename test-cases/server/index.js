@@ -0,0 +1,98 @@
+import http from 'node:http';
+import config from './config.js';
+import { HttpError, getClientId, sendError, sendJson } from './http.js';
+import { createRateLimiter } from './rateLimiter.js';
+import { handleGeminiProxy } from './geminiProxy.js';
+import { handleGetJiraIssue, handleJiraStatus, handlePublishJiraTests } from './jira/routes.js';
+import { serveStatic } from './staticFiles.js';
+
+// API routes, keyed by "METHOD /path"
+const routes = {
+    'GET /api/health': (req, res) => sendJson(res, 200, { status: 'ok' }),
+    'POST /api/analyze': handleGeminiProxy,
+    'POST /api/regression': handleGeminiProxy,
+    'POST /api/refine': handleGeminiProxy,
+    'POST /api/test-data': handleGeminiProxy,
+    'GET /api/jira/status': handleJiraStatus,
+    'GET /api/jira/issue': handleGetJiraIssue,
+    'POST /api/jira/tests': handlePublishJiraTests
+};
+
+const rateLimiter = createRateLimiter(config.rateLimit);
+
+/**
+ * Handles an API request: rate limit, routing and error reporting.
+ * @param {import('node:http').IncomingMessage} req The request.
+ * @param {import('node:http').ServerResponse} res The response.
+ * @param {URL} url The parsed request URL.
+ */
+const handleApiRequest = async (req, res, url) => {
+    const handler = routes[`${req.method} ${url.pathname}`];
+    if (!handler) {
+        sendError(res, 404, `Ruta no encontrada: ${req.method} ${url.pathname}`);
+        return;
+    }
+
+    const { allowed, remaining, retryAfterSeconds } = rateLimiter.consume(getClientId(req, config.trustProxy));
+    res.setHeader('X-RateLimit-Limit', config.rateLimit.maxRequests);
+    res.setHeader('X-RateLimit-Remaining', remaining);
+    if (!allowed) {
+        sendError(res, 429, `Has superado el límite de peticiones. Inténtalo de nuevo en ${retryAfterSeconds} segundos.`, {
+            'Retry-After': retryAfterSeconds
+        });
+        return;
+    }
+
+    try {
+        await handler(req, res, url);
+    } catch (error) {
+        if (error instanceof HttpError) {
+            sendError(res, error.status, error.message);
+            return;
+        }
+        console.error(`Error en ${req.method} ${url.pathname}:`, error);
+        if (!res.headersSent) {
+            sendError(res, 502, 'Error al contactar con el servicio remoto.');
+        } else {
+            res.end();
+        }
+    }
+};
+
+/**
+ * Creates the HTTP server: API proxy under /api and the built app everywhere else.
+ * @returns {import('node:http').Server} The server (not listening yet).
+ */
+export const createAppServer = () => http.createServer((req, res) => {
+    // Fixed base: the Host header is client input and a malformed one would make the parse throw
+    let url;
+    try {
+        url = new URL(req.url, 'http://localhost');
+    } catch {
+        sendError(res, 400, 'Ruta no válida.');
+        return;
+    }
+    if (url.pathname.startsWith('/api/')) {
+        handleApiRequest(req, res, url);
+        return;
+    }
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        sendError(res, 405, 'Método no permitido.');
+        return;
+    }
+    serveStatic(res, url, config.staticDir).catch(error => {
+        console.error(`Error al servir ${url.pathname}:`, error);
+        if (!res.headersSent) {
+            sendError(res, 500, 'Error interno del servidor.');
+        } else {
+            res.end();
+        }
+    });
+});
+
+createAppServer().listen(config.port, config.host, () => {
+    console.log(`Servidor escuchando en http://${config.host}:${config.port}`);
+    if (!config.gemini.apiKey) {
+        console.warn('GEMINI_API_KEY no está configurada: las llamadas a /api/analyze y /api/regression fallarán.');
+    }
+});
@@ -0,0 +1,109 @@
+/**
+ * Converts Atlassian Document Format (Jira Cloud REST API v3) into plain text,
+ * keeping headings, lists and tables readable for the AI prompt.
+ */
+
+/**
+ * Renders the inline content of a node (text, mentions, links...).
+ * @param {object[]} nodes The child nodes.
+ * @returns {string} The inline text.
+ */
+const renderInline = (nodes = []) => nodes.map(node => {
+    switch (node.type) {
+        case 'text': {
+            const link = (node.marks || []).find(mark => mark.type === 'link');
+            return link && link.attrs && link.attrs.href && link.attrs.href !== node.text
+                ? `${node.text} (${link.attrs.href})`
+                : node.text;
+        }
+        case 'hardBreak':
+            return '\n';
+        case 'mention':
+            return (node.attrs && node.attrs.text) || '@usuario';
+        case 'emoji':
+            return (node.attrs && (node.attrs.text || node.attrs.shortName)) || '';
+        case 'inlineCard':
+            return (node.attrs && node.attrs.url) || '';
+        case 'status':
+        case 'date':
+            return (node.attrs && (node.attrs.text || node.attrs.timestamp)) || '';
+        default:
+            return renderInline(node.content);
+    }
+}).join('');
+
+/**
+ * Renders a block node and its children.
+ * @param {object} node The ADF node.
+ * @param {number} depth The list nesting depth.
+ * @returns {string[]} The rendered lines.
+ */
+const renderBlock = (node, depth = 0) => {
+    const indent = '  '.repeat(depth);
+    switch (node.type) {
+        case 'doc':
+            return renderBlocks(node.content, depth);
+        case 'paragraph':
+            return [renderInline(node.content)];
+        case 'heading':
+            return [`${'#'.repeat((node.attrs && node.attrs.level) || 1)} ${renderInline(node.content)}`];
+        case 'bulletList':
+        case 'orderedList':
+            return (node.content || []).flatMap((item, index) => {
+                const marker = node.type === 'orderedList' ? `${((node.attrs && node.attrs.order) || 1) + index}.` : '-';
+                const [first = '', ...rest] = renderBlocks(item.content, depth + 1).filter(line => line !== '');
+                return [`${indent}${marker} ${first.trim()}`, ...rest];
+            });
+        case 'taskList':
+            return (node.content || []).map(item => `${indent}- [${item.attrs && item.attrs.state === 'DONE' ? 'x' : ' '}] ${renderInline(item.content)}`);
+        case 'codeBlock':
+            return ['```', renderInline(node.content), '```'];
+        case 'blockquote':
+            return renderBlocks(node.content, depth).map(line => `> ${line}`);
+        case 'panel':
+        case 'expand':
+        case 'nestedExpand':
+            return [
+                ...(node.attrs && node.attrs.title ? [node.attrs.title] : []),
+                ...renderBlocks(node.content, depth)
+            ];
+        case 'rule':
+            return ['---'];
+        case 'table':
+            return (node.content || []).map(row => `| ${(row.content || [])
+                .map(cell => renderBlocks(cell.content, 0).filter(Boolean).join(' ').replace(/\|/g, '/'))
+                .join(' | ')} |`);
+        case 'mediaSingle':
+        case 'mediaGroup':
+            return ['[adjunto]'];
+        default:
+            return node.content ? renderBlocks(node.content, depth) : [renderInline([node])];
+    }
+};
+
+/**
+ * Renders a list of block nodes, separating top-level paragraphs with blank lines.
+ * @param {object[]} nodes The block nodes.
+ * @param {number} depth The list nesting depth.
+ * @returns {string[]} The rendered lines.
+ */
+const renderBlocks = (nodes = [], depth = 0) => nodes.flatMap((node, index) => {
+    const lines = renderBlock(node, depth);
+    const isLast = index === nodes.length - 1;
+    return depth === 0 && !isLast ? [...lines, ''] : lines;
+});
+
+/**
+ * Converts an ADF document into plain text.
+ * @param {object|string|null} adf The ADF document (strings are returned unchanged).
+ * @returns {string} The plain text.
+ */
+export const adfToText = (adf) => {
+    if (!adf) {
+        return '';
+    }
+    if (typeof adf === 'string') {
+        return adf;
+    }
+    return renderBlock(adf).join('\n').replace(/\n{3,}/g, '\n\n').trim();
+};
@@ -0,0 +1,138 @@
+import config from '../config.js';
+import { HttpError } from '../http.js';
+import { adfToText } from './adfToText.js';
+import { wikiToText } from './wikiToText.js';
+
+// Issue keys look like PROJ-123
+export const ISSUE_KEY_REGEX = /^[A-Z][A-Z0-9_]*-\d+$/i;
+
+// Section titles that introduce the acceptance criteria inside a description
+const ACCEPTANCE_CRITERIA_HEADING_REGEX = /^#*\s*\**\s*(criterios? de aceptaci[oó]n|acceptance criteria|ac)\s*\**\s*:?\s*$/i;
+
+/**
+ * Returns whether the Jira integration has a base URL and credentials.
+ * @returns {boolean} True when Jira can be called.
+ */
+export const isJiraConfigured = () => Boolean(config.jira.baseUrl &&
+    (config.jira.personalAccessToken || (config.jira.email && config.jira.apiToken)));
+
+/**
+ * Builds the Authorization header for the configured credentials.
+ * @returns {string} The header value.
+ */
+const getAuthorizationHeader = () => (config.jira.personalAccessToken
+    ? `Bearer ${config.jira.personalAccessToken}`
+    : `Basic ${Buffer.from(`${config.jira.email}:${config.jira.apiToken}`).toString('base64')}`);
+
+/**
+ * Calls the Jira REST API with the server-side credentials.
+ * @param {string} apiPath The path after /rest/ (e.g. "api/3/issue/PROJ-1").
+ * @param {object} options The fetch options (method, body).
+ * @returns {Promise<object|null>} The parsed JSON body, null for empty answers.
+ */
+export const jiraFetch = async (apiPath, { method = 'GET', body } = {}) => {
+    if (!isJiraConfigured()) {
+        throw new HttpError(503, 'La integración con Jira no está configurada en el servidor (JIRA_BASE_URL y credenciales).');
+    }
+    const response = await fetch(`${config.jira.baseUrl}/rest/${apiPath}`, {
+        method,
+        headers: {
+            Accept: 'application/json',
+            'Content-Type': 'application/json',
+            Authorization: getAuthorizationHeader()
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    const text = await response.text();
+    let data = null;
+    try {
+        data = text ? JSON.parse(text) : null;
+    } catch {
+        data = null;
+    }
+    if (!response.ok) {
+        const messages = data ? [...(data.errorMessages || []), ...Object.values(data.errors || {})] : [];
+        throw new HttpError(response.status === 404 ? 404 : 502,
+            `Jira respondió ${response.status}: ${messages.join(' ') || response.statusText || 'error desconocido'}`);
+    }
+    return data;
+};
+
+/**
+ * Converts a rich-text field (ADF or wiki markup, depending on the API version) into text.
+ * @param {object|string|null} value The field value.
+ * @returns {string} The plain text.
+ */
+export const richTextToText = (value) => (value && typeof value === 'object' ? adfToText(value) : wikiToText(value));
+
+/**
+ * Extracts the acceptance criteria section from a description, up to the next heading.
+ * @param {string} description The description as plain text.
+ * @returns {string} The acceptance criteria, empty if the description has no such section.
+ */
+export const extractAcceptanceCriteria = (description) => {
+    const lines = description.split('\n');
+    const start = lines.findIndex(line => ACCEPTANCE_CRITERIA_HEADING_REGEX.test(line.trim()));
+    if (start === -1) {
+        return '';
+    }
+    const end = lines.findIndex((line, index) => index > start && /^#{1,6}\s/.test(line));
+    return lines.slice(start + 1, end === -1 ? undefined : end).join('\n').trim();
+};
+
+/**
+ * Maps an issue link to a simple { type, key, summary, status } object.
+ * @param {object} link The Jira issue link.
+ * @returns {object} The linked issue.
+ */
+const toLinkedIssue = (link) => {
+    const isOutward = Boolean(link.outwardIssue);
+    const issue = link.outwardIssue || link.inwardIssue || {};
+    const fields = issue.fields || {};
+    return {
+        type: (link.type && (isOutward ? link.type.outward : link.type.inward)) || (link.type && link.type.name) || '',
+        key: issue.key,
+        summary: fields.summary || '',
+        status: (fields.status && fields.status.name) || ''
+    };
+};
+
+/**
+ * Fetches an issue and normalises the fields the app uses.
+ * @param {string} key The issue key.
+ * @returns {Promise<object>} The issue ({ key, url, summary, issueType, status, priority, description,
+ *   acceptanceCriteria, components, labels, linkedIssues }).
+ */
+export const getIssue = async (key) => {
+    if (!ISSUE_KEY_REGEX.test(key)) {
+        throw new HttpError(400, `La clave de Jira "${key}" no es válida.`);
+    }
+    const acceptanceCriteriaField = config.jira.acceptanceCriteriaField;
+    const fields = ['summary', 'description', 'issuetype', 'status', 'priority', 'components', 'labels', 'issuelinks', 'subtasks', 'parent']
+        .concat(acceptanceCriteriaField ? [acceptanceCriteriaField] : []);
+    const issue = await jiraFetch(`api/${config.jira.apiVersion}/issue/${encodeURIComponent(key)}?fields=${fields.join(',')}`);
+    const issueFields = issue.fields || {};
+
+    const description = richTextToText(issueFields.description);
+    const acceptanceCriteria = (acceptanceCriteriaField && richTextToText(issueFields[acceptanceCriteriaField])) ||
+        extractAcceptanceCriteria(description);
+
+    return {
+        key: issue.key,
+        url: `${config.jira.baseUrl}/browse/${issue.key}`,
+        summary: issueFields.summary || '',
+        issueType: (issueFields.issuetype && issueFields.issuetype.name) || '',
+        status: (issueFields.status && issueFields.status.name) || '',
+        priority: (issueFields.priority && issueFields.priority.name) || '',
+        description,
+        acceptanceCriteria,
+        components: (issueFields.components || []).map(component => component.name),
+        labels: issueFields.labels || [],
+        parent: issueFields.parent ? { key: issueFields.parent.key, summary: (issueFields.parent.fields || {}).summary || '' } : null,
+        linkedIssues: [
+            ...(issueFields.issuelinks || []).map(toLinkedIssue),
+            ...(issueFields.subtasks || []).map(subtask => toLinkedIssue({ type: { outward: 'subtarea' }, outwardIssue: subtask }))
+        ]
+    };
+};
@@ -0,0 +1,38 @@
+import config from '../config.js';
+import { HttpError, readJsonBody, sendJson } from '../http.js';
+import { getIssue, isJiraConfigured } from './client.js';
+import { publishTests } from './xray.js';
+
+/**
+ * GET /api/jira/status: tells the client whether the Jira integration is available.
+ * @param {import('node:http').IncomingMessage} req The request.
+ * @param {import('node:http').ServerResponse} res The response.
+ */
+export const handleJiraStatus = (req, res) => {
+    sendJson(res, 200, { configured: isJiraConfigured(), xrayMode: config.xray.mode });
+};
+
+/**
+ * GET /api/jira/issue?key=PROJ-123: returns the normalised story content.
+ * @param {import('node:http').IncomingMessage} req The request.
+ * @param {import('node:http').ServerResponse} res The response.
+ * @param {URL} url The parsed request URL.
+ */
+export const handleGetJiraIssue = async (req, res, url) => {
+    const key = (url.searchParams.get('key') || '').trim();
+    if (!key) {
+        throw new HttpError(400, 'Falta el parámetro "key".');
+    }
+    sendJson(res, 200, await getIssue(key));
+};
+
+/**
+ * POST /api/jira/tests: creates one Test issue per case and links them to the story.
+ * Body: { storyKey, tests: [{ summary, gherkin, priority, labels }] }.
+ * @param {import('node:http').IncomingMessage} req The request.
+ * @param {import('node:http').ServerResponse} res The response.
+ */
+export const handlePublishJiraTests = async (req, res) => {
+    const { storyKey, tests } = await readJsonBody(req, config.maxBodyBytes);
+    sendJson(res, 200, { results: await publishTests(String(storyKey || '').trim(), tests) });
+};
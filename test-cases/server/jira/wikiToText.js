@@ -0,0 +1,47 @@
+/**
+ * Converts Jira wiki markup (Jira Server / REST API v2) into plain text,
+ * using the same conventions as adfToText (# headings, - and 1. lists, | tables).
+ * @param {string|null} wiki The wiki markup.
+ * @returns {string} The plain text.
+ */
+export const wikiToText = (wiki) => {
+    if (!wiki) {
+        return '';
+    }
+    const orderedCounters = [];
+    return String(wiki)
+        .replace(/\r\n/g, '\n')
+        .replace(/\{(code|noformat)(:[^}]*)?\}/g, '```')
+        .replace(/\{(panel|quote|color)(:[^}]*)?\}/g, '')
+        .split('\n')
+        .map(line => {
+            const heading = line.match(/^h([1-6])\.\s+(.*)$/);
+            if (heading) {
+                return `${'#'.repeat(Number(heading[1]))} ${heading[2]}`;
+            }
+            const bullet = line.match(/^([*\-#]+)\s+(.*)$/);
+            if (bullet) {
+                const depth = bullet[1].length - 1;
+                const isOrdered = bullet[1].endsWith('#');
+                orderedCounters.length = depth + 1;
+                orderedCounters[depth] = isOrdered ? (orderedCounters[depth] || 0) + 1 : 0;
+                return `${'  '.repeat(depth)}${isOrdered ? `${orderedCounters[depth]}.` : '-'} ${bullet[2]}`;
+            }
+            orderedCounters.length = 0;
+            if (line.startsWith('||')) {
+                return `| ${line.replace(/^\|\||\|\|$/g, '').split('||').join(' | ')} |`;
+            }
+            if (line.startsWith('bq. ')) {
+                return `> ${line.slice(4)}`;
+            }
+            return line === '----' ? '---' : line;
+        })
+        .join('\n')
+        .replace(/\[([^|\]]+)\|([^\]]+)\]/g, '$1 ($2)') // [text|url]
+        .replace(/\[~([^\]]+)\]/g, '@$1') // [~user]
+        .replace(/(^|[\s(])\*([^*\n]+)\*(?=[\s).,:;!?]|$)/gm, '$1$2') // *bold*
+        .replace(/(^|[\s(])_([^_\n]+)_(?=[\s).,:;!?]|$)/gm, '$1$2') // _italic_
+        .replace(/\{\{([^}]+)\}\}/g, '`$1`') // {{monospace}}
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+};
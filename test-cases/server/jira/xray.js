@@ -0,0 +1,198 @@
+import config from '../config.js';
+import { HttpError } from '../http.js';
+import { ISSUE_KEY_REGEX, isJiraConfigured, jiraFetch } from './client.js';
+
+/**
+ * Wraps plain text in the description format of the configured API version
+ * (ADF code block for v3, wiki {code} block for v2).
+ * @param {string} intro The text shown before the Gherkin.
+ * @param {string} gherkin The Gherkin scenario.
+ * @returns {object|string} The description.
+ */
+const buildDescription = (intro, gherkin) => {
+    if (config.jira.apiVersion === '2') {
+        return `${intro}\n\n{code:gherkin}\n${gherkin}\n{code}`;
+    }
+    return {
+        type: 'doc',
+        version: 1,
+        content: [
+            { type: 'paragraph', content: [{ type: 'text', text: intro }] },
+            { type: 'codeBlock', attrs: { language: 'gherkin' }, content: [{ type: 'text', text: gherkin }] }
+        ]
+    };
+};
+
+/**
+ * Maps an app priority (Alta/Media/Baja, or English names) to a Jira priority.
+ * @param {string} priority The app priority.
+ * @returns {{name: string}|undefined} The Jira priority field, undefined when empty.
+ */
+const toJiraPriority = (priority) => {
+    const aliases = { High: 'Alta', Medium: 'Media', Low: 'Baja' };
+    const name = config.xray.priorityMap[priority] || config.xray.priorityMap[aliases[priority]];
+    return name ? { name } : undefined;
+};
+
+/**
+ * Creates a Test issue through the Jira REST API (Xray Server/Data Center).
+ * @param {string} projectKey The project of the test.
+ * @param {{summary: string, gherkin: string, priority: string, labels: string[]}} test The test to create.
+ * @param {string} storyKey The story the test covers.
+ * @returns {Promise<string>} The created issue key.
+ */
+const createServerTest = async (projectKey, test, storyKey) => {
+    const fields = {
+        project: { key: projectKey },
+        issuetype: { name: config.xray.testIssueType },
+        summary: test.summary,
+        description: buildDescription(`Caso de prueba generado para ${storyKey}.`, test.gherkin),
+        labels: test.labels
+    };
+    const priority = toJiraPriority(test.priority);
+    if (priority) {
+        fields.priority = priority;
+    }
+    if (config.xray.testTypeField) {
+        fields[config.xray.testTypeField] = { value: 'Cucumber' };
+    }
+    if (config.xray.gherkinField) {
+        fields[config.xray.gherkinField] = test.gherkin;
+    }
+    const created = await jiraFetch(`api/${config.jira.apiVersion}/issue`, { method: 'POST', body: { fields } });
+    return created.key;
+};
+
+let xrayCloudToken = null;
+
+/**
+ * Calls the Xray Cloud GraphQL API, authenticating on first use.
+ * @param {string} query The GraphQL query.
+ * @param {object} variables The query variables.
+ * @returns {Promise<object>} The "data" of the answer.
+ */
+const xrayCloudGraphql = async (query, variables) => {
+    if (!config.xray.clientId || !config.xray.clientSecret) {
+        throw new HttpError(503, 'Xray Cloud no está configurado en el servidor (XRAY_CLIENT_ID y XRAY_CLIENT_SECRET).');
+    }
+    if (!xrayCloudToken) {
+        const authResponse = await fetch(`${config.xray.cloudBaseUrl}/api/v2/authenticate`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ client_id: config.xray.clientId, client_secret: config.xray.clientSecret })
+        });
+        if (!authResponse.ok) {
+            throw new HttpError(502, `Xray Cloud rechazó las credenciales (${authResponse.status}).`);
+        }
+        xrayCloudToken = await authResponse.json(); // The token is returned as a JSON string
+    }
+    const response = await fetch(`${config.xray.cloudBaseUrl}/api/v2/graphql`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${xrayCloudToken}` },
+        body: JSON.stringify({ query, variables })
+    });
+    if (response.status === 401) {
+        xrayCloudToken = null; // Expired: authenticate again on the next call
+    }
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok || (result.errors && result.errors.length > 0)) {
+        const message = (result.errors || []).map(error => error.message).join(' ');
+        throw new HttpError(502, `Xray Cloud respondió ${response.status}: ${message || 'error desconocido'}`);
+    }
+    return result.data;
+};
+
+/**
+ * Creates a Cucumber Test issue through the Xray Cloud GraphQL API.
+ * @param {string} projectKey The project of the test.
+ * @param {{summary: string, gherkin: string, priority: string, labels: string[]}} test The test to create.
+ * @returns {Promise<string>} The created issue key.
+ */
+const createCloudTest = async (projectKey, test) => {
+    const fields = { summary: test.summary, project: { key: projectKey }, labels: test.labels };
+    const priority = toJiraPriority(test.priority);
+    if (priority) {
+        fields.priority = priority;
+    }
+    const data = await xrayCloudGraphql(
+        `mutation CreateTest($gherkin: String!, $jira: JSON!) {
+            createTest(testType: { name: "Cucumber" }, gherkin: $gherkin, jira: $jira) {
+                test { jira(fields: ["key"]) }
+                warnings
+            }
+        }`,
+        { gherkin: test.gherkin, jira: { fields } }
+    );
+    return data.createTest.test.jira.key;
+};
+
+/**
+ * Links a test to the story it covers.
+ * @param {string} testKey The test issue key.
+ * @param {string} storyKey The story issue key.
+ */
+const linkTestToStory = async (testKey, storyKey) => {
+    // The inward issue gets the outward description: "<test> tests <story>"
+    await jiraFetch(`api/${config.jira.apiVersion}/issueLink`, {
+        method: 'POST',
+        body: {
+            type: { name: config.xray.linkType },
+            inwardIssue: { key: testKey },
+            outwardIssue: { key: storyKey }
+        }
+    });
+};
+
+/**
+ * Creates one Test issue per test and links each of them to the story.
+ * Failures are reported per test so a single invalid case does not stop the rest.
+ * @param {string} storyKey The story issue key.
+ * @param {{summary: string, gherkin: string, priority: string, labels: string[]}[]} tests The tests to create.
+ * @returns {Promise<{index: number, summary: string, key: string|null, url: string|null, linked: boolean, error: string|null}[]>} The results.
+ */
+export const publishTests = async (storyKey, tests) => {
+    if (!isJiraConfigured()) {
+        throw new HttpError(503, 'La integración con Jira no está configurada en el servidor (JIRA_BASE_URL y credenciales).');
+    }
+    if (!ISSUE_KEY_REGEX.test(storyKey || '')) {
+        throw new HttpError(400, `La clave de Jira "${storyKey}" no es válida.`);
+    }
+    if (!Array.isArray(tests) || tests.length === 0) {
+        throw new HttpError(400, 'No hay casos de prueba para publicar.');
+    }
+    if (tests.length > config.xray.maxTestsPerRequest) {
+        throw new HttpError(400, `Se pueden publicar como máximo ${config.xray.maxTestsPerRequest} casos por petición.`);
+    }
+    // Checked before creating anything, so an invalid request leaves no issues behind
+    const invalidIndex = tests.findIndex(test => !test || typeof test !== 'object' || Array.isArray(test));
+    if (invalidIndex !== -1) {
+        throw new HttpError(400, `El caso ${invalidIndex + 1} no es un objeto válido.`);
+    }
+
+    const projectKey = config.xray.projectKey || storyKey.split('-')[0].toUpperCase();
+    const results = [];
+    // Sequential on purpose: Jira and Xray throttle bursts of issue creation
+    for (const [index, test] of tests.entries()) {
+        const result = { index, summary: test.summary, key: null, url: null, linked: false, error: null };
+        try {
+            const testToCreate = {
+                summary: String(test.summary || '').replace(/\s+/g, ' ').trim().slice(0, 255),
+                gherkin: String(test.gherkin || ''),
+                priority: test.priority || '',
+                labels: (test.labels || []).map(label => String(label).replace(/\s+/g, '-'))
+            };
+            result.key = config.xray.mode === 'cloud'
+                ? await createCloudTest(projectKey, testToCreate)
+                : await createServerTest(projectKey, testToCreate, storyKey);
+            result.url = `${config.jira.baseUrl}/browse/${result.key}`;
+            await linkTestToStory(result.key, storyKey);
+            result.linked = true;
+        } catch (error) {
+            result.error = result.key
+                ? `Creado, pero no se pudo vincular a ${storyKey}: ${error.message}`
+                : error.message;
+        }
+        results.push(result);
+    }
+    return results;
+};
@@ -0,0 +1,228 @@
+import http from 'node:http';
+import { readJsonBody, sendError, sendJson } from './http.js';
+
+/**
+ * Local stand-in for the Jira REST API, to try the integration without a real instance:
+ *   npm run mock:jira
+ *   JIRA_BASE_URL=http://127.0.0.1:8788 JIRA_PAT=mock npm run server
+ * API v3 answers descriptions in ADF and API v2 in wiki markup, like Jira Cloud and Server.
+ * It also accepts Test issue creation and issue links, and the two Xray Cloud endpoints used to
+ * publish tests (add XRAY_MODE=cloud XRAY_CLOUD_BASE_URL=http://127.0.0.1:8788 XRAY_CLIENT_ID=mock
+ * XRAY_CLIENT_SECRET=mock to the server to try them). Created issues live in memory.
+ */
+
+const port = Number.parseInt(process.env.MOCK_JIRA_PORT, 10) || 8788;
+
+const adfText = (text) => ({ type: 'text', text });
+const adfParagraph = (text) => ({ type: 'paragraph', content: [adfText(text)] });
+const adfHeading = (level, text) => ({ type: 'heading', attrs: { level }, content: [adfText(text)] });
+const adfOrderedList = (items) => ({
+    type: 'orderedList',
+    attrs: { order: 1 },
+    content: items.map(item => ({ type: 'listItem', content: [adfParagraph(item)] }))
+});
+
+// Sample issues, keyed by issue key
+const issues = {
+    'PROJ-123': {
+        summary: 'Pago con tarjeta de crédito en el checkout',
+        issuetype: { name: 'Historia' },
+        status: { name: 'To Do' },
+        priority: { name: 'High' },
+        components: [{ name: 'Checkout' }, { name: 'Pagos' }],
+        labels: ['pagos', 'pci'],
+        descriptionAdf: {
+            type: 'doc',
+            version: 1,
+            content: [
+                adfParagraph('Como comprador, quiero pagar mi pedido con tarjeta de crédito para completar la compra sin salir del checkout.'),
+                adfHeading(3, 'Criterios de aceptación'),
+                adfOrderedList([
+                    'El formulario acepta tarjetas Visa y Mastercard de 16 dígitos.',
+                    'Una tarjeta expirada muestra el mensaje "Tarjeta expirada" y no se cobra.',
+                    'El monto mínimo es 1 USD y el máximo 5000 USD.',
+                    'Tras un pago aprobado se muestra el número de autorización.'
+                ]),
+                adfHeading(3, 'Notas'),
+                adfParagraph('El CVV nunca se almacena.')
+            ]
+        },
+        descriptionWiki: [
+            'Como comprador, quiero pagar mi pedido con tarjeta de crédito para completar la compra sin salir del checkout.',
+            '',
+            'h3. Criterios de aceptación',
+            '# El formulario acepta tarjetas *Visa* y *Mastercard* de 16 dígitos.',
+            '# Una tarjeta expirada muestra el mensaje "Tarjeta expirada" y no se cobra.',
+            '# El monto mínimo es 1 USD y el máximo 5000 USD.',
+            '# Tras un pago aprobado se muestra el número de autorización.',
+            '',
+            'h3. Notas',
+            'El CVV nunca se almacena.'
+        ].join('\n'),
+        issuelinks: [
+            {
+                type: { name: 'Blocks', inward: 'is blocked by', outward: 'blocks' },
+                inwardIssue: { key: 'PROJ-100', fields: { summary: 'Integración con la pasarela de pagos', status: { name: 'Done' } } }
+            },
+            {
+                type: { name: 'Relates', inward: 'relates to', outward: 'relates to' },
+                outwardIssue: { key: 'PROJ-130', fields: { summary: 'Reembolsos parciales', status: { name: 'In Progress' } } }
+            }
+        ],
+        subtasks: []
+    }
+};
+
+// Projects that accept new issues, and the issue types and priorities they know
+const projects = { PROJ: { nextId: 1000 } };
+const knownIssueTypes = ['Test', 'Historia', 'Story', 'Bug'];
+const knownPriorities = ['Highest', 'High', 'Medium', 'Low', 'Lowest'];
+
+/**
+ * Validates and stores a new issue, as POST /rest/api/x/issue does.
+ * @param {object} fields The issue fields.
+ * @returns {{status: number, body: object}} The Jira answer.
+ */
+const createIssue = (fields = {}) => {
+    const errors = {};
+    const project = fields.project && projects[fields.project.key];
+    if (!project) {
+        errors.project = 'Especifica un proyecto válido.';
+    }
+    if (!fields.summary) {
+        errors.summary = 'Debes especificar un resumen para la incidencia.';
+    }
+    if (!fields.issuetype || !knownIssueTypes.includes(fields.issuetype.name)) {
+        errors.issuetype = 'Especifica un tipo de incidencia válido.';
+    }
+    if (fields.priority && !knownPriorities.includes(fields.priority.name)) {
+        errors.priority = `La prioridad "${fields.priority.name}" no existe.`;
+    }
+    if (Object.keys(errors).length > 0) {
+        return { status: 400, body: { errorMessages: [], errors } };
+    }
+
+    const key = `${fields.project.key}-${project.nextId++}`;
+    issues[key] = {
+        summary: fields.summary,
+        issuetype: { name: fields.issuetype.name },
+        status: { name: 'To Do' },
+        priority: fields.priority || { name: 'Medium' },
+        components: [],
+        labels: fields.labels || [],
+        descriptionAdf: typeof fields.description === 'object' ? fields.description : null,
+        descriptionWiki: typeof fields.description === 'string' ? fields.description : '',
+        issuelinks: [],
+        subtasks: []
+    };
+    console.log(`  creada ${key}: ${fields.summary}`);
+    return { status: 201, body: { id: String(10000 + Object.keys(issues).indexOf(key)), key, self: `/rest/api/3/issue/${key}` } };
+};
+
+/**
+ * Validates and stores an issue link, as POST /rest/api/x/issueLink does.
+ * @param {object} link The link ({ type, inwardIssue, outwardIssue }).
+ * @returns {{status: number, body: object|null}} The Jira answer.
+ */
+const createLink = (link = {}) => {
+    const inwardKey = link.inwardIssue && link.inwardIssue.key;
+    const outwardKey = link.outwardIssue && link.outwardIssue.key;
+    if (!issues[inwardKey] || !issues[outwardKey]) {
+        return { status: 404, body: { errorMessages: ['No se encontró una de las incidencias del vínculo.'], errors: {} } };
+    }
+    // Shown on the outward issue, like Jira does ("is tested by PROJ-1000")
+    issues[outwardKey].issuelinks.push({
+        type: { name: link.type && link.type.name, inward: 'is tested by', outward: 'tests' },
+        inwardIssue: { key: inwardKey, fields: { summary: issues[inwardKey].summary, status: issues[inwardKey].status } }
+    });
+    console.log(`  vínculo ${link.type && link.type.name}: ${inwardKey} -> ${outwardKey}`);
+    return { status: 201, body: null };
+};
+
+/**
+ * Renders an issue the way the requested API version would.
+ * @param {string} key The issue key.
+ * @param {string} apiVersion "2" or "3".
+ * @returns {object} The Jira issue JSON.
+ */
+const renderIssue = (key, apiVersion) => {
+    const { descriptionAdf, descriptionWiki, ...fields } = issues[key];
+    return {
+        id: String(10000 + Object.keys(issues).indexOf(key)),
+        key,
+        fields: { ...fields, description: apiVersion === '2' ? descriptionWiki : descriptionAdf }
+    };
+};
+
+/**
+ * Answers the Xray Cloud authentication and "createTest" GraphQL mutation.
+ * @param {import('node:http').IncomingMessage} req The request.
+ * @param {import('node:http').ServerResponse} res The response.
+ * @param {URL} url The parsed request URL.
+ * @returns {Promise<boolean>} Whether the request was an Xray Cloud call.
+ */
+const handleXrayCloud = async (req, res, url) => {
+    if (req.method === 'POST' && url.pathname === '/api/v2/authenticate') {
+        sendJson(res, 200, 'mock-xray-token');
+        return true;
+    }
+    if (req.method === 'POST' && url.pathname === '/api/v2/graphql') {
+        const { variables = {} } = await readJsonBody(req, 1024 * 1024);
+        const fields = { ...((variables.jira && variables.jira.fields) || {}), issuetype: { name: 'Test' }, description: variables.gherkin };
+        const { status, body } = createIssue(fields);
+        if (status !== 201) {
+            sendJson(res, 200, { errors: Object.values(body.errors).map(message => ({ message })) });
+            return true;
+        }
+        sendJson(res, 200, { data: { createTest: { test: { jira: { key: body.key } }, warnings: [] } } });
+        return true;
+    }
+    return false;
+};
+
+http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    console.log(`${req.method} ${url.pathname}${url.search}`);
+
+    if (await handleXrayCloud(req, res, url)) {
+        return;
+    }
+
+    if (!req.headers.authorization) {
+        sendJson(res, 401, { errorMessages: ['No autenticado.'], errors: {} });
+        return;
+    }
+
+    const issueMatch = url.pathname.match(/^\/rest\/api\/(2|3)\/issue\/([^/]+)$/);
+    if (req.method === 'GET' && issueMatch) {
+        const key = decodeURIComponent(issueMatch[2]).toUpperCase();
+        if (!issues[key]) {
+            sendJson(res, 404, { errorMessages: ['La incidencia no existe o no tienes permiso para verla.'], errors: {} });
+            return;
+        }
+        sendJson(res, 200, renderIssue(key, issueMatch[1]));
+        return;
+    }
+
+    if (req.method === 'POST' && /^\/rest\/api\/(2|3)\/issue$/.test(url.pathname)) {
+        const { fields } = await readJsonBody(req, 1024 * 1024);
+        const { status, body } = createIssue(fields);
+        sendJson(res, status, body);
+        return;
+    }
+
+    if (req.method === 'POST' && /^\/rest\/api\/(2|3)\/issueLink$/.test(url.pathname)) {
+        const { status, body } = createLink(await readJsonBody(req, 1024 * 1024));
+        if (body) {
+            sendJson(res, status, body);
+        } else {
+            res.writeHead(status);
+            res.end();
+        }
+        return;
+    }
+
+    sendError(res, 404, `Ruta no simulada: ${req.method} ${url.pathname}`);
+}).listen(port, '127.0.0.1', () => {
+    console.log(`Jira simulado escuchando en http://127.0.0.1:${port} (incidencias: ${Object.keys(issues).join(', ')})`);
+});
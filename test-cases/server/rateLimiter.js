@@ -0,0 +1,41 @@
+/**
+ * Creates an in-memory fixed-window rate limiter keyed by client.
+ * @param {{windowMs: number, maxRequests: number}} options The window length and request budget.
+ * @returns {{consume: function(string): {allowed: boolean, remaining: number, retryAfterSeconds: number}}} The limiter.
+ */
+export const createRateLimiter = ({ windowMs, maxRequests }) => {
+    const windows = new Map();
+
+    // Forget expired windows so the map does not grow with every client ever seen
+    const cleanup = setInterval(() => {
+        const now = Date.now();
+        windows.forEach((entry, clientId) => {
+            if (entry.resetAt <= now) {
+                windows.delete(clientId);
+            }
+        });
+    }, windowMs);
+    cleanup.unref();
+
+    return {
+        /**
+         * Counts one request for the client.
+         * @param {string} clientId The client identifier.
+         * @returns {{allowed: boolean, remaining: number, retryAfterSeconds: number}} The decision.
+         */
+        consume(clientId) {
+            const now = Date.now();
+            let entry = windows.get(clientId);
+            if (!entry || entry.resetAt <= now) {
+                entry = { count: 0, resetAt: now + windowMs };
+                windows.set(clientId, entry);
+            }
+            entry.count++;
+            return {
+                allowed: entry.count <= maxRequests,
+                remaining: Math.max(0, maxRequests - entry.count),
+                retryAfterSeconds: Math.ceil((entry.resetAt - now) / 1000)
+            };
+        }
+    };
+};
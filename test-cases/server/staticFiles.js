@@ -0,0 +1,58 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { sendError } from './http.js';
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.ico': 'image/x-icon',
+    '.woff2': 'font/woff2',
+    '.wasm': 'application/wasm',
+    '.map': 'application/json; charset=utf-8'
+};
+
+/**
+ * Serves the built app, falling back to index.html for unknown paths like "vite preview" does.
+ * @param {import('node:http').ServerResponse} res The response.
+ * @param {URL} url The parsed request URL.
+ * @param {string} staticDir The directory of the build output.
+ */
+export const serveStatic = async (res, url, staticDir) => {
+    let decodedPath;
+    try {
+        decodedPath = decodeURIComponent(url.pathname);
+    } catch {
+        sendError(res, 400, 'Ruta no válida.');
+        return;
+    }
+    const requestedPath = path.normalize(decodedPath).replace(/^(\.\.[/\\])+/, '');
+    let filePath = path.join(staticDir, requestedPath);
+    // Never serve files outside the build directory
+    if (!filePath.startsWith(staticDir)) {
+        sendError(res, 403, 'Acceso denegado.');
+        return;
+    }
+
+    try {
+        const stats = await fs.stat(filePath);
+        if (stats.isDirectory()) {
+            filePath = path.join(filePath, 'index.html');
+        }
+    } catch {
+        filePath = path.join(staticDir, 'index.html');
+    }
+
+    try {
+        const content = await fs.readFile(filePath);
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(content);
+    } catch {
+        sendError(res, 404, 'No se encontró la aplicación compilada. Ejecuta "npm run build" primero.');
+    }
+};
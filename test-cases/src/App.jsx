@@ -1,41 +1,39 @@
-import React, { useState } from 'react';
-
-// Function to extract Jira ID from URL
-const getJiraIdFromUrl = (url) => {
-    try {
-        const urlObj = new URL(url);
-        // Assuming Jira ID is the last segment after /browse/ or /ticket/
-        const pathSegments = urlObj.pathname.split('/');
-        const idIndex = pathSegments.findIndex(segment => segment === 'browse' || segment === 'ticket');
-        if (idIndex !== -1 && idIndex + 1 < pathSegments.length) {
-            return pathSegments[idIndex + 1];
-        }
-        // Fallback if common patterns not found, just return the last segment
-        return pathSegments[pathSegments.length - 1];
-    } catch (error) {
-        console.warn("Invalid Jira URL provided:", url, error);
-        return '';
-    }
-};
-
-// Helper function to sort test cases by priority
-const sortTestCasesByPriority = (cases) => {
-    const priorityOrder = {
-        'Alta': 1,
-        'Media': 2,
-        'Baja': 3,
-        'High': 1, // Also support English priorities if AI generates them
-        'Medium': 2,
-        'Low': 3,
-        '': 4 // Handle cases with no priority
-    };
-
-    return [...cases].sort((a, b) => {
-        const priorityA = priorityOrder[a.priority] || 4;
-        const priorityB = priorityOrder[b.priority] || 4;
-        return priorityA - priorityB;
-    });
-};
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { downloadBlob } from './utils/download';
+import { buildCsvExport } from './utils/csv';
+import { buildXlsxExport } from './utils/xlsx';
+import { GHERKIN_KEYWORDS, buildGherkinZip } from './utils/gherkin';
+import { TEST_CASE_SCHEMA } from './utils/schemas';
+import { InvalidAiResponseError, generateJson, loadProviderSettings, saveProviderSettings } from './providers';
+import ProviderSettings from './components/ProviderSettings';
+import PromptProfiles from './components/PromptProfiles';
+import ExistingSuite from './components/ExistingSuite';
+import RedactionSettings from './components/RedactionSettings';
+import JiraPublishDialog from './components/JiraPublishDialog';
+import AutomationDialog from './components/AutomationDialog';
+import { fetchJiraIssue, formatJiraIssueContent, formatJiraIssueContext, getJiraIdFromUrl } from './utils/jira';
+import { useUndoableState } from './hooks/useUndoableState';
+import TestCaseTable from './components/TestCaseTable';
+import HistorySidebar from './components/HistorySidebar';
+import BatchAnalysis from './components/BatchAnalysis';
+import AnalysisProgress from './components/AnalysisProgress';
+import CoverageSummary from './components/CoverageSummary';
+import TraceabilityMatrix from './components/TraceabilityMatrix';
+import ImpactRiskTable from './components/ImpactRiskTable';
+import PdfImportDialog from './components/PdfImportDialog';
+import ReviewView from './components/ReviewView';
+import { clearValidationFixes, validateTestCase } from './utils/validation';
+import { buildRefinePrompt, runAnalysis, runTestDataGeneration } from './utils/analysis';
+import { loadPromptProfiles, loadSelectedProfileId, savePromptProfiles, saveSelectedProfileId } from './utils/promptProfiles';
+import { loadExistingSuite, saveExistingSuite } from './utils/suite';
+import { createRedactor, loadRedactionSettings, saveRedactionSettings } from './utils/redaction';
+import { normalizeImpacts } from './utils/impacts';
+import { IMPORT_ACCEPT, importDocuments } from './utils/documentImport';
+import { buildReviewBundle, buildShareUrl, parseReviewBundle, readShareHash, serializeReviewBundle } from './utils/review';
+import { deleteAnalysis, exportHistory, importHistory, listAnalyses, saveAnalysis, updateAnalysis } from './utils/historyStore';
+import { OUTPUT_LANGUAGES, buildMissingContext, loadOutputLanguage, saveOutputLanguage } from './utils/outputLanguage';
+import { UI_LANGUAGES, createTranslator, loadUiLanguage, saveUiLanguage, translateError } from './i18n';
+import { TranslationContext } from './hooks/useTranslation';
 
 // Main App component for the Jira Test Case Generator
 function App() {
@@ -43,704 +41,1312 @@ function App() {
     const [jiraLink, setJiraLink] = useState('');
     // State to hold the Jira story/epic description content
     const [jiraContent, setJiraContent] = useState('');
-    // State to store the generated main test cases as structured data
-    const [testCases, setTestCases] = useState(null);
-    // State to store the generated impacts analysis
-    const [impacts, setImpacts] = useState('');
+    // State to hold the issue fetched from Jira (summary, components, labels, linked issues...)
+    const [jiraIssue, setJiraIssue] = useState(null);
+    // State to manage loading status while the issue is fetched from Jira
+    const [isJiraLoading, setIsJiraLoading] = useState(false);
+    // State to store the acceptance criteria extracted from the story ({ id, text })
+    const [acceptanceCriteria, setAcceptanceCriteria] = useState([]);
+    // State to store the generated main test cases as structured data (editable, with undo/redo)
+    const [testCases, setTestCases, testCasesHistory] = useUndoableState(null);
+    // State to store the generated impacts analysis (area, description, severity, probability)
+    const [impacts, setImpacts] = useState([]);
     // State to store the initial regression test suggestions (as plain text)
     const [regressionTestSuggestions, setRegressionTestSuggestions] = useState('');
-    // State to store the Gherkin test cases generated from regression suggestions
-    const [regressionGherkinTestCases, setRegressionGherkinTestCases] = useState(null);
+    // State to store the Gherkin test cases generated from regression suggestions (editable, with undo/redo)
+    const [regressionGherkinTestCases, setRegressionGherkinTestCases, regressionHistory] = useUndoableState(null);
+    // State to keep the story content and context the current results were generated from
+    const [analysisInput, setAnalysisInput] = useState(null);
     // State to manage loading status during AI generation
     const [isLoading, setIsLoading] = useState(false);
-    // State to manage PDF loading status
-    const [isPdfLoading, setIsPdfLoading] = useState(false);
+    // State to show the progress of the streamed analysis ({ stage, status, casesCount, regressionCount })
+    const [analysisProgress, setAnalysisProgress] = useState(null);
+    // Controller used to cancel the running analysis
+    const abortControllerRef = useRef(null);
+    // State to show the progress of a document import ('' when idle) and whether it replaces the content
+    const [importStatus, setImportStatus] = useState('');
+    const [replaceContentOnImport, setReplaceContentOnImport] = useState(false);
+    // Question of a PDF import waiting for the user (its password or the pages to import)
+    const [pdfImportRequest, setPdfImportRequest] = useState(null);
     // State to store any error messages
     const [errorMessage, setErrorMessage] = useState('');
+    // State to list what the validation of the AI answers fixed or discarded
+    const [validationWarnings, setValidationWarnings] = useState([]);
+    // State to hold the interface language and the language of the generated content (both persisted in the browser)
+    const [uiLanguage, setUiLanguage] = useState(loadUiLanguage);
+    const [outputLanguage, setOutputLanguage] = useState(loadOutputLanguage);
+    // State to hold the keyword language used in the Gherkin (.feature) export, the output language by default
+    const [gherkinLanguage, setGherkinLanguage] = useState(() => (GHERKIN_KEYWORDS[outputLanguage] ? outputLanguage : 'es'));
+    // State to manage loading status while the Gherkin zip is being built
+    const [isGherkinExporting, setIsGherkinExporting] = useState(false);
+    const [isXlsxExporting, setIsXlsxExporting] = useState(false);
+    // State to show the "Publicar en Jira" preview/confirm dialog
+    const [isJiraPublishOpen, setIsJiraPublishOpen] = useState(false);
+    // State to show the dialog that generates the automation skeletons
+    const [isAutomationOpen, setIsAutomationOpen] = useState(false);
+    // Whether the analysis also proposes test data for every case, and whether test data is being generated on demand
+    const [includeTestData, setIncludeTestData] = useState(false);
+    const [isTestDataLoading, setIsTestDataLoading] = useState(false);
+    // State to hold the selected AI provider, model and endpoint (persisted in the browser)
+    const [providerSettings, setProviderSettings] = useState(loadProviderSettings);
+    // State to hold the QA prompt profiles (built-in and the user's own) and the selected one
+    const [promptProfiles, setPromptProfiles] = useState(loadPromptProfiles);
+    const [selectedProfileId, setSelectedProfileId] = useState(loadSelectedProfileId);
+    // State to hold the team's existing test suite the generated cases are compared with
+    const [existingSuite, setExistingSuite] = useState(loadExistingSuite);
+    // State to hold how sensitive data is masked before a prompt is sent (persisted in the browser)
+    const [redactionSettings, setRedactionSettings] = useState(loadRedactionSettings);
+    // Redactor of the current analysis: it keeps the placeholders, so refining a case reuses them
+    const redactorRef = useRef(null);
+    // State to hold the analyses stored in the browser (IndexedDB), newest first
+    const [historyEntries, setHistoryEntries] = useState([]);
+    // State to switch between the single-story form and the batch mode
+    const [isBatchMode, setIsBatchMode] = useState(false);
+    // State to show the history side panel
+    const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+    // State to hold the id of the stored analysis currently shown (its edits are saved back)
+    const [currentAnalysisId, setCurrentAnalysisId] = useState(null);
+    // State to hold the shared analysis shown in the review view (null outside of it)
+    const [reviewBundle, setReviewBundle] = useState(null);
+    // State to show the result of sharing the analysis for review (the link, or an error)
+    const [shareResult, setShareResult] = useState(null);
+    // State to hold the error of the review link the page was opened with (translated when shown)
+    const [shareLinkError, setShareLinkError] = useState(null);
+    const reviewFileInputRef = useRef(null);
+
+    // Profile used by the analyses (the first one if the selected profile was deleted)
+    const promptProfile = promptProfiles.find(profile => profile.id === selectedProfileId) || promptProfiles[0];
+
+    // Translation of the interface, shared with every component
+    const translation = useMemo(() => ({ language: uiLanguage, t: createTranslator(uiLanguage) }), [uiLanguage]);
+    const { t } = translation;
+
+    // Keep the language of the page in sync (screen readers, spell checking)
+    useEffect(() => {
+        document.documentElement.lang = uiLanguage;
+    }, [uiLanguage]);
+
+    // Load the stored analyses once
+    useEffect(() => {
+        listAnalyses()
+            .then(setHistoryEntries)
+            .catch(error => console.warn('No se pudo cargar el historial:', error));
+    }, []);
+
+    // Open the shared analysis of a review link
+    useEffect(() => {
+        readShareHash(window.location.hash)
+            .then(bundle => {
+                if (bundle) {
+                    setReviewBundle(bundle);
+                }
+            })
+            .catch(error => {
+                console.error('Error al abrir el análisis compartido:', error);
+                setShareLinkError(error);
+            });
+    }, []);
+
+    // Error shown above the results: the last one, or else the one of the review link
+    const shownErrorMessage = errorMessage
+        || (shareLinkError ? t('No se pudo abrir el análisis compartido: {message}', { message: translateError(shareLinkError, t) }) : '');
 
     /**
-     * Handles PDF file upload and extracts text content.
-     * @param {Event} event The file input change event.
+     * Clears the error shown above the results, the one of the review link included.
      */
-    const handlePdfUpload = async (event) => {
-        const file = event.target.files[0];
-        if (!file) {
-            return;
+    const clearErrorMessage = () => {
+        setErrorMessage('');
+        setShareLinkError(null);
+    };
+
+    // Save the edits of the analysis currently shown, shortly after the last change
+    useEffect(() => {
+        if (!currentAnalysisId) {
+            return undefined;
         }
+        const timeoutId = setTimeout(() => {
+            updateAnalysis(currentAnalysisId, { outputs: { acceptanceCriteria, testCases, impacts, regressionTestSuggestions, regressionGherkinTestCases } })
+                .then(record => {
+                    if (record) {
+                        setHistoryEntries(entries => entries.map(entry => (entry.id === record.id ? record : entry)));
+                    }
+                })
+                .catch(error => console.warn('No se pudieron guardar los cambios en el historial:', error));
+        }, 800);
+        return () => clearTimeout(timeoutId);
+    }, [currentAnalysisId, acceptanceCriteria, testCases, impacts, regressionTestSuggestions, regressionGherkinTestCases]);
 
-        if (file.type !== 'application/pdf') {
-            setErrorMessage('Por favor, selecciona un archivo PDF válido.');
-            return;
+    /**
+     * Updates and persists the AI provider settings.
+     * @param {object} settings The new provider settings.
+     */
+    const handleProviderSettingsChange = (settings) => {
+        setProviderSettings(settings);
+        saveProviderSettings(settings);
+    };
+
+    /**
+     * Changes (and remembers) the interface language.
+     * @param {string} language The language id.
+     */
+    const handleUiLanguageChange = (language) => {
+        setUiLanguage(language);
+        saveUiLanguage(language);
+    };
+
+    /**
+     * Changes (and remembers) the language of the generated content. The Gherkin export follows it.
+     * @param {string} language The language id.
+     */
+    const handleOutputLanguageChange = (language) => {
+        setOutputLanguage(language);
+        saveOutputLanguage(language);
+        if (GHERKIN_KEYWORDS[language]) {
+            setGherkinLanguage(language);
         }
+    };
 
-        setIsPdfLoading(true);
-        setErrorMessage('');
-        setJiraContent(''); // Clear previous content
+    /**
+     * Updates and persists the prompt profiles.
+     * @param {object[]} profiles The new profiles.
+     */
+    const handlePromptProfilesChange = (profiles) => {
+        setPromptProfiles(profiles);
+        savePromptProfiles(profiles);
+    };
 
-        try {
-            // Dynamically load PDF.js if not already available
-            if (typeof window.pdfjsLib === 'undefined') {
-                await loadPdfJs();
-            }
+    /**
+     * Selects (and remembers) the prompt profile used by the analyses.
+     * @param {string} profileId The profile id.
+     */
+    const handlePromptProfileSelect = (profileId) => {
+        setSelectedProfileId(profileId);
+        saveSelectedProfileId(profileId);
+    };
 
-            // Define PDF_WORKER_SRC directly here to ensure it's in scope
-            const PDF_WORKER_SRC = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/2.16.105/pdf.worker.min.js';
-            window.pdfjsLib.GlobalWorkerOptions.workerSrc = PDF_WORKER_SRC;
+    /**
+     * Updates and persists the existing test suite.
+     * @param {object[]} suite The existing cases.
+     */
+    const handleExistingSuiteChange = (suite) => {
+        setExistingSuite(suite);
+        saveExistingSuite(suite);
+    };
+
+    /**
+     * Updates and persists the redaction settings. The next request starts a new redactor.
+     * @param {object} settings The redaction settings.
+     */
+    const handleRedactionSettingsChange = (settings) => {
+        setRedactionSettings(settings);
+        saveRedactionSettings(settings);
+        redactorRef.current = null;
+    };
+
+    /**
+     * Returns the redactor for the next request of the current analysis, creating it if needed.
+     * @returns {object|null} The redactor, or null when redaction is disabled.
+     */
+    const getRedactor = () => {
+        if (!redactionSettings.enabled) {
+            return null;
+        }
+        if (!redactorRef.current) {
+            redactorRef.current = createRedactor(redactionSettings);
+        }
+        return redactorRef.current;
+    };
 
-            const arrayBuffer = await file.arrayBuffer();
-            const pdf = await window.pdfjsLib.getDocument({ data: arrayBuffer }).promise;
-            let fullText = '';
+    /**
+     * Asks the user about the PDF being imported through PdfImportDialog.
+     * @param {object} request The question ({ type: 'password' | 'pages', fileName, ... }).
+     * @returns {Promise<*>} The answer: the password or the page numbers, null if cancelled.
+     */
+    const askPdfImport = (request) => new Promise(resolve => {
+        setPdfImportRequest({ ...request, id: Date.now(), resolve });
+    });
 
-            for (let i = 1; i <= pdf.numPages; i++) {
-                const page = await pdf.getPage(i);
-                const textContent = await page.getTextContent();
-                fullText += textContent.items.map(item => item.str).join(' ') + '\n';
+    const handlePdfImportAnswer = (answer) => {
+        pdfImportRequest.resolve(answer);
+        setPdfImportRequest(null);
+    };
+
+    /**
+     * Imports the text of one or more documents (PDF, Word, HTML, Markdown, images via OCR)
+     * into the story content, appending it unless the user chose to replace the content.
+     * @param {Event} event The file input change event.
+     */
+    const handleDocumentImport = async (event) => {
+        const files = Array.from(event.target.files);
+        event.target.value = ''; // Allow importing the same files again
+        if (files.length === 0) {
+            return;
+        }
+
+        setImportStatus(t('Leyendo...'));
+        clearErrorMessage();
+        try {
+            const { text, errors } = await importDocuments(files, {
+                onProgress: setImportStatus,
+                requestPassword: (fileName, incorrect) => askPdfImport({ type: 'password', fileName, incorrect }),
+                reviewPdf: (fileName, pages) => askPdfImport({ type: 'pages', fileName, pages }),
+                t
+            });
+            if (text) {
+                setJiraContent(current => (replaceContentOnImport || !current.trim() ? text : `${current.trim()}\n\n${text}`));
+            }
+            if (errors.length > 0) {
+                setErrorMessage(t('No se pudieron leer algunos archivos: {errors}.', { errors: errors.join('; ') }));
             }
-            setJiraContent(fullText);
         } catch (error) {
-            console.error("Error al leer el PDF:", error);
-            setErrorMessage(`Error al leer el PDF: ${error.message}. Asegúrate de que es un PDF de texto seleccionable.`);
+            console.error('Error al importar los documentos:', error);
+            setErrorMessage(t('No se pudieron importar los documentos: {message}', { message: translateError(error, t) }));
         } finally {
-            setIsPdfLoading(false);
+            setImportStatus('');
         }
     };
 
     /**
-     * Dynamically loads the PDF.js library.
+     * Fetches the story identified by the Jira link through the server and fills the content with it.
      */
-    const loadPdfJs = () => {
-        return new Promise((resolve, reject) => {
-            const script = document.createElement('script');
-            script.src = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/2.16.105/pdf.min.js';
-            script.onload = () => resolve();
-            script.onerror = () => reject(new Error('Failed to load PDF.js library.'));
-            document.head.appendChild(script);
-        });
+    const handleJiraLoad = async () => {
+        clearErrorMessage();
+        const jiraId = getJiraIdFromUrl(jiraLink);
+        if (!jiraId) {
+            setErrorMessage(t('Introduce un enlace de Jira válido para cargar la historia.'));
+            return;
+        }
+
+        setIsJiraLoading(true);
+        try {
+            const issue = await fetchJiraIssue(jiraId);
+            setJiraIssue(issue);
+            setJiraContent(formatJiraIssueContent(issue));
+        } catch (error) {
+            console.error('Error al cargar la historia desde Jira:', error);
+            setErrorMessage(t('No se pudo cargar la historia desde Jira: {message}', { message: translateError(error, t) }));
+        } finally {
+            setIsJiraLoading(false);
+        }
+    };
+
+    /**
+     * Shows analysis outputs (complete or still streaming) in the result sections.
+     * @param {object} patch Some of { acceptanceCriteria, testCases, impacts, regressionTestSuggestions, regressionGherkinTestCases }.
+     */
+    const showOutputs = (patch) => {
+        if ('acceptanceCriteria' in patch) {
+            setAcceptanceCriteria(patch.acceptanceCriteria);
+        }
+        if ('testCases' in patch) {
+            testCasesHistory.reset(patch.testCases);
+        }
+        if ('impacts' in patch) {
+            setImpacts(patch.impacts);
+        }
+        if ('regressionTestSuggestions' in patch) {
+            setRegressionTestSuggestions(patch.regressionTestSuggestions);
+        }
+        if ('regressionGherkinTestCases' in patch) {
+            regressionHistory.reset(patch.regressionGherkinTestCases);
+        }
     };
 
     /**
      * Handles the analysis process:
      * 1. Validates input, including the mandatory Jira link.
-     * 2. Simulates fetching additional context based on the Jira link.
-     * 3. Calls the Gemini AI model to generate main test cases, impacts, and regression test suggestions.
+     * 2. Fetches additional context (components, labels, linked issues...) from Jira.
+     * 3. Calls the configured AI provider to generate main test cases, impacts, and regression test suggestions.
      * 4. Makes a second AI call to convert regression suggestions into Gherkin test cases.
-     * 5. Updates state with results or errors.
+     * 5. Optionally, makes a third AI call that proposes test data for every case.
+     * 6. Updates state with results or errors.
+     * 7. Stores the analysis in the browser history.
+     * Both calls are streamed: the tables fill in as cases arrive, and the analysis can be cancelled.
      */
     const handleAnalyze = async () => {
-        // Clear previous results and errors
-        setTestCases(null);
-        setImpacts('');
+        // Clear previous results and errors (the previous stored analysis keeps its own copy)
+        setCurrentAnalysisId(null);
+        setAcceptanceCriteria([]);
+        testCasesHistory.reset(null);
+        setImpacts([]);
         setRegressionTestSuggestions('');
-        setRegressionGherkinTestCases(null);
-        setErrorMessage('');
+        regressionHistory.reset(null);
+        clearErrorMessage();
+        setValidationWarnings([]);
+        setShareResult(null);
 
         if (!jiraLink.trim()) {
-            setErrorMessage('El enlace de Jira es obligatorio para el análisis de impacto.');
+            setErrorMessage(t('El enlace de Jira es obligatorio para el análisis de impacto.'));
             return;
         }
 
         if (!jiraContent.trim()) {
-            setErrorMessage('Por favor, ingresa la descripción de la historia o épica de Jira.');
+            setErrorMessage(t('Por favor, ingresa la descripción de la historia o épica de Jira.'));
             return;
         }
 
         setIsLoading(true); // Start loading spinner
+        setAnalysisProgress({ stage: 'cases', status: 'running', casesCount: 0, regressionCount: 0, withTestData: includeTestData });
+        const abortController = new AbortController();
+        abortControllerRef.current = abortController;
+        // Every analysis starts with its own placeholders
+        redactorRef.current = null;
 
-        try {
-            const currentJiraId = getJiraIdFromUrl(jiraLink);
+        const currentJiraId = getJiraIdFromUrl(jiraLink);
+        let additionalContext = '';
+        // Results to store in the history, filled as they are generated
+        const outputs = { acceptanceCriteria: [], testCases: null, impacts: [], regressionTestSuggestions: '', regressionGherkinTestCases: null };
 
-            let additionalContext = '';
-            if (jiraLink.includes('example.com')) {
-                additionalContext = `Contexto adicional simulado del enlace de Jira (${jiraLink}): Este enlace podría contener información sobre el proyecto, módulos afectados, historial de cambios, etc.`;
-            } else {
-                additionalContext = `No se pudo obtener contexto adicional significativo del enlace: ${jiraLink}.`;
-            }
+        try {
 
-            // --- FIRST AI CALL: Generate main test cases, impacts, and regression test suggestions ---
-            const firstPrompt = `Analiza la siguiente descripción de una historia de usuario o épica de Jira y el contexto adicional. Genera:
-            1. Una lista de casos de prueba detallados en lenguaje Gherkin. Para cada caso de prueba, incluye las propiedades "jiraId" con el ID de Jira "${currentJiraId}", y "priority" (Prioridad: Alta, Media, Baja). El valor de la propiedad "scenario" debe comenzar con la palabra "Validar ".
-            2. Una lista de posibles impactos del cambio.
-            3. Una lista de pruebas de regresión necesarias. La propiedad "regressionTests" debe ser una cadena de texto que contenga una lista numerada o con viñetas de las pruebas de regresión sugeridas, cada una en una línea separada, que luego se utilizarán para generar escenarios Gherkin.
-
-            La respuesta debe ser un objeto JSON con las siguientes propiedades: "testCases" (un arreglo de objetos Gherkin), "impacts" (una cadena de texto con saltos de línea para cada impacto), y "regressionTests" (una cadena de texto con saltos de línea para cada prueba de regresión).
-            Cada objeto de caso de prueba en "testCases" debe tener las propiedades: "feature", "scenario", "given", "when", "then", "jiraId", y "priority".
-
-            Descripción de Jira:
-            "${jiraContent}"
-
-            Contexto Adicional (del enlace de Jira):
-            "${additionalContext}"
-
-            Ejemplo de formato JSON deseado:
-            {
-              "testCases": [
-                {
-                  "jiraId": "${currentJiraId}",
-                  "feature": "Gestión de Usuarios",
-                  "scenario": "Validar Inicio de sesión exitoso",
-                  "given": "Estoy en la página de inicio de sesión\\nY tengo credenciales válidas",
-                  "when": "Ingreso mis credenciales\\nY hago clic en el botón 'Iniciar Sesión'",
-                  "then": "Debería ser redirigido al panel de control\\nY mi nombre de usuario debería mostrarse en la esquina superior",
-                  "priority": "Alta"
+            // Use the issue already loaded for this link, otherwise try to fetch it; the analysis runs without it if Jira is unavailable
+            let issue = jiraIssue && jiraIssue.key.toUpperCase() === currentJiraId.toUpperCase() ? jiraIssue : null;
+            if (!issue && currentJiraId) {
+                try {
+                    issue = await fetchJiraIssue(currentJiraId);
+                    setJiraIssue(issue);
+                } catch (error) {
+                    console.warn('No se pudo obtener el contexto de Jira:', error);
                 }
-              ],
-              "impacts": "Posible impacto 1\\nPosible impacto 2",
-              "regressionTests": "1. Validar que el inicio de sesión existente sigue funcionando\\n2. Validar que la creación de usuarios no se ve afectada"
             }
 
-            ---
-
-            Genera el análisis completo en JSON ahora:
-            sin embargo, ten en cuenta lo siguiente:
-            Actúa como Lead QA certificado ISTQB. A partir de cualquier historia de usuario o especificación, diseña una suite completa y priorizada de casos de prueba aplicando técnicas ISTQB apropiadas según el tipo de prueba detectado (funcional, seguridad, rendimiento, otras no funcionales, y estructurales/básicas).
-
-            A partir de la historia de usuario o requerimiento que reciba, genera casos de prueba aplicando ISTQB, seleccionando automáticamente la técnica según el tipo de prueba:
-            Funcional (ISTQB CTFL/CTAL-TA): Equivalence Partitioning (EP), Boundary Value Analysis (BVA), Decision Tables (DT), State Transition (ST), Use Cases, Pairwise.
-            Seguridad (ISTQB CT-SEC): autenticación, autorización, sesión, validación de entrada, cifrado, logging, errores, pruebas negativas y de abuso.
-            Rendimiento (ISTQB CT-PT): carga, estrés, pico/spike, resistencia, escalabilidad, con métricas y SLAs claros.
-            No funcionales (ISTQB CTFL/CTAL-TA): usabilidad, compatibilidad, confiabilidad, accesibilidad, mantenibilidad.
-             Estructurales (CTFL/CTAL-TTA): cobertura por sentencias, ramas, condiciones, MC/DC. En la columna de escenario debes indicar que tipo de tecnica de ISTQB aplicaste
-             La respuesta completa a menos de que sean terminos tecnicos debe estar en español, los terminos tecnicos pueden estar en ingles, las tecnicas de ISTQB si deben estar en español, recuerda que debes añadirla en la columna feature.`;
-
-            let chatHistoryFirstCall = [];
-            chatHistoryFirstCall.push({ role: "user", parts: [{ text: firstPrompt }] });
-
-            const payloadFirstCall = {
-                contents: chatHistoryFirstCall,
-                generationConfig: {
-                    responseMimeType: "application/json",
-                    responseSchema: {
-                        type: "OBJECT",
-                        properties: {
-                            "testCases": {
-                                type: "ARRAY",
-                                items: {
-                                    type: "OBJECT",
-                                    properties: {
-                                        "jiraId": { "type": "STRING" },
-                                        "feature": { "type": "STRING" },
-                                        "scenario": { "type": "STRING" },
-                                        "given": { "type": "STRING" },
-                                        "when": { "type": "STRING" },
-                                        "then": { "type": "STRING" },
-                                        "priority": { "type": "STRING" } // Added priority to schema
-                                    },
-                                    "propertyOrdering": ["jiraId", "feature", "scenario", "given", "when", "then", "priority"] // Added priority to ordering
-                                }
-                            },
-                            "impacts": { "type": "STRING" },
-                            "regressionTests": { "type": "STRING" }
-                        },
-                        "propertyOrdering": ["testCases", "impacts", "regressionTests"]
+            additionalContext = issue
+                ? formatJiraIssueContext(issue)
+                : buildMissingContext(jiraLink, outputLanguage);
+            setAnalysisInput({ jiraId: currentJiraId, content: jiraContent, additionalContext });
+
+            let result;
+            try {
+                result = await runAnalysis(providerSettings, {
+                    jiraId: currentJiraId,
+                    content: jiraContent,
+                    additionalContext,
+                    profile: promptProfile,
+                    outputLanguage,
+                    withTestData: includeTestData,
+                    redactor: getRedactor(),
+                    signal: abortController.signal,
+                    t,
+                    onProgress: (patch) => setAnalysisProgress(progress => ({ ...progress, ...patch })),
+                    onOutputs: (patch, isPartial) => {
+                        showOutputs(patch);
+                        if (!isPartial) {
+                            Object.assign(outputs, patch);
+                        }
                     }
+                });
+            } catch (error) {
+                if (!(error instanceof InvalidAiResponseError)) {
+                    throw error;
                 }
-            };
+                testCasesHistory.reset(null);
+                setErrorMessage(`${t('Error al parsear la primera respuesta JSON: {message}.', { message: translateError(error, t) })}${error.responseText ? ` ${t('Respuesta: {response}', { response: error.responseText })}` : ''}`);
+                return;
+            }
+
+            setValidationWarnings(result.warnings);
+            if (result.regressionError) {
+                setErrorMessage(`${t('Error al parsear la segunda respuesta JSON: {message}.', { message: translateError(result.regressionError, t) })}${result.regressionError.responseText ? ` ${t('Respuesta: {response}', { response: result.regressionError.responseText })}` : ''}`);
+            }
 
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                // Cancelled by the user: keep what was received and say where it stopped
+                setAnalysisProgress(progress => ({ ...progress, status: 'cancelled' }));
+            } else {
+                console.error('Error general al generar análisis:', error);
+                setErrorMessage(t('Ocurrió un error: {message}. Por favor, inténtalo de nuevo.', { message: translateError(error, t) }));
+            }
+        } finally {
+            setIsLoading(false); // Stop loading spinner
+            setAnalysisProgress(progress => (progress && progress.status === 'cancelled' ? progress : null));
+            abortControllerRef.current = null;
+        }
 
-            // Keep API key as is
-            const apiKey = import.meta.env.VITE_API_KEY;
-            const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
-            const responseFirstCall = await fetch(apiUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payloadFirstCall)
+        if (outputs.testCases) {
+            await storeAnalysis({
+                jiraId: currentJiraId,
+                jiraLink,
+                jiraContent,
+                additionalContext,
+                provider: providerSettings.providerId,
+                model: providerSettings.model,
+                promptProfile: promptProfile.name,
+                outputLanguage,
+                outputs
             });
+        }
+    };
 
-            if (!responseFirstCall.ok) {
-                const errorData = await responseFirstCall.json();
-                throw new Error(`Error ${responseFirstCall.status}: ${errorData.message || 'Error desconocido en la primera llamada a la API.'}`);
-            }
+    /**
+     * Cancels the running analysis.
+     */
+    const handleCancelAnalysis = () => {
+        if (abortControllerRef.current) {
+            abortControllerRef.current.abort();
+        }
+    };
 
-            const resultFirstCall = await responseFirstCall.json();
-            let parsedFirstJson = {};
+    /**
+     * Adds an analysis to the browser history.
+     * @param {object} analysis The analysis to store.
+     * @returns {Promise<object>} The stored record.
+     */
+    const saveToHistory = async (analysis) => {
+        const record = await saveAnalysis(analysis);
+        setHistoryEntries(entries => [record, ...entries]);
+        return record;
+    };
 
-            // Robust check for the first API call response structure
-            if (resultFirstCall.candidates && resultFirstCall.candidates.length > 0 &&
-                resultFirstCall.candidates[0].content && resultFirstCall.candidates[0].content.parts &&
-                resultFirstCall.candidates[0].content.parts.length > 0 &&
-                resultFirstCall.candidates[0].content.parts[0].text) {
-                const jsonTextFirstCall = resultFirstCall.candidates[0].content.parts[0].text;
-                try {
-                    parsedFirstJson = JSON.parse(jsonTextFirstCall);
-                    setTestCases(sortTestCasesByPriority(parsedFirstJson.testCases || []));
-                    setImpacts(parsedFirstJson.impacts || '');
-                    setRegressionTestSuggestions(parsedFirstJson.regressionTests || ''); // Set initial suggestions
-                } catch (jsonParseError) {
-                    setErrorMessage(`Error al parsear la primera respuesta JSON: ${jsonParseError.message}. Respuesta: ${jsonTextFirstCall}`);
-                    setIsLoading(false);
-                    return;
-                }
-            } else {
-                setErrorMessage('No se pudieron generar los datos iniciales. La respuesta de la IA no fue la esperada o está vacía.');
-                setIsLoading(false);
-                return;
+    /**
+     * Stores a finished analysis in the browser history and makes it the current one.
+     * A storage failure does not affect the results on screen.
+     * @param {object} analysis The analysis to store.
+     */
+    const storeAnalysis = async (analysis) => {
+        try {
+            const record = await saveToHistory(analysis);
+            setCurrentAnalysisId(record.id);
+        } catch (error) {
+            console.warn('No se pudo guardar el análisis en el historial:', error);
+        }
+    };
+
+    /**
+     * Restores a stored analysis (from the history or the batch): its input, its results and the
+     * context used to refine cases.
+     * @param {object} analysis The stored analysis.
+     */
+    const handleOpenAnalysis = (analysis) => {
+        const outputs = analysis.outputs || {};
+        setJiraLink(analysis.jiraLink || '');
+        setJiraContent(analysis.jiraContent || '');
+        setJiraIssue(null);
+        redactorRef.current = null;
+        setAnalysisInput({ jiraId: analysis.jiraId || '', content: analysis.jiraContent || '', additionalContext: analysis.additionalContext || '' });
+        setAcceptanceCriteria(outputs.acceptanceCriteria || []);
+        testCasesHistory.reset(outputs.testCases || null);
+        setImpacts(normalizeImpacts(outputs.impacts));
+        setRegressionTestSuggestions(outputs.regressionTestSuggestions || '');
+        regressionHistory.reset(outputs.regressionGherkinTestCases || null);
+        clearErrorMessage();
+        setValidationWarnings([]);
+        setShareResult(null);
+        setCurrentAnalysisId(analysis.id || null);
+        setIsHistoryOpen(false);
+        setIsBatchMode(false);
+        // Refined cases and exports keep the language the analysis was generated in
+        if (OUTPUT_LANGUAGES[analysis.outputLanguage]) {
+            setOutputLanguage(analysis.outputLanguage);
+        }
+    };
+
+    /**
+     * Renames a stored analysis.
+     * @param {string} id The analysis id.
+     * @param {string} name The new name.
+     */
+    const handleRenameAnalysis = async (id, name) => {
+        try {
+            const record = await updateAnalysis(id, { name });
+            if (record) {
+                setHistoryEntries(entries => entries.map(entry => (entry.id === id ? record : entry)));
             }
+        } catch (error) {
+            console.error('Error al renombrar el análisis:', error);
+            setErrorMessage(t('No se pudo renombrar el análisis: {message}', { message: translateError(error, t) }));
+        }
+    };
 
-            // --- SECOND AI CALL: Generate Gherkin test cases from regression suggestions ---
-            if (parsedFirstJson.regressionTests && parsedFirstJson.regressionTests.trim()) {
-                const secondPrompt = `Convierte la siguiente lista de pruebas de regresión sugeridas en un arreglo JSON de objetos de casos de prueba en formato Gherkin. Cada objeto debe tener las propiedades: "feature" (usa "Regresión" o una característica relevante si se puede inferir), "scenario" (debe comenzar con "Validar "), "given", "when", y "then". Incluye la propiedad "jiraId" con el ID de Jira "${currentJiraId}".
-
-                Lista de pruebas de regresión sugeridas:
-                "${parsedFirstJson.regressionTests}"
-
-                Ejemplo de formato JSON deseado:
-                [
-                  {
-                    "jiraId": "${currentJiraId}",
-                    "feature": "Regresión",
-                    "scenario": "Validar funcionalidad de inicio de sesión",
-                    "given": "El usuario está en la página de inicio de sesión",
-                    "when": "Ingresa credenciales válidas",
-                    "then": "El usuario es redirigido al panel principal",
-                    "priority": "Media"
-                  },
-                  {
-                    "jiraId": "${currentJiraId}",
-                    "feature": "Regresión",
-                    "scenario": "Validar creación de nuevos usuarios",
-                    "given": "El administrador está en la sección de gestión de usuarios",
-                    "when": "Intenta crear un nuevo usuario con datos válidos",
-                    "then": "El nuevo usuario es creado exitosamente",
-                    "priority": "Alta"
-                  }
-                ]
-
-                ---
-
-                Genera los casos de prueba de regresión en Gherkin ahora:`;
-
-                let chatHistorySecondCall = [];
-                chatHistorySecondCall.push({ role: "user", parts: [{ text: secondPrompt }] });
-
-                const payloadSecondCall = {
-                    contents: chatHistorySecondCall,
-                    generationConfig: {
-                        responseMimeType: "application/json",
-                        responseSchema: {
-                            type: "ARRAY",
-                            items: {
-                                type: "OBJECT",
-                                properties: {
-                                    "jiraId": { "type": "STRING" },
-                                    "feature": { "type": "STRING" },
-                                    "scenario": { "type": "STRING" },
-                                    "given": { "type": "STRING" },
-                                    "when": { "type": "STRING" },
-                                    "then": { "type": "STRING" },
-                                    "priority": { "type": "STRING" } // Added priority to schema
-                                },
-                                "propertyOrdering": ["jiraId", "feature", "scenario", "given", "when", "then", "priority"] // Added priority to ordering
-                            }
-                        }
-                    }
-                };
+    /**
+     * Deletes a stored analysis. The results on screen are kept, but no longer saved.
+     * @param {string} id The analysis id.
+     */
+    const handleDeleteAnalysis = async (id) => {
+        try {
+            await deleteAnalysis(id);
+            setHistoryEntries(entries => entries.filter(entry => entry.id !== id));
+            if (id === currentAnalysisId) {
+                setCurrentAnalysisId(null);
+            }
+        } catch (error) {
+            console.error('Error al eliminar el análisis:', error);
+            setErrorMessage(t('No se pudo eliminar el análisis: {message}', { message: translateError(error, t) }));
+        }
+    };
 
-                const responseSecondCall = await fetch(apiUrl, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify(payloadSecondCall)
-                });
+    /**
+     * Downloads the whole history as a JSON file.
+     */
+    const handleExportHistory = async () => {
+        try {
+            const json = await exportHistory();
+            downloadBlob(new Blob([json], { type: 'application/json;charset=utf-8;' }), 'historial_analisis.json');
+        } catch (error) {
+            console.error('Error al exportar el historial:', error);
+            setErrorMessage(t('No se pudo exportar el historial: {message}', { message: translateError(error, t) }));
+        }
+    };
 
-                if (!responseSecondCall.ok) {
-                    const errorData = await responseSecondCall.json();
-                    throw new Error(`Error ${responseSecondCall.status}: ${errorData.message || 'Error desconocido en la segunda llamada a la API.'}`);
-                }
+    /**
+     * Imports a history JSON file previously exported (same ids are replaced).
+     * @param {File} file The JSON file.
+     */
+    const handleImportHistory = async (file) => {
+        clearErrorMessage();
+        try {
+            await importHistory(await file.text());
+            setHistoryEntries(await listAnalyses());
+        } catch (error) {
+            console.error('Error al importar el historial:', error);
+            setErrorMessage(t('No se pudo importar el historial: {message}', { message: translateError(error, t) }));
+        }
+    };
 
-                const resultSecondCall = await responseSecondCall.json();
-
-                // Robust check for the second API call response structure
-                if (resultSecondCall.candidates && resultSecondCall.candidates.length > 0 &&
-                    resultSecondCall.candidates[0].content && resultSecondCall.candidates[0].content.parts &&
-                    resultSecondCall.candidates[0].content.parts.length > 0 &&
-                    resultSecondCall.candidates[0].content.parts[0].text) {
-                    const jsonTextSecondCall = resultSecondCall.candidates[0].content.parts[0].text;
-                    try {
-                        const parsedSecondJson = JSON.parse(jsonTextSecondCall);
-                        if (Array.isArray(parsedSecondJson)) {
-                            // Sort regression test cases by priority
-                            setRegressionGherkinTestCases(sortTestCasesByPriority(parsedSecondJson));
-                        } else {
-                            setErrorMessage('La segunda respuesta de la IA no es un formato de arreglo JSON válido.');
-                        }
-                    } catch (jsonParseError) {
-                        setErrorMessage(`Error al parsear la segunda respuesta JSON: ${jsonParseError.message}. Respuesta: ${jsonTextSecondCall}`);
-                    }
-                } else {
-                    setErrorMessage('No se pudieron generar casos de prueba de regresión Gherkin. La respuesta de la IA no fue la esperada o está vacía.');
-                }
+    /**
+     * Regenerates a single test case, optionally following a user instruction, keeping the
+     * original story content and the rest of the suite as context. Only that row is replaced,
+     * as an undoable edit.
+     * @param {boolean} isRegression Whether the case belongs to the regression table.
+     * @param {number} index The row index.
+     * @param {string} instruction The user instruction (empty to simply regenerate the case).
+     */
+    const handleRefineCase = async (isRegression, index, instruction) => {
+        const cases = isRegression ? regressionGherkinTestCases : testCases;
+        const setCases = isRegression ? setRegressionGherkinTestCases : setTestCases;
+        const originalCase = cases[index];
+        const input = analysisInput || { jiraId: getJiraIdFromUrl(jiraLink), content: jiraContent, additionalContext: '' };
+        const otherCases = [...(testCases || []), ...(regressionGherkinTestCases || [])].filter(tc => tc !== originalCase);
+
+        const refinePrompt = buildRefinePrompt({ originalCase, instruction, input, otherCases, outputLanguage });
+
+        try {
+            const { data } = await generateJson(providerSettings, {
+                prompt: refinePrompt,
+                schema: TEST_CASE_SCHEMA,
+                stage: 'refine',
+                redactor: getRedactor(),
+                t
+            });
+            const { testCase: refinedCase, errors } = validateTestCase(data, originalCase.jiraId || input.jiraId, outputLanguage, t);
+            if (errors.length > 0) {
+                throw new Error(t('La respuesta de la IA no es un caso de prueba válido: {errors}.', { errors: errors.join(', ') }));
             }
+            // Replace by identity: the list may have been edited (or cleared by a new analysis) while
+            // the request was running. The criteria links are kept: they are managed in the traceability matrix
+            setCases(current => current && current.map(tc => (tc === originalCase
+                ? { ...clearValidationFixes(originalCase), ...refinedCase, criteria: originalCase.criteria || [], impactId: originalCase.impactId || '' }
+                : tc)));
+        } catch (error) {
+            console.error('Error al regenerar el caso de prueba:', error);
+            setErrorMessage(t('No se pudo regenerar el caso "{scenario}": {message}', { scenario: originalCase.scenario, message: translateError(error, t) }));
+        }
+    };
 
+    /**
+     * Asks the AI for test data for the cases shown (after an analysis without the test data stage,
+     * or to propose it again). Cases are replaced by identity, so edits made meanwhile are kept.
+     */
+    const handleGenerateTestData = async () => {
+        const mainCases = testCases || [];
+        const regressionCases = regressionGherkinTestCases || [];
+        const replaceCases = (originals, updated) => current => current && current.map(tc => {
+            const index = originals.indexOf(tc);
+            return index === -1 ? tc : updated[index];
+        });
+
+        setIsTestDataLoading(true);
+        clearErrorMessage();
+        try {
+            const result = await runTestDataGeneration(providerSettings, {
+                content: analysisInput ? analysisInput.content : jiraContent,
+                testCases: mainCases,
+                regressionCases,
+                outputLanguage,
+                redactor: getRedactor(),
+                t
+            });
+            setTestCases(replaceCases(mainCases, result.testCases));
+            setRegressionGherkinTestCases(replaceCases(regressionCases, result.regressionCases));
+            setValidationWarnings(warnings => [...warnings, ...result.warnings]);
         } catch (error) {
-            console.error('Error general al generar análisis:', error);
-            setErrorMessage(`Ocurrió un error: ${error.message}. Por favor, inténtalo de nuevo.`);
+            console.error('Error al generar los datos de prueba:', error);
+            setErrorMessage(t('No se pudieron generar los datos de prueba: {message}', { message: translateError(error, t) }));
         } finally {
-            setIsLoading(false); // Stop loading spinner
+            setIsTestDataLoading(false);
         }
     };
 
     /**
-     * Helper function to escape text for CSV, handling commas, double quotes, and newlines.
-     * It also ensures compatibility with various special characters by using UTF-8 encoding
-     * when creating the Blob, which is standard for Google Sheets compatibility.
-     * Special characters beyond those handled by CSV standard (e.g., accents) are preserved
-     * due to UTF-8 encoding. If a stricter "omission" of non-standard characters is needed,
-     * a specific regex filter would be required here (e.g., `text.replace(/[^a-zA-Z0-9\s.,]/g, '')`).
-     * This current implementation focuses on CSV format integrity.
-     * @param {string} text The text to escape.
-     * @returns {string} The escaped text.
+     * Handles the export of generated content to a CSV file.
      */
-    const escapeCsv = (text) => {
-        if (text === null || text === undefined) return '';
-        let escapedText = String(text).replace(/"/g, '""').replace(/\n/g, ' '); // Replace internal double quotes and newlines
-        // Enclose in double quotes if the text contains commas or double quotes (after replacement)
-        if (escapedText.includes(',') || escapedText.includes('"')) {
-            escapedText = `"${escapedText}"`;
+    const handleExport = () => {
+        const content = buildCsvExport({ testCases, regressionGherkinTestCases, impacts, regressionTestSuggestions, acceptanceCriteria }, outputLanguage);
+        const blob = new Blob([content], { type: 'text/csv;charset=utf-8;' });
+        downloadBlob(blob, 'casos_prueba_jira.csv'); // Changed to .csv
+    };
+
+    /**
+     * Handles the export of generated content to an Excel workbook, one sheet per section.
+     */
+    const handleXlsxExport = async () => {
+        setIsXlsxExporting(true);
+        clearErrorMessage();
+        try {
+            const blob = await buildXlsxExport([{
+                jiraId: getJiraIdFromUrl(jiraLink),
+                outputs: { acceptanceCriteria, testCases, regressionGherkinTestCases, impacts, regressionTestSuggestions }
+            }], outputLanguage);
+            downloadBlob(blob, 'casos_prueba_jira.xlsx');
+        } catch (error) {
+            console.error('Error al exportar a Excel:', error);
+            setErrorMessage(t('Error al exportar a Excel: {message}', { message: translateError(error, t) }));
+        } finally {
+            setIsXlsxExporting(false);
         }
-        return escapedText;
     };
 
     /**
-     * Formats the generated test cases and analysis into a CSV string for export.
-     * @returns {string} The formatted CSV content.
+     * Builds the review bundle of the analysis on screen.
+     * @returns {object} The bundle.
      */
-    const formatContentForCsvExport = () => {
-        const headers = ["ID de Jira", "Característica", "Escenario", "Prioridad", "Dado", "Cuando", "Entonces"];
-        let csvContent = headers.map(h => `"${h}"`).join(',') + '\n';
+    const buildCurrentReviewBundle = () => {
+        const current = historyEntries.find(entry => entry.id === currentAnalysisId);
+        return buildReviewBundle({
+            name: current ? current.name : '',
+            jiraId: getJiraIdFromUrl(jiraLink),
+            jiraLink,
+            jiraContent,
+            additionalContext: analysisInput ? analysisInput.additionalContext : '',
+            provider: providerSettings.providerId,
+            model: providerSettings.model,
+            promptProfile: promptProfile.name,
+            outputLanguage,
+            outputs: { acceptanceCriteria, testCases, impacts, regressionTestSuggestions, regressionGherkinTestCases }
+        });
+    };
 
-        const addTestCasesToCsv = (cases) => {
-            cases.forEach(tc => {
-                const row = [
-                    escapeCsv(tc.jiraId),
-                    escapeCsv(tc.feature),
-                    escapeCsv(tc.scenario),
-                    escapeCsv(tc.priority),
-                    escapeCsv(tc.given),
-                    escapeCsv(tc.when),
-                    escapeCsv(tc.then)
-                    
-                ];
-                csvContent += row.join(',') + '\n';
-            });
-        };
+    /**
+     * Downloads the analysis on screen as a .json file to be opened in the review view.
+     */
+    const handleReviewDownload = () => {
+        const fileName = `revision_${(getJiraIdFromUrl(jiraLink) || 'analisis').replace(/[^\w-]+/g, '_')}.json`;
+        downloadBlob(new Blob([serializeReviewBundle(buildCurrentReviewBundle())], { type: 'application/json;charset=utf-8;' }), fileName);
+    };
 
-        if (testCases && testCases.length > 0) {
-            csvContent += '\n"--- Casos de Prueba Principales ---"\n';
-            addTestCasesToCsv(testCases);
+    /**
+     * Creates a link that opens the analysis on screen in the review view, and copies it.
+     */
+    const handleReviewLink = async () => {
+        let url;
+        try {
+            url = await buildShareUrl(buildCurrentReviewBundle());
+        } catch (error) {
+            console.error('Error al crear el enlace de revisión:', error);
+            setShareResult({ error: translateError(error, t) });
+            return;
         }
-
-        if (regressionGherkinTestCases && regressionGherkinTestCases.length > 0) {
-            csvContent += '\n"--- Casos de Prueba de Regresión ---"\n';
-            addTestCasesToCsv(regressionGherkinTestCases);
+        try {
+            await navigator.clipboard.writeText(url);
+            setShareResult({ url, copied: true });
+        } catch {
+            setShareResult({ url, copied: false }); // The link is shown to be copied by hand
         }
+    };
 
-        // Add impacts and regression suggestions as separate sections if needed
-        if (impacts) {
-            csvContent += `\n"--- Impactos Sugeridos ---"\n"${escapeCsv(impacts)}"\n`;
+    /**
+     * Opens a reviewed analysis (.json) in the review view.
+     * @param {Event} event The file input change event.
+     */
+    const handleReviewFileOpen = async (event) => {
+        const file = event.target.files[0];
+        event.target.value = ''; // Allow opening the same file again
+        if (!file) {
+            return;
         }
-        if (regressionTestSuggestions) {
-            csvContent += `\n"--- Sugerencias de Pruebas de Regresión (Texto) ---"\n"${escapeCsv(regressionTestSuggestions)}"\n`;
+        clearErrorMessage();
+        try {
+            setReviewBundle(parseReviewBundle(await file.text()));
+        } catch (error) {
+            console.error('Error al abrir la revisión:', error);
+            setErrorMessage(t('No se pudo abrir la revisión: {message}', { message: translateError(error, t) }));
         }
+    };
 
-        return csvContent;
+    /**
+     * Leaves the review view, removing the shared analysis from the URL.
+     */
+    const handleExitReview = () => {
+        setReviewBundle(null);
+        if (window.location.hash) {
+            window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+        }
     };
 
     /**
-     * Handles the export of generated content to a CSV file.
+     * Opens a reviewed analysis in the editor, storing it in the history as a new analysis.
+     * @param {object} analysis The analysis, with the reviews in its cases.
      */
-    const handleExport = () => {
-        const content = formatContentForCsvExport();
-        const blob = new Blob([content], { type: 'text/csv;charset=utf-8;' });
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = 'casos_prueba_jira.csv'; // Changed to .csv
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url); // Clean up the URL object
+    const handleOpenReviewInEditor = async (analysis) => {
+        const reviewed = { ...analysis, name: t('{name} (revisado)', { name: analysis.name || analysis.jiraId || t('Análisis') }) };
+        let record = reviewed;
+        try {
+            record = await saveToHistory(reviewed);
+        } catch (error) {
+            console.warn('No se pudo guardar el análisis revisado en el historial:', error);
+        }
+        handleExitReview();
+        handleOpenAnalysis(record);
+    };
+
+    /**
+     * Handles the export of the generated test cases as Gherkin .feature files,
+     * one file per feature, bundled in a zip.
+     */
+    const handleGherkinExport = async () => {
+        setIsGherkinExporting(true);
+        clearErrorMessage();
+        try {
+            const blob = await buildGherkinZip(testCases, regressionGherkinTestCases, gherkinLanguage);
+            downloadBlob(blob, 'casos_prueba_gherkin.zip');
+        } catch (error) {
+            console.error('Error al exportar a Gherkin:', error);
+            setErrorMessage(t('Error al exportar a Gherkin: {message}', { message: translateError(error, t) }));
+        } finally {
+            setIsGherkinExporting(false);
+        }
     };
 
 
+    // Interface language selector, shown in the editor and in the review view
+    const uiLanguageSelect = (
+        <select
+            value={uiLanguage}
+            onChange={(e) => handleUiLanguageChange(e.target.value)}
+            className="py-1 px-2 rounded-md text-sm border bg-white border-gray-300 text-gray-700"
+            aria-label={t('Idioma de la interfaz')}
+            title={t('Idioma de la interfaz')}
+        >
+            {UI_LANGUAGES.map(language => (
+                <option key={language.id} value={language.id}>{language.label}</option>
+            ))}
+        </select>
+    );
+
+    // Shared analysis under review: only the review view is shown
+    if (reviewBundle) {
+        return (
+            <TranslationContext.Provider value={translation}>
+                <div className="min-h-screen bg-gray-100 flex items-center justify-center p-4 font-inter">
+                    <div className="bg-white p-8 rounded-lg shadow-lg w-full max-w-5xl border border-gray-200">
+                        <div className="flex justify-end mb-2">{uiLanguageSelect}</div>
+                        <ReviewView
+                            bundle={reviewBundle}
+                            language={gherkinLanguage}
+                            onOpenInEditor={handleOpenReviewInEditor}
+                            onExit={handleExitReview}
+                        />
+                    </div>
+                </div>
+            </TranslationContext.Provider>
+        );
+    }
+
     return (
-        <div className="min-h-screen bg-gray-100 flex items-center justify-center p-4 font-inter">
-            <div className="bg-white p-8 rounded-lg shadow-lg w-full max-w-5xl border border-gray-200">
-                {/* Nuevo título añadido aquí */}
-                <h2 className="text-xl font-semibold text-center text-gray-700 mb-4">
-                    Implementación de IA en Quality Assurance Kushki
-                </h2>
-
-                <h1 className="text-3xl font-bold text-center text-gray-800 mb-6">
-                    Generador de Casos de Prueba y Análisis de Impacto para Jira
-                </h1>
-                <p className="text-gray-600 text-center mb-8">
-                    Pega el enlace y la descripción de tu historia de usuario o épica de Jira a continuación. La IA generará casos de prueba, sugerirá impactos y pruebas de regresión.
-                </p>
-
-                {/* Jira Link Input (now mandatory) */}
-                <div className="mb-6">
-                    <label htmlFor="jiraLink" className="block text-gray-700 text-sm font-medium mb-2">
-                        Enlace de Jira <span className="text-red-500">*</span>:
-                    </label>
-                    <input
-                        type="url" // Use type="url" for better validation
-                        id="jiraLink"
-                        value={jiraLink}
-                        onChange={(e) => setJiraLink(e.target.value)}
-                        className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500 transition duration-200"
-                        placeholder="Ej: https://jira.example.com/browse/PROJ-123"
-                        required
+        <TranslationContext.Provider value={translation}>
+            <div className="min-h-screen bg-gray-100 flex items-center justify-center p-4 font-inter">
+                <div className="bg-white p-8 rounded-lg shadow-lg w-full max-w-5xl border border-gray-200">
+                    {/* Interface language, history toggle and opening of a reviewed analysis */}
+                    <div className="flex justify-end mb-2 space-x-2">
+                        {uiLanguageSelect}
+                        <input
+                            type="file"
+                            accept=".json,application/json"
+                            ref={reviewFileInputRef}
+                            onChange={handleReviewFileOpen}
+                            className="hidden"
+                        />
+                        <button
+                            onClick={() => reviewFileInputRef.current.click()}
+                            className="py-1 px-3 rounded-md text-sm font-medium border bg-white border-gray-300 text-gray-700 hover:bg-gray-100 transition duration-200"
+                            title={t('Abre un análisis compartido para revisión (.json)')}
+                        >
+                            {t('Abrir revisión')}
+                        </button>
+                        <button
+                            onClick={() => setIsHistoryOpen(true)}
+                            className="py-1 px-3 rounded-md text-sm font-medium border bg-white border-gray-300 text-gray-700 hover:bg-gray-100 transition duration-200"
+                        >
+                            {t('Historial ({count})', { count: historyEntries.length })}
+                        </button>
+                    </div>
+
+                    {/* Nuevo título añadido aquí */}
+                    <h2 className="text-xl font-semibold text-center text-gray-700 mb-4">
+                        {t('Implementación de IA en Quality Assurance Kushki')}
+                    </h2>
+
+                    <h1 className="text-3xl font-bold text-center text-gray-800 mb-6">
+                        {t('Generador de Casos de Prueba y Análisis de Impacto para Jira')}
+                    </h1>
+                    <p className="text-gray-600 text-center mb-8">
+                        {t('Pega el enlace y la descripción de tu historia de usuario o épica de Jira a continuación. La IA generará casos de prueba, sugerirá impactos y pruebas de regresión.')}
+                    </p>
+
+                    {/* AI Provider Settings */}
+                    <ProviderSettings
+                        settings={providerSettings}
+                        onChange={handleProviderSettingsChange}
+                        disabled={isLoading}
                     />
-                </div>
 
-                {/* PDF Import Section */}
-                <div className="mb-6 flex items-center space-x-4">
-                    <label htmlFor="pdfUpload" className="block text-gray-700 text-sm font-medium">
-                        Importar Descripción desde PDF:
-                    </label>
-                    <input
-                        type="file"
-                        id="pdfUpload"
-                        accept=".pdf"
-                        onChange={handlePdfUpload}
-                        className="hidden" // Hide the default file input
+                    {/* QA profile (prompt templates) used by the single and batch analyses */}
+                    <PromptProfiles
+                        profiles={promptProfiles}
+                        selectedId={promptProfile.id}
+                        onSelect={handlePromptProfileSelect}
+                        onChange={handlePromptProfilesChange}
+                        disabled={isLoading}
                     />
-                    <button
-                        onClick={() => document.getElementById('pdfUpload').click()}
-                        disabled={isPdfLoading}
-                        className={`py-2 px-4 rounded-md text-white font-semibold transition duration-300 ${isPdfLoading ? 'bg-gray-400 cursor-not-allowed' : 'bg-purple-600 hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-offset-2'
-                            }`}
-                    >
-                        {isPdfLoading ? (
-                            <div className="flex items-center justify-center">
-                                <svg className="animate-spin -ml-1 mr-2 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                                </svg>
-                                Cargando PDF...
+
+                    {/* Language of the generated content (prompts, priorities, exports), used by the single and batch analyses */}
+                    <div className="mb-6 flex flex-wrap items-center gap-3 text-sm">
+                        <label htmlFor="outputLanguage" className="text-gray-700 font-medium">
+                            {t('Idioma de los resultados:')}
+                        </label>
+                        <select
+                            id="outputLanguage"
+                            value={outputLanguage}
+                            onChange={(e) => handleOutputLanguageChange(e.target.value)}
+                            disabled={isLoading}
+                            className="px-3 py-1 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                        >
+                            {Object.values(OUTPUT_LANGUAGES).map(language => (
+                                <option key={language.id} value={language.id}>{language.label}</option>
+                            ))}
+                        </select>
+                        <span className="text-xs text-gray-500">
+                            {t('Idioma de los casos, las prioridades y las exportaciones, independiente del idioma de la interfaz.')}
+                        </span>
+                    </div>
+
+                    {/* Mode selector: one story or a batch of stories */}
+                    <div className="mb-6 flex border-b border-gray-200" role="tablist">
+                        {[[false, 'Historia individual'], [true, 'Lote de historias']].map(([batch, label]) => (
+                            <button
+                                key={label}
+                                role="tab"
+                                aria-selected={isBatchMode === batch}
+                                onClick={() => setIsBatchMode(batch)}
+                                className={`py-2 px-4 -mb-px border-b-2 text-sm font-semibold transition duration-200 ${isBatchMode === batch ? 'border-blue-600 text-blue-700' : 'border-transparent text-gray-500 hover:text-gray-700'}`}
+                            >
+                                {t(label)}
+                            </button>
+                        ))}
+                    </div>
+
+                    {/* Batch mode (kept mounted so its queue and results survive switching tabs) */}
+                    <div className={isBatchMode ? '' : 'hidden'}>
+                        <BatchAnalysis
+                            providerSettings={providerSettings}
+                            promptProfile={promptProfile}
+                            redactionSettings={redactionSettings}
+                            outputLanguage={outputLanguage}
+                            onStore={saveToHistory}
+                            onOpen={handleOpenAnalysis}
+                        />
+                    </div>
+
+                    {!isBatchMode && (
+                        <>
+                        {/* Jira Link Input (now mandatory) */}
+                        <div className="mb-6">
+                            <label htmlFor="jiraLink" className="block text-gray-700 text-sm font-medium mb-2">
+                                {t('Enlace de Jira')} <span className="text-red-500">*</span>:
+                            </label>
+                            <div className="flex space-x-4">
+                                <input
+                                    type="url" // Use type="url" for better validation
+                                    id="jiraLink"
+                                    value={jiraLink}
+                                    onChange={(e) => {
+                                        setJiraLink(e.target.value);
+                                        setJiraIssue(null); // The loaded issue belongs to the previous link
+                                    }}
+                                    className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500 transition duration-200"
+                                    placeholder={t('Ej: {url}', { url: 'https://jira.example.com/browse/PROJ-123' })}
+                                    required
+                                />
+                                <button
+                                    onClick={handleJiraLoad}
+                                    disabled={isJiraLoading || !jiraLink.trim()}
+                                    className={`py-2 px-4 whitespace-nowrap rounded-md text-white font-semibold transition duration-300 ${isJiraLoading || !jiraLink.trim() ? 'bg-gray-400 cursor-not-allowed' : 'bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2'
+                                        }`}
+                                >
+                                    {isJiraLoading ? t('Cargando...') : t('Cargar desde Jira')}
+                                </button>
                             </div>
-                        ) : (
-                            'Seleccionar PDF'
+                            {jiraIssue && (
+                                <div className="mt-2 text-sm text-gray-600 bg-indigo-50 border border-indigo-200 rounded-md px-4 py-2">
+                                    <span className="font-semibold">{jiraIssue.key}</span> · {jiraIssue.summary}
+                                    {jiraIssue.components.length > 0 && <> · {t('Componentes: {names}', { names: jiraIssue.components.join(', ') })}</>}
+                                    {jiraIssue.labels.length > 0 && <> · {t('Etiquetas: {names}', { names: jiraIssue.labels.join(', ') })}</>}
+                                    {jiraIssue.linkedIssues.length > 0 && <> · {t('{count} incidencias vinculadas', { count: jiraIssue.linkedIssues.length })}</>}
+                                </div>
+                            )}
+                        </div>
+
+                        {/* Document Import Section */}
+                        <div className="mb-6 flex flex-wrap items-center gap-4">
+                            <label htmlFor="documentUpload" className="block text-gray-700 text-sm font-medium">
+                                {t('Importar Descripción desde documentos:')}
+                            </label>
+                            <input
+                                type="file"
+                                id="documentUpload"
+                                accept={IMPORT_ACCEPT}
+                                multiple
+                                onChange={handleDocumentImport}
+                                className="hidden" // Hide the default file input
+                            />
+                            <button
+                                onClick={() => document.getElementById('documentUpload').click()}
+                                disabled={Boolean(importStatus)}
+                                className={`py-2 px-4 rounded-md text-white font-semibold transition duration-300 ${importStatus ? 'bg-gray-400 cursor-not-allowed' : 'bg-purple-600 hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-offset-2'
+                                    }`}
+                            >
+                                {importStatus ? (
+                                    <div className="flex items-center justify-center">
+                                        <svg className="animate-spin -ml-1 mr-2 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                                            <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                                            <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                                        </svg>
+                                        {t('Importando...')}
+                                    </div>
+                                ) : (
+                                    t('Seleccionar archivos')
+                                )}
+                            </button>
+                            <label className="flex items-center text-sm text-gray-700">
+                                <input
+                                    type="checkbox"
+                                    checked={replaceContentOnImport}
+                                    onChange={(e) => setReplaceContentOnImport(e.target.checked)}
+                                    className="mr-2"
+                                />
+                                {t('Reemplazar el contenido actual')}
+                            </label>
+                            <span className="text-xs text-gray-500 w-full">
+                                {importStatus || t('PDF (con vista previa por página, selección de páginas y contraseña; los escaneados se leen con OCR), Word (.docx), HTML (p. ej. exportado de Confluence), Markdown, texto o imágenes (OCR). Se conservan títulos, listas y tablas.')}
+                            </span>
+                        </div>
+
+                        {pdfImportRequest && (
+                            <PdfImportDialog key={pdfImportRequest.id} request={pdfImportRequest} onAnswer={handlePdfImportAnswer} />
                         )}
-                    </button>
-                </div>
 
-                {/* Jira Content Textarea */}
-                <div className="mb-6">
-                    <label htmlFor="jiraContent" className="block text-gray-700 text-sm font-medium mb-2">
-                        Contenido de la historia/épica de Jira <span className="text-red-500">*</span>:
-                    </label>
-                    <textarea
-                        id="jiraContent"
-                        rows="10"
-                        value={jiraContent}
-                        onChange={(e) => setJiraContent(e.target.value)}
-                        className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500 transition duration-200 resize-y"
-                        placeholder="Pega aquí la descripción completa de tu historia de usuario o épica de Jira (ej. 'Como usuario, quiero...' o 'Funcionalidad XYZ...'). También puedes importar un PDF."
-                        required
-                    ></textarea>
-                </div>
+                        {/* Jira Content Textarea */}
+                        <div className="mb-6">
+                            <label htmlFor="jiraContent" className="block text-gray-700 text-sm font-medium mb-2">
+                                {t('Contenido de la historia/épica de Jira')} <span className="text-red-500">*</span>:
+                            </label>
+                            <textarea
+                                id="jiraContent"
+                                rows="10"
+                                value={jiraContent}
+                                onChange={(e) => setJiraContent(e.target.value)}
+                                className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500 transition duration-200 resize-y"
+                                placeholder={t("Pega aquí la descripción completa de tu historia de usuario o épica de Jira (ej. 'Como usuario, quiero...' o 'Funcionalidad XYZ...'). También puedes importar documentos.")}
+                                required
+                            ></textarea>
+                        </div>
+
+                        {/* Masking of sensitive data before the story is sent to the AI */}
+                        <RedactionSettings settings={redactionSettings} content={jiraContent} onChange={handleRedactionSettingsChange} />
+
+                        {/* Existing suite the generated cases are deduplicated against */}
+                        <ExistingSuite suite={existingSuite} onChange={handleExistingSuiteChange} />
+
+                        {/* Optional test data stage */}
+                        <label className="mb-4 flex items-center text-sm text-gray-700">
+                            <input
+                                type="checkbox"
+                                checked={includeTestData}
+                                onChange={(e) => setIncludeTestData(e.target.checked)}
+                                disabled={isLoading}
+                                className="mr-2"
+                            />
+                            {t('Proponer datos de prueba concretos para cada caso (válidos, inválidos, límite y casos extremos; una llamada adicional a la IA)')}
+                        </label>
+
+                        {/* Analyze Button (and Cancel while the analysis is running) */}
+                        <div className="mb-6 flex space-x-4">
+                            <button
+                                onClick={handleAnalyze}
+                                disabled={isLoading}
+                                className={`w-full py-3 px-4 rounded-md text-white font-semibold transition duration-300 ${isLoading ? 'bg-blue-400 cursor-not-allowed' : 'bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2'
+                                    }`}
+                            >
+                                {isLoading ? (
+                                    <div className="flex items-center justify-center">
+                                        <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                                            <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                                            <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                                        </svg>
+                                        {t('Analizando...')}
+                                    </div>
+                                ) : (
+                                    t('Generar Análisis Completo')
+                                )}
+                            </button>
+                            {isLoading && (
+                                <button
+                                    onClick={handleCancelAnalysis}
+                                    className="py-3 px-6 rounded-md text-white font-semibold bg-red-600 hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-offset-2 transition duration-300"
+                                >
+                                    {t('Cancelar')}
+                                </button>
+                            )}
+                        </div>
+
+                        {/* Streaming progress per stage */}
+                        {analysisProgress && <AnalysisProgress progress={analysisProgress} />}
+
+                        {/* Error Message Display */}
+                        {shownErrorMessage && (
+                            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-6" role="alert">
+                                <strong className="font-bold">{t('¡Error!')}</strong>
+                                <span className="block sm:inline ml-2">{shownErrorMessage}</span>
+                            </div>
+                        )}
 
-                {/* Analyze Button */}
-                <div className="mb-6">
-                    <button
-                        onClick={handleAnalyze}
-                        disabled={isLoading}
-                        className={`w-full py-3 px-4 rounded-md text-white font-semibold transition duration-300 ${isLoading ? 'bg-blue-400 cursor-not-allowed' : 'bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2'
-                            }`}
-                    >
-                        {isLoading ? (
-                            <div className="flex items-center justify-center">
-                                <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                                </svg>
-                                Analizando...
+                        {/* Validation report of the AI answers */}
+                        {validationWarnings.length > 0 && (
+                            <div className="bg-yellow-100 border border-yellow-400 text-yellow-700 px-4 py-3 rounded relative mb-6" role="status">
+                                <strong className="font-bold">{t('Validación de la respuesta de la IA:')}</strong>
+                                <ul className="list-disc ml-6 mt-1 text-sm">
+                                    {validationWarnings.map((warning, index) => (
+                                        <li key={index}>{warning}</li>
+                                    ))}
+                                </ul>
                             </div>
-                        ) : (
-                            'Generar Análisis Completo'
                         )}
-                    </button>
-                </div>
 
-                {/* Error Message Display */}
-                {errorMessage && (
-                    <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-6" role="alert">
-                        <strong className="font-bold">¡Error!</strong>
-                        <span className="block sm:inline ml-2">{errorMessage}</span>
-                    </div>
-                )}
-
-                {/* Generated Test Cases Display */}
-                {testCases && testCases.length > 0 && (
-                    <div className="mt-8 bg-gray-50 p-6 rounded-lg border border-gray-200 overflow-x-auto">
-                        <h2 className="text-xl font-semibold text-gray-800 mb-4">Casos de Prueba Generados (Principales):</h2>
-                        <table className="min-w-full divide-y divide-gray-300 rounded-lg overflow-hidden shadow-sm">
-                            <thead className="bg-gray-200">
-                                <tr>
-                                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">
-                                        ID de Jira
-                                    </th>
-                                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">
-                                        Prioridad
-                                    </th>
-                                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">
-                                        Característica
-                                    </th>
-                                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">
-                                        Escenario
-                                    </th>
-                                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">
-                                        Dado
-                                    </th>
-                                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">
-                                        Cuando
-                                    </th>
-                                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">
-                                        Entonces
-                                    </th>
-                                   
-                                </tr>
-                            </thead>
-                            <tbody className="bg-white divide-y divide-gray-200">
-                                {testCases.map((testCase, index) => (
-                                    <tr key={index} className="hover:bg-gray-50">
-                                        <td className="px-6 py-4 whitespace-pre-wrap text-sm text-gray-900">
-                                            {testCase.jiraId}
-                                        </td>
-                                        <td className="px-6 py-4 whitespace-pre-wrap text-sm text-gray-900">
-                                            {testCase.priority}
-                                        </td>
-                                        <td className="px-6 py-4 whitespace-pre-wrap text-sm text-gray-900">
-                                            {testCase.feature}
-                                        </td>
-                                        <td className="px-6 py-4 whitespace-pre-wrap text-sm text-gray-900">
-                                            {testCase.scenario}
-                                        </td>
-                                        <td className="px-6 py-4 whitespace-pre-wrap text-sm text-gray-900">
-                                            {testCase.given}
-                                        </td>
-                                        <td className="px-6 py-4 whitespace-pre-wrap text-sm text-gray-900">
-                                            {testCase.when}
-                                        </td>
-                                        <td className="px-6 py-4 whitespace-pre-wrap text-sm text-gray-900">
-                                            {testCase.then}
-                                        </td>
-                                        
-                                    </tr>
-                                ))}
-                            </tbody>
-                        </table>
-                    </div>
-                )}
-                {testCases && testCases.length === 0 && (
-                    <div className="mt-8 bg-yellow-100 border border-yellow-400 text-yellow-700 px-4 py-3 rounded relative" role="alert">
-                        <strong className="font-bold">Información:</strong>
-                        <span className="block sm:inline ml-2">No se generaron casos de prueba principales para la descripción proporcionada.</span>
-                    </div>
-                )}
-
-                {/* Impacts Section */}
-                {impacts && (
-                    <div className="mt-8 bg-orange-50 p-6 rounded-lg border border-orange-200">
-                        <h2 className="text-xl font-semibold text-gray-800 mb-4">Impactos Sugeridos:</h2>
-                        <pre className="whitespace-pre-wrap font-mono text-sm text-gray-800 leading-relaxed bg-white p-4 rounded-md border border-orange-300 shadow-inner">
-                            {impacts}
-                        </pre>
-                    </div>
-                )}
-
-                {/* Regression Test Suggestions Section (initial plain text) */}
-                {regressionTestSuggestions && (
-                    <div className="mt-8 bg-purple-50 p-6 rounded-lg border border-purple-200">
-                        <h2 className="text-xl font-semibold text-gray-800 mb-4">Sugerencias de Pruebas de Regresión (Texto):</h2>
-                        <pre className="whitespace-pre-wrap font-mono text-sm text-gray-800 leading-relaxed bg-white p-4 rounded-md border border-purple-300 shadow-inner">
-                            {regressionTestSuggestions}
-                        </pre>
-                    </div>
-                )}
-
-                {/* Regression Gherkin Test Cases Section */}
-                {regressionGherkinTestCases && regressionGherkinTestCases.length > 0 && (
-                    <div className="mt-8 bg-green-50 p-6 rounded-lg border border-green-200 overflow-x-auto">
-                        <h2 className="text-xl font-semibold text-gray-800 mb-4">Casos de Prueba de Regresión Generados (Gherkin):</h2>
-                        <table className="min-w-full divide-y divide-gray-300 rounded-lg overflow-hidden shadow-sm">
-                            <thead className="bg-gray-200">
-                                <tr>
-                                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">
-                                        ID de Jira
-                                    </th>
-                                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">
-                                        Prioridad
-                                    </th>
-                                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">
-                                        Característica
-                                    </th>
-                                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">
-                                        Escenario
-                                    </th>
-                                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">
-                                        Dado
-                                    </th>
-                                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">
-                                        Cuando
-                                    </th>
-                                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">
-                                        Entonces
-                                    </th>
-                                   
-                                </tr>
-                            </thead>
-                            <tbody className="bg-white divide-y divide-gray-200">
-                                {regressionGherkinTestCases.map((testCase, index) => (
-                                    <tr key={index} className="hover:bg-gray-50">
-                                        <td className="px-6 py-4 whitespace-pre-wrap text-sm text-gray-900">
-                                            {testCase.jiraId}
-                                        </td>
-                                        <td className="px-6 py-4 whitespace-pre-wrap text-sm text-gray-900">
-                                            {testCase.priority}
-                                        </td>
-                                        <td className="px-6 py-4 whitespace-pre-wrap text-sm text-gray-900">
-                                            {testCase.feature}
-                                        </td>
-                                        <td className="px-6 py-4 whitespace-pre-wrap text-sm text-gray-900">
-                                            {testCase.scenario}
-                                        </td>
-                                        <td className="px-6 py-4 whitespace-pre-wrap text-sm text-gray-900">
-                                            {testCase.given}
-                                        </td>
-                                        <td className="px-6 py-4 whitespace-pre-wrap text-sm text-gray-900">
-                                            {testCase.when}
-                                        </td>
-                                        <td className="px-6 py-4 whitespace-pre-wrap text-sm text-gray-900">
-                                            {testCase.then}
-                                        </td>
-                                       
-                                    </tr>
+                        {/* Generated Test Cases Display (editable) */}
+                        {testCases && (testCases.length > 0 || testCasesHistory.canUndo) && (
+                            <TestCaseTable
+                                title={t('Casos de Prueba Generados (Principales):')}
+                                cases={testCases}
+                                onChange={setTestCases}
+                                onRefine={(index, instruction) => handleRefineCase(false, index, instruction)}
+                                history={testCasesHistory}
+                                defaultJiraId={getJiraIdFromUrl(jiraLink)}
+                                suite={existingSuite}
+                                outputLanguage={outputLanguage}
+                                className="bg-gray-50 border-gray-200"
+                            />
+                        )}
+                        {testCases && testCases.length === 0 && !testCasesHistory.canUndo && (
+                            <div className="mt-8 bg-yellow-100 border border-yellow-400 text-yellow-700 px-4 py-3 rounded relative" role="alert">
+                                <strong className="font-bold">{t('Información:')}</strong>
+                                <span className="block sm:inline ml-2">{t('No se generaron casos de prueba principales para la descripción proporcionada.')}</span>
+                            </div>
+                        )}
+
+                        {/* Acceptance criteria × main test cases */}
+                        {acceptanceCriteria.length > 0 && testCases && testCases.length > 0 && (
+                            <TraceabilityMatrix criteria={acceptanceCriteria} cases={testCases} onChange={setTestCases} />
+                        )}
+
+                        {/* Impacts Section: risk table and heat map */}
+                        {impacts.length > 0 && (
+                            <ImpactRiskTable impacts={impacts} cases={regressionGherkinTestCases || []} onChange={setImpacts} />
+                        )}
+
+                        {/* Regression Test Suggestions Section (initial plain text) */}
+                        {regressionTestSuggestions && (
+                            <div className="mt-8 bg-purple-50 p-6 rounded-lg border border-purple-200">
+                                <h2 className="text-xl font-semibold text-gray-800 mb-4">{t('Sugerencias de Pruebas de Regresión (Texto):')}</h2>
+                                <pre className="whitespace-pre-wrap font-mono text-sm text-gray-800 leading-relaxed bg-white p-4 rounded-md border border-purple-300 shadow-inner">
+                                    {regressionTestSuggestions}
+                                </pre>
+                            </div>
+                        )}
+
+                        {/* Regression Gherkin Test Cases Section (editable) */}
+                        {regressionGherkinTestCases && (regressionGherkinTestCases.length > 0 || regressionHistory.canUndo) && (
+                            <TestCaseTable
+                                title={t('Casos de Prueba de Regresión Generados (Gherkin):')}
+                                cases={regressionGherkinTestCases}
+                                onChange={setRegressionGherkinTestCases}
+                                onRefine={(index, instruction) => handleRefineCase(true, index, instruction)}
+                                history={regressionHistory}
+                                defaultJiraId={getJiraIdFromUrl(jiraLink)}
+                                suite={existingSuite}
+                                outputLanguage={outputLanguage}
+                                impacts={impacts}
+                                className="bg-green-50 border-green-200"
+                            />
+                        )}
+                        {regressionGherkinTestCases && regressionGherkinTestCases.length === 0 && !regressionHistory.canUndo && regressionTestSuggestions && (
+                            <div className="mt-8 bg-yellow-100 border border-yellow-400 text-yellow-700 px-4 py-3 rounded relative" role="alert">
+                                <strong className="font-bold">{t('Información:')}</strong>
+                                <span className="block sm:inline ml-2">{t('No se pudieron generar casos de prueba Gherkin a partir de las sugerencias de regresión.')}</span>
+                            </div>
+                        )}
+
+                        {/* Coverage by test type, technique and priority */}
+                        {((testCases && testCases.length > 0) || (regressionGherkinTestCases && regressionGherkinTestCases.length > 0)) && (
+                            <CoverageSummary cases={[...(testCases || []), ...(regressionGherkinTestCases || [])]} outputLanguage={outputLanguage} />
+                        )}
+
+                        {/* Export Button */}
+                        {(testCases && testCases.length > 0) || (regressionGherkinTestCases && regressionGherkinTestCases.length > 0) || impacts.length > 0 || regressionTestSuggestions ? (
+                            <div className="mt-8 text-center">
+                                <button
+                                    onClick={handleExport}
+                                    className="py-3 px-6 rounded-md text-white font-semibold bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-green-500 focus:ring-offset-2 transition duration-300"
+                                >
+                                    {t('Exportar a CSV (Compatible con Google Sheets)')}
+                                </button>
+                                <button
+                                    onClick={handleXlsxExport}
+                                    disabled={isXlsxExporting}
+                                    className={`ml-4 py-3 px-6 rounded-md text-white font-semibold transition duration-300 ${isXlsxExporting ? 'bg-gray-400 cursor-not-allowed' : 'bg-emerald-700 hover:bg-emerald-800 focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:ring-offset-2'
+                                        }`}
+                                >
+                                    {isXlsxExporting ? t('Generando .xlsx...') : t('Exportar a Excel (.xlsx)')}
+                                </button>
+                                {((testCases && testCases.length > 0) || (regressionGherkinTestCases && regressionGherkinTestCases.length > 0)) && (
+                                    <div className="mt-4 flex flex-wrap items-center justify-center gap-4">
+                                        <label htmlFor="gherkinLanguage" className="text-gray-700 text-sm font-medium">
+                                            {t('Idioma Gherkin:')}
+                                        </label>
+                                        <select
+                                            id="gherkinLanguage"
+                                            value={gherkinLanguage}
+                                            onChange={(e) => setGherkinLanguage(e.target.value)}
+                                            className="px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                                        >
+                                            {Object.entries(GHERKIN_KEYWORDS).map(([code, keywords]) => (
+                                                <option key={code} value={code}>{keywords.label}</option>
+                                            ))}
+                                        </select>
+                                        <button
+                                            onClick={handleGherkinExport}
+                                            disabled={isGherkinExporting}
+                                            className={`py-3 px-6 rounded-md text-white font-semibold transition duration-300 ${isGherkinExporting ? 'bg-gray-400 cursor-not-allowed' : 'bg-teal-600 hover:bg-teal-700 focus:outline-none focus:ring-2 focus:ring-teal-500 focus:ring-offset-2'
+                                                }`}
+                                        >
+                                            {isGherkinExporting ? t('Generando .zip...') : t('Exportar a Gherkin (.feature en .zip)')}
+                                        </button>
+                                        <button
+                                            onClick={() => setIsJiraPublishOpen(true)}
+                                            disabled={!getJiraIdFromUrl(jiraLink)}
+                                            className={`py-3 px-6 rounded-md text-white font-semibold transition duration-300 ${!getJiraIdFromUrl(jiraLink) ? 'bg-gray-400 cursor-not-allowed' : 'bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2'
+                                                }`}
+                                        >
+                                            {t('Publicar en Jira')}
+                                        </button>
+                                        <button
+                                            onClick={() => setIsAutomationOpen(true)}
+                                            className="py-3 px-6 rounded-md text-white font-semibold bg-slate-700 hover:bg-slate-800 focus:outline-none focus:ring-2 focus:ring-slate-500 focus:ring-offset-2 transition duration-300"
+                                        >
+                                            {t('Generar automatización')}
+                                        </button>
+                                        <button
+                                            onClick={handleGenerateTestData}
+                                            disabled={isTestDataLoading || isLoading}
+                                            className={`py-3 px-6 rounded-md text-white font-semibold transition duration-300 ${isTestDataLoading || isLoading ? 'bg-gray-400 cursor-not-allowed' : 'bg-cyan-700 hover:bg-cyan-800 focus:outline-none focus:ring-2 focus:ring-cyan-500 focus:ring-offset-2'
+                                                }`}
+                                            title={t('Propone datos de entrada concretos para cada caso; sustituye los datos que ya tuvieran')}
+                                        >
+                                            {isTestDataLoading ? t('Generando datos...') : t('Generar datos de prueba')}
+                                        </button>
+                                    </div>
+                                )}
+                                {/* Share for review: a link or a .json file that opens in the review view */}
+                                <div className="mt-4 flex items-center justify-center space-x-4">
+                                    <span className="text-gray-700 text-sm font-medium">{t('Compartir para revisión:')}</span>
+                                    <button
+                                        onClick={handleReviewLink}
+                                        className="py-2 px-4 rounded-md text-indigo-700 font-semibold bg-white border border-indigo-300 hover:bg-indigo-50 transition duration-300"
+                                    >
+                                        {t('Copiar enlace')}
+                                    </button>
+                                    <button
+                                        onClick={handleReviewDownload}
+                                        className="py-2 px-4 rounded-md text-indigo-700 font-semibold bg-white border border-indigo-300 hover:bg-indigo-50 transition duration-300"
+                                    >
+                                        {t('Descargar (.json)')}
+                                    </button>
+                                </div>
+                                {shareResult && (shareResult.error ? (
+                                    <p className="mt-2 text-sm text-red-700">{shareResult.error}</p>
+                                ) : (
+                                    <div className="mt-2 max-w-2xl mx-auto">
+                                        <p className="text-sm text-gray-700">
+                                            {shareResult.copied
+                                                ? t('Enlace copiado al portapapeles (recoge el análisis tal como está ahora):')
+                                                : t('Copia el enlace (recoge el análisis tal como está ahora):')}
+                                        </p>
+                                        <input
+                                            type="text"
+                                            readOnly
+                                            value={shareResult.url}
+                                            onFocus={(e) => e.target.select()}
+                                            aria-label={t('Enlace de revisión')}
+                                            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md text-xs text-gray-600"
+                                        />
+                                    </div>
                                 ))}
-                            </tbody>
-                        </table>
-                    </div>
-                )}
-                {regressionGherkinTestCases && regressionGherkinTestCases.length === 0 && regressionTestSuggestions && (
-                    <div className="mt-8 bg-yellow-100 border border-yellow-400 text-yellow-700 px-4 py-3 rounded relative" role="alert">
-                        <strong className="font-bold">Información:</strong>
-                        <span className="block sm:inline ml-2">No se pudieron generar casos de prueba Gherkin a partir de las sugerencias de regresión.</span>
-                    </div>
-                )}
+                            </div>
+                        ) : null}
+
+                        {/* Publish to Jira / Xray dialog */}
+                        {isJiraPublishOpen && (
+                            <JiraPublishDialog
+                                entries={[
+                                    ...(testCases || []).map(testCase => ({ testCase, isRegression: false })),
+                                    ...(regressionGherkinTestCases || []).map(testCase => ({ testCase, isRegression: true }))
+                                ]}
+                                storyKey={getJiraIdFromUrl(jiraLink)}
+                                language={gherkinLanguage}
+                                onClose={() => setIsJiraPublishOpen(false)}
+                            />
+                        )}
 
-                {/* Export Button */}
-                {(testCases && testCases.length > 0) || (regressionGherkinTestCases && regressionGherkinTestCases.length > 0) || impacts || regressionTestSuggestions ? (
-                    <div className="mt-8 text-center">
-                        <button
-                            onClick={handleExport}
-                            className="py-3 px-6 rounded-md text-white font-semibold bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-green-500 focus:ring-offset-2 transition duration-300"
-                        >
-                            Exportar a CSV (Compatible con Google Sheets)
-                        </button>
-                    </div>
-                ) : null}
+                        {/* Automation skeletons dialog */}
+                        {isAutomationOpen && (
+                            <AutomationDialog
+                                entries={[
+                                    ...(testCases || []).map(testCase => ({ testCase, isRegression: false })),
+                                    ...(regressionGherkinTestCases || []).map(testCase => ({ testCase, isRegression: true }))
+                                ]}
+                                projectName={getJiraIdFromUrl(jiraLink)}
+                                language={gherkinLanguage}
+                                onClose={() => setIsAutomationOpen(false)}
+                            />
+                        )}
+                        </>
+                    )}
+
+                    {/* Stored analyses */}
+                    {isHistoryOpen && (
+                        <HistorySidebar
+                            analyses={historyEntries}
+                            currentId={currentAnalysisId}
+                            onOpen={handleOpenAnalysis}
+                            onRename={handleRenameAnalysis}
+                            onDelete={handleDeleteAnalysis}
+                            onExport={handleExportHistory}
+                            onImport={handleImportHistory}
+                            onClose={() => setIsHistoryOpen(false)}
+                        />
+                    )}
+                </div>
             </div>
-        </div>
+        </TranslationContext.Provider>
     );
 }
 
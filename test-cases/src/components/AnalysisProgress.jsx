@@ -0,0 +1,79 @@
+import React from 'react';
+import { useTranslation } from '../hooks/useTranslation';
+
+// Analysis stages, in the order they are generated
+const ANALYSIS_STAGES = [
+    { id: 'cases', label: 'Casos principales' },
+    { id: 'impacts', label: 'Impactos' },
+    { id: 'regression', label: 'Regresión' },
+    // Only when the test data stage was requested
+    { id: 'testData', label: 'Datos de prueba', optional: true }
+];
+
+const STATUS_STYLES = {
+    pending: { icon: '○', className: 'text-gray-400' },
+    active: { icon: '◌', className: 'text-blue-700 font-semibold' },
+    done: { icon: '✓', className: 'text-green-700' },
+    cancelled: { icon: '■', className: 'text-orange-700 font-semibold' }
+};
+
+/**
+ * Returns the status of a stage from the current stage of the analysis.
+ * @param {number} index The stage position.
+ * @param {{stage: string, status: string}} progress The analysis progress.
+ * @returns {string} "pending", "active", "done" or "cancelled".
+ */
+const getStageStatus = (index, progress) => {
+    const currentIndex = ANALYSIS_STAGES.findIndex(stage => stage.id === progress.stage);
+    if (index < currentIndex) {
+        return 'done';
+    }
+    if (index > currentIndex) {
+        return 'pending';
+    }
+    return progress.status === 'cancelled' ? 'cancelled' : 'active';
+};
+
+/**
+ * Per-stage progress of a streamed analysis (main cases, impacts, regression and, when requested,
+ * test data), with the number of cases received so far.
+ * @param {{progress: {stage: string, status: string, casesCount: number, regressionCount: number, retryReason: string,
+ *   withTestData: boolean}}} props
+ */
+function AnalysisProgress({ progress }) {
+    const { t } = useTranslation();
+    const counts = { cases: progress.casesCount, regression: progress.regressionCount };
+
+    return (
+        <div className="mb-6 bg-blue-50 border border-blue-200 rounded-md px-4 py-3" role="status" aria-live="polite">
+            <ol className="flex flex-wrap gap-x-6 gap-y-2 text-sm">
+                {ANALYSIS_STAGES.map((stage, index) => {
+                    if (stage.optional && !progress.withTestData) {
+                        return null;
+                    }
+                    const status = getStageStatus(index, progress);
+                    const { icon, className } = STATUS_STYLES[status];
+                    return (
+                        <li key={stage.id} className={className}>
+                            <span className={status === 'active' ? 'inline-block animate-spin mr-1' : 'mr-1'}>{icon}</span>
+                            {t(stage.label)}
+                            {counts[stage.id] > 0 && <> ({t('{count} casos', { count: counts[stage.id] })})</>}
+                        </li>
+                    );
+                })}
+            </ol>
+            {progress.retryReason && progress.status !== 'cancelled' && (
+                <p className="mt-2 text-sm text-yellow-700">
+                    {t('La respuesta anterior no se pudo usar ({reason}); se está pidiendo de nuevo a la IA.', { reason: progress.retryReason })}
+                </p>
+            )}
+            {progress.status === 'cancelled' && (
+                <p className="mt-2 text-sm text-orange-700">
+                    {t('Análisis cancelado. Se conservan los resultados recibidos hasta el momento.')}
+                </p>
+            )}
+        </div>
+    );
+}
+
+export default AnalysisProgress;
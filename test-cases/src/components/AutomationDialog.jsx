@@ -0,0 +1,143 @@
+import React, { useState } from 'react';
+import { downloadBlob } from '../utils/download';
+import { slugify } from '../utils/gherkin';
+import { AUTOMATION_FRAMEWORKS, buildAutomationFiles, buildAutomationZip, collectStepDefinitions } from '../utils/automation';
+import { useTranslation } from '../hooks/useTranslation';
+import { translateError } from '../i18n';
+
+/**
+ * Modal that turns the selected cases into an automation project skeleton (Cucumber step
+ * definitions, or Playwright / Cypress specs) and downloads it as a zip.
+ * @param {{entries: {testCase: object, isRegression: boolean}[], projectName: string, language: string, onClose: function(): void}} props
+ */
+function AutomationDialog({ entries, projectName, language, onClose }) {
+    const { t } = useTranslation();
+    const [selected, setSelected] = useState(() => entries.map(() => true));
+    const [framework, setFramework] = useState('cucumber');
+    const [isGenerating, setIsGenerating] = useState(false);
+    const [generateError, setGenerateError] = useState('');
+
+    const selectedEntries = entries.filter((entry, index) => selected[index]);
+    const files = selectedEntries.length > 0 ? buildAutomationFiles(selectedEntries, framework, language, projectName) : [];
+    const stepCount = framework === 'cucumber' ? collectStepDefinitions(selectedEntries).length : 0;
+
+    const toggleCase = (index) => {
+        setSelected(selected.map((value, i) => (i === index ? !value : value)));
+    };
+
+    const toggleAll = () => {
+        setSelected(entries.map(() => selectedEntries.length !== entries.length));
+    };
+
+    const handleGenerate = async () => {
+        setIsGenerating(true);
+        setGenerateError('');
+        try {
+            const blob = await buildAutomationZip(selectedEntries, framework, language, projectName);
+            downloadBlob(blob, `${slugify(projectName) || 'casos'}-automatizacion-${framework}.zip`);
+            onClose();
+        } catch (error) {
+            console.error('Error al generar la automatización:', error);
+            setGenerateError(t('No se pudo generar la automatización: {message}', { message: translateError(error, t) }));
+        } finally {
+            setIsGenerating(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/40 flex items-center justify-center p-4 z-50" role="dialog" aria-modal="true">
+            <div className="bg-white rounded-lg shadow-xl w-full max-w-4xl max-h-full flex flex-col">
+                <div className="px-6 py-4 border-b border-gray-200">
+                    <h2 className="text-xl font-semibold text-gray-800">{t('Generar automatización')}</h2>
+                    <p className="text-sm text-gray-600 mt-1">
+                        {t('Genera un proyecto con el esqueleto de los casos seleccionados. Cada paso queda como TODO y las pruebas aparecen como pendientes hasta implementarlas.')}
+                    </p>
+                    <div className="mt-3 flex flex-wrap items-center gap-3">
+                        <label htmlFor="automationFramework" className="text-gray-700 text-sm font-medium">{t('Framework:')}</label>
+                        <select
+                            id="automationFramework"
+                            value={framework}
+                            onChange={(e) => setFramework(e.target.value)}
+                            className="px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                        >
+                            {Object.entries(AUTOMATION_FRAMEWORKS).map(([id, { label }]) => (
+                                <option key={id} value={id}>{label}</option>
+                            ))}
+                        </select>
+                        <span className="text-sm text-gray-600" title={files.map(file => file.path).join('\n')}>
+                            {t('{count} archivos', { count: files.length })}
+                            {framework === 'cucumber' && selectedEntries.length > 0 && ` · ${t('{count} step definitions (pasos repetidos se definen una vez)', { count: stepCount })}`}
+                        </span>
+                    </div>
+                </div>
+
+                <div className="px-6 py-4 overflow-y-auto flex-1">
+                    {generateError && (
+                        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-4" role="alert">
+                            <strong className="font-bold">{t('¡Error!')}</strong>
+                            <span className="block sm:inline ml-2">{generateError}</span>
+                        </div>
+                    )}
+
+                    <table className="min-w-full divide-y divide-gray-300 text-sm">
+                        <thead className="bg-gray-200">
+                            <tr>
+                                <th className="px-4 py-2 text-left">
+                                    <input
+                                        type="checkbox"
+                                        checked={selectedEntries.length === entries.length}
+                                        onChange={toggleAll}
+                                        aria-label={t('Seleccionar todos')}
+                                    />
+                                </th>
+                                <th className="px-4 py-2 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">{t('Característica')}</th>
+                                <th className="px-4 py-2 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">{t('Escenario')}</th>
+                                <th className="px-4 py-2 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">{t('Prioridad')}</th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {entries.map(({ testCase, isRegression }, index) => (
+                                <tr key={index} className={selected[index] ? '' : 'opacity-50'}>
+                                    <td className="px-4 py-2 align-top">
+                                        <input
+                                            type="checkbox"
+                                            checked={selected[index]}
+                                            onChange={() => toggleCase(index)}
+                                            aria-label={t('Seleccionar {scenario}', { scenario: testCase.scenario })}
+                                        />
+                                    </td>
+                                    <td className="px-4 py-2 align-top text-gray-900">{testCase.feature}</td>
+                                    <td className="px-4 py-2 align-top text-gray-900">
+                                        {testCase.scenario}
+                                        {isRegression && <span className="ml-2 text-xs text-green-700">{t('(regresión)')}</span>}
+                                    </td>
+                                    <td className="px-4 py-2 align-top text-gray-900">{testCase.priority}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+
+                <div className="px-6 py-4 border-t border-gray-200 flex justify-end space-x-4">
+                    <button
+                        onClick={onClose}
+                        disabled={isGenerating}
+                        className="py-2 px-4 rounded-md text-gray-700 font-semibold bg-gray-200 hover:bg-gray-300 transition duration-300"
+                    >
+                        {t('Cancelar')}
+                    </button>
+                    <button
+                        onClick={handleGenerate}
+                        disabled={isGenerating || selectedEntries.length === 0}
+                        className={`py-2 px-4 rounded-md text-white font-semibold transition duration-300 ${isGenerating || selectedEntries.length === 0 ? 'bg-gray-400 cursor-not-allowed' : 'bg-slate-700 hover:bg-slate-800 focus:outline-none focus:ring-2 focus:ring-slate-500 focus:ring-offset-2'
+                            }`}
+                    >
+                        {isGenerating ? t('Generando .zip...') : t('Descargar proyecto ({count} casos)', { count: selectedEntries.length })}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default AutomationDialog;
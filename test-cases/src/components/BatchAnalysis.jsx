@@ -0,0 +1,442 @@
+import React, { useRef, useState } from 'react';
+import { analyzeStory, parseJiraCsvExport, parseStoryLinks, runQueue } from '../utils/batch';
+import { createRedactor } from '../utils/redaction';
+import { buildCsvExport } from '../utils/csv';
+import { GHERKIN_KEYWORDS, buildGherkinZip } from '../utils/gherkin';
+import { downloadBlob } from '../utils/download';
+import { buildXlsxExport } from '../utils/xlsx';
+import { normalizeImpacts } from '../utils/impacts';
+import { DEFAULT_OUTPUT_LANGUAGE } from '../utils/outputLanguage';
+import { useTranslation } from '../hooks/useTranslation';
+import { translateError } from '../i18n';
+
+// Labels of the analysis stages shown while a story is running
+const STAGE_LABELS = {
+    jira: 'Cargando desde Jira',
+    cases: 'Casos principales',
+    impacts: 'Impactos',
+    regression: 'Regresión'
+};
+
+const STATUS_STYLES = {
+    pending: 'text-gray-500',
+    queued: 'text-gray-600',
+    running: 'text-blue-700 font-semibold',
+    retrying: 'text-yellow-700',
+    done: 'text-green-700',
+    failed: 'text-red-700',
+    cancelled: 'text-orange-700'
+};
+
+/**
+ * Describes the state of one story of the batch.
+ * @param {object} row The story row.
+ * @param {function(string, object=): string} t The translation function.
+ * @returns {string} The status text.
+ */
+const describeStatus = (row, t) => {
+    switch (row.status) {
+        case 'queued':
+            return t('En cola');
+        case 'running':
+            return `${t(STAGE_LABELS[row.stage] || 'Analizando')}...${row.attempt > 0 ? ` ${t('(intento {number})', { number: row.attempt + 1 })}` : ''}`;
+        case 'retrying':
+            return t('Reintentando en {seconds} s', { seconds: row.retryInSeconds });
+        case 'done':
+            return t('Completado');
+        case 'failed':
+            return t('Error');
+        case 'cancelled':
+            return t('Cancelado');
+        default:
+            return t('Pendiente');
+    }
+};
+
+/**
+ * Creates the row of a story that has not been analysed yet.
+ * @param {object} story The story.
+ * @returns {object} The row.
+ */
+const createRow = (story) => ({ story, status: 'pending', attempt: 0, casesCount: 0, regressionCount: 0, error: null, result: null });
+
+/**
+ * Batch mode: loads many stories from a Jira CSV export or a list of links, analyses them through
+ * a queue (concurrency and retry limits) with a progress dashboard, stores each result in the history
+ * and exports all of them together. Each story gets its own redactor when redaction is enabled.
+ * @param {{providerSettings: object, promptProfile: object, redactionSettings: object, outputLanguage: string,
+ *   onStore: function(object): Promise<object>, onOpen: function(object): void}} props
+ */
+function BatchAnalysis({ providerSettings, promptProfile, redactionSettings, outputLanguage = DEFAULT_OUTPUT_LANGUAGE, onStore, onOpen }) {
+    const { t } = useTranslation();
+    const [rows, setRows] = useState([]);
+    const [linksText, setLinksText] = useState('');
+    const [concurrency, setConcurrency] = useState(2);
+    const [maxRetries, setMaxRetries] = useState(2);
+    const [isRunning, setIsRunning] = useState(false);
+    const [inputError, setInputError] = useState('');
+    const [gherkinLanguage, setGherkinLanguage] = useState(() => (GHERKIN_KEYWORDS[outputLanguage] ? outputLanguage : 'es'));
+    const [isGherkinExporting, setIsGherkinExporting] = useState(false);
+    const [isXlsxExporting, setIsXlsxExporting] = useState(false);
+    const abortControllerRef = useRef(null);
+    const csvInputRef = useRef(null);
+
+    const doneRows = rows.filter(row => row.status === 'done');
+    const failedRows = rows.filter(row => row.status === 'failed' || row.status === 'cancelled');
+
+    /**
+     * Adds stories to the batch, skipping the ones already in it.
+     * @param {object[]} stories The stories.
+     */
+    const addStories = (stories) => {
+        if (stories.length === 0) {
+            setInputError(t('No se encontró ninguna historia (se esperaban claves como PROJ-123).'));
+            return;
+        }
+        setInputError('');
+        setRows(current => {
+            const existing = new Set(current.map(row => row.story.jiraId));
+            return [...current, ...stories.filter(story => !existing.has(story.jiraId)).map(createRow)];
+        });
+    };
+
+    const handleCsvUpload = async (event) => {
+        const file = event.target.files[0];
+        event.target.value = ''; // Allow loading the same file again
+        if (!file) {
+            return;
+        }
+        try {
+            addStories(parseJiraCsvExport(await file.text()));
+        } catch (error) {
+            console.error('Error al leer el CSV de Jira:', error);
+            setInputError(t('No se pudo leer el CSV: {message}', { message: translateError(error, t) }));
+        }
+    };
+
+    const handleLinksLoad = () => {
+        addStories(parseStoryLinks(linksText));
+        setLinksText('');
+    };
+
+    const updateRow = (index, patch) => {
+        setRows(current => current.map((row, i) => (i === index ? { ...row, ...patch } : row)));
+    };
+
+    /**
+     * Runs the queue on some of the stories.
+     * @param {number[]} indexes The positions of the stories to analyse.
+     */
+    const runBatch = async (indexes) => {
+        const stories = rows.map(row => row.story);
+        const abortController = new AbortController();
+        abortControllerRef.current = abortController;
+        setIsRunning(true);
+        indexes.forEach(index => updateRow(index, { casesCount: 0, regressionCount: 0, result: null }));
+
+        try {
+            await runQueue(indexes, async (index, { signal, onProgress }) => {
+                const analysis = await analyzeStory(providerSettings, stories[index], {
+                    profile: promptProfile,
+                    outputLanguage,
+                    redactor: redactionSettings.enabled ? createRedactor(redactionSettings) : null,
+                    signal,
+                    t,
+                    onProgress
+                });
+                let record = null;
+                try {
+                    record = await onStore(analysis);
+                } catch (error) {
+                    console.warn('No se pudo guardar el análisis en el historial:', error);
+                }
+                return record || analysis;
+            }, {
+                concurrency,
+                maxRetries,
+                signal: abortController.signal,
+                onUpdate: updateRow
+            });
+        } finally {
+            setIsRunning(false);
+            abortControllerRef.current = null;
+        }
+    };
+
+    const handleCancel = () => {
+        if (abortControllerRef.current) {
+            abortControllerRef.current.abort();
+        }
+    };
+
+    /**
+     * Merges the results of every completed story; each case keeps its own Jira ID.
+     * @returns {object} The combined results.
+     */
+    const combineResults = () => {
+        const analyses = doneRows.map(row => row.result);
+        const joinTexts = (field) => analyses
+            .filter(analysis => analysis.outputs[field])
+            .map(analysis => `[${analysis.jiraId}]\n${analysis.outputs[field]}`)
+            .join('\n\n');
+        return {
+            // Criteria and impact ids repeat across stories, so each one keeps its story
+            acceptanceCriteria: analyses.flatMap(analysis => (analysis.outputs.acceptanceCriteria || [])
+                .map(criterion => ({ ...criterion, jiraId: analysis.jiraId }))),
+            testCases: analyses.flatMap(analysis => analysis.outputs.testCases || []),
+            regressionGherkinTestCases: analyses.flatMap(analysis => analysis.outputs.regressionGherkinTestCases || []),
+            impacts: analyses.flatMap(analysis => normalizeImpacts(analysis.outputs.impacts)
+                .map(impact => ({ ...impact, jiraId: analysis.jiraId }))),
+            regressionTestSuggestions: joinTexts('regressionTestSuggestions')
+        };
+    };
+
+    const handleCsvExport = () => {
+        const content = buildCsvExport(combineResults(), outputLanguage);
+        downloadBlob(new Blob([content], { type: 'text/csv;charset=utf-8;' }), 'casos_prueba_lote.csv');
+    };
+
+    const handleXlsxExport = async () => {
+        setIsXlsxExporting(true);
+        setInputError('');
+        try {
+            downloadBlob(await buildXlsxExport(doneRows.map(row => row.result), outputLanguage), 'casos_prueba_lote.xlsx');
+        } catch (error) {
+            console.error('Error al exportar a Excel:', error);
+            setInputError(t('Error al exportar a Excel: {message}', { message: translateError(error, t) }));
+        } finally {
+            setIsXlsxExporting(false);
+        }
+    };
+
+    const handleGherkinExport = async () => {
+        setIsGherkinExporting(true);
+        setInputError('');
+        try {
+            const { testCases, regressionGherkinTestCases } = combineResults();
+            downloadBlob(await buildGherkinZip(testCases, regressionGherkinTestCases, gherkinLanguage), 'casos_prueba_lote_gherkin.zip');
+        } catch (error) {
+            console.error('Error al exportar a Gherkin:', error);
+            setInputError(t('Error al exportar a Gherkin: {message}', { message: translateError(error, t) }));
+        } finally {
+            setIsGherkinExporting(false);
+        }
+    };
+
+    const inputClassName = 'px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500';
+
+    return (
+        <div>
+            {/* Story sources */}
+            <div className="mb-6 grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div>
+                    <p className="block text-gray-700 text-sm font-medium mb-2">{t('Exportación CSV de Jira:')}</p>
+                    <input type="file" accept=".csv,text/csv" ref={csvInputRef} onChange={handleCsvUpload} className="hidden" />
+                    <button
+                        onClick={() => csvInputRef.current.click()}
+                        disabled={isRunning}
+                        className={`py-2 px-4 rounded-md text-white font-semibold transition duration-300 ${isRunning ? 'bg-gray-400 cursor-not-allowed' : 'bg-purple-600 hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-offset-2'}`}
+                    >
+                        {t('Seleccionar CSV')}
+                    </button>
+                    <p className="text-xs text-gray-500 mt-2">
+                        {t('En Jira: Filtros → Exportar → CSV (todos los campos). Se usan la clave, el resumen, la descripción, los criterios de aceptación, los componentes y las etiquetas.')}
+                    </p>
+                </div>
+                <div>
+                    <label htmlFor="batchLinks" className="block text-gray-700 text-sm font-medium mb-2">
+                        {t('O enlaces / claves de Jira (se cargan desde Jira):')}
+                    </label>
+                    <textarea
+                        id="batchLinks"
+                        rows="3"
+                        value={linksText}
+                        onChange={(e) => setLinksText(e.target.value)}
+                        disabled={isRunning}
+                        className={`w-full ${inputClassName} resize-y text-sm`}
+                        placeholder={'https://jira.example.com/browse/PROJ-123\nPROJ-124'}
+                    ></textarea>
+                    <button
+                        onClick={handleLinksLoad}
+                        disabled={isRunning || !linksText.trim()}
+                        className={`mt-2 py-2 px-4 rounded-md text-white font-semibold transition duration-300 ${isRunning || !linksText.trim() ? 'bg-gray-400 cursor-not-allowed' : 'bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2'}`}
+                    >
+                        {t('Añadir al lote')}
+                    </button>
+                </div>
+            </div>
+
+            {inputError && (
+                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-6" role="alert">
+                    <strong className="font-bold">{t('¡Error!')}</strong>
+                    <span className="block sm:inline ml-2">{inputError}</span>
+                </div>
+            )}
+
+            {rows.length > 0 && (
+                <>
+                    {/* Queue settings and actions */}
+                    <div className="mb-4 flex flex-wrap items-center gap-4">
+                        <label className="text-gray-700 text-sm font-medium">
+                            {t('Análisis simultáneos:')}
+                            <input
+                                type="number"
+                                min="1"
+                                max="5"
+                                value={concurrency}
+                                onChange={(e) => setConcurrency(Math.min(5, Math.max(1, Number(e.target.value) || 1)))}
+                                disabled={isRunning}
+                                className={`ml-2 w-16 ${inputClassName}`}
+                            />
+                        </label>
+                        <label className="text-gray-700 text-sm font-medium">
+                            {t('Reintentos por historia:')}
+                            <input
+                                type="number"
+                                min="0"
+                                max="5"
+                                value={maxRetries}
+                                onChange={(e) => setMaxRetries(Math.min(5, Math.max(0, Number(e.target.value) || 0)))}
+                                disabled={isRunning}
+                                className={`ml-2 w-16 ${inputClassName}`}
+                            />
+                        </label>
+                        <div className="flex-1" />
+                        {isRunning ? (
+                            <button
+                                onClick={handleCancel}
+                                className="py-2 px-4 rounded-md text-white font-semibold bg-red-600 hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-offset-2 transition duration-300"
+                            >
+                                {t('Cancelar lote')}
+                            </button>
+                        ) : (
+                            <>
+                                {failedRows.length > 0 && (
+                                    <button
+                                        onClick={() => runBatch(rows.flatMap((row, index) => (row.status === 'failed' || row.status === 'cancelled' ? [index] : [])))}
+                                        className="py-2 px-4 rounded-md text-gray-700 font-semibold bg-gray-200 hover:bg-gray-300 transition duration-300"
+                                    >
+                                        {t('Reintentar fallidas ({count})', { count: failedRows.length })}
+                                    </button>
+                                )}
+                                <button
+                                    onClick={() => runBatch(rows.flatMap((row, index) => (row.status === 'pending' ? [index] : [])))}
+                                    disabled={!rows.some(row => row.status === 'pending')}
+                                    className={`py-2 px-4 rounded-md text-white font-semibold transition duration-300 ${!rows.some(row => row.status === 'pending') ? 'bg-gray-400 cursor-not-allowed' : 'bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2'}`}
+                                >
+                                    {t('Analizar {count} historias', { count: rows.filter(row => row.status === 'pending').length })}
+                                </button>
+                            </>
+                        )}
+                    </div>
+
+                    {/* Progress dashboard */}
+                    <p className="text-sm text-gray-700 mb-2">
+                        {t('{done} de {total} completadas · {failed} con errores', { done: doneRows.length, total: rows.length, failed: rows.filter(row => row.status === 'failed').length })}
+                    </p>
+                    <div className="w-full h-2 bg-gray-200 rounded mb-4 overflow-hidden">
+                        <div className="h-2 bg-green-500 transition-all duration-300" style={{ width: `${(doneRows.length / rows.length) * 100}%` }} />
+                    </div>
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-300 text-sm rounded-lg overflow-hidden shadow-sm">
+                            <thead className="bg-gray-200">
+                                <tr>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">{t('Historia')}</th>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">{t('Estado')}</th>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">{t('Casos')}</th>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">{t('Detalle')}</th>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">{t('Acciones')}</th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {rows.map((row, index) => {
+                                    const outputs = row.result ? row.result.outputs : null;
+                                    const casesCount = outputs ? (outputs.testCases || []).length : row.casesCount;
+                                    const regressionCount = outputs ? (outputs.regressionGherkinTestCases || []).length : row.regressionCount;
+                                    const warnings = row.result && row.result.warnings ? row.result.warnings : [];
+                                    // Stories loaded from links only get their summary once fetched from Jira
+                                    const summary = row.story.summary || (row.result ? row.result.name : '');
+                                    return (
+                                        <tr key={row.story.jiraId}>
+                                            <td className="px-4 py-2 align-top text-gray-900">
+                                                <span className="font-semibold">{row.story.jiraId}</span>
+                                                {summary && <span className="block text-xs text-gray-600">{summary}</span>}
+                                            </td>
+                                            <td className={`px-4 py-2 align-top whitespace-nowrap ${STATUS_STYLES[row.status]}`}>
+                                                {describeStatus(row, t)}
+                                            </td>
+                                            <td className="px-4 py-2 align-top whitespace-nowrap text-gray-900">
+                                                {casesCount || regressionCount ? t('{cases} + {regression} regresión', { cases: casesCount, regression: regressionCount }) : '—'}
+                                            </td>
+                                            <td className="px-4 py-2 align-top text-xs">
+                                                {row.error && <span className="block text-red-700">{translateError(row.error, t)}</span>}
+                                                {warnings.length > 0 && (
+                                                    <span className="block text-yellow-700" title={warnings.join('\n')}>
+                                                        {t('{count} avisos de validación', { count: warnings.length })}
+                                                    </span>
+                                                )}
+                                            </td>
+                                            <td className="px-4 py-2 align-top whitespace-nowrap">
+                                                {row.status === 'done' && (
+                                                    <button onClick={() => onOpen(row.result)} className="text-blue-600 hover:underline mr-3">
+                                                        {t('Abrir')}
+                                                    </button>
+                                                )}
+                                                {!isRunning && (
+                                                    <button onClick={() => setRows(rows.filter((r, i) => i !== index))} className="text-red-600 hover:underline">
+                                                        {t('Quitar')}
+                                                    </button>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    {/* Combined export */}
+                    {doneRows.length > 0 && (
+                        <div className="mt-8 flex flex-wrap items-center justify-center gap-4">
+                            <button
+                                onClick={handleCsvExport}
+                                className="py-3 px-6 rounded-md text-white font-semibold bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-green-500 focus:ring-offset-2 transition duration-300"
+                            >
+                                {t('Exportar lote a CSV ({count} historias)', { count: doneRows.length })}
+                            </button>
+                            <button
+                                onClick={handleXlsxExport}
+                                disabled={isXlsxExporting}
+                                className={`py-3 px-6 rounded-md text-white font-semibold transition duration-300 ${isXlsxExporting ? 'bg-gray-400 cursor-not-allowed' : 'bg-emerald-700 hover:bg-emerald-800 focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:ring-offset-2'}`}
+                            >
+                                {isXlsxExporting ? t('Generando .xlsx...') : t('Exportar lote a Excel (.xlsx)')}
+                            </button>
+                            <label htmlFor="batchGherkinLanguage" className="text-gray-700 text-sm font-medium">
+                                {t('Idioma Gherkin:')}
+                            </label>
+                            <select
+                                id="batchGherkinLanguage"
+                                value={gherkinLanguage}
+                                onChange={(e) => setGherkinLanguage(e.target.value)}
+                                className={inputClassName}
+                            >
+                                {Object.entries(GHERKIN_KEYWORDS).map(([code, keywords]) => (
+                                    <option key={code} value={code}>{keywords.label}</option>
+                                ))}
+                            </select>
+                            <button
+                                onClick={handleGherkinExport}
+                                disabled={isGherkinExporting}
+                                className={`py-3 px-6 rounded-md text-white font-semibold transition duration-300 ${isGherkinExporting ? 'bg-gray-400 cursor-not-allowed' : 'bg-teal-600 hover:bg-teal-700 focus:outline-none focus:ring-2 focus:ring-teal-500 focus:ring-offset-2'}`}
+                            >
+                                {isGherkinExporting ? t('Generando .zip...') : t('Exportar lote a Gherkin (.zip)')}
+                            </button>
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
+
+export default BatchAnalysis;
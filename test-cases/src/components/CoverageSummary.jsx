@@ -0,0 +1,44 @@
+import React from 'react';
+import { UNSPECIFIED_LABEL, summarizeCoverage } from '../utils/coverage';
+import { useTranslation } from '../hooks/useTranslation';
+
+/**
+ * Coverage summary of the generated suite: number of cases per test type, ISTQB technique and
+ * priority, highlighting the categories without any case.
+ * @param {{cases: object[], outputLanguage: string}} props
+ */
+function CoverageSummary({ cases, outputLanguage }) {
+    const { t } = useTranslation();
+    const { total, groups } = summarizeCoverage(cases, outputLanguage);
+    const uncoveredCount = groups.reduce((sum, group) => sum + group.missing.length, 0);
+
+    return (
+        <div className="mt-8 bg-sky-50 p-6 rounded-lg border border-sky-200">
+            <h2 className="text-xl font-semibold text-gray-800 mb-1">{t('Resumen de Cobertura:')}</h2>
+            <p className="text-sm text-gray-600 mb-4">
+                {total === 1 ? t('1 caso (principales y de regresión).') : t('{count} casos (principales y de regresión).', { count: total })}
+                {uncoveredCount > 0 && <> {t('Categorías sin cobertura: {count}.', { count: uncoveredCount })}</>}
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                {groups.map(group => (
+                    <div key={group.id}>
+                        <h3 className="text-sm font-semibold text-gray-700 mb-2">{t(group.label)}</h3>
+                        <ul className="space-y-1 text-sm">
+                            {group.counts.map(({ value, count }) => (
+                                <li
+                                    key={value}
+                                    className={`flex justify-between px-2 py-1 rounded ${count === 0 ? 'bg-red-50 text-red-700' : 'bg-white text-gray-800'}`}
+                                >
+                                    <span>{value === UNSPECIFIED_LABEL ? t(value) : value}</span>
+                                    <span className="font-semibold">{count === 0 ? t('Sin cobertura') : count}</span>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+export default CoverageSummary;
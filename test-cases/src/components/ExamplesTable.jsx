@@ -0,0 +1,152 @@
+import React, { useState } from 'react';
+import { useTranslation } from '../hooks/useTranslation';
+
+const cellInputClassName = 'w-full min-w-[6rem] bg-white border border-gray-300 rounded px-2 py-1 text-sm text-gray-900 focus:border-blue-500 focus:outline-none';
+
+/**
+ * Editable cell of the examples table. Like the cells of the case table, it keeps a local draft
+ * while focused and commits it on blur, so a whole edit is a single undo step.
+ * @param {{value: string, label: string, isHeader: boolean, onCommit: function(string): void}} props
+ */
+function ExampleCell({ value, label, isHeader, onCommit }) {
+    const [draft, setDraft] = useState(null);
+    return (
+        <input
+            type="text"
+            value={draft === null ? value : draft}
+            onFocus={() => setDraft(value)}
+            onChange={(e) => setDraft(e.target.value)}
+            onBlur={() => {
+                if (draft !== null && draft !== value) {
+                    onCommit(isHeader ? draft.trim().replace(/^<|>$/g, '') : draft);
+                }
+                setDraft(null);
+            }}
+            className={`${cellInputClassName} ${isHeader ? 'font-semibold' : ''}`}
+            aria-label={label}
+        />
+    );
+}
+
+/**
+ * Examples table of a Scenario Outline: one column per parameter of the steps ("<monto>") and one
+ * row per run. Columns and rows can be edited, added and removed; a plain case can be turned into
+ * an outline, and an outline back into a plain case.
+ * @param {{examples: {headers: string[], rows: string[][]}|null, placeholders: string[],
+ *   onChange: function({headers: string[], rows: string[][]}|null): void}} props
+ */
+function ExamplesTable({ examples, placeholders, onChange }) {
+    const { t } = useTranslation();
+
+    if (!examples) {
+        return (
+            <div className="text-sm text-gray-700">
+                <p className="mb-2">
+                    {t('Este caso no es un Scenario Outline. Conviértelo en esquema para ejecutarlo con varios datos: escribe los parámetros entre ángulos en los pasos (por ejemplo {example}) y rellena una fila de ejemplos por ejecución.', { example: '<monto>' })}
+                </p>
+                <button
+                    onClick={() => {
+                        const headers = placeholders.length > 0 ? placeholders : ['parametro'];
+                        onChange({ headers, rows: [headers.map(() => '')] });
+                    }}
+                    className="py-1 px-3 rounded-md text-sm font-medium border bg-white border-emerald-300 text-emerald-700 hover:bg-emerald-100 transition duration-200"
+                >
+                    {t('Convertir en esquema')}
+                </button>
+            </div>
+        );
+    }
+
+    const { headers, rows } = examples;
+    const missingPlaceholders = placeholders.filter(name => !headers.includes(name));
+    const unusedHeaders = headers.filter(header => !placeholders.includes(header));
+
+    const updateHeader = (column, value) => {
+        onChange({ headers: headers.map((header, i) => (i === column ? value : header)), rows });
+    };
+
+    const updateCell = (rowIndex, column, value) => {
+        onChange({ headers, rows: rows.map((row, i) => (i === rowIndex ? row.map((cell, j) => (j === column ? value : cell)) : row)) });
+    };
+
+    const addColumns = (names) => {
+        onChange({ headers: [...headers, ...names], rows: rows.map(row => [...row, ...names.map(() => '')]) });
+    };
+
+    const deleteColumn = (column) => {
+        if (headers.length === 1) {
+            onChange(null);
+            return;
+        }
+        onChange({ headers: headers.filter((header, i) => i !== column), rows: rows.map(row => row.filter((cell, i) => i !== column)) });
+    };
+
+    const deleteRow = (rowIndex) => {
+        onChange(rows.length === 1 ? null : { headers, rows: rows.filter((row, i) => i !== rowIndex) });
+    };
+
+    return (
+        <div className="text-sm">
+            <table className="divide-y divide-gray-300 border border-gray-300 bg-white">
+                <thead className="bg-gray-100">
+                    <tr>
+                        {headers.map((header, column) => (
+                            <th key={column} scope="col" className="px-2 py-1 text-left">
+                                <div className="flex items-center space-x-1">
+                                    <ExampleCell value={header} label={t('Parámetro {number}', { number: column + 1 })} isHeader onCommit={(value) => updateHeader(column, value)} />
+                                    <button onClick={() => deleteColumn(column)} className="text-red-600 hover:text-red-800" title={t('Eliminar columna')} aria-label={t('Eliminar columna {name}', { name: header })}>
+                                        ✕
+                                    </button>
+                                </div>
+                            </th>
+                        ))}
+                        <th scope="col" className="px-2 py-1"><span className="sr-only">{t('Acciones')}</span></th>
+                    </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                    {rows.map((row, rowIndex) => (
+                        <tr key={rowIndex}>
+                            {row.map((cell, column) => (
+                                <td key={column} className="px-2 py-1">
+                                    <ExampleCell
+                                        value={cell}
+                                        label={t('{name}, ejemplo {number}', { name: headers[column], number: rowIndex + 1 })}
+                                        onCommit={(value) => updateCell(rowIndex, column, value)}
+                                    />
+                                </td>
+                            ))}
+                            <td className="px-2 py-1">
+                                <button onClick={() => deleteRow(rowIndex)} className="text-red-600 hover:text-red-800" title={t('Eliminar fila')} aria-label={t('Eliminar ejemplo {number}', { number: rowIndex + 1 })}>
+                                    ✕
+                                </button>
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+            <div className="mt-2 flex flex-wrap items-center gap-3">
+                <button onClick={() => onChange({ headers, rows: [...rows, headers.map(() => '')] })} className="text-emerald-700 hover:underline">
+                    {t('+ Fila')}
+                </button>
+                <button onClick={() => addColumns([`parametro${headers.length + 1}`])} className="text-emerald-700 hover:underline">
+                    {t('+ Columna')}
+                </button>
+                {missingPlaceholders.length > 0 && (
+                    <button onClick={() => addColumns(missingPlaceholders)} className="text-emerald-700 hover:underline">
+                        {t('+ Columnas de los parámetros sin ejemplos ({names})', { names: missingPlaceholders.map(name => `<${name}>`).join(', ') })}
+                    </button>
+                )}
+                <button onClick={() => onChange(null)} className="text-red-600 hover:underline" title={t('Quita la tabla de ejemplos y deja el caso como escenario simple')}>
+                    {t('Quitar ejemplos')}
+                </button>
+            </div>
+            {unusedHeaders.length > 0 && (
+                <p className="mt-2 text-xs text-amber-700">
+                    {t('Los pasos no usan {names}: escribe el parámetro en los pasos o elimina la columna.', { names: unusedHeaders.map(name => `<${name}>`).join(', ') })}
+                </p>
+            )}
+        </div>
+    );
+}
+
+export default ExamplesTable;
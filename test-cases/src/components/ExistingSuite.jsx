@@ -0,0 +1,80 @@
+import React, { useRef, useState } from 'react';
+import { parseSuiteFile } from '../utils/suite';
+import { useTranslation } from '../hooks/useTranslation';
+import { translateError } from '../i18n';
+
+/**
+ * Import of the team's existing test suite (CSV with the columns of the CSV export, or Gherkin
+ * .feature files). The generated cases are then flagged as new, duplicated or similar to it.
+ * @param {{suite: object[], onChange: function(object[]): void}} props
+ */
+function ExistingSuite({ suite, onChange }) {
+    const { t } = useTranslation();
+    const [importError, setImportError] = useState('');
+    const fileInputRef = useRef(null);
+    const sources = [...new Set(suite.map(testCase => testCase.source))];
+
+    const handleFilesChange = async (event) => {
+        const files = Array.from(event.target.files);
+        event.target.value = ''; // Allow importing the same files again
+        if (files.length === 0) {
+            return;
+        }
+        setImportError('');
+        try {
+            const imported = [];
+            for (const file of files) {
+                imported.push(...parseSuiteFile(file.name, await file.text()));
+            }
+            if (imported.length === 0) {
+                throw new Error(t('Los archivos no contienen casos de prueba.'));
+            }
+            // Importing a file again replaces its previous cases
+            const importedSources = new Set(files.map(file => file.name));
+            onChange([...suite.filter(testCase => !importedSources.has(testCase.source)), ...imported]);
+        } catch (error) {
+            console.error('Error al importar la suite existente:', error);
+            setImportError(t('No se pudo importar la suite: {message}', { message: translateError(error, t) }));
+        }
+    };
+
+    return (
+        <div className="mb-6 bg-gray-50 rounded-md border border-gray-200 px-4 py-3">
+            <div className="flex flex-wrap items-center gap-3">
+                <span className="text-gray-700 text-sm font-medium">{t('Suite existente:')}</span>
+                <span className="flex-1 text-sm text-gray-600" title={sources.join('\n')}>
+                    {suite.length > 0
+                        ? t(sources.length === 1
+                            ? '{count} casos de 1 archivo. Los casos generados se comparan con ella.'
+                            : '{count} casos de {files} archivos. Los casos generados se comparan con ella.', { count: suite.length, files: sources.length })
+                        : t('Ninguna. Impórtala para detectar casos generados duplicados.')}
+                </span>
+                <input
+                    type="file"
+                    accept=".csv,.feature,text/csv"
+                    multiple
+                    ref={fileInputRef}
+                    onChange={handleFilesChange}
+                    className="hidden"
+                />
+                <button
+                    onClick={() => fileInputRef.current.click()}
+                    className="py-2 px-3 rounded-md text-sm font-semibold text-gray-700 bg-gray-200 hover:bg-gray-300 transition duration-300"
+                >
+                    {t('Importar CSV / .feature')}
+                </button>
+                {suite.length > 0 && (
+                    <button
+                        onClick={() => onChange([])}
+                        className="py-2 px-3 rounded-md text-sm font-semibold text-red-700 bg-red-50 border border-red-200 hover:bg-red-100 transition duration-300"
+                    >
+                        {t('Quitar suite')}
+                    </button>
+                )}
+            </div>
+            {importError && <p className="mt-2 text-sm text-red-700">{importError}</p>}
+        </div>
+    );
+}
+
+export default ExistingSuite;
@@ -0,0 +1,175 @@
+import React, { useRef, useState } from 'react';
+import { getLocale } from '../i18n';
+import { useTranslation } from '../hooks/useTranslation';
+
+/**
+ * Checks whether a stored analysis matches the search text (name, Jira ID, story content or scenarios).
+ * @param {object} analysis The stored analysis.
+ * @param {string} query The lower-cased search text.
+ * @returns {boolean} Whether it matches.
+ */
+const matchesQuery = (analysis, query) => {
+    if (!query) {
+        return true;
+    }
+    const { testCases, regressionGherkinTestCases } = analysis.outputs || {};
+    const scenarios = [...(testCases || []), ...(regressionGherkinTestCases || [])].map(tc => tc.scenario);
+    return [analysis.name, analysis.jiraId, analysis.jiraContent, ...scenarios]
+        .some(text => typeof text === 'string' && text.toLowerCase().includes(query));
+};
+
+/**
+ * Formats an ISO timestamp for the list.
+ * @param {string} isoDate The timestamp.
+ * @param {string} language The interface language.
+ * @returns {string} The local date and time.
+ */
+const formatDate = (isoDate, language) => {
+    const date = new Date(isoDate);
+    return Number.isNaN(date.getTime()) ? '' : date.toLocaleString(getLocale(language), { dateStyle: 'short', timeStyle: 'short' });
+};
+
+/**
+ * Side panel listing the analyses stored in the browser: search, reopen, rename, delete,
+ * and export/import of the whole history as JSON.
+ * @param {{analyses: object[], currentId: string|null, onOpen: function(object): void,
+ *   onRename: function(string, string): void, onDelete: function(string): void,
+ *   onExport: function(): void, onImport: function(File): void, onClose: function(): void}} props
+ */
+function HistorySidebar({ analyses, currentId, onOpen, onRename, onDelete, onExport, onImport, onClose }) {
+    const { language, t } = useTranslation();
+    const [query, setQuery] = useState('');
+    // Analysis being renamed and its draft name
+    const [renamingId, setRenamingId] = useState(null);
+    const [nameDraft, setNameDraft] = useState('');
+    const importInputRef = useRef(null);
+
+    const visibleAnalyses = analyses.filter(analysis => matchesQuery(analysis, query.trim().toLowerCase()));
+
+    const startRename = (analysis) => {
+        setRenamingId(analysis.id);
+        setNameDraft(analysis.name);
+    };
+
+    const commitRename = () => {
+        if (nameDraft.trim()) {
+            onRename(renamingId, nameDraft.trim());
+        }
+        setRenamingId(null);
+    };
+
+    const handleDelete = (analysis) => {
+        if (window.confirm(t('¿Eliminar "{name}" del historial?', { name: analysis.name }))) {
+            onDelete(analysis.id);
+        }
+    };
+
+    const handleImportChange = (event) => {
+        const file = event.target.files[0];
+        event.target.value = ''; // Allow importing the same file again
+        if (file) {
+            onImport(file);
+        }
+    };
+
+    return (
+        <aside className="fixed inset-y-0 left-0 w-full max-w-sm bg-white border-r border-gray-200 shadow-xl z-40 flex flex-col" aria-label={t('Historial de análisis')}>
+            <div className="px-4 py-4 border-b border-gray-200 flex items-center justify-between">
+                <h2 className="text-lg font-semibold text-gray-800">{t('Historial de análisis')}</h2>
+                <button onClick={onClose} className="text-gray-500 hover:text-gray-800 text-xl leading-none" aria-label={t('Cerrar historial')}>
+                    ×
+                </button>
+            </div>
+
+            <div className="px-4 py-3 border-b border-gray-200">
+                <input
+                    type="search"
+                    value={query}
+                    onChange={(e) => setQuery(e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm"
+                    placeholder={t('Buscar por ID de Jira o texto...')}
+                    aria-label={t('Buscar en el historial')}
+                />
+            </div>
+
+            <ul className="flex-1 overflow-y-auto divide-y divide-gray-200">
+                {visibleAnalyses.length === 0 && (
+                    <li className="px-4 py-6 text-sm text-gray-500 text-center">
+                        {analyses.length === 0 ? t('Todavía no hay análisis guardados.') : t('Ningún análisis coincide con la búsqueda.')}
+                    </li>
+                )}
+                {visibleAnalyses.map(analysis => {
+                    const { testCases, regressionGherkinTestCases } = analysis.outputs || {};
+                    const caseCount = (testCases || []).length + (regressionGherkinTestCases || []).length;
+                    return (
+                        <li key={analysis.id} className={`px-4 py-3 ${analysis.id === currentId ? 'bg-blue-50' : ''}`}>
+                            {renamingId === analysis.id ? (
+                                <input
+                                    type="text"
+                                    value={nameDraft}
+                                    onChange={(e) => setNameDraft(e.target.value)}
+                                    onBlur={commitRename}
+                                    onKeyDown={(e) => {
+                                        if (e.key === 'Enter') {
+                                            commitRename();
+                                        } else if (e.key === 'Escape') {
+                                            setRenamingId(null);
+                                        }
+                                    }}
+                                    className="w-full px-2 py-1 border border-blue-500 rounded text-sm"
+                                    aria-label={t('Nuevo nombre')}
+                                    autoFocus
+                                />
+                            ) : (
+                                <p className="font-semibold text-gray-800 text-sm break-words">{analysis.name}</p>
+                            )}
+                            <p className="text-xs text-gray-500 mt-1">
+                                {analysis.jiraId && <>{analysis.jiraId} · </>}
+                                {formatDate(analysis.createdAt, language)} · {t('{count} casos', { count: caseCount })}
+                            </p>
+                            {analysis.model && (
+                                <p className="text-xs text-gray-500">{analysis.provider} / {analysis.model}{analysis.promptProfile && <> · {analysis.promptProfile}</>}</p>
+                            )}
+                            <div className="mt-2 text-sm space-x-3">
+                                <button onClick={() => onOpen(analysis)} className="text-blue-600 hover:underline">
+                                    {t('Abrir')}
+                                </button>
+                                <button onClick={() => startRename(analysis)} className="text-gray-700 hover:underline">
+                                    {t('Renombrar')}
+                                </button>
+                                <button onClick={() => handleDelete(analysis)} className="text-red-600 hover:underline">
+                                    {t('Eliminar')}
+                                </button>
+                            </div>
+                        </li>
+                    );
+                })}
+            </ul>
+
+            <div className="px-4 py-3 border-t border-gray-200 flex space-x-2">
+                <button
+                    onClick={onExport}
+                    disabled={analyses.length === 0}
+                    className={`flex-1 py-2 px-3 rounded-md text-sm font-semibold text-white transition duration-300 ${analyses.length === 0 ? 'bg-gray-400 cursor-not-allowed' : 'bg-green-600 hover:bg-green-700'}`}
+                >
+                    {t('Exportar JSON')}
+                </button>
+                <input
+                    type="file"
+                    accept=".json,application/json"
+                    ref={importInputRef}
+                    onChange={handleImportChange}
+                    className="hidden"
+                />
+                <button
+                    onClick={() => importInputRef.current.click()}
+                    className="flex-1 py-2 px-3 rounded-md text-sm font-semibold text-gray-700 bg-gray-200 hover:bg-gray-300 transition duration-300"
+                >
+                    {t('Importar JSON')}
+                </button>
+            </div>
+        </aside>
+    );
+}
+
+export default HistorySidebar;
@@ -0,0 +1,177 @@
+import React, { useState } from 'react';
+import { RISK_LEVEL_OPTIONS, buildRiskRows, getRiskLevel, getRiskScore } from '../utils/impacts';
+import { useTranslation } from '../hooks/useTranslation';
+
+/**
+ * Sort weight of a severity or probability (0 when unknown).
+ * @param {string} level The level.
+ * @returns {number} The weight.
+ */
+const levelWeight = (level) => (RISK_LEVEL_OPTIONS.includes(level) ? RISK_LEVEL_OPTIONS.length - RISK_LEVEL_OPTIONS.indexOf(level) : 0);
+
+// Sortable columns of the risk table, and the value each one sorts by
+const SORT_VALUES = {
+    id: ({ impact }) => Number(impact.id.replace(/\D/g, '')) || 0,
+    area: ({ impact }) => impact.area.toLowerCase(),
+    severity: ({ impact }) => levelWeight(impact.severity),
+    probability: ({ impact }) => levelWeight(impact.probability),
+    riskScore: ({ riskScore }) => riskScore || 0,
+    cases: ({ caseIndexes }) => caseIndexes.length
+};
+
+// Columns of the risk table ("field" is the sort key, if sortable)
+const COLUMNS = [
+    { field: 'id', label: 'ID' },
+    { field: 'area', label: 'Área / módulo' },
+    { field: null, label: 'Descripción' },
+    { field: 'severity', label: 'Severidad' },
+    { field: 'probability', label: 'Probabilidad' },
+    { field: 'riskScore', label: 'Riesgo' },
+    { field: 'cases', label: 'Pruebas que lo mitigan' }
+];
+
+// Colour of each risk level, in the table and the heat map
+const RISK_LEVEL_CLASSES = {
+    Alto: 'bg-red-200 text-red-900',
+    Medio: 'bg-yellow-200 text-yellow-900',
+    Bajo: 'bg-green-200 text-green-900',
+    '': 'bg-gray-100 text-gray-500'
+};
+
+const headerClassName = 'px-3 py-2 text-left text-xs font-medium text-gray-700 uppercase tracking-wider';
+
+/**
+ * Impacts of the change as a sortable risk table (severity and probability can be changed) and a
+ * severity × probability heat map. Each impact lists the regression cases that mitigate it.
+ * @param {{impacts: object[], cases: object[], onChange: function(object[]): void}} props
+ */
+function ImpactRiskTable({ impacts, cases, onChange }) {
+    const { t } = useTranslation();
+    const [sort, setSort] = useState({ field: 'riskScore', descending: true });
+    const rows = buildRiskRows(impacts, cases);
+    const sortedRows = [...rows].sort((a, b) => {
+        const valueA = SORT_VALUES[sort.field](a);
+        const valueB = SORT_VALUES[sort.field](b);
+        const order = valueA < valueB ? -1 : (valueA > valueB ? 1 : 0);
+        return sort.descending ? -order : order;
+    });
+
+    const toggleSort = (field) => {
+        setSort(current => ({ field, descending: current.field === field ? !current.descending : true }));
+    };
+
+    const updateImpact = (id, field, value) => {
+        onChange(impacts.map(impact => (impact.id === id ? { ...impact, [field]: value } : impact)));
+    };
+
+    const renderLevelSelect = (impact, field, label) => (
+        <select
+            value={impact[field]}
+            onChange={(e) => updateImpact(impact.id, field, e.target.value)}
+            className="bg-transparent border border-gray-300 rounded px-1 py-0.5 text-sm focus:border-blue-500 focus:outline-none"
+            aria-label={t('{label} de {id}', { label, id: impact.id })}
+        >
+            {!impact[field] && <option value="">—</option>}
+            {RISK_LEVEL_OPTIONS.map(level => (
+                <option key={level} value={level}>{t(level)}</option>
+            ))}
+        </select>
+    );
+
+    return (
+        <div className="mt-8 bg-orange-50 p-6 rounded-lg border border-orange-200 overflow-x-auto">
+            <h2 className="text-xl font-semibold text-gray-800 mb-4">{t('Impactos Sugeridos (análisis de riesgo):')}</h2>
+            <div className="flex flex-col lg:flex-row gap-6">
+                <table className="flex-1 min-w-full lg:min-w-0 text-sm divide-y divide-orange-200 bg-white rounded-md shadow-sm">
+                    <thead className="bg-orange-100">
+                        <tr>
+                            {COLUMNS.map(column => (
+                                <th
+                                    key={column.label}
+                                    scope="col"
+                                    className={headerClassName}
+                                    aria-sort={sort.field === column.field ? (sort.descending ? 'descending' : 'ascending') : undefined}
+                                >
+                                    {column.field ? (
+                                        <button onClick={() => toggleSort(column.field)} className="uppercase tracking-wider hover:text-gray-900">
+                                            {t(column.label)}{sort.field === column.field ? (sort.descending ? ' ▼' : ' ▲') : ''}
+                                        </button>
+                                    ) : t(column.label)}
+                                </th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                        {sortedRows.map(({ impact, riskScore, riskLevel, caseIndexes }) => (
+                            <tr key={impact.id}>
+                                <td className="px-3 py-2 align-top font-semibold whitespace-nowrap">{impact.id}</td>
+                                <td className="px-3 py-2 align-top">{impact.area || '—'}</td>
+                                <td className="px-3 py-2 align-top min-w-[16rem]">{impact.description}</td>
+                                <td className="px-3 py-2 align-top">{renderLevelSelect(impact, 'severity', t('Severidad'))}</td>
+                                <td className="px-3 py-2 align-top">{renderLevelSelect(impact, 'probability', t('Probabilidad'))}</td>
+                                <td className="px-3 py-2 align-top whitespace-nowrap">
+                                    <span className={`inline-block px-2 py-0.5 rounded text-xs font-semibold ${RISK_LEVEL_CLASSES[riskLevel]}`}>
+                                        {riskScore ? `${riskScore} · ${t(riskLevel)}` : t('Sin evaluar')}
+                                    </span>
+                                </td>
+                                <td className={`px-3 py-2 align-top ${caseIndexes.length === 0 ? 'text-red-700' : 'text-gray-800'}`}>
+                                    {caseIndexes.length === 0
+                                        ? t('Sin pruebas')
+                                        : caseIndexes.map(index => (
+                                            <span key={index} className="block" title={cases[index].scenario}>
+                                                #{index + 1} {cases[index].scenario}
+                                            </span>
+                                        ))}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+
+                {/* Heat map: severity (rows) × probability (columns) */}
+                <div>
+                    <h3 className="text-sm font-semibold text-gray-700 mb-2">{t('Mapa de calor')}</h3>
+                    <table className="text-xs text-center border-separate border-spacing-1">
+                        <thead>
+                            <tr>
+                                <th scope="col" className="px-1 text-gray-500 font-normal">{t('Sev. \\ Prob.')}</th>
+                                {[...RISK_LEVEL_OPTIONS].reverse().map(probability => (
+                                    <th key={probability} scope="col" className="px-1 text-gray-700 font-medium">{t(probability)}</th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {RISK_LEVEL_OPTIONS.map(severity => (
+                                <tr key={severity}>
+                                    <th scope="row" className="px-1 text-gray-700 font-medium text-right">{t(severity)}</th>
+                                    {[...RISK_LEVEL_OPTIONS].reverse().map(probability => {
+                                        const ids = impacts
+                                            .filter(impact => impact.severity === severity && impact.probability === probability)
+                                            .map(impact => impact.id);
+                                        const level = getRiskLevel(getRiskScore({ severity, probability }));
+                                        return (
+                                            <td
+                                                key={probability}
+                                                title={ids.join(', ')}
+                                                className={`w-16 h-12 rounded ${RISK_LEVEL_CLASSES[level]} ${ids.length === 0 ? 'opacity-40' : 'font-semibold'}`}
+                                            >
+                                                {ids.length > 0 ? ids.length : ''}
+                                            </td>
+                                        );
+                                    })}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    {rows.some(row => !row.riskScore) && (
+                        <p className="mt-2 text-xs text-gray-600 max-w-[14rem]">
+                            {t('Los impactos sin severidad o probabilidad no aparecen en el mapa.')}
+                        </p>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default ImpactRiskTable;
@@ -0,0 +1,179 @@
+import React, { useState } from 'react';
+import { buildScenarioSteps } from '../utils/gherkin';
+import { publishTestsToJira } from '../utils/jira';
+import { useTranslation } from '../hooks/useTranslation';
+import { translateError } from '../i18n';
+
+/**
+ * Converts a generated case into the Test issue sent to the server.
+ * @param {object} testCase The test case.
+ * @param {boolean} isRegression Whether the case comes from the regression suite.
+ * @param {string} language The Gherkin language of the steps.
+ * @returns {{summary: string, gherkin: string, priority: string, labels: string[]}} The test.
+ */
+const toJiraTest = (testCase, isRegression, language) => ({
+    summary: testCase.scenario,
+    gherkin: buildScenarioSteps(testCase, language),
+    priority: testCase.priority,
+    labels: ['generado-ia', ...(isRegression ? ['regresion'] : [])]
+});
+
+/**
+ * Modal that previews the Test issues to create in Jira / Xray, publishes the selected ones
+ * and reports the created keys and the failures.
+ * @param {{entries: {testCase: object, isRegression: boolean}[], storyKey: string, language: string, onClose: function(): void}} props
+ */
+function JiraPublishDialog({ entries, storyKey, language, onClose }) {
+    const { t } = useTranslation();
+    const [selected, setSelected] = useState(() => entries.map(() => true));
+    const [isPublishing, setIsPublishing] = useState(false);
+    const [results, setResults] = useState(null);
+    const [publishError, setPublishError] = useState('');
+
+    const selectedCount = selected.filter(Boolean).length;
+
+    const toggleCase = (index) => {
+        setSelected(selected.map((value, i) => (i === index ? !value : value)));
+    };
+
+    const toggleAll = () => {
+        setSelected(entries.map(() => selectedCount !== entries.length));
+    };
+
+    const handlePublish = async () => {
+        setIsPublishing(true);
+        setPublishError('');
+        try {
+            const selectedEntries = entries.filter((entry, index) => selected[index]);
+            const publishResults = await publishTestsToJira(
+                storyKey,
+                selectedEntries.map(({ testCase, isRegression }) => toJiraTest(testCase, isRegression, language))
+            );
+            setResults(publishResults);
+        } catch (error) {
+            console.error('Error al publicar en Jira:', error);
+            setPublishError(t('No se pudieron publicar los casos: {message}', { message: translateError(error, t) }));
+        } finally {
+            setIsPublishing(false);
+        }
+    };
+
+    const createdCount = results ? results.filter(result => result.key).length : 0;
+    const failedCount = results ? results.filter(result => result.error).length : 0;
+
+    return (
+        <div className="fixed inset-0 bg-black/40 flex items-center justify-center p-4 z-50" role="dialog" aria-modal="true">
+            <div className="bg-white rounded-lg shadow-xl w-full max-w-4xl max-h-full flex flex-col">
+                <div className="px-6 py-4 border-b border-gray-200">
+                    <h2 className="text-xl font-semibold text-gray-800">{t('Publicar en Jira')}</h2>
+                    <p className="text-sm text-gray-600 mt-1">
+                        {t('Se creará una incidencia de tipo Test (Cucumber) por cada caso seleccionado, vinculada a {storyKey}.', { storyKey })}
+                    </p>
+                </div>
+
+                <div className="px-6 py-4 overflow-y-auto flex-1">
+                    {publishError && (
+                        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-4" role="alert">
+                            <strong className="font-bold">{t('¡Error!')}</strong>
+                            <span className="block sm:inline ml-2">{publishError}</span>
+                        </div>
+                    )}
+
+                    {results ? (
+                        <>
+                            <p className="text-sm text-gray-700 mb-4">
+                                {t('{created} creados · {failed} con errores', { created: createdCount, failed: failedCount })}
+                            </p>
+                            <table className="min-w-full divide-y divide-gray-300 text-sm">
+                                <thead className="bg-gray-200">
+                                    <tr>
+                                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">{t('Escenario')}</th>
+                                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">Test</th>
+                                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">{t('Resultado')}</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white divide-y divide-gray-200">
+                                    {results.map(result => (
+                                        <tr key={result.index}>
+                                            <td className="px-4 py-2 text-gray-900">{result.summary}</td>
+                                            <td className="px-4 py-2">
+                                                {result.key ? (
+                                                    <a href={result.url} target="_blank" rel="noreferrer" className="text-blue-600 hover:underline">{result.key}</a>
+                                                ) : '—'}
+                                            </td>
+                                            <td className={`px-4 py-2 ${result.error ? 'text-red-700' : 'text-green-700'}`}>
+                                                {result.error || t('Creado y vinculado')}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </>
+                    ) : (
+                        <table className="min-w-full divide-y divide-gray-300 text-sm">
+                            <thead className="bg-gray-200">
+                                <tr>
+                                    <th className="px-4 py-2 text-left">
+                                        <input
+                                            type="checkbox"
+                                            checked={selectedCount === entries.length}
+                                            onChange={toggleAll}
+                                            aria-label={t('Seleccionar todos')}
+                                        />
+                                    </th>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">{t('Prioridad')}</th>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">{t('Escenario')}</th>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">{t('Pasos (Gherkin)')}</th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {entries.map(({ testCase, isRegression }, index) => (
+                                    <tr key={index} className={selected[index] ? '' : 'opacity-50'}>
+                                        <td className="px-4 py-2 align-top">
+                                            <input
+                                                type="checkbox"
+                                                checked={selected[index]}
+                                                onChange={() => toggleCase(index)}
+                                                aria-label={t('Seleccionar {scenario}', { scenario: testCase.scenario })}
+                                            />
+                                        </td>
+                                        <td className="px-4 py-2 align-top text-gray-900">{testCase.priority}</td>
+                                        <td className="px-4 py-2 align-top text-gray-900">
+                                            {testCase.scenario}
+                                            {isRegression && <span className="ml-2 text-xs text-green-700">{t('(regresión)')}</span>}
+                                        </td>
+                                        <td className="px-4 py-2 align-top">
+                                            <pre className="whitespace-pre-wrap font-mono text-xs text-gray-800">{buildScenarioSteps(testCase, language)}</pre>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+
+                <div className="px-6 py-4 border-t border-gray-200 flex justify-end space-x-4">
+                    <button
+                        onClick={onClose}
+                        disabled={isPublishing}
+                        className="py-2 px-4 rounded-md text-gray-700 font-semibold bg-gray-200 hover:bg-gray-300 transition duration-300"
+                    >
+                        {results ? t('Cerrar') : t('Cancelar')}
+                    </button>
+                    {!results && (
+                        <button
+                            onClick={handlePublish}
+                            disabled={isPublishing || selectedCount === 0}
+                            className={`py-2 px-4 rounded-md text-white font-semibold transition duration-300 ${isPublishing || selectedCount === 0 ? 'bg-gray-400 cursor-not-allowed' : 'bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2'
+                                }`}
+                        >
+                            {isPublishing ? t('Publicando...') : t('Confirmar y crear {count} tests', { count: selectedCount })}
+                        </button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default JiraPublishDialog;
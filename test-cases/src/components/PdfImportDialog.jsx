@@ -0,0 +1,159 @@
+import React, { useState } from 'react';
+import { formatPageRange, parsePageRange } from '../utils/documentImport';
+import { useTranslation } from '../hooks/useTranslation';
+import { translateError } from '../i18n';
+
+/**
+ * Modal shown while a PDF is imported: asks for the password of a protected PDF, or previews the
+ * text of each page so that only some pages (a range or a selection) are imported.
+ * @param {{request: {type: string, fileName: string, incorrect?: boolean, pages?: object[]}, onAnswer: function(*): void}} props
+ *   "request.type" is "password" or "pages"; onAnswer receives the password or the page numbers,
+ *   or null when the import of the file is cancelled.
+ */
+function PdfImportDialog({ request, onAnswer }) {
+    const { t } = useTranslation();
+    const [password, setPassword] = useState('');
+    const [selected, setSelected] = useState(() => (request.pages || []).map(page => page.number));
+    const [pageRange, setPageRange] = useState(() => formatPageRange(selected));
+    const [rangeError, setRangeError] = useState('');
+
+    const pageCount = request.pages ? request.pages.length : 0;
+    const ocrCount = request.pages ? request.pages.filter(page => page.needsOcr && selected.includes(page.number)).length : 0;
+
+    const handleRangeChange = (value) => {
+        setPageRange(value);
+        try {
+            setSelected(parsePageRange(value, pageCount));
+            setRangeError('');
+        } catch (error) {
+            setRangeError(translateError(error, t));
+        }
+    };
+
+    const togglePage = (number) => {
+        const numbers = selected.includes(number)
+            ? selected.filter(value => value !== number)
+            : [...selected, number].sort((a, b) => a - b);
+        setSelected(numbers);
+        setPageRange(formatPageRange(numbers));
+        setRangeError('');
+    };
+
+    const handlePasswordSubmit = (event) => {
+        event.preventDefault();
+        onAnswer(password);
+    };
+
+    if (request.type === 'password') {
+        return (
+            <div className="fixed inset-0 bg-black/40 flex items-center justify-center p-4 z-50" role="dialog" aria-modal="true">
+                <form onSubmit={handlePasswordSubmit} className="bg-white rounded-lg shadow-xl w-full max-w-md">
+                    <div className="px-6 py-4 border-b border-gray-200">
+                        <h2 className="text-xl font-semibold text-gray-800">{t('PDF protegido')}</h2>
+                        <p className="text-sm text-gray-600 mt-1">
+                            {t('{fileName} está protegido con contraseña.', { fileName: request.fileName })}
+                        </p>
+                    </div>
+                    <div className="px-6 py-4">
+                        <label htmlFor="pdfPassword" className="block text-gray-700 text-sm font-medium mb-2">{t('Contraseña:')}</label>
+                        <input
+                            type="password"
+                            id="pdfPassword"
+                            value={password}
+                            onChange={(e) => setPassword(e.target.value)}
+                            autoFocus
+                            className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-purple-500 focus:border-purple-500 transition duration-200"
+                        />
+                        {request.incorrect && <p className="mt-2 text-sm text-red-700">{t('La contraseña no es correcta.')}</p>}
+                    </div>
+                    <div className="px-6 py-4 border-t border-gray-200 flex justify-end space-x-4">
+                        <button
+                            type="button"
+                            onClick={() => onAnswer(null)}
+                            className="py-2 px-4 rounded-md text-gray-700 font-semibold bg-gray-200 hover:bg-gray-300 transition duration-300"
+                        >
+                            {t('Cancelar')}
+                        </button>
+                        <button
+                            type="submit"
+                            disabled={!password}
+                            className={`py-2 px-4 rounded-md text-white font-semibold transition duration-300 ${!password ? 'bg-gray-400 cursor-not-allowed' : 'bg-purple-600 hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-offset-2'
+                                }`}
+                        >
+                            {t('Abrir')}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        );
+    }
+
+    return (
+        <div className="fixed inset-0 bg-black/40 flex items-center justify-center p-4 z-50" role="dialog" aria-modal="true">
+            <div className="bg-white rounded-lg shadow-xl w-full max-w-4xl max-h-full flex flex-col">
+                <div className="px-6 py-4 border-b border-gray-200">
+                    <h2 className="text-xl font-semibold text-gray-800">{t('Importar {fileName}', { fileName: request.fileName })}</h2>
+                    <p className="text-sm text-gray-600 mt-1">
+                        {t(pageCount === 1 ? 'Revisa el texto de cada página y elige las que se importan (1 página).' : 'Revisa el texto de cada página y elige las que se importan ({count} páginas).', { count: pageCount })}
+                    </p>
+                    <div className="mt-3 flex flex-wrap items-center gap-3">
+                        <label htmlFor="pdfPageRange" className="text-gray-700 text-sm font-medium">{t('Páginas:')}</label>
+                        <input
+                            type="text"
+                            id="pdfPageRange"
+                            value={pageRange}
+                            onChange={(e) => handleRangeChange(e.target.value)}
+                            placeholder={t('Ej: 1-3, 5')}
+                            className="px-3 py-1 border border-gray-300 rounded-md focus:ring-purple-500 focus:border-purple-500 transition duration-200"
+                        />
+                        {rangeError && <span className="text-sm text-red-700">{rangeError}</span>}
+                    </div>
+                </div>
+
+                <div className="px-6 py-4 overflow-y-auto flex-1 space-y-3">
+                    {request.pages.map(page => (
+                        <div
+                            key={page.number}
+                            className={`border rounded-md p-3 ${selected.includes(page.number) ? 'border-purple-300 bg-purple-50' : 'border-gray-200 opacity-50'}`}
+                        >
+                            <label className="flex items-center text-sm font-semibold text-gray-800">
+                                <input
+                                    type="checkbox"
+                                    checked={selected.includes(page.number)}
+                                    onChange={() => togglePage(page.number)}
+                                    className="mr-2"
+                                />
+                                {t('Página {number}', { number: page.number })}
+                                {page.needsOcr && (
+                                    <span className="ml-2 text-xs font-normal text-orange-700">{t('Escaneada: se leerá con OCR')}</span>
+                                )}
+                            </label>
+                            <pre className="mt-2 max-h-40 overflow-y-auto whitespace-pre-wrap font-mono text-xs text-gray-800">
+                                {page.text || t('(sin texto)')}
+                            </pre>
+                        </div>
+                    ))}
+                </div>
+
+                <div className="px-6 py-4 border-t border-gray-200 flex justify-end space-x-4">
+                    <button
+                        onClick={() => onAnswer(null)}
+                        className="py-2 px-4 rounded-md text-gray-700 font-semibold bg-gray-200 hover:bg-gray-300 transition duration-300"
+                    >
+                        {t('Omitir archivo')}
+                    </button>
+                    <button
+                        onClick={() => onAnswer(selected)}
+                        disabled={selected.length === 0 || Boolean(rangeError)}
+                        className={`py-2 px-4 rounded-md text-white font-semibold transition duration-300 ${selected.length === 0 || rangeError ? 'bg-gray-400 cursor-not-allowed' : 'bg-purple-600 hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-offset-2'
+                            }`}
+                    >
+                        {`${t(selected.length === 1 ? 'Importar 1 página' : 'Importar {count} páginas', { count: selected.length })}${ocrCount > 0 ? ` ${t('({count} con OCR)', { count: ocrCount })}` : ''}`}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default PdfImportDialog;
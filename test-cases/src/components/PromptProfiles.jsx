@@ -0,0 +1,203 @@
+import React, { useRef, useState } from 'react';
+import {
+    TEMPLATE_VARIABLES,
+    createPromptProfile,
+    exportPromptProfiles,
+    findMissingVariables,
+    importPromptProfiles
+} from '../utils/promptProfiles';
+import { downloadBlob } from '../utils/download';
+import { useTranslation } from '../hooks/useTranslation';
+import { translateError } from '../i18n';
+
+// Template fields of a profile, as shown in the editor
+const TEMPLATE_FIELDS = [
+    { field: 'analysisTemplate', label: 'Plantilla del análisis (casos, impactos y regresión)' },
+    { field: 'regressionTemplate', label: 'Plantilla de los casos de regresión' }
+];
+
+/**
+ * QA profile selector with a template editor: profiles can be duplicated, edited (except the
+ * built-in ones), deleted, and exported or imported as JSON.
+ * @param {{profiles: object[], selectedId: string, onSelect: function(string): void,
+ *   onChange: function(object[]): void, disabled: boolean}} props
+ */
+function PromptProfiles({ profiles, selectedId, onSelect, onChange, disabled }) {
+    const { t } = useTranslation();
+    const [isEditorOpen, setIsEditorOpen] = useState(false);
+    const [importError, setImportError] = useState('');
+    const importInputRef = useRef(null);
+    const profile = profiles.find(p => p.id === selectedId) || profiles[0];
+
+    const updateProfile = (field, value) => {
+        onChange(profiles.map(p => (p.id === profile.id ? { ...p, [field]: value } : p)));
+    };
+
+    const handleDuplicate = () => {
+        const copy = createPromptProfile(profile, t('{name} (copia)', { name: profile.builtIn ? t(profile.name) : profile.name }));
+        onChange([...profiles, copy]);
+        onSelect(copy.id);
+        setIsEditorOpen(true);
+    };
+
+    const handleDelete = () => {
+        if (!window.confirm(t('¿Eliminar el perfil "{name}"?', { name: profile.name }))) {
+            return;
+        }
+        onChange(profiles.filter(p => p.id !== profile.id));
+        onSelect(profiles[0].id);
+    };
+
+    const handleExport = () => {
+        const json = exportPromptProfiles(profiles);
+        downloadBlob(new Blob([json], { type: 'application/json;charset=utf-8;' }), 'perfiles_prompt.json');
+    };
+
+    const handleImportChange = async (event) => {
+        const file = event.target.files[0];
+        event.target.value = ''; // Allow importing the same file again
+        if (!file) {
+            return;
+        }
+        setImportError('');
+        try {
+            const { profiles: updated, count } = importPromptProfiles(await file.text(), profiles);
+            if (count === 0) {
+                throw new Error(t('El archivo no contiene perfiles válidos.'));
+            }
+            onChange(updated);
+        } catch (error) {
+            console.error('Error al importar los perfiles de prompt:', error);
+            setImportError(t('No se pudieron importar los perfiles: {message}', { message: translateError(error, t) }));
+        }
+    };
+
+    const hasCustomProfiles = profiles.some(p => !p.builtIn);
+
+    return (
+        <div className="mb-6 bg-gray-50 rounded-md border border-gray-200 px-4 py-3">
+            <div className="flex flex-wrap items-center gap-3">
+                <label htmlFor="promptProfile" className="text-gray-700 text-sm font-medium">
+                    {t('Perfil de QA:')}
+                </label>
+                <select
+                    id="promptProfile"
+                    value={profile.id}
+                    onChange={(e) => onSelect(e.target.value)}
+                    disabled={disabled}
+                    className="flex-1 min-w-48 px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                >
+                    {profiles.map(p => (
+                        <option key={p.id} value={p.id}>{p.builtIn ? t('{name} (predefinido)', { name: t(p.name) }) : p.name}</option>
+                    ))}
+                </select>
+                <button
+                    onClick={() => setIsEditorOpen(open => !open)}
+                    className="py-2 px-3 rounded-md text-sm font-semibold text-gray-700 bg-gray-200 hover:bg-gray-300 transition duration-300"
+                >
+                    {isEditorOpen ? t('Ocultar plantillas') : t('Editar plantillas')}
+                </button>
+            </div>
+
+            {isEditorOpen && (
+                <div className="mt-4 space-y-4">
+                    {profile.builtIn ? (
+                        <p className="text-sm text-gray-600">
+                            {t('Los perfiles predefinidos no se pueden modificar. Duplícalo para crear tu propia versión.')}
+                        </p>
+                    ) : (
+                        <div>
+                            <label htmlFor="promptProfileName" className="block text-gray-700 text-sm font-medium mb-2">
+                                {t('Nombre del perfil:')}
+                            </label>
+                            <input
+                                type="text"
+                                id="promptProfileName"
+                                value={profile.name}
+                                onChange={(e) => updateProfile('name', e.target.value)}
+                                disabled={disabled}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                            />
+                        </div>
+                    )}
+
+                    {TEMPLATE_FIELDS.map(({ field, label }) => {
+                        const missing = findMissingVariables(profile[field], field);
+                        return (
+                            <div key={field}>
+                                <label htmlFor={`promptProfile-${field}`} className="block text-gray-700 text-sm font-medium mb-2">
+                                    {t(label)}:
+                                </label>
+                                <textarea
+                                    id={`promptProfile-${field}`}
+                                    rows="10"
+                                    value={profile[field]}
+                                    onChange={(e) => updateProfile(field, e.target.value)}
+                                    readOnly={profile.builtIn}
+                                    disabled={disabled}
+                                    className={`w-full px-3 py-2 border border-gray-300 rounded-md font-mono text-xs resize-y focus:ring-blue-500 focus:border-blue-500 ${profile.builtIn ? 'bg-gray-100 text-gray-600' : ''}`}
+                                ></textarea>
+                                <p className="mt-1 text-xs text-gray-500">
+                                    {t('Variables:')} {TEMPLATE_VARIABLES[field].map(variable => (
+                                        <span key={variable.name} className="mr-3">
+                                            <code>{`{{${variable.name}}}`}</code>: {t(variable.description)}
+                                        </span>
+                                    ))}
+                                </p>
+                                {missing.length > 0 && (
+                                    <p className="mt-1 text-xs text-yellow-700">
+                                        {t('La plantilla no usa {names}: esos datos no se enviarán a la IA.', { names: missing.map(name => `{{${name}}}`).join(', ') })}
+                                    </p>
+                                )}
+                            </div>
+                        );
+                    })}
+
+                    <div className="flex flex-wrap gap-2">
+                        <button
+                            onClick={handleDuplicate}
+                            disabled={disabled}
+                            className={`py-2 px-3 rounded-md text-sm font-semibold text-white transition duration-300 ${disabled ? 'bg-gray-400 cursor-not-allowed' : 'bg-blue-600 hover:bg-blue-700'}`}
+                        >
+                            {t('Duplicar perfil')}
+                        </button>
+                        {!profile.builtIn && (
+                            <button
+                                onClick={handleDelete}
+                                disabled={disabled}
+                                className={`py-2 px-3 rounded-md text-sm font-semibold text-white transition duration-300 ${disabled ? 'bg-gray-400 cursor-not-allowed' : 'bg-red-600 hover:bg-red-700'}`}
+                            >
+                                {t('Eliminar perfil')}
+                            </button>
+                        )}
+                        <button
+                            onClick={handleExport}
+                            disabled={!hasCustomProfiles}
+                            title={t('Exporta los perfiles propios (los predefinidos ya vienen con la aplicación)')}
+                            className={`py-2 px-3 rounded-md text-sm font-semibold text-white transition duration-300 ${hasCustomProfiles ? 'bg-green-600 hover:bg-green-700' : 'bg-gray-400 cursor-not-allowed'}`}
+                        >
+                            {t('Exportar JSON')}
+                        </button>
+                        <input
+                            type="file"
+                            accept=".json,application/json"
+                            ref={importInputRef}
+                            onChange={handleImportChange}
+                            className="hidden"
+                        />
+                        <button
+                            onClick={() => importInputRef.current.click()}
+                            disabled={disabled}
+                            className="py-2 px-3 rounded-md text-sm font-semibold text-gray-700 bg-gray-200 hover:bg-gray-300 transition duration-300"
+                        >
+                            {t('Importar JSON')}
+                        </button>
+                    </div>
+                    {importError && <p className="text-sm text-red-700">{importError}</p>}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default PromptProfiles;
@@ -0,0 +1,100 @@
+import React from 'react';
+import { PROVIDERS, getDefaultProviderSettings } from '../providers';
+import { useTranslation } from '../hooks/useTranslation';
+
+/**
+ * Collapsible panel to choose the AI provider, model and endpoint.
+ * @param {{settings: object, onChange: function(object): void, disabled: boolean}} props
+ */
+function ProviderSettings({ settings, onChange, disabled }) {
+    const { t } = useTranslation();
+    const provider = PROVIDERS[settings.providerId];
+
+    const updateField = (field, value) => {
+        onChange({ ...settings, [field]: value });
+    };
+
+    // Switching provider resets model and endpoint to that provider's defaults
+    const handleProviderChange = (providerId) => {
+        onChange(getDefaultProviderSettings(providerId));
+    };
+
+    return (
+        <details className="mb-6 bg-gray-50 rounded-md border border-gray-200">
+            <summary className="cursor-pointer px-4 py-2 text-gray-700 text-sm font-medium">
+                {t('Configuración del modelo de IA:')} <span className="font-semibold">{t(provider.label)}</span> · {settings.model}
+            </summary>
+            <div className="px-4 pb-4 pt-2 grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                    <label htmlFor="providerId" className="block text-gray-700 text-sm font-medium mb-2">
+                        {t('Proveedor:')}
+                    </label>
+                    <select
+                        id="providerId"
+                        value={settings.providerId}
+                        onChange={(e) => handleProviderChange(e.target.value)}
+                        disabled={disabled}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                    >
+                        {Object.values(PROVIDERS).map(p => (
+                            <option key={p.id} value={p.id}>{t(p.label)}</option>
+                        ))}
+                    </select>
+                </div>
+                <div>
+                    <label htmlFor="providerModel" className="block text-gray-700 text-sm font-medium mb-2">
+                        {t('Modelo:')}
+                    </label>
+                    <input
+                        type="text"
+                        id="providerModel"
+                        list="providerModelSuggestions"
+                        value={settings.model}
+                        onChange={(e) => updateField('model', e.target.value)}
+                        disabled={disabled}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                        placeholder={provider.defaultModel}
+                    />
+                    <datalist id="providerModelSuggestions">
+                        {provider.suggestedModels.map(model => (
+                            <option key={model} value={model} />
+                        ))}
+                    </datalist>
+                </div>
+                <div>
+                    <label htmlFor="providerEndpoint" className="block text-gray-700 text-sm font-medium mb-2">
+                        {t('Endpoint:')}
+                    </label>
+                    <input
+                        type="text"
+                        id="providerEndpoint"
+                        value={settings.endpoint}
+                        onChange={(e) => updateField('endpoint', e.target.value)}
+                        disabled={disabled}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                        placeholder={provider.defaultEndpoint}
+                    />
+                </div>
+                {!provider.hidesApiKey && (
+                    <div>
+                        <label htmlFor="providerApiKey" className="block text-gray-700 text-sm font-medium mb-2">
+                            {provider.requiresApiKey ? t('Clave API:') : t('Clave API (opcional):')}
+                        </label>
+                        <input
+                            type="password"
+                            id="providerApiKey"
+                            value={settings.apiKey}
+                            onChange={(e) => updateField('apiKey', e.target.value)}
+                            disabled={disabled}
+                            autoComplete="off"
+                            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                            placeholder={t('Se guarda solo en este navegador')}
+                        />
+                    </div>
+                )}
+            </div>
+        </details>
+    );
+}
+
+export default ProviderSettings;
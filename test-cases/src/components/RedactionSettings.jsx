@@ -0,0 +1,153 @@
+import React, { useMemo, useState } from 'react';
+import { REDACTION_DETECTORS, compileCustomRule, previewRedaction } from '../utils/redaction';
+import { useTranslation } from '../hooks/useTranslation';
+
+const inputClassName = 'px-2 py-1 border border-gray-300 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500';
+
+/**
+ * Masking of sensitive data before the story is sent to the AI: the built-in detectors, the user's
+ * own regex rules and a preview of the story with what will be replaced by placeholders.
+ * @param {{settings: object, content: string, onChange: function(object): void}} props
+ */
+function RedactionSettings({ settings, content, onChange }) {
+    const { t } = useTranslation();
+    const [isExpanded, setIsExpanded] = useState(false);
+    const [isPreviewOpen, setIsPreviewOpen] = useState(false);
+    const preview = useMemo(
+        () => (settings.enabled ? previewRedaction(content, settings) : { segments: [], counts: {} }),
+        [content, settings]
+    );
+    const countEntries = Object.entries(preview.counts);
+    const total = countEntries.reduce((sum, [, count]) => sum + count, 0);
+
+    const update = (patch) => onChange({ ...settings, ...patch });
+
+    const updateRule = (index, patch) => {
+        update({ customRules: settings.customRules.map((rule, i) => (i === index ? { ...rule, ...patch } : rule)) });
+    };
+
+    return (
+        <div className="mb-6 bg-gray-50 rounded-md border border-gray-200 px-4 py-3 text-sm">
+            <div className="flex flex-wrap items-center gap-3">
+                <label className="flex items-center font-medium text-gray-700">
+                    <input
+                        type="checkbox"
+                        checked={settings.enabled}
+                        onChange={(e) => update({ enabled: e.target.checked })}
+                        className="mr-2"
+                    />
+                    {t('Anonimizar datos sensibles antes de enviar a la IA')}
+                </label>
+                <span className="flex-1 text-gray-600">
+                    {settings.enabled
+                        ? (total > 0
+                            ? t(total === 1 ? '1 valor se sustituirá por marcadores ({counts}).' : '{count} valores se sustituirán por marcadores ({counts}).', {
+                                count: total,
+                                counts: countEntries.map(([name, count]) => `${name}: ${count}`).join(', ')
+                            })
+                            : t('No se han detectado datos sensibles en el contenido.'))
+                        : t('Desactivado: el contenido se envía tal cual al proveedor de IA.')}
+                </span>
+                {settings.enabled && total > 0 && (
+                    <button onClick={() => setIsPreviewOpen(open => !open)} className="text-blue-700 hover:underline">
+                        {isPreviewOpen ? t('Ocultar vista previa') : t('Ver qué se enmascara')}
+                    </button>
+                )}
+                <button onClick={() => setIsExpanded(expanded => !expanded)} className="text-blue-700 hover:underline" aria-expanded={isExpanded}>
+                    {isExpanded ? t('Ocultar reglas') : t('Configurar reglas')}
+                </button>
+            </div>
+
+            {isExpanded && (
+                <div className="mt-3 space-y-3">
+                    <label className="flex items-center text-gray-700">
+                        <input
+                            type="checkbox"
+                            checked={settings.restoreOutput}
+                            onChange={(e) => update({ restoreOutput: e.target.checked })}
+                            className="mr-2"
+                        />
+                        {t('Restaurar los valores originales en los resultados (solo en este navegador)')}
+                    </label>
+                    <fieldset>
+                        <legend className="font-medium text-gray-700 mb-1">{t('Detectores:')}</legend>
+                        <div className="flex flex-wrap gap-x-6 gap-y-1">
+                            {REDACTION_DETECTORS.map(detector => (
+                                <label key={detector.id} className="flex items-center text-gray-700">
+                                    <input
+                                        type="checkbox"
+                                        checked={Boolean(settings.detectors[detector.id])}
+                                        onChange={(e) => update({ detectors: { ...settings.detectors, [detector.id]: e.target.checked } })}
+                                        className="mr-2"
+                                    />
+                                    {t(detector.label)} <span className="ml-1 font-mono text-xs text-gray-500">[{detector.placeholder}]</span>
+                                </label>
+                            ))}
+                        </div>
+                    </fieldset>
+                    <fieldset>
+                        <legend className="font-medium text-gray-700 mb-1">{t('Reglas propias (expresiones regulares):')}</legend>
+                        {settings.customRules.map((rule, index) => {
+                            const { error } = compileCustomRule(rule, t);
+                            return (
+                                <div key={index} className="mb-2">
+                                    <div className="flex flex-wrap items-center gap-2">
+                                        <input
+                                            type="text"
+                                            value={rule.label}
+                                            onChange={(e) => updateRule(index, { label: e.target.value })}
+                                            className={`${inputClassName} w-48`}
+                                            placeholder={t('Nombre (ej. ID de cliente)')}
+                                            aria-label={t('Nombre de la regla {number}', { number: index + 1 })}
+                                        />
+                                        <input
+                                            type="text"
+                                            value={rule.pattern}
+                                            onChange={(e) => updateRule(index, { pattern: e.target.value })}
+                                            className={`${inputClassName} flex-1 min-w-[12rem] font-mono`}
+                                            placeholder={t('Expresión (ej. CLI-\\d{6})')}
+                                            aria-label={t('Expresión de la regla {number}', { number: index + 1 })}
+                                        />
+                                        <button
+                                            onClick={() => update({ customRules: settings.customRules.filter((item, i) => i !== index) })}
+                                            className="text-red-600 hover:text-red-800"
+                                            title={t('Eliminar regla')}
+                                            aria-label={t('Eliminar la regla {number}', { number: index + 1 })}
+                                        >
+                                            ✕
+                                        </button>
+                                    </div>
+                                    {error && <p className="mt-1 text-xs text-red-700">{t('Expresión no válida: {error}', { error })}</p>}
+                                </div>
+                            );
+                        })}
+                        <button
+                            onClick={() => update({ customRules: [...settings.customRules, { label: '', pattern: '' }] })}
+                            className="text-blue-700 hover:underline"
+                        >
+                            {t('+ Regla')}
+                        </button>
+                    </fieldset>
+                    <p className="text-xs text-gray-600">
+                        {t('Cada valor se sustituye por un marcador (por ejemplo {example}) en todo lo que se envía a la IA. La correspondencia entre marcadores y valores no sale del navegador.', { example: '[EMAIL_1]' })}
+                    </p>
+                </div>
+            )}
+
+            {settings.enabled && isPreviewOpen && total > 0 && (
+                <pre className="mt-3 max-h-64 overflow-auto whitespace-pre-wrap break-words bg-white border border-gray-200 rounded-md p-3 text-xs text-gray-800">
+                    {preview.segments.map((segment, index) => (segment.placeholder
+                        ? (
+                            <span key={index}>
+                                <del className="bg-red-100 text-red-800">{segment.text}</del>
+                                <ins className="bg-green-100 text-green-800 no-underline">{segment.placeholder}</ins>
+                            </span>
+                        )
+                        : <span key={index}>{segment.text}</span>))}
+                </pre>
+            )}
+        </div>
+    );
+}
+
+export default RedactionSettings;
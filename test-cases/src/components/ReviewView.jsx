@@ -0,0 +1,231 @@
+import React, { useState } from 'react';
+import { downloadBlob } from '../utils/download';
+import { buildScenarioSteps } from '../utils/gherkin';
+import { formatImpactsText, normalizeImpacts } from '../utils/impacts';
+import { buildReviewBundle, buildShareUrl, getReviewSummary, loadReviewerName, saveReviewerName, serializeReviewBundle } from '../utils/review';
+import { useTranslation } from '../hooks/useTranslation';
+import { translateError } from '../i18n';
+
+// Review sections: the output that holds their cases and their title
+const SECTIONS = [
+    { field: 'testCases', title: 'Casos de Prueba', className: 'bg-blue-50 border-blue-200' },
+    { field: 'regressionGherkinTestCases', title: 'Casos de Prueba de Regresión', className: 'bg-green-50 border-green-200' }
+];
+
+// Buttons of each review status
+const STATUS_BUTTONS = [
+    { status: 'aprobado', label: '✓ Aprobar', activeClassName: 'bg-green-600 border-green-600 text-white' },
+    { status: 'rechazado', label: '✕ Rechazar', activeClassName: 'bg-red-600 border-red-600 text-white' }
+];
+
+/**
+ * Read-only view of a shared analysis, where reviewers approve or reject each case and comment on
+ * it, then send the review back as a .json file or a link. The author opens the reviewed analysis
+ * in the editor.
+ * @param {{bundle: object, language: string, onOpenInEditor: function(object): void, onExit: function(): void}} props
+ */
+function ReviewView({ bundle, language, onOpenInEditor, onExit }) {
+    const { t } = useTranslation();
+    const [analysis, setAnalysis] = useState(bundle.analysis);
+    const [reviewer, setReviewer] = useState(loadReviewerName);
+    const [shareUrl, setShareUrl] = useState('');
+    const [shareMessage, setShareMessage] = useState('');
+
+    const { outputs } = analysis;
+    const allCases = [...outputs.testCases, ...outputs.regressionGherkinTestCases];
+    const summary = getReviewSummary(allCases);
+    const impacts = normalizeImpacts(outputs.impacts);
+
+    const updateReview = (field, index, changes) => {
+        setAnalysis(current => ({
+            ...current,
+            outputs: {
+                ...current.outputs,
+                [field]: current.outputs[field].map((testCase, i) => {
+                    if (i !== index) {
+                        return testCase;
+                    }
+                    const review = { status: '', comment: '', ...testCase.review, ...changes, reviewer: reviewer.trim() };
+                    return { ...testCase, review };
+                })
+            }
+        }));
+        setShareUrl('');
+        setShareMessage('');
+    };
+
+    const handleReviewerChange = (name) => {
+        setReviewer(name);
+        saveReviewerName(name);
+    };
+
+    const handleDownload = () => {
+        const fileName = `revision_${(analysis.jiraId || 'analisis').replace(/[^\w-]+/g, '_')}.json`;
+        downloadBlob(new Blob([serializeReviewBundle(buildReviewBundle(analysis))], { type: 'application/json;charset=utf-8;' }), fileName);
+    };
+
+    const handleShareLink = async () => {
+        setShareMessage('');
+        let url;
+        try {
+            url = await buildShareUrl(buildReviewBundle(analysis));
+        } catch (error) {
+            console.error('Error al crear el enlace de la revisión:', error);
+            setShareMessage(translateError(error, t));
+            return;
+        }
+        setShareUrl(url);
+        try {
+            await navigator.clipboard.writeText(url);
+            setShareMessage(t('Enlace copiado al portapapeles.'));
+        } catch {
+            setShareMessage(t('Copia el enlace:'));
+        }
+    };
+
+    return (
+        <div>
+            <div className="mb-6 bg-indigo-50 border border-indigo-200 rounded-lg px-6 py-4">
+                <div className="flex flex-wrap items-start justify-between gap-4">
+                    <div>
+                        <h1 className="text-2xl font-bold text-gray-800">{t('Revisión: {name}', { name: analysis.name || analysis.jiraId || t('Análisis compartido') })}</h1>
+                        <p className="text-sm text-gray-600 mt-1">
+                            {t('Modo revisión (solo lectura): aprueba o rechaza cada caso y deja tus comentarios. Después, devuelve la revisión al autor con el archivo o el enlace.')}
+                        </p>
+                    </div>
+                    <button
+                        onClick={onExit}
+                        className="py-1 px-3 rounded-md text-sm font-medium border bg-white border-gray-300 text-gray-700 hover:bg-gray-100 transition duration-200"
+                    >
+                        {t('Salir de la revisión')}
+                    </button>
+                </div>
+                <div className="mt-4 flex flex-wrap items-center gap-4 text-sm">
+                    <label htmlFor="reviewerName" className="text-gray-700 font-medium">{t('Revisor:')}</label>
+                    <input
+                        type="text"
+                        id="reviewerName"
+                        value={reviewer}
+                        onChange={(e) => handleReviewerChange(e.target.value)}
+                        placeholder={t('Tu nombre')}
+                        className="px-3 py-1 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500 transition duration-200"
+                    />
+                    <span className="text-gray-700">
+                        <span className="text-green-700 font-semibold">{t('{count} aprobados', { count: summary.approved })}</span> ·{' '}
+                        <span className="text-red-700 font-semibold">{t('{count} rechazados', { count: summary.rejected })}</span> ·{' '}
+                        {t('{pending} pendientes · {commented} con comentarios', { pending: summary.pending, commented: summary.commented })}
+                    </span>
+                </div>
+            </div>
+
+            {/* Story and analysis context */}
+            <details className="mb-6 bg-gray-50 border border-gray-200 rounded-lg px-6 py-4">
+                <summary className="cursor-pointer font-semibold text-gray-800">
+                    {t('Historia')} {analysis.jiraId && `(${analysis.jiraId})`}
+                </summary>
+                {analysis.jiraLink && (
+                    <a href={analysis.jiraLink} target="_blank" rel="noreferrer" className="block mt-3 text-sm text-blue-600 hover:underline">{analysis.jiraLink}</a>
+                )}
+                <pre className="mt-3 whitespace-pre-wrap font-mono text-sm text-gray-800 bg-white p-4 rounded-md border border-gray-300">{analysis.jiraContent}</pre>
+                {outputs.acceptanceCriteria.length > 0 && (
+                    <>
+                        <h3 className="mt-4 font-semibold text-gray-800">{t('Criterios de aceptación')}</h3>
+                        <ul className="mt-2 list-disc pl-6 text-sm text-gray-800">
+                            {outputs.acceptanceCriteria.map(criterion => (
+                                <li key={criterion.id}><span className="font-semibold">{criterion.id}</span> {criterion.text}</li>
+                            ))}
+                        </ul>
+                    </>
+                )}
+                {impacts.length > 0 && (
+                    <>
+                        <h3 className="mt-4 font-semibold text-gray-800">{t('Impactos')}</h3>
+                        <pre className="mt-2 whitespace-pre-wrap text-sm text-gray-800">{formatImpactsText(impacts)}</pre>
+                    </>
+                )}
+            </details>
+
+            {SECTIONS.filter(section => outputs[section.field].length > 0).map(section => (
+                <div key={section.field} className={`mb-6 p-6 rounded-lg border ${section.className}`}>
+                    <h2 className="text-xl font-semibold text-gray-800 mb-4">{t(section.title)}</h2>
+                    <div className="space-y-4">
+                        {outputs[section.field].map((testCase, index) => {
+                            const review = testCase.review || {};
+                            return (
+                                <div
+                                    key={index}
+                                    className={`bg-white rounded-md border p-4 ${review.status === 'aprobado' ? 'border-green-400' : (review.status === 'rechazado' ? 'border-red-400' : 'border-gray-200')}`}
+                                >
+                                    <div className="flex flex-wrap items-start justify-between gap-4">
+                                        <div>
+                                            <p className="font-semibold text-gray-900">#{index + 1} {testCase.scenario}</p>
+                                            <p className="text-xs text-gray-600 mt-1">
+                                                {[testCase.jiraId, testCase.priority, testCase.testType, testCase.technique, testCase.feature].filter(Boolean).join(' · ')}
+                                            </p>
+                                        </div>
+                                        <div className="flex space-x-2">
+                                            {STATUS_BUTTONS.map(button => (
+                                                <button
+                                                    key={button.status}
+                                                    onClick={() => updateReview(section.field, index, { status: review.status === button.status ? '' : button.status })}
+                                                    aria-pressed={review.status === button.status}
+                                                    className={`py-1 px-3 rounded-md text-sm font-semibold border transition duration-200 ${review.status === button.status ? button.activeClassName : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-100'}`}
+                                                >
+                                                    {t(button.label)}
+                                                </button>
+                                            ))}
+                                        </div>
+                                    </div>
+                                    <pre className="mt-3 whitespace-pre-wrap font-mono text-xs text-gray-800">{buildScenarioSteps(testCase, language)}</pre>
+                                    <textarea
+                                        value={review.comment || ''}
+                                        onChange={(e) => updateReview(section.field, index, { comment: e.target.value })}
+                                        rows={2}
+                                        placeholder={t('Comentario (opcional)')}
+                                        aria-label={t('Comentario de {scenario}', { scenario: testCase.scenario })}
+                                        className="mt-3 w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500 text-sm"
+                                    />
+                                </div>
+                            );
+                        })}
+                    </div>
+                </div>
+            ))}
+
+            <div className="mt-8 flex flex-wrap items-center justify-center gap-4">
+                <button
+                    onClick={handleDownload}
+                    className="py-3 px-6 rounded-md text-white font-semibold bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 transition duration-300"
+                >
+                    {t('Descargar revisión (.json)')}
+                </button>
+                <button
+                    onClick={handleShareLink}
+                    className="py-3 px-6 rounded-md text-indigo-700 font-semibold bg-white border border-indigo-300 hover:bg-indigo-50 transition duration-300"
+                >
+                    {t('Copiar enlace de la revisión')}
+                </button>
+                <button
+                    onClick={() => onOpenInEditor(analysis)}
+                    className="py-3 px-6 rounded-md text-gray-700 font-semibold bg-gray-200 hover:bg-gray-300 transition duration-300"
+                    title={t('Abre el análisis revisado en el editor y lo guarda en el historial')}
+                >
+                    {t('Abrir en el editor')}
+                </button>
+            </div>
+            {shareMessage && <p className="mt-4 text-center text-sm text-gray-700">{shareMessage}</p>}
+            {shareUrl && (
+                <input
+                    type="text"
+                    readOnly
+                    value={shareUrl}
+                    onFocus={(e) => e.target.select()}
+                    aria-label={t('Enlace de la revisión')}
+                    className="mt-2 w-full px-3 py-2 border border-gray-300 rounded-md text-xs text-gray-600"
+                />
+            )}
+        </div>
+    );
+}
+
+export default ReviewView;
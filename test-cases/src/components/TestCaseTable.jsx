@@ -0,0 +1,406 @@
+import React, { Fragment, useState } from 'react';
+import { TECHNIQUE_OPTIONS, TEST_TYPE_OPTIONS, createEmptyTestCase, moveTestCase } from '../utils/testCases';
+import { DEFAULT_OUTPUT_LANGUAGE, getPriorityOptions } from '../utils/outputLanguage';
+import { clearValidationFixes } from '../utils/validation';
+import { compareWithSuite, mergeWithExisting } from '../utils/suite';
+import { getPlaceholders, isScenarioOutline } from '../utils/examples';
+import ExamplesTable from './ExamplesTable';
+import TestDataPanel from './TestDataPanel';
+import { useTranslation } from '../hooks/useTranslation';
+
+// Table columns, in display order (the priority options depend on the output language)
+const COLUMNS = [
+    { field: 'jiraId', label: 'ID de Jira' },
+    { field: 'priority', label: 'Prioridad' },
+    { field: 'testType', label: 'Tipo de prueba', options: TEST_TYPE_OPTIONS },
+    { field: 'technique', label: 'Técnica', options: TECHNIQUE_OPTIONS },
+    { field: 'feature', label: 'Característica', multiline: true },
+    { field: 'scenario', label: 'Escenario', multiline: true },
+    { field: 'given', label: 'Dado', multiline: true },
+    { field: 'when', label: 'Cuando', multiline: true },
+    { field: 'then', label: 'Entonces', multiline: true }
+];
+
+// Badge of each result of the comparison with the existing suite
+const SUITE_STATUS_BADGES = {
+    nuevo: { label: 'Nuevo', className: 'bg-green-100 text-green-800' },
+    duplicado: { label: 'Duplicado', className: 'bg-red-100 text-red-800' },
+    similar: { label: 'Similar a', className: 'bg-yellow-100 text-yellow-800' }
+};
+
+// Badge of each review status (cases reviewed in the review view)
+const REVIEW_STATUS_BADGES = {
+    aprobado: { label: 'Aprobado', className: 'bg-green-100 text-green-800' },
+    rechazado: { label: 'Rechazado', className: 'bg-red-100 text-red-800' },
+    '': { label: 'Comentado', className: 'bg-indigo-100 text-indigo-800' }
+};
+
+// Longest existing scenario title shown in a "Similar a" badge
+const MAX_MATCH_TITLE_LENGTH = 40;
+
+const headerClassName = 'px-6 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider';
+const cellInputClassName = 'w-full min-w-[8rem] bg-transparent border border-transparent rounded px-1 py-0.5 text-sm text-gray-900 hover:border-gray-300 focus:border-blue-500 focus:bg-white focus:outline-none';
+
+/**
+ * Editable cell. Keeps a local draft while focused and commits it on blur,
+ * so a whole edit becomes a single undo step instead of one per keystroke.
+ * @param {{value: string, column: object, onCommit: function(string): void}} props
+ */
+function EditableCell({ value, column, onCommit }) {
+    const [draft, setDraft] = useState(null);
+    const text = value === null || value === undefined ? '' : String(value);
+
+    if (column.options) {
+        // Keep unexpected AI values (e.g. "Crítica") selectable until the user changes them
+        const options = column.options.includes(text) || !text ? column.options : [text, ...column.options];
+        return (
+            <select
+                value={text}
+                onChange={(e) => onCommit(e.target.value)}
+                className={cellInputClassName}
+                aria-label={column.label}
+            >
+                {(!text || column.allowEmpty) && <option value="">—</option>}
+                {options.map(option => (
+                    <option key={option} value={option}>{option}</option>
+                ))}
+            </select>
+        );
+    }
+
+    const commonProps = {
+        value: draft === null ? text : draft,
+        onFocus: () => setDraft(text),
+        onChange: (e) => setDraft(e.target.value),
+        onBlur: () => {
+            if (draft !== null && draft !== text) {
+                onCommit(draft);
+            }
+            setDraft(null);
+        },
+        className: cellInputClassName,
+        'aria-label': column.label
+    };
+
+    return column.multiline ? (
+        <textarea {...commonProps} rows={Math.max(2, (draft === null ? text : draft).split('\n').length)} className={`${cellInputClassName} resize-y`} />
+    ) : (
+        <input type="text" {...commonProps} />
+    );
+}
+
+/**
+ * Result of the comparison of a case with the existing suite: a badge with the closest existing
+ * case in its tooltip, and a merge button for similar cases.
+ * @param {{comparison: {status: string, match: object, score: number}, onMerge: function(): void}} props
+ */
+function SuiteStatus({ comparison, onMerge }) {
+    const { t } = useTranslation();
+    const { status, match, score } = comparison;
+    const badge = SUITE_STATUS_BADGES[status];
+    const matchTitle = match && match.scenario.length > MAX_MATCH_TITLE_LENGTH
+        ? `${match.scenario.slice(0, MAX_MATCH_TITLE_LENGTH)}…`
+        : match && match.scenario;
+
+    return (
+        <div className="mb-1">
+            <span
+                className={`inline-block mr-3 px-2 py-0.5 rounded text-xs font-semibold ${badge.className} ${match ? 'cursor-help' : ''}`}
+                title={match ? `${match.scenario}\n${t('({source}, similitud {score} %)', { source: match.source, score: Math.round(score * 100) })}` : undefined}
+            >
+                {t(badge.label)}{status === 'similar' && ` «${matchTitle}»`}
+            </span>
+            {status === 'similar' && (
+                <button
+                    onClick={onMerge}
+                    className="text-teal-600 hover:underline"
+                    title={t('Usa el caso existente y le añade los pasos nuevos de este')}
+                >
+                    {t('Fusionar')}
+                </button>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Review of a case by a reviewer: a badge with its status, and the comment.
+ * @param {{review: {status: string, comment: string, reviewer: string}}} props
+ */
+function ReviewStatus({ review }) {
+    const { t } = useTranslation();
+    const badge = REVIEW_STATUS_BADGES[review.status] || REVIEW_STATUS_BADGES[''];
+    return (
+        <div className="mb-1">
+            <span className={`inline-block px-2 py-0.5 rounded text-xs font-semibold ${badge.className}`}>
+                {t(badge.label)}{review.reviewer && ` ${t('por {reviewer}', { reviewer: review.reviewer })}`}
+            </span>
+            {review.comment && (
+                <p className="mt-1 max-w-xs whitespace-pre-wrap text-xs text-gray-700 italic">{review.comment}</p>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Editable table of generated test cases: inline editing of every field, add, duplicate,
+ * delete, drag to reorder, undo/redo, and per-row regeneration with the AI. Rows fixed by the
+ * validation of the AI answer are highlighted, with the fixes in the tooltip of their badge.
+ * With an existing suite, each row is flagged as new, duplicated or similar to an existing case,
+ * and similar rows can be merged into it. With impacts (regression cases), an extra column links
+ * each row to the impact it mitigates. Rows reviewed in the review view show their review.
+ * Scenario Outlines show their examples table in an expandable row under the case, and so do
+ * the test data sets proposed for each case.
+ * @param {{title: string, cases: object[], onChange: function(object[]): void,
+ *   onRefine: function(number, string): Promise<void>, history: object, defaultJiraId: string,
+ *   suite: object[], impacts: object[], outputLanguage: string, className: string}} props
+ */
+function TestCaseTable({ title, cases, onChange, onRefine, history, defaultJiraId, suite, impacts, outputLanguage = DEFAULT_OUTPUT_LANGUAGE, className }) {
+    const { t } = useTranslation();
+    const [dragIndex, setDragIndex] = useState(null);
+    const [dropIndex, setDropIndex] = useState(null);
+    // Row whose "Regenerar / Refinar" panel is open, its instruction, and the row being regenerated
+    const [refineIndex, setRefineIndex] = useState(null);
+    const [refineInstruction, setRefineInstruction] = useState('');
+    const [refiningIndex, setRefiningIndex] = useState(null);
+    // Row whose examples table is open, and row whose test data is open
+    const [examplesIndex, setExamplesIndex] = useState(null);
+    const [testDataIndex, setTestDataIndex] = useState(null);
+    const comparisons = suite && suite.length > 0 ? compareWithSuite(cases, suite) : null;
+    const columns = [
+        ...COLUMNS,
+        ...(impacts && impacts.length > 0 ? [{ field: 'impactId', label: 'Impacto', options: impacts.map(impact => impact.id), allowEmpty: true }] : [])
+    ].map(column => ({
+        ...column,
+        label: t(column.label),
+        ...(column.field === 'priority' ? { options: getPriorityOptions(outputLanguage) } : {})
+    }));
+
+    // Once the user edits a row, the automatic fixes are no longer flagged
+    const updateCase = (index, field, value) => {
+        onChange(cases.map((testCase, i) => (i === index ? { ...clearValidationFixes(testCase), [field]: value } : testCase)));
+    };
+
+    const duplicateCase = (index) => {
+        onChange([...cases.slice(0, index + 1), { ...cases[index] }, ...cases.slice(index + 1)]);
+    };
+
+    const deleteCase = (index) => {
+        onChange(cases.filter((testCase, i) => i !== index));
+    };
+
+    const mergeCase = (index) => {
+        onChange(cases.map((testCase, i) => (i === index ? mergeWithExisting(clearValidationFixes(testCase), comparisons[index].match) : testCase)));
+    };
+
+    const addCase = () => {
+        onChange([...cases, createEmptyTestCase(defaultJiraId, outputLanguage)]);
+    };
+
+    const toggleRefinePanel = (index) => {
+        setRefineIndex(refineIndex === index ? null : index);
+        setRefineInstruction('');
+    };
+
+    const handleRefine = async (index) => {
+        setRefiningIndex(index);
+        try {
+            await onRefine(index, refineInstruction);
+            setRefineIndex(null);
+            setRefineInstruction('');
+        } finally {
+            setRefiningIndex(null);
+        }
+    };
+
+    const handleDrop = (index) => {
+        if (dragIndex !== null && dragIndex !== index) {
+            onChange(moveTestCase(cases, dragIndex, index));
+        }
+        setDragIndex(null);
+        setDropIndex(null);
+    };
+
+    const toolbarButtonClassName = (enabled) => `py-1 px-3 rounded-md text-sm font-medium border transition duration-200 ${enabled ? 'bg-white border-gray-300 text-gray-700 hover:bg-gray-100' : 'bg-gray-100 border-gray-200 text-gray-400 cursor-not-allowed'}`;
+
+    return (
+        <div className={`mt-8 p-6 rounded-lg border overflow-x-auto ${className}`}>
+            <div className="flex items-center justify-between mb-4">
+                <h2 className="text-xl font-semibold text-gray-800">{title}</h2>
+                <div className="flex space-x-2">
+                    <button onClick={history.undo} disabled={!history.canUndo} className={toolbarButtonClassName(history.canUndo)} title={t('Deshacer')}>
+                        ↶ {t('Deshacer')}
+                    </button>
+                    <button onClick={history.redo} disabled={!history.canRedo} className={toolbarButtonClassName(history.canRedo)} title={t('Rehacer')}>
+                        ↷ {t('Rehacer')}
+                    </button>
+                </div>
+            </div>
+            <table className="min-w-full divide-y divide-gray-300 rounded-lg overflow-hidden shadow-sm">
+                <thead className="bg-gray-200">
+                    <tr>
+                        <th scope="col" className="px-2 py-3"><span className="sr-only">{t('Mover')}</span></th>
+                        {columns.map(column => (
+                            <th key={column.field} scope="col" className={headerClassName}>
+                                {column.label}
+                            </th>
+                        ))}
+                        <th scope="col" className={headerClassName}>
+                            {t('Acciones')}
+                        </th>
+                    </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                    {cases.map((testCase, index) => (
+                        <Fragment key={index}>
+                            <tr
+                                onDragOver={(e) => {
+                                    if (dragIndex !== null) {
+                                        e.preventDefault();
+                                        setDropIndex(index);
+                                    }
+                                }}
+                                onDrop={() => handleDrop(index)}
+                                className={`hover:bg-gray-50 ${testCase.validationFixes ? 'bg-amber-50' : ''} ${dragIndex === index ? 'opacity-50' : ''} ${dropIndex === index && dragIndex !== index ? 'border-t-2 border-blue-500' : ''}`}
+                            >
+                                <td
+                                    draggable
+                                    onDragStart={(e) => {
+                                        e.dataTransfer.effectAllowed = 'move';
+                                        setDragIndex(index);
+                                    }}
+                                    onDragEnd={() => {
+                                        setDragIndex(null);
+                                        setDropIndex(null);
+                                    }}
+                                    className="px-2 py-4 text-gray-400 cursor-move select-none align-top"
+                                    title={t('Arrastra para reordenar')}
+                                >
+                                    ⋮⋮
+                                    <span className="block text-xs">#{index + 1}</span>
+                                </td>
+                                {columns.map(column => (
+                                    <td key={column.field} className="px-2 py-2 whitespace-pre-wrap text-sm text-gray-900 align-top">
+                                        <EditableCell
+                                            value={testCase[column.field]}
+                                            column={column}
+                                            onCommit={(value) => updateCase(index, column.field, value)}
+                                        />
+                                    </td>
+                                ))}
+                                <td className="px-2 py-2 text-sm align-top whitespace-nowrap">
+                                    {testCase.review && (testCase.review.status || testCase.review.comment) && (
+                                        <ReviewStatus review={testCase.review} />
+                                    )}
+                                    {comparisons && (
+                                        <SuiteStatus comparison={comparisons[index]} onMerge={() => mergeCase(index)} />
+                                    )}
+                                    {testCase.validationFixes && (
+                                        <span
+                                            className="inline-block mb-1 mr-3 px-2 py-0.5 rounded text-xs font-semibold bg-amber-100 text-amber-800 cursor-help"
+                                            title={testCase.validationFixes.join('\n')}
+                                        >
+                                            {t('Corregido')}
+                                        </span>
+                                    )}
+                                    {onRefine && (
+                                        <button
+                                            onClick={() => toggleRefinePanel(index)}
+                                            disabled={refiningIndex !== null}
+                                            className="text-purple-600 hover:underline mr-3"
+                                        >
+                                            {refiningIndex === index ? t('Regenerando...') : t('Regenerar / Refinar')}
+                                        </button>
+                                    )}
+                                    <button
+                                        onClick={() => setExamplesIndex(examplesIndex === index ? null : index)}
+                                        aria-expanded={examplesIndex === index}
+                                        className="text-emerald-700 hover:underline mr-3"
+                                        title={t('Tabla de ejemplos del Scenario Outline')}
+                                    >
+                                        {isScenarioOutline(testCase) ? t('Ejemplos ({count})', { count: testCase.examples.rows.length }) : t('Ejemplos')}
+                                    </button>
+                                    <button
+                                        onClick={() => setTestDataIndex(testDataIndex === index ? null : index)}
+                                        aria-expanded={testDataIndex === index}
+                                        className="text-cyan-700 hover:underline mr-3"
+                                        title={t('Datos de prueba propuestos para el caso')}
+                                    >
+                                        {testCase.testData && testCase.testData.length > 0 ? t('Datos ({count})', { count: testCase.testData.length }) : t('Datos')}
+                                    </button>
+                                    <button onClick={() => duplicateCase(index)} className="text-blue-600 hover:underline mr-3">
+                                        {t('Duplicar')}
+                                    </button>
+                                    <button onClick={() => deleteCase(index)} className="text-red-600 hover:underline">
+                                        {t('Eliminar')}
+                                    </button>
+                                </td>
+                            </tr>
+                            {examplesIndex === index && (
+                                <tr className="bg-emerald-50">
+                                    <td colSpan={columns.length + 2} className="px-4 py-3">
+                                        <ExamplesTable
+                                            examples={isScenarioOutline(testCase) ? testCase.examples : null}
+                                            placeholders={getPlaceholders(testCase)}
+                                            onChange={(examples) => updateCase(index, 'examples', examples)}
+                                        />
+                                    </td>
+                                </tr>
+                            )}
+                            {testDataIndex === index && (
+                                <tr className="bg-cyan-50">
+                                    <td colSpan={columns.length + 2} className="px-4 py-3">
+                                        <TestDataPanel
+                                            dataSets={testCase.testData}
+                                            onChange={(dataSets) => updateCase(index, 'testData', dataSets)}
+                                        />
+                                    </td>
+                                </tr>
+                            )}
+                            {refineIndex === index && (
+                                <tr className="bg-purple-50">
+                                    <td colSpan={columns.length + 2} className="px-4 py-3">
+                                        <label htmlFor={`refine-${index}`} className="block text-gray-700 text-sm font-medium mb-2">
+                                            {t('Instrucción para la IA (déjala vacía para regenerar el caso tal cual):')}
+                                        </label>
+                                        <div className="flex space-x-2">
+                                            <input
+                                                type="text"
+                                                id={`refine-${index}`}
+                                                value={refineInstruction}
+                                                onChange={(e) => setRefineInstruction(e.target.value)}
+                                                onKeyDown={(e) => {
+                                                    if (e.key === 'Enter' && refiningIndex === null) {
+                                                        handleRefine(index);
+                                                    }
+                                                }}
+                                                disabled={refiningIndex !== null}
+                                                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-purple-500 focus:border-purple-500 text-sm"
+                                                placeholder={t('Ej: añade caso negativo con tarjeta expirada')}
+                                            />
+                                            <button
+                                                onClick={() => handleRefine(index)}
+                                                disabled={refiningIndex !== null}
+                                                className={`py-2 px-4 whitespace-nowrap rounded-md text-white text-sm font-semibold transition duration-300 ${refiningIndex !== null ? 'bg-gray-400 cursor-not-allowed' : 'bg-purple-600 hover:bg-purple-700'}`}
+                                            >
+                                                {refiningIndex === index ? t('Regenerando...') : (refineInstruction.trim() ? t('Refinar') : t('Regenerar'))}
+                                            </button>
+                                        </div>
+                                    </td>
+                                </tr>
+                            )}
+                        </Fragment>
+                    ))}
+                </tbody>
+            </table>
+            <button
+                onClick={addCase}
+                className="mt-4 py-2 px-4 rounded-md text-sm font-semibold text-blue-700 bg-blue-50 border border-blue-200 hover:bg-blue-100 transition duration-200"
+            >
+                {t('+ Añadir caso')}
+            </button>
+        </div>
+    );
+}
+
+export default TestCaseTable;
@@ -0,0 +1,79 @@
+import React from 'react';
+import { useTranslation } from '../hooks/useTranslation';
+
+// Badge of each kind of data set
+const TYPE_BADGES = {
+    'Válido': 'bg-green-100 text-green-800',
+    'Inválido': 'bg-red-100 text-red-800',
+    'Límite': 'bg-yellow-100 text-yellow-800',
+    'Caso extremo': 'bg-purple-100 text-purple-800'
+};
+
+/**
+ * Test data sets of a case: one card per set with its kind, what it checks and its values.
+ * Values that look sensitive are flagged as synthetic. Sets can be removed one by one.
+ * @param {{dataSets: object[], onChange: function(object[]): void}} props
+ */
+function TestDataPanel({ dataSets, onChange }) {
+    const { t } = useTranslation();
+
+    if (!dataSets || dataSets.length === 0) {
+        return (
+            <p className="text-sm text-gray-700">
+                {t('Este caso no tiene datos de prueba. Usa "Generar datos de prueba" debajo de los resultados para que la IA los proponga.')}
+            </p>
+        );
+    }
+
+    return (
+        <div>
+            <div className="flex flex-wrap gap-4">
+                {dataSets.map((dataSet, index) => (
+                    <div key={index} className="bg-white border border-gray-200 rounded-md p-3 text-sm min-w-[16rem] max-w-md">
+                        <div className="flex items-start justify-between gap-2">
+                            <div>
+                                <span className={`inline-block px-2 py-0.5 rounded text-xs font-semibold ${TYPE_BADGES[dataSet.type] || TYPE_BADGES['Válido']}`}>
+                                    {dataSet.type}
+                                </span>
+                                {dataSet.description && <span className="ml-2 text-gray-700">{dataSet.description}</span>}
+                            </div>
+                            <button
+                                onClick={() => onChange(dataSets.filter((item, i) => i !== index))}
+                                className="text-red-600 hover:text-red-800"
+                                title={t('Quitar este conjunto de datos')}
+                                aria-label={t('Quitar el conjunto de datos {number}', { number: index + 1 })}
+                            >
+                                ✕
+                            </button>
+                        </div>
+                        <table className="mt-2 w-full text-xs">
+                            <tbody>
+                                {dataSet.values.map((item, valueIndex) => (
+                                    <tr key={valueIndex} className="align-top">
+                                        <td className="pr-3 py-0.5 font-medium text-gray-600 whitespace-nowrap">{item.field}</td>
+                                        <td className="py-0.5 font-mono text-gray-900 break-all">
+                                            {item.value === '' ? <span className="italic text-gray-400">{t('(vacío)')}</span> : item.value}
+                                            {item.synthetic && (
+                                                <span
+                                                    className="ml-2 inline-block px-1.5 rounded bg-amber-100 text-amber-800 font-sans font-semibold cursor-help"
+                                                    title={t('Dato ficticio con apariencia de dato sensible: no corresponde a ninguna persona o cuenta real')}
+                                                >
+                                                    {t('sintético')}
+                                                </span>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                ))}
+            </div>
+            <p className="mt-2 text-xs text-gray-600">
+                {t('Todos los datos son ficticios; los marcados como «sintético» imitan datos sensibles (tarjetas de prueba públicas, contraseñas, documentos, correos).')}
+            </p>
+        </div>
+    );
+}
+
+export default TestDataPanel;
@@ -0,0 +1,89 @@
+import React from 'react';
+import { buildTraceabilityMatrix, toggleCaseCriterion } from '../utils/traceability';
+import { useTranslation } from '../hooks/useTranslation';
+
+/**
+ * Acceptance criterion × test case matrix. Clicking a cell links or unlinks the case and the
+ * criterion; criteria without any case and cases without any criterion are flagged.
+ * @param {{criteria: {id: string, text: string}[], cases: object[], onChange: function(object[]): void}} props
+ */
+function TraceabilityMatrix({ criteria, cases, onChange }) {
+    const { t } = useTranslation();
+    const { rows, uncovered, unlinkedCaseIndexes } = buildTraceabilityMatrix(criteria, cases);
+
+    const toggleLink = (caseIndex, criterionId) => {
+        onChange(cases.map((testCase, index) => (index === caseIndex ? toggleCaseCriterion(testCase, criterionId) : testCase)));
+    };
+
+    return (
+        <div className="mt-8 bg-indigo-50 p-6 rounded-lg border border-indigo-200 overflow-x-auto">
+            <h2 className="text-xl font-semibold text-gray-800 mb-1">{t('Matriz de Trazabilidad (criterio × caso):')}</h2>
+            <p className="text-sm text-gray-600 mb-4">
+                {t('{covered} de {total} criterios cubiertos.', { covered: criteria.length - uncovered.length, total: criteria.length })}
+                {' '}{t('Haz clic en una celda para vincular o desvincular un caso de un criterio.')}
+            </p>
+            <table className="min-w-full text-sm border-collapse">
+                <thead>
+                    <tr>
+                        <th scope="col" className="sticky left-0 bg-indigo-100 px-3 py-2 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">
+                            {t('Criterio de aceptación')}
+                        </th>
+                        {cases.map((testCase, index) => (
+                            <th
+                                key={index}
+                                scope="col"
+                                title={testCase.scenario}
+                                className={`px-2 py-2 text-center text-xs font-medium ${unlinkedCaseIndexes.includes(index) ? 'text-amber-700' : 'text-gray-700'}`}
+                            >
+                                #{index + 1}
+                            </th>
+                        ))}
+                        <th scope="col" className="px-3 py-2 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">
+                            {t('Casos')}
+                        </th>
+                    </tr>
+                </thead>
+                <tbody className="bg-white">
+                    {rows.map(({ criterion, caseIndexes }) => (
+                        <tr key={criterion.id} className={`border-t border-indigo-100 ${caseIndexes.length === 0 ? 'bg-red-50' : ''}`}>
+                            <th scope="row" className={`sticky left-0 ${caseIndexes.length === 0 ? 'bg-red-50' : 'bg-white'} px-3 py-2 text-left font-normal text-gray-900 align-top min-w-[16rem]`}>
+                                <span className="font-semibold">{criterion.id}</span> · {criterion.text}
+                            </th>
+                            {cases.map((testCase, index) => {
+                                const isLinked = caseIndexes.includes(index);
+                                return (
+                                    <td key={index} className="px-1 py-1 text-center align-top">
+                                        <button
+                                            onClick={() => toggleLink(index, criterion.id)}
+                                            aria-pressed={isLinked}
+                                            aria-label={t('{criterion} – caso {number}', { criterion: criterion.id, number: index + 1 })}
+                                            title={testCase.scenario}
+                                            className={`w-7 h-7 rounded ${isLinked ? 'bg-indigo-600 text-white' : 'text-gray-300 hover:bg-indigo-100'}`}
+                                        >
+                                            {isLinked ? '✓' : '·'}
+                                        </button>
+                                    </td>
+                                );
+                            })}
+                            <td className={`px-3 py-2 align-top whitespace-nowrap font-semibold ${caseIndexes.length === 0 ? 'text-red-700' : 'text-gray-800'}`}>
+                                {caseIndexes.length === 0 ? t('Sin cobertura') : caseIndexes.length}
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+            {uncovered.length > 0 && (
+                <p className="mt-3 text-sm text-red-700">
+                    {t('Criterios sin casos de prueba: {ids}.', { ids: uncovered.map(criterion => criterion.id).join(', ') })}
+                </p>
+            )}
+            {unlinkedCaseIndexes.length > 0 && (
+                <p className="mt-1 text-sm text-amber-700">
+                    {t('Casos sin criterio asociado: {cases}.', { cases: unlinkedCaseIndexes.map(index => `#${index + 1}`).join(', ') })}
+                </p>
+            )}
+        </div>
+    );
+}
+
+export default TraceabilityMatrix;
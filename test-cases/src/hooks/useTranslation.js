@@ -0,0 +1,11 @@
+import { createContext, useContext } from 'react';
+import { createTranslator } from '../i18n';
+
+// Interface language and its translation function, provided by App
+export const TranslationContext = createContext({ language: 'es', t: createTranslator('es') });
+
+/**
+ * Returns the interface language and the function that translates its texts (see i18n).
+ * @returns {{language: string, t: function(string, object=): string}} The language and the function.
+ */
+export const useTranslation = () => useContext(TranslationContext);
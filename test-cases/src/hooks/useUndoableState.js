@@ -0,0 +1,67 @@
+import { useCallback, useState } from 'react';
+
+// Maximum number of undo steps kept per value
+const MAX_HISTORY = 100;
+
+/**
+ * useState with undo/redo history.
+ * "set" records the previous value so it can be undone; "reset" replaces the value and clears
+ * the history (used when a new analysis replaces the whole list).
+ * @param {*} initialValue The initial value.
+ * @returns {[*, function(*): void, {reset: function(*): void, undo: function(): void, redo: function(): void, canUndo: boolean, canRedo: boolean}]}
+ */
+export const useUndoableState = (initialValue) => {
+    const [history, setHistory] = useState({ past: [], present: initialValue, future: [] });
+
+    const set = useCallback((value) => {
+        setHistory(current => {
+            const next = typeof value === 'function' ? value(current.present) : value;
+            if (next === current.present) {
+                return current;
+            }
+            return {
+                past: [...current.past, current.present].slice(-MAX_HISTORY),
+                present: next,
+                future: []
+            };
+        });
+    }, []);
+
+    const reset = useCallback((value) => {
+        setHistory({ past: [], present: value, future: [] });
+    }, []);
+
+    const undo = useCallback(() => {
+        setHistory(current => {
+            if (current.past.length === 0) {
+                return current;
+            }
+            return {
+                past: current.past.slice(0, -1),
+                present: current.past[current.past.length - 1],
+                future: [current.present, ...current.future]
+            };
+        });
+    }, []);
+
+    const redo = useCallback(() => {
+        setHistory(current => {
+            if (current.future.length === 0) {
+                return current;
+            }
+            return {
+                past: [...current.past, current.present],
+                present: current.future[0],
+                future: current.future.slice(1)
+            };
+        });
+    }, []);
+
+    return [history.present, set, {
+        reset,
+        undo,
+        redo,
+        canUndo: history.past.length > 0,
+        canRedo: history.future.length > 0
+    }];
+};
@@ -0,0 +1,418 @@
+// English translations of the interface texts, by their Spanish text (see i18n)
+export const EN_MESSAGES = {
+    'Los archivos no contienen casos de prueba.': 'The files do not contain test cases.',
+    'No se pudo importar la suite: {message}': 'The suite could not be imported: {message}',
+    'Suite existente:': 'Existing suite:',
+    '{count} casos de 1 archivo. Los casos generados se comparan con ella.': '{count} cases from 1 file. The generated cases are compared with it.',
+    '{count} casos de {files} archivos. Los casos generados se comparan con ella.': '{count} cases from {files} files. The generated cases are compared with it.',
+    'Ninguna. Impórtala para detectar casos generados duplicados.': 'None. Import it to detect duplicated generated cases.',
+    'Importar CSV / .feature': 'Import CSV / .feature',
+    'Quitar suite': 'Remove suite',
+    'Este caso no tiene datos de prueba. Usa "Generar datos de prueba" debajo de los resultados para que la IA los proponga.': 'This case has no test data. Use "Generate test data" below the results to have the AI propose it.',
+    'Quitar este conjunto de datos': 'Remove this data set',
+    'Quitar el conjunto de datos {number}': 'Remove data set {number}',
+    '(vacío)': '(empty)',
+    'Dato ficticio con apariencia de dato sensible: no corresponde a ninguna persona o cuenta real': 'Fictitious value that looks like sensitive data: it does not belong to any real person or account',
+    'sintético': 'synthetic',
+    'Todos los datos son ficticios; los marcados como «sintético» imitan datos sensibles (tarjetas de prueba públicas, contraseñas, documentos, correos).': 'All data is fictitious; values marked as “synthetic” imitate sensitive data (public test cards, passwords, IDs, e-mails).',
+    'Enlace copiado al portapapeles.': 'Link copied to the clipboard.',
+    'Copia el enlace:': 'Copy the link:',
+    'Revisión: {name}': 'Review: {name}',
+    'Análisis compartido': 'Shared analysis',
+    'Modo revisión (solo lectura): aprueba o rechaza cada caso y deja tus comentarios. Después, devuelve la revisión al autor con el archivo o el enlace.': 'Review mode (read-only): approve or reject each case and leave your comments. Then send the review back to the author with the file or the link.',
+    'Salir de la revisión': 'Leave the review',
+    'Revisor:': 'Reviewer:',
+    'Tu nombre': 'Your name',
+    '{count} aprobados': '{count} approved',
+    '{count} rechazados': '{count} rejected',
+    '{pending} pendientes · {commented} con comentarios': '{pending} pending · {commented} with comments',
+    'Historia': 'Story',
+    'Criterios de aceptación': 'Acceptance criteria',
+    'Impactos': 'Impacts',
+    'Comentario (opcional)': 'Comment (optional)',
+    'Comentario de {scenario}': 'Comment on {scenario}',
+    'Descargar revisión (.json)': 'Download review (.json)',
+    'Copiar enlace de la revisión': 'Copy review link',
+    'Abre el análisis revisado en el editor y lo guarda en el historial': 'Opens the reviewed analysis in the editor and saves it in the history',
+    'Abrir en el editor': 'Open in the editor',
+    'Enlace de la revisión': 'Review link',
+    'Casos de Prueba': 'Test Cases',
+    'Casos de Prueba de Regresión': 'Regression Test Cases',
+    '✓ Aprobar': '✓ Approve',
+    '✕ Rechazar': '✕ Reject',
+    'No se pudieron publicar los casos: {message}': 'The cases could not be published: {message}',
+    'Publicar en Jira': 'Publish to Jira',
+    'Se creará una incidencia de tipo Test (Cucumber) por cada caso seleccionado, vinculada a {storyKey}.': 'A Test (Cucumber) issue will be created for each selected case, linked to {storyKey}.',
+    '¡Error!': 'Error!',
+    '{created} creados · {failed} con errores': '{created} created · {failed} with errors',
+    'Escenario': 'Scenario',
+    'Resultado': 'Result',
+    'Creado y vinculado': 'Created and linked',
+    'Seleccionar todos': 'Select all',
+    'Prioridad': 'Priority',
+    'Pasos (Gherkin)': 'Steps (Gherkin)',
+    'Seleccionar {scenario}': 'Select {scenario}',
+    '(regresión)': '(regression)',
+    'Cerrar': 'Close',
+    'Cancelar': 'Cancel',
+    'Publicando...': 'Publishing...',
+    'Confirmar y crear {count} tests': 'Confirm and create {count} tests',
+    'Matriz de Trazabilidad (criterio × caso):': 'Traceability Matrix (criterion × case):',
+    '{covered} de {total} criterios cubiertos.': '{covered} of {total} criteria covered.',
+    'Haz clic en una celda para vincular o desvincular un caso de un criterio.': 'Click a cell to link or unlink a case and a criterion.',
+    'Criterio de aceptación': 'Acceptance criterion',
+    'Casos': 'Cases',
+    '{criterion} – caso {number}': '{criterion} – case {number}',
+    'Sin cobertura': 'Not covered',
+    'Criterios sin casos de prueba: {ids}.': 'Criteria without test cases: {ids}.',
+    'Casos sin criterio asociado: {cases}.': 'Cases without a linked criterion: {cases}.',
+    '{count} casos': '{count} cases',
+    'La respuesta anterior no se pudo usar ({reason}); se está pidiendo de nuevo a la IA.': 'The previous answer could not be used ({reason}); asking the AI again.',
+    'Análisis cancelado. Se conservan los resultados recibidos hasta el momento.': 'Analysis cancelled. The results received so far are kept.',
+    'Casos principales': 'Main cases',
+    'Regresión': 'Regression',
+    'Datos de prueba': 'Test data',
+    'Configuración del modelo de IA:': 'AI model settings:',
+    'Proveedor:': 'Provider:',
+    'Modelo:': 'Model:',
+    'Endpoint:': 'Endpoint:',
+    'Servidor de la aplicación (Gemini)': 'Application server (Gemini)',
+    'Google Gemini (clave propia)': 'Google Gemini (own key)',
+    'OpenAI / compatible': 'OpenAI / compatible',
+    'Servidor local (Ollama / LM Studio)': 'Local server (Ollama / LM Studio)',
+    'Clave API:': 'API key:',
+    'Clave API (opcional):': 'API key (optional):',
+    'Se guarda solo en este navegador': 'Stored only in this browser',
+    'Resumen de Cobertura:': 'Coverage Summary:',
+    '1 caso (principales y de regresión).': '1 case (main and regression).',
+    '{count} casos (principales y de regresión).': '{count} cases (main and regression).',
+    'Categorías sin cobertura: {count}.': 'Categories without coverage: {count}.',
+    '{name} (copia)': '{name} (copy)',
+    '¿Eliminar el perfil "{name}"?': 'Delete the profile "{name}"?',
+    'El archivo no contiene perfiles válidos.': 'The file does not contain valid profiles.',
+    'No se pudieron importar los perfiles: {message}': 'The profiles could not be imported: {message}',
+    'Perfil de QA:': 'QA profile:',
+    '{name} (predefinido)': '{name} (built-in)',
+    'Ocultar plantillas': 'Hide templates',
+    'Editar plantillas': 'Edit templates',
+    'Los perfiles predefinidos no se pueden modificar. Duplícalo para crear tu propia versión.': 'Built-in profiles cannot be modified. Duplicate it to create your own version.',
+    'Nombre del perfil:': 'Profile name:',
+    'Variables:': 'Variables:',
+    'La plantilla no usa {names}: esos datos no se enviarán a la IA.': 'The template does not use {names}: that data will not be sent to the AI.',
+    'Duplicar perfil': 'Duplicate profile',
+    'Eliminar perfil': 'Delete profile',
+    'Exporta los perfiles propios (los predefinidos ya vienen con la aplicación)': 'Exports your own profiles (the built-in ones come with the application)',
+    'Exportar JSON': 'Export JSON',
+    'Importar JSON': 'Import JSON',
+    'Plantilla del análisis (casos, impactos y regresión)': 'Analysis template (cases, impacts and regression)',
+    'Plantilla de los casos de regresión': 'Regression cases template',
+    '({source}, similitud {score} %)': '({source}, similarity {score} %)',
+    'Usa el caso existente y le añade los pasos nuevos de este': 'Uses the existing case and adds the new steps of this one',
+    'Fusionar': 'Merge',
+    'por {reviewer}': 'by {reviewer}',
+    'Deshacer': 'Undo',
+    'Rehacer': 'Redo',
+    'Mover': 'Move',
+    'Acciones': 'Actions',
+    'Arrastra para reordenar': 'Drag to reorder',
+    'Corregido': 'Fixed',
+    'Regenerando...': 'Regenerating...',
+    'Regenerar / Refinar': 'Regenerate / Refine',
+    'Tabla de ejemplos del Scenario Outline': 'Examples table of the Scenario Outline',
+    'Ejemplos ({count})': 'Examples ({count})',
+    'Ejemplos': 'Examples',
+    'Datos de prueba propuestos para el caso': 'Test data proposed for the case',
+    'Datos ({count})': 'Data ({count})',
+    'Datos': 'Data',
+    'Duplicar': 'Duplicate',
+    'Eliminar': 'Delete',
+    'Instrucción para la IA (déjala vacía para regenerar el caso tal cual):': 'Instruction for the AI (leave it empty to regenerate the case as is):',
+    'Ej: añade caso negativo con tarjeta expirada': 'E.g.: add a negative case with an expired card',
+    'Refinar': 'Refine',
+    'Regenerar': 'Regenerate',
+    '+ Añadir caso': '+ Add case',
+    'ID de Jira': 'Jira ID',
+    'Tipo de prueba': 'Test type',
+    'Técnica': 'Technique',
+    'Característica': 'Feature',
+    'Dado': 'Given',
+    'Cuando': 'When',
+    'Entonces': 'Then',
+    'Nuevo': 'New',
+    'Duplicado': 'Duplicate',
+    'Similar a': 'Similar to',
+    'Aprobado': 'Approved',
+    'Rechazado': 'Rejected',
+    'Comentado': 'Commented',
+    'Impacto': 'Impact',
+    'Anonimizar datos sensibles antes de enviar a la IA': 'Anonymise sensitive data before sending it to the AI',
+    '1 valor se sustituirá por marcadores ({counts}).': '1 value will be replaced by placeholders ({counts}).',
+    '{count} valores se sustituirán por marcadores ({counts}).': '{count} values will be replaced by placeholders ({counts}).',
+    'No se han detectado datos sensibles en el contenido.': 'No sensitive data was detected in the content.',
+    'Desactivado: el contenido se envía tal cual al proveedor de IA.': 'Disabled: the content is sent as is to the AI provider.',
+    'Ocultar vista previa': 'Hide preview',
+    'Ver qué se enmascara': 'See what is masked',
+    'Ocultar reglas': 'Hide rules',
+    'Configurar reglas': 'Configure rules',
+    'Restaurar los valores originales en los resultados (solo en este navegador)': 'Restore the original values in the results (only in this browser)',
+    'Detectores:': 'Detectors:',
+    'Reglas propias (expresiones regulares):': 'Custom rules (regular expressions):',
+    'Nombre (ej. ID de cliente)': 'Name (e.g. customer ID)',
+    'Nombre de la regla {number}': 'Name of rule {number}',
+    'Expresión (ej. CLI-\\d{6})': 'Expression (e.g. CLI-\\d{6})',
+    'Expresión de la regla {number}': 'Expression of rule {number}',
+    'Eliminar regla': 'Delete rule',
+    'Eliminar la regla {number}': 'Delete rule {number}',
+    'Expresión no válida: {error}': 'Invalid expression: {error}',
+    '+ Regla': '+ Rule',
+    'Cada valor se sustituye por un marcador (por ejemplo {example}) en todo lo que se envía a la IA. La correspondencia entre marcadores y valores no sale del navegador.': 'Each value is replaced by a placeholder (for example {example}) in everything sent to the AI. The mapping between placeholders and values never leaves the browser.',
+    'PDF protegido': 'Protected PDF',
+    '{fileName} está protegido con contraseña.': '{fileName} is password protected.',
+    'Contraseña:': 'Password:',
+    'La contraseña no es correcta.': 'The password is not correct.',
+    'Abrir': 'Open',
+    'Importar {fileName}': 'Import {fileName}',
+    'Revisa el texto de cada página y elige las que se importan (1 página).': 'Review the text of each page and choose the ones to import (1 page).',
+    'Revisa el texto de cada página y elige las que se importan ({count} páginas).': 'Review the text of each page and choose the ones to import ({count} pages).',
+    'Páginas:': 'Pages:',
+    'Ej: 1-3, 5': 'E.g.: 1-3, 5',
+    'Página {number}': 'Page {number}',
+    'Escaneada: se leerá con OCR': 'Scanned: it will be read with OCR',
+    '(sin texto)': '(no text)',
+    'Omitir archivo': 'Skip file',
+    'Importar 1 página': 'Import 1 page',
+    'Importar {count} páginas': 'Import {count} pages',
+    '({count} con OCR)': '({count} with OCR)',
+    'En cola': 'Queued',
+    'Analizando': 'Analysing',
+    '(intento {number})': '(attempt {number})',
+    'Reintentando en {seconds} s': 'Retrying in {seconds} s',
+    'Completado': 'Completed',
+    'Error': 'Error',
+    'Cancelado': 'Cancelled',
+    'Pendiente': 'Pending',
+    'No se encontró ninguna historia (se esperaban claves como PROJ-123).': 'No story was found (keys such as PROJ-123 were expected).',
+    'No se pudo leer el CSV: {message}': 'The CSV could not be read: {message}',
+    'Error al exportar a Excel: {message}': 'Error exporting to Excel: {message}',
+    'Error al exportar a Gherkin: {message}': 'Error exporting to Gherkin: {message}',
+    'Exportación CSV de Jira:': 'Jira CSV export:',
+    'Seleccionar CSV': 'Select CSV',
+    'En Jira: Filtros → Exportar → CSV (todos los campos). Se usan la clave, el resumen, la descripción, los criterios de aceptación, los componentes y las etiquetas.': 'In Jira: Filters → Export → CSV (all fields). The key, summary, description, acceptance criteria, components and labels are used.',
+    'O enlaces / claves de Jira (se cargan desde Jira):': 'Or Jira links / keys (loaded from Jira):',
+    'Añadir al lote': 'Add to batch',
+    'Análisis simultáneos:': 'Simultaneous analyses:',
+    'Reintentos por historia:': 'Retries per story:',
+    'Cancelar lote': 'Cancel batch',
+    'Reintentar fallidas ({count})': 'Retry failed ({count})',
+    'Analizar {count} historias': 'Analyse {count} stories',
+    '{done} de {total} completadas · {failed} con errores': '{done} of {total} completed · {failed} with errors',
+    'Estado': 'Status',
+    'Detalle': 'Details',
+    '{cases} + {regression} regresión': '{cases} + {regression} regression',
+    '{count} avisos de validación': '{count} validation warnings',
+    'Quitar': 'Remove',
+    'Exportar lote a CSV ({count} historias)': 'Export batch to CSV ({count} stories)',
+    'Generando .xlsx...': 'Generating .xlsx...',
+    'Exportar lote a Excel (.xlsx)': 'Export batch to Excel (.xlsx)',
+    'Idioma Gherkin:': 'Gherkin language:',
+    'Generando .zip...': 'Generating .zip...',
+    'Exportar lote a Gherkin (.zip)': 'Export batch to Gherkin (.zip)',
+    '¿Eliminar "{name}" del historial?': 'Delete "{name}" from the history?',
+    'Historial de análisis': 'Analysis history',
+    'Cerrar historial': 'Close history',
+    'Buscar por ID de Jira o texto...': 'Search by Jira ID or text...',
+    'Buscar en el historial': 'Search the history',
+    'Todavía no hay análisis guardados.': 'There are no saved analyses yet.',
+    'Ningún análisis coincide con la búsqueda.': 'No analysis matches the search.',
+    'Nuevo nombre': 'New name',
+    'Renombrar': 'Rename',
+    '{label} de {id}': '{label} of {id}',
+    'Impactos Sugeridos (análisis de riesgo):': 'Suggested Impacts (risk analysis):',
+    'Severidad': 'Severity',
+    'Probabilidad': 'Probability',
+    'Sin evaluar': 'Not assessed',
+    'Sin pruebas': 'No tests',
+    'Mapa de calor': 'Heat map',
+    'Sev. \\ Prob.': 'Sev. \\ Prob.',
+    'Los impactos sin severidad o probabilidad no aparecen en el mapa.': 'Impacts without severity or probability are not shown on the map.',
+    'ID': 'ID',
+    'Área / módulo': 'Area / module',
+    'Descripción': 'Description',
+    'Riesgo': 'Risk',
+    'Pruebas que lo mitigan': 'Mitigating tests',
+    'Este caso no es un Scenario Outline. Conviértelo en esquema para ejecutarlo con varios datos: escribe los parámetros entre ángulos en los pasos (por ejemplo {example}) y rellena una fila de ejemplos por ejecución.': 'This case is not a Scenario Outline. Convert it into an outline to run it with several data: write the parameters between angle brackets in the steps (for example {example}) and fill in one examples row per run.',
+    'Convertir en esquema': 'Convert into an outline',
+    'Parámetro {number}': 'Parameter {number}',
+    'Eliminar columna': 'Delete column',
+    'Eliminar columna {name}': 'Delete column {name}',
+    '{name}, ejemplo {number}': '{name}, example {number}',
+    'Eliminar fila': 'Delete row',
+    'Eliminar ejemplo {number}': 'Delete example {number}',
+    '+ Fila': '+ Row',
+    '+ Columna': '+ Column',
+    '+ Columnas de los parámetros sin ejemplos ({names})': '+ Columns for the parameters without examples ({names})',
+    'Quita la tabla de ejemplos y deja el caso como escenario simple': 'Removes the examples table and leaves the case as a plain scenario',
+    'Quitar ejemplos': 'Remove examples',
+    'Los pasos no usan {names}: escribe el parámetro en los pasos o elimina la columna.': 'The steps do not use {names}: write the parameter in the steps or delete the column.',
+    'No se pudo generar la automatización: {message}': 'The automation could not be generated: {message}',
+    'Generar automatización': 'Generate automation',
+    'Genera un proyecto con el esqueleto de los casos seleccionados. Cada paso queda como TODO y las pruebas aparecen como pendientes hasta implementarlas.': 'Generates a project with the skeleton of the selected cases. Each step is left as a TODO and the tests show as pending until they are implemented.',
+    'Framework:': 'Framework:',
+    '{count} archivos': '{count} files',
+    '{count} step definitions (pasos repetidos se definen una vez)': '{count} step definitions (repeated steps are defined once)',
+    'Descargar proyecto ({count} casos)': 'Download project ({count} cases)',
+    'No se pudo abrir el análisis compartido: {message}': 'The shared analysis could not be opened: {message}',
+    'Leyendo...': 'Reading...',
+    'No se pudieron leer algunos archivos: {errors}.': 'Some files could not be read: {errors}.',
+    'No se pudieron importar los documentos: {message}': 'The documents could not be imported: {message}',
+    'Introduce un enlace de Jira válido para cargar la historia.': 'Enter a valid Jira link to load the story.',
+    'No se pudo cargar la historia desde Jira: {message}': 'The story could not be loaded from Jira: {message}',
+    'El enlace de Jira es obligatorio para el análisis de impacto.': 'The Jira link is required for the impact analysis.',
+    'Por favor, ingresa la descripción de la historia o épica de Jira.': 'Please enter the description of the Jira story or epic.',
+    'Error al parsear la primera respuesta JSON: {message}.': 'Error parsing the first JSON answer: {message}.',
+    'Respuesta: {response}': 'Answer: {response}',
+    'Error al parsear la segunda respuesta JSON: {message}.': 'Error parsing the second JSON answer: {message}.',
+    'Ocurrió un error: {message}. Por favor, inténtalo de nuevo.': 'An error occurred: {message}. Please try again.',
+    'No se pudo renombrar el análisis: {message}': 'The analysis could not be renamed: {message}',
+    'No se pudo eliminar el análisis: {message}': 'The analysis could not be deleted: {message}',
+    'No se pudo exportar el historial: {message}': 'The history could not be exported: {message}',
+    'No se pudo importar el historial: {message}': 'The history could not be imported: {message}',
+    'La respuesta de la IA no es un caso de prueba válido: {errors}.': 'The AI answer is not a valid test case: {errors}.',
+    'No se pudo regenerar el caso "{scenario}": {message}': 'The case "{scenario}" could not be regenerated: {message}',
+    'No se pudieron generar los datos de prueba: {message}': 'The test data could not be generated: {message}',
+    'No se pudo abrir la revisión: {message}': 'The review could not be opened: {message}',
+    '{name} (revisado)': '{name} (reviewed)',
+    'Análisis': 'Analysis',
+    'Idioma de la interfaz': 'Interface language',
+    'Abre un análisis compartido para revisión (.json)': 'Opens an analysis shared for review (.json)',
+    'Abrir revisión': 'Open review',
+    'Historial ({count})': 'History ({count})',
+    'Implementación de IA en Quality Assurance Kushki': 'AI in Quality Assurance at Kushki',
+    'Generador de Casos de Prueba y Análisis de Impacto para Jira': 'Test Case Generator and Impact Analysis for Jira',
+    'Pega el enlace y la descripción de tu historia de usuario o épica de Jira a continuación. La IA generará casos de prueba, sugerirá impactos y pruebas de regresión.': 'Paste the link and the description of your Jira user story or epic below. The AI will generate test cases and suggest impacts and regression tests.',
+    'Idioma de los resultados:': 'Output language:',
+    'Idioma de los casos, las prioridades y las exportaciones, independiente del idioma de la interfaz.': 'Language of the cases, priorities and exports, independent of the interface language.',
+    'Enlace de Jira': 'Jira link',
+    'Ej: {url}': 'E.g.: {url}',
+    'Cargando...': 'Loading...',
+    'Cargar desde Jira': 'Load from Jira',
+    'Componentes: {names}': 'Components: {names}',
+    'Etiquetas: {names}': 'Labels: {names}',
+    '{count} incidencias vinculadas': '{count} linked issues',
+    'Importar Descripción desde documentos:': 'Import Description from documents:',
+    'Importando...': 'Importing...',
+    'Seleccionar archivos': 'Select files',
+    'Reemplazar el contenido actual': 'Replace the current content',
+    'PDF (con vista previa por página, selección de páginas y contraseña; los escaneados se leen con OCR), Word (.docx), HTML (p. ej. exportado de Confluence), Markdown, texto o imágenes (OCR). Se conservan títulos, listas y tablas.': 'PDF (with per-page preview, page selection and password; scanned ones are read with OCR), Word (.docx), HTML (e.g. exported from Confluence), Markdown, text or images (OCR). Headings, lists and tables are kept.',
+    'Contenido de la historia/épica de Jira': 'Content of the Jira story/epic',
+    'Pega aquí la descripción completa de tu historia de usuario o épica de Jira (ej. \'Como usuario, quiero...\' o \'Funcionalidad XYZ...\'). También puedes importar documentos.': 'Paste the full description of your Jira user story or epic here (e.g. \'As a user, I want...\' or \'Feature XYZ...\'). You can also import documents.',
+    'Proponer datos de prueba concretos para cada caso (válidos, inválidos, límite y casos extremos; una llamada adicional a la IA)': 'Propose concrete test data for each case (valid, invalid, boundary and edge cases; one more call to the AI)',
+    'Analizando...': 'Analysing...',
+    'Generar Análisis Completo': 'Generate Full Analysis',
+    'Validación de la respuesta de la IA:': 'Validation of the AI answer:',
+    'Casos de Prueba Generados (Principales):': 'Generated Test Cases (Main):',
+    'Información:': 'Information:',
+    'No se generaron casos de prueba principales para la descripción proporcionada.': 'No main test cases were generated for the given description.',
+    'Sugerencias de Pruebas de Regresión (Texto):': 'Regression Test Suggestions (Text):',
+    'Casos de Prueba de Regresión Generados (Gherkin):': 'Generated Regression Test Cases (Gherkin):',
+    'No se pudieron generar casos de prueba Gherkin a partir de las sugerencias de regresión.': 'No Gherkin test cases could be generated from the regression suggestions.',
+    'Exportar a CSV (Compatible con Google Sheets)': 'Export to CSV (Google Sheets compatible)',
+    'Exportar a Excel (.xlsx)': 'Export to Excel (.xlsx)',
+    'Exportar a Gherkin (.feature en .zip)': 'Export to Gherkin (.feature in .zip)',
+    'Propone datos de entrada concretos para cada caso; sustituye los datos que ya tuvieran': 'Proposes concrete input data for each case; replaces any data they already had',
+    'Generando datos...': 'Generating data...',
+    'Generar datos de prueba': 'Generate test data',
+    'Compartir para revisión:': 'Share for review:',
+    'Copiar enlace': 'Copy link',
+    'Descargar (.json)': 'Download (.json)',
+    'Enlace copiado al portapapeles (recoge el análisis tal como está ahora):': 'Link copied to the clipboard (it holds the analysis as it is now):',
+    'Copia el enlace (recoge el análisis tal como está ahora):': 'Copy the link (it holds the analysis as it is now):',
+    'Enlace de revisión': 'Review link',
+    'Cargando desde Jira': 'Loading from Jira',
+    'Instrucción sobre el idioma de los resultados': 'Instruction about the output language',
+    'Prefijo de los escenarios en el idioma de los resultados': 'Scenario prefix in the output language',
+    'Prioridades en el idioma de los resultados': 'Priorities in the output language',
+    'ID de Jira de la historia': 'Jira ID of the story',
+    'Contenido de la historia': 'Content of the story',
+    'Contexto adicional obtenido de Jira': 'Additional context fetched from Jira',
+    'Pruebas de regresión sugeridas en la primera llamada': 'Regression tests suggested in the first call',
+    'Impactos detectados en la primera llamada, con su ID': 'Impacts found in the first call, with their ID',
+    'Lead QA ISTQB (general)': 'ISTQB QA Lead (general)',
+    'Pruebas de API': 'API testing',
+    'Aplicaciones móviles': 'Mobile applications',
+    'Pagos / PCI DSS': 'Payments / PCI DSS',
+    'Claves API, tokens y JWT': 'API keys, tokens and JWT',
+    'Números de tarjeta (con verificación Luhn)': 'Card numbers (with Luhn check)',
+    'Correos electrónicos': 'E-mail addresses',
+    'URLs y hosts internos': 'Internal URLs and hosts',
+    'Direcciones IP': 'IP addresses',
+    'Teléfonos': 'Phone numbers',
+    'Alta': 'High',
+    'Media': 'Medium',
+    'Baja': 'Low',
+    'Alto': 'High',
+    'Medio': 'Medium',
+    'Bajo': 'Low',
+    'Historia individual': 'Single story',
+    'Lote de historias': 'Story batch',
+    'Sin indicar': 'Not specified',
+    'no es un objeto': 'is not an object',
+    '{field}: lista de pasos convertida a texto': '{field}: step list converted to text',
+    'falta "{field}"': '"{field}" is missing',
+    'Característica vacía: se asignó "General"': 'Empty feature: "General" assigned',
+    'Escenario: prefijo "{prefix}" añadido o corregido': 'Scenario: prefix "{prefix}" added or corrected',
+    'ID de Jira "{jiraId}" corregido a "{expected}"': 'Jira ID "{jiraId}" corrected to "{expected}"',
+    'ID de Jira añadido: "{expected}"': 'Jira ID added: "{expected}"',
+    'Prioridad "{priority}" normalizada a "{normalized}"': 'Priority "{priority}" normalised to "{normalized}"',
+    'Prioridad desconocida "{priority}": se asignó "{default}"': 'Unknown priority "{priority}": "{default}" assigned',
+    'Prioridad vacía: se asignó "{default}"': 'Empty priority: "{default}" assigned',
+    'Tipo de prueba "{value}" normalizado a "{normalized}"': 'Test type "{value}" normalised to "{normalized}"',
+    'Técnica "{value}" normalizada a "{normalized}"': 'Technique "{value}" normalised to "{normalized}"',
+    'Ejemplos: lista de objetos convertida a tabla': 'Examples: object list converted to a table',
+    'Ejemplos: columna "{name}" añadida (vacía)': 'Examples: column "{name}" added (empty)',
+    'Caso {number}': 'Case {number}',
+    '{label}: la respuesta de la IA no era válida y se regeneró automáticamente.': '{label}: the AI answer was not valid and was regenerated automatically.',
+    '{label}: la respuesta de la IA llegó cortada y se reparó; pueden faltar casos.': '{label}: the AI answer was cut off and was repaired; some cases may be missing.',
+    '{label}: 1 caso corregido automáticamente (marcados en la tabla).': '{label}: 1 case corrected automatically (marked in the table).',
+    '{label}: {count} casos corregidos automáticamente (marcados en la tabla).': '{label}: {count} cases corrected automatically (marked in the table).',
+    '{label}: se descartó "{scenario}" ({errors}).': '{label}: "{scenario}" was discarded ({errors}).',
+    'respuesta': 'answer',
+    '"{path}" debe ser un arreglo': '"{path}" must be an array',
+    '"{path}" debe ser un objeto': '"{path}" must be an object',
+    'falta la propiedad "{key}"': 'the "{key}" property is missing',
+    'Proveedor de IA desconocido: {provider}': 'Unknown AI provider: {provider}',
+    'Error desconocido en la llamada a {provider}.': 'Unknown error in the call to {provider}.',
+    'la respuesta de la IA está vacía': 'the AI answer is empty',
+    'JSON no válido o incompleto ({message})': 'invalid or incomplete JSON ({message})',
+    'no sigue el formato pedido: {errors}': 'it does not follow the requested format: {errors}',
+    'Datos de prueba: no se pudieron generar ({message}). Puedes volver a pedirlos con "Generar datos de prueba".': 'Test data: it could not be generated ({message}). You can ask for it again with "Generate test data".',
+    'El archivo CSV está vacío.': 'The CSV file is empty.',
+    'El CSV no parece una exportación de Jira: faltan las columnas "Issue key" y "Summary".': 'The CSV does not look like a Jira export: the "Issue key" and "Summary" columns are missing.',
+    'Regresión: {message}': 'Regression: {message}',
+    'el PDF está protegido con contraseña': 'the PDF is password-protected',
+    'página {number} de {total}': 'page {number} of {total}',
+    'OCR de la página {number} de {total}': 'OCR of page {number} of {total}',
+    '"{part}" no es una página ni un rango válido (p. ej. 1-3, 5).': '"{part}" is not a valid page or range (e.g. 1-3, 5).',
+    '"{part}" está fuera de las páginas del documento (1-{count}).': '"{part}" is outside the pages of the document (1-{count}).',
+    'no es un documento de Word (.docx) válido': 'it is not a valid Word document (.docx)',
+    'OCR de la imagen': 'OCR of the image',
+    'formato no soportado (usa PDF, Word .docx, HTML, Markdown, texto o imágenes)': 'unsupported format (use PDF, Word .docx, HTML, Markdown, text or images)',
+    'Leyendo {name}...': 'Reading {name}...',
+    'Leyendo {name}: {status}...': 'Reading {name}: {status}...',
+    'no se encontró texto': 'no text was found',
+    'El archivo no es un JSON válido.': 'The file is not valid JSON.',
+    'El archivo no contiene perfiles de prompt.': 'The file does not contain prompt profiles.',
+    'Este navegador no permite guardar el historial (IndexedDB no disponible).': 'This browser cannot save the history (IndexedDB not available).',
+    'El archivo no contiene un historial de análisis.': 'The file does not contain an analysis history.',
+    'No es un análisis compartido para revisión.': 'It is not an analysis shared for review.',
+    'El análisis se compartió con una versión más reciente de la aplicación.': 'The analysis was shared with a newer version of the application.',
+    'Este navegador no puede comprimir el enlace; descarga el análisis (.json) y compártelo.': 'This browser cannot compress the link; download the analysis (.json) and share it.',
+    'El análisis es demasiado grande para un enlace; descarga el análisis (.json) y compártelo.': 'The analysis is too large for a link; download the analysis (.json) and share it.',
+    'El enlace está incompleto o dañado.': 'The link is incomplete or damaged.',
+    '{source}: falta la columna "Escenario".': '{source}: the "Escenario" column is missing.',
+    'El CSV: falta la columna "Escenario".': 'The CSV: the "Escenario" column is missing.',
+    '{fileName}: formato no soportado (usa .csv o .feature).': '{fileName}: unsupported format (use .csv or .feature).',
+    'Framework de automatización desconocido: {framework}': 'Unknown automation framework: {framework}',
+    'Error {status} del servidor.': 'Server error {status}.',
+    'la expresión coincide con un texto vacío': 'the expression matches an empty text'
+};
@@ -0,0 +1,114 @@
+import { EN_MESSAGES } from './en';
+import { PT_MESSAGES } from './pt';
+
+/**
+ * Interface translations. The Spanish text is the message key: the dictionaries map it to its
+ * English and Portuguese translation, and a text without translation is shown in Spanish.
+ * Variables are written as {name} and replaced when the message is translated.
+ * The utils build the texts they return with the translator their caller gives them (see
+ * defaultTranslate), and throw TranslatableError so that the interface shows errors in its language.
+ */
+
+const UI_LANGUAGE_STORAGE_KEY = 'iacases.uiLanguage';
+
+// Interface languages, with the locale used to format dates
+export const UI_LANGUAGES = [
+    { id: 'es', label: 'Español', locale: 'es-ES' },
+    { id: 'en', label: 'English', locale: 'en-US' },
+    { id: 'pt', label: 'Português', locale: 'pt-BR' }
+];
+
+const DEFAULT_UI_LANGUAGE = 'es';
+
+// Translations by language (Spanish needs none)
+const MESSAGES = {
+    es: {},
+    en: EN_MESSAGES,
+    pt: PT_MESSAGES
+};
+
+/**
+ * Translates an interface text.
+ * @param {string} language The interface language.
+ * @param {string} text The Spanish text.
+ * @param {object} [variables] The values of its {name} variables.
+ * @returns {string} The translated text.
+ */
+export const translate = (language, text, variables) => {
+    const messages = MESSAGES[language] || MESSAGES[DEFAULT_UI_LANGUAGE];
+    const message = Object.prototype.hasOwnProperty.call(messages, text) ? messages[text] : text;
+    if (!variables) {
+        return message;
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) => (
+        Object.prototype.hasOwnProperty.call(variables, name) ? String(variables[name]) : match
+    ));
+};
+
+/**
+ * Creates the translation function of a language.
+ * @param {string} language The interface language.
+ * @returns {function(string, object=): string} The function (see translate).
+ */
+export const createTranslator = (language) => (text, variables) => translate(language, text, variables);
+
+/**
+ * Translator used by the utils when their caller gives none: the Spanish texts, with their variables.
+ * @type {function(string, object=): string}
+ */
+export const defaultTranslate = createTranslator(DEFAULT_UI_LANGUAGE);
+
+// Error whose message is an interface text: the Spanish text and its variables are kept to translate it
+export class TranslatableError extends Error {
+    constructor(text, variables) {
+        super(defaultTranslate(text, variables));
+        this.name = 'TranslatableError';
+        this.text = text;
+        this.variables = variables;
+    }
+}
+
+/**
+ * Returns the message of an error in the interface language.
+ * @param {Error} error The error (a TranslatableError or any other one, shown as is).
+ * @param {function(string, object=): string} t The translation function.
+ * @returns {string} The message.
+ */
+export const translateError = (error, t) => (error instanceof TranslatableError ? t(error.text, error.variables) : String((error && error.message) || error));
+
+/**
+ * Returns the locale of an interface language, to format dates and numbers.
+ * @param {string} language The interface language.
+ * @returns {string} The locale.
+ */
+export const getLocale = (language) => (UI_LANGUAGES.find(item => item.id === language) || UI_LANGUAGES[0]).locale;
+
+/**
+ * Loads the interface language: the one saved in the browser, or else the browser language when
+ * it is one of UI_LANGUAGES.
+ * @returns {string} The language id.
+ */
+export const loadUiLanguage = () => {
+    try {
+        const saved = localStorage.getItem(UI_LANGUAGE_STORAGE_KEY);
+        if (UI_LANGUAGES.some(language => language.id === saved)) {
+            return saved;
+        }
+    } catch (error) {
+        console.warn('No se pudo leer el idioma de la interfaz:', error);
+    }
+    const browserLanguage = typeof navigator !== 'undefined' ? String(navigator.language || '').slice(0, 2).toLowerCase() : '';
+    return UI_LANGUAGES.some(language => language.id === browserLanguage) ? browserLanguage : DEFAULT_UI_LANGUAGE;
+};
+
+/**
+ * Saves the interface language in the browser.
+ * @param {string} language The language id.
+ */
+export const saveUiLanguage = (language) => {
+    try {
+        localStorage.setItem(UI_LANGUAGE_STORAGE_KEY, language);
+    } catch (error) {
+        console.warn('No se pudo guardar el idioma de la interfaz:', error);
+    }
+};
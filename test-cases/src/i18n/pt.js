@@ -0,0 +1,418 @@
+// Portuguese translations of the interface texts, by their Spanish text (see i18n)
+export const PT_MESSAGES = {
+    'Los archivos no contienen casos de prueba.': 'Os arquivos não contêm casos de teste.',
+    'No se pudo importar la suite: {message}': 'Não foi possível importar a suíte: {message}',
+    'Suite existente:': 'Suíte existente:',
+    '{count} casos de 1 archivo. Los casos generados se comparan con ella.': '{count} casos de 1 arquivo. Os casos gerados são comparados com ela.',
+    '{count} casos de {files} archivos. Los casos generados se comparan con ella.': '{count} casos de {files} arquivos. Os casos gerados são comparados com ela.',
+    'Ninguna. Impórtala para detectar casos generados duplicados.': 'Nenhuma. Importe-a para detectar casos gerados duplicados.',
+    'Importar CSV / .feature': 'Importar CSV / .feature',
+    'Quitar suite': 'Remover suíte',
+    'Este caso no tiene datos de prueba. Usa "Generar datos de prueba" debajo de los resultados para que la IA los proponga.': 'Este caso não tem dados de teste. Use "Gerar dados de teste" abaixo dos resultados para que a IA os proponha.',
+    'Quitar este conjunto de datos': 'Remover este conjunto de dados',
+    'Quitar el conjunto de datos {number}': 'Remover o conjunto de dados {number}',
+    '(vacío)': '(vazio)',
+    'Dato ficticio con apariencia de dato sensible: no corresponde a ninguna persona o cuenta real': 'Dado fictício com aparência de dado sensível: não corresponde a nenhuma pessoa ou conta real',
+    'sintético': 'sintético',
+    'Todos los datos son ficticios; los marcados como «sintético» imitan datos sensibles (tarjetas de prueba públicas, contraseñas, documentos, correos).': 'Todos os dados são fictícios; os marcados como «sintético» imitam dados sensíveis (cartões de teste públicos, senhas, documentos, e-mails).',
+    'Enlace copiado al portapapeles.': 'Link copiado para a área de transferência.',
+    'Copia el enlace:': 'Copie o link:',
+    'Revisión: {name}': 'Revisão: {name}',
+    'Análisis compartido': 'Análise compartilhada',
+    'Modo revisión (solo lectura): aprueba o rechaza cada caso y deja tus comentarios. Después, devuelve la revisión al autor con el archivo o el enlace.': 'Modo revisão (somente leitura): aprove ou rejeite cada caso e deixe seus comentários. Depois, devolva a revisão ao autor com o arquivo ou o link.',
+    'Salir de la revisión': 'Sair da revisão',
+    'Revisor:': 'Revisor:',
+    'Tu nombre': 'Seu nome',
+    '{count} aprobados': '{count} aprovados',
+    '{count} rechazados': '{count} rejeitados',
+    '{pending} pendientes · {commented} con comentarios': '{pending} pendentes · {commented} com comentários',
+    'Historia': 'História',
+    'Criterios de aceptación': 'Critérios de aceitação',
+    'Impactos': 'Impactos',
+    'Comentario (opcional)': 'Comentário (opcional)',
+    'Comentario de {scenario}': 'Comentário sobre {scenario}',
+    'Descargar revisión (.json)': 'Baixar revisão (.json)',
+    'Copiar enlace de la revisión': 'Copiar link da revisão',
+    'Abre el análisis revisado en el editor y lo guarda en el historial': 'Abre a análise revisada no editor e a salva no histórico',
+    'Abrir en el editor': 'Abrir no editor',
+    'Enlace de la revisión': 'Link da revisão',
+    'Casos de Prueba': 'Casos de Teste',
+    'Casos de Prueba de Regresión': 'Casos de Teste de Regressão',
+    '✓ Aprobar': '✓ Aprovar',
+    '✕ Rechazar': '✕ Rejeitar',
+    'No se pudieron publicar los casos: {message}': 'Não foi possível publicar os casos: {message}',
+    'Publicar en Jira': 'Publicar no Jira',
+    'Se creará una incidencia de tipo Test (Cucumber) por cada caso seleccionado, vinculada a {storyKey}.': 'Será criada uma issue do tipo Test (Cucumber) para cada caso selecionado, vinculada a {storyKey}.',
+    '¡Error!': 'Erro!',
+    '{created} creados · {failed} con errores': '{created} criados · {failed} com erros',
+    'Escenario': 'Cenário',
+    'Resultado': 'Resultado',
+    'Creado y vinculado': 'Criado e vinculado',
+    'Seleccionar todos': 'Selecionar todos',
+    'Prioridad': 'Prioridade',
+    'Pasos (Gherkin)': 'Passos (Gherkin)',
+    'Seleccionar {scenario}': 'Selecionar {scenario}',
+    '(regresión)': '(regressão)',
+    'Cerrar': 'Fechar',
+    'Cancelar': 'Cancelar',
+    'Publicando...': 'Publicando...',
+    'Confirmar y crear {count} tests': 'Confirmar e criar {count} testes',
+    'Matriz de Trazabilidad (criterio × caso):': 'Matriz de Rastreabilidade (critério × caso):',
+    '{covered} de {total} criterios cubiertos.': '{covered} de {total} critérios cobertos.',
+    'Haz clic en una celda para vincular o desvincular un caso de un criterio.': 'Clique em uma célula para vincular ou desvincular um caso de um critério.',
+    'Criterio de aceptación': 'Critério de aceitação',
+    'Casos': 'Casos',
+    '{criterion} – caso {number}': '{criterion} – caso {number}',
+    'Sin cobertura': 'Sem cobertura',
+    'Criterios sin casos de prueba: {ids}.': 'Critérios sem casos de teste: {ids}.',
+    'Casos sin criterio asociado: {cases}.': 'Casos sem critério associado: {cases}.',
+    '{count} casos': '{count} casos',
+    'La respuesta anterior no se pudo usar ({reason}); se está pidiendo de nuevo a la IA.': 'A resposta anterior não pôde ser usada ({reason}); pedindo novamente à IA.',
+    'Análisis cancelado. Se conservan los resultados recibidos hasta el momento.': 'Análise cancelada. Os resultados recebidos até agora são mantidos.',
+    'Casos principales': 'Casos principais',
+    'Regresión': 'Regressão',
+    'Datos de prueba': 'Dados de teste',
+    'Configuración del modelo de IA:': 'Configuração do modelo de IA:',
+    'Proveedor:': 'Provedor:',
+    'Modelo:': 'Modelo:',
+    'Endpoint:': 'Endpoint:',
+    'Servidor de la aplicación (Gemini)': 'Servidor da aplicação (Gemini)',
+    'Google Gemini (clave propia)': 'Google Gemini (chave própria)',
+    'OpenAI / compatible': 'OpenAI / compatível',
+    'Servidor local (Ollama / LM Studio)': 'Servidor local (Ollama / LM Studio)',
+    'Clave API:': 'Chave de API:',
+    'Clave API (opcional):': 'Chave de API (opcional):',
+    'Se guarda solo en este navegador': 'Salva apenas neste navegador',
+    'Resumen de Cobertura:': 'Resumo de Cobertura:',
+    '1 caso (principales y de regresión).': '1 caso (principais e de regressão).',
+    '{count} casos (principales y de regresión).': '{count} casos (principais e de regressão).',
+    'Categorías sin cobertura: {count}.': 'Categorias sem cobertura: {count}.',
+    '{name} (copia)': '{name} (cópia)',
+    '¿Eliminar el perfil "{name}"?': 'Excluir o perfil "{name}"?',
+    'El archivo no contiene perfiles válidos.': 'O arquivo não contém perfis válidos.',
+    'No se pudieron importar los perfiles: {message}': 'Não foi possível importar os perfis: {message}',
+    'Perfil de QA:': 'Perfil de QA:',
+    '{name} (predefinido)': '{name} (predefinido)',
+    'Ocultar plantillas': 'Ocultar modelos',
+    'Editar plantillas': 'Editar modelos',
+    'Los perfiles predefinidos no se pueden modificar. Duplícalo para crear tu propia versión.': 'Os perfis predefinidos não podem ser modificados. Duplique-o para criar sua própria versão.',
+    'Nombre del perfil:': 'Nome do perfil:',
+    'Variables:': 'Variáveis:',
+    'La plantilla no usa {names}: esos datos no se enviarán a la IA.': 'O modelo não usa {names}: esses dados não serão enviados à IA.',
+    'Duplicar perfil': 'Duplicar perfil',
+    'Eliminar perfil': 'Excluir perfil',
+    'Exporta los perfiles propios (los predefinidos ya vienen con la aplicación)': 'Exporta os perfis próprios (os predefinidos já vêm com a aplicação)',
+    'Exportar JSON': 'Exportar JSON',
+    'Importar JSON': 'Importar JSON',
+    'Plantilla del análisis (casos, impactos y regresión)': 'Modelo da análise (casos, impactos e regressão)',
+    'Plantilla de los casos de regresión': 'Modelo dos casos de regressão',
+    '({source}, similitud {score} %)': '({source}, similaridade {score} %)',
+    'Usa el caso existente y le añade los pasos nuevos de este': 'Usa o caso existente e adiciona a ele os passos novos deste',
+    'Fusionar': 'Mesclar',
+    'por {reviewer}': 'por {reviewer}',
+    'Deshacer': 'Desfazer',
+    'Rehacer': 'Refazer',
+    'Mover': 'Mover',
+    'Acciones': 'Ações',
+    'Arrastra para reordenar': 'Arraste para reordenar',
+    'Corregido': 'Corrigido',
+    'Regenerando...': 'Regenerando...',
+    'Regenerar / Refinar': 'Regenerar / Refinar',
+    'Tabla de ejemplos del Scenario Outline': 'Tabela de exemplos do Scenario Outline',
+    'Ejemplos ({count})': 'Exemplos ({count})',
+    'Ejemplos': 'Exemplos',
+    'Datos de prueba propuestos para el caso': 'Dados de teste propostos para o caso',
+    'Datos ({count})': 'Dados ({count})',
+    'Datos': 'Dados',
+    'Duplicar': 'Duplicar',
+    'Eliminar': 'Excluir',
+    'Instrucción para la IA (déjala vacía para regenerar el caso tal cual):': 'Instrução para a IA (deixe-a vazia para regenerar o caso como está):',
+    'Ej: añade caso negativo con tarjeta expirada': 'Ex.: adicione caso negativo com cartão expirado',
+    'Refinar': 'Refinar',
+    'Regenerar': 'Regenerar',
+    '+ Añadir caso': '+ Adicionar caso',
+    'ID de Jira': 'ID do Jira',
+    'Tipo de prueba': 'Tipo de teste',
+    'Técnica': 'Técnica',
+    'Característica': 'Funcionalidade',
+    'Dado': 'Dado',
+    'Cuando': 'Quando',
+    'Entonces': 'Então',
+    'Nuevo': 'Novo',
+    'Duplicado': 'Duplicado',
+    'Similar a': 'Semelhante a',
+    'Aprobado': 'Aprovado',
+    'Rechazado': 'Rejeitado',
+    'Comentado': 'Comentado',
+    'Impacto': 'Impacto',
+    'Anonimizar datos sensibles antes de enviar a la IA': 'Anonimizar dados sensíveis antes de enviar à IA',
+    '1 valor se sustituirá por marcadores ({counts}).': '1 valor será substituído por marcadores ({counts}).',
+    '{count} valores se sustituirán por marcadores ({counts}).': '{count} valores serão substituídos por marcadores ({counts}).',
+    'No se han detectado datos sensibles en el contenido.': 'Nenhum dado sensível foi detectado no conteúdo.',
+    'Desactivado: el contenido se envía tal cual al proveedor de IA.': 'Desativado: o conteúdo é enviado como está ao provedor de IA.',
+    'Ocultar vista previa': 'Ocultar pré-visualização',
+    'Ver qué se enmascara': 'Ver o que é mascarado',
+    'Ocultar reglas': 'Ocultar regras',
+    'Configurar reglas': 'Configurar regras',
+    'Restaurar los valores originales en los resultados (solo en este navegador)': 'Restaurar os valores originais nos resultados (somente neste navegador)',
+    'Detectores:': 'Detectores:',
+    'Reglas propias (expresiones regulares):': 'Regras próprias (expressões regulares):',
+    'Nombre (ej. ID de cliente)': 'Nome (ex. ID do cliente)',
+    'Nombre de la regla {number}': 'Nome da regra {number}',
+    'Expresión (ej. CLI-\\d{6})': 'Expressão (ex. CLI-\\d{6})',
+    'Expresión de la regla {number}': 'Expressão da regra {number}',
+    'Eliminar regla': 'Excluir regra',
+    'Eliminar la regla {number}': 'Excluir a regra {number}',
+    'Expresión no válida: {error}': 'Expressão inválida: {error}',
+    '+ Regla': '+ Regra',
+    'Cada valor se sustituye por un marcador (por ejemplo {example}) en todo lo que se envía a la IA. La correspondencia entre marcadores y valores no sale del navegador.': 'Cada valor é substituído por um marcador (por exemplo {example}) em tudo o que é enviado à IA. A correspondência entre marcadores e valores não sai do navegador.',
+    'PDF protegido': 'PDF protegido',
+    '{fileName} está protegido con contraseña.': '{fileName} está protegido por senha.',
+    'Contraseña:': 'Senha:',
+    'La contraseña no es correcta.': 'A senha não está correta.',
+    'Abrir': 'Abrir',
+    'Importar {fileName}': 'Importar {fileName}',
+    'Revisa el texto de cada página y elige las que se importan (1 página).': 'Revise o texto de cada página e escolha as que serão importadas (1 página).',
+    'Revisa el texto de cada página y elige las que se importan ({count} páginas).': 'Revise o texto de cada página e escolha as que serão importadas ({count} páginas).',
+    'Páginas:': 'Páginas:',
+    'Ej: 1-3, 5': 'Ex.: 1-3, 5',
+    'Página {number}': 'Página {number}',
+    'Escaneada: se leerá con OCR': 'Digitalizada: será lida com OCR',
+    '(sin texto)': '(sem texto)',
+    'Omitir archivo': 'Ignorar arquivo',
+    'Importar 1 página': 'Importar 1 página',
+    'Importar {count} páginas': 'Importar {count} páginas',
+    '({count} con OCR)': '({count} com OCR)',
+    'En cola': 'Na fila',
+    'Analizando': 'Analisando',
+    '(intento {number})': '(tentativa {number})',
+    'Reintentando en {seconds} s': 'Tentando novamente em {seconds} s',
+    'Completado': 'Concluído',
+    'Error': 'Erro',
+    'Cancelado': 'Cancelado',
+    'Pendiente': 'Pendente',
+    'No se encontró ninguna historia (se esperaban claves como PROJ-123).': 'Nenhuma história foi encontrada (eram esperadas chaves como PROJ-123).',
+    'No se pudo leer el CSV: {message}': 'Não foi possível ler o CSV: {message}',
+    'Error al exportar a Excel: {message}': 'Erro ao exportar para Excel: {message}',
+    'Error al exportar a Gherkin: {message}': 'Erro ao exportar para Gherkin: {message}',
+    'Exportación CSV de Jira:': 'Exportação CSV do Jira:',
+    'Seleccionar CSV': 'Selecionar CSV',
+    'En Jira: Filtros → Exportar → CSV (todos los campos). Se usan la clave, el resumen, la descripción, los criterios de aceptación, los componentes y las etiquetas.': 'No Jira: Filtros → Exportar → CSV (todos os campos). São usados a chave, o resumo, a descrição, os critérios de aceitação, os componentes e as etiquetas.',
+    'O enlaces / claves de Jira (se cargan desde Jira):': 'Ou links / chaves do Jira (carregados do Jira):',
+    'Añadir al lote': 'Adicionar ao lote',
+    'Análisis simultáneos:': 'Análises simultâneas:',
+    'Reintentos por historia:': 'Tentativas por história:',
+    'Cancelar lote': 'Cancelar lote',
+    'Reintentar fallidas ({count})': 'Repetir as que falharam ({count})',
+    'Analizar {count} historias': 'Analisar {count} histórias',
+    '{done} de {total} completadas · {failed} con errores': '{done} de {total} concluídas · {failed} com erros',
+    'Estado': 'Status',
+    'Detalle': 'Detalhe',
+    '{cases} + {regression} regresión': '{cases} + {regression} regressão',
+    '{count} avisos de validación': '{count} avisos de validação',
+    'Quitar': 'Remover',
+    'Exportar lote a CSV ({count} historias)': 'Exportar lote para CSV ({count} histórias)',
+    'Generando .xlsx...': 'Gerando .xlsx...',
+    'Exportar lote a Excel (.xlsx)': 'Exportar lote para Excel (.xlsx)',
+    'Idioma Gherkin:': 'Idioma Gherkin:',
+    'Generando .zip...': 'Gerando .zip...',
+    'Exportar lote a Gherkin (.zip)': 'Exportar lote para Gherkin (.zip)',
+    '¿Eliminar "{name}" del historial?': 'Excluir "{name}" do histórico?',
+    'Historial de análisis': 'Histórico de análises',
+    'Cerrar historial': 'Fechar histórico',
+    'Buscar por ID de Jira o texto...': 'Pesquisar por ID do Jira ou texto...',
+    'Buscar en el historial': 'Pesquisar no histórico',
+    'Todavía no hay análisis guardados.': 'Ainda não há análises salvas.',
+    'Ningún análisis coincide con la búsqueda.': 'Nenhuma análise corresponde à pesquisa.',
+    'Nuevo nombre': 'Novo nome',
+    'Renombrar': 'Renomear',
+    '{label} de {id}': '{label} de {id}',
+    'Impactos Sugeridos (análisis de riesgo):': 'Impactos Sugeridos (análise de risco):',
+    'Severidad': 'Severidade',
+    'Probabilidad': 'Probabilidade',
+    'Sin evaluar': 'Não avaliado',
+    'Sin pruebas': 'Sem testes',
+    'Mapa de calor': 'Mapa de calor',
+    'Sev. \\ Prob.': 'Sev. \\ Prob.',
+    'Los impactos sin severidad o probabilidad no aparecen en el mapa.': 'Os impactos sem severidade ou probabilidade não aparecem no mapa.',
+    'ID': 'ID',
+    'Área / módulo': 'Área / módulo',
+    'Descripción': 'Descrição',
+    'Riesgo': 'Risco',
+    'Pruebas que lo mitigan': 'Testes que o mitigam',
+    'Este caso no es un Scenario Outline. Conviértelo en esquema para ejecutarlo con varios datos: escribe los parámetros entre ángulos en los pasos (por ejemplo {example}) y rellena una fila de ejemplos por ejecución.': 'Este caso não é um Scenario Outline. Converta-o em esquema para executá-lo com vários dados: escreva os parâmetros entre sinais de menor e maior nos passos (por exemplo {example}) e preencha uma linha de exemplos por execução.',
+    'Convertir en esquema': 'Converter em esquema',
+    'Parámetro {number}': 'Parâmetro {number}',
+    'Eliminar columna': 'Excluir coluna',
+    'Eliminar columna {name}': 'Excluir coluna {name}',
+    '{name}, ejemplo {number}': '{name}, exemplo {number}',
+    'Eliminar fila': 'Excluir linha',
+    'Eliminar ejemplo {number}': 'Excluir exemplo {number}',
+    '+ Fila': '+ Linha',
+    '+ Columna': '+ Coluna',
+    '+ Columnas de los parámetros sin ejemplos ({names})': '+ Colunas dos parâmetros sem exemplos ({names})',
+    'Quita la tabla de ejemplos y deja el caso como escenario simple': 'Remove a tabela de exemplos e deixa o caso como cenário simples',
+    'Quitar ejemplos': 'Remover exemplos',
+    'Los pasos no usan {names}: escribe el parámetro en los pasos o elimina la columna.': 'Os passos não usam {names}: escreva o parâmetro nos passos ou exclua a coluna.',
+    'No se pudo generar la automatización: {message}': 'Não foi possível gerar a automação: {message}',
+    'Generar automatización': 'Gerar automação',
+    'Genera un proyecto con el esqueleto de los casos seleccionados. Cada paso queda como TODO y las pruebas aparecen como pendientes hasta implementarlas.': 'Gera um projeto com o esqueleto dos casos selecionados. Cada passo fica como TODO e os testes aparecem como pendentes até serem implementados.',
+    'Framework:': 'Framework:',
+    '{count} archivos': '{count} arquivos',
+    '{count} step definitions (pasos repetidos se definen una vez)': '{count} step definitions (passos repetidos são definidos uma vez)',
+    'Descargar proyecto ({count} casos)': 'Baixar projeto ({count} casos)',
+    'No se pudo abrir el análisis compartido: {message}': 'Não foi possível abrir a análise compartilhada: {message}',
+    'Leyendo...': 'Lendo...',
+    'No se pudieron leer algunos archivos: {errors}.': 'Não foi possível ler alguns arquivos: {errors}.',
+    'No se pudieron importar los documentos: {message}': 'Não foi possível importar os documentos: {message}',
+    'Introduce un enlace de Jira válido para cargar la historia.': 'Informe um link do Jira válido para carregar a história.',
+    'No se pudo cargar la historia desde Jira: {message}': 'Não foi possível carregar a história do Jira: {message}',
+    'El enlace de Jira es obligatorio para el análisis de impacto.': 'O link do Jira é obrigatório para a análise de impacto.',
+    'Por favor, ingresa la descripción de la historia o épica de Jira.': 'Por favor, informe a descrição da história ou épico do Jira.',
+    'Error al parsear la primera respuesta JSON: {message}.': 'Erro ao interpretar a primeira resposta JSON: {message}.',
+    'Respuesta: {response}': 'Resposta: {response}',
+    'Error al parsear la segunda respuesta JSON: {message}.': 'Erro ao interpretar a segunda resposta JSON: {message}.',
+    'Ocurrió un error: {message}. Por favor, inténtalo de nuevo.': 'Ocorreu um erro: {message}. Por favor, tente novamente.',
+    'No se pudo renombrar el análisis: {message}': 'Não foi possível renomear a análise: {message}',
+    'No se pudo eliminar el análisis: {message}': 'Não foi possível excluir a análise: {message}',
+    'No se pudo exportar el historial: {message}': 'Não foi possível exportar o histórico: {message}',
+    'No se pudo importar el historial: {message}': 'Não foi possível importar o histórico: {message}',
+    'La respuesta de la IA no es un caso de prueba válido: {errors}.': 'A resposta da IA não é um caso de teste válido: {errors}.',
+    'No se pudo regenerar el caso "{scenario}": {message}': 'Não foi possível regenerar o caso "{scenario}": {message}',
+    'No se pudieron generar los datos de prueba: {message}': 'Não foi possível gerar os dados de teste: {message}',
+    'No se pudo abrir la revisión: {message}': 'Não foi possível abrir a revisão: {message}',
+    '{name} (revisado)': '{name} (revisado)',
+    'Análisis': 'Análise',
+    'Idioma de la interfaz': 'Idioma da interface',
+    'Abre un análisis compartido para revisión (.json)': 'Abre uma análise compartilhada para revisão (.json)',
+    'Abrir revisión': 'Abrir revisão',
+    'Historial ({count})': 'Histórico ({count})',
+    'Implementación de IA en Quality Assurance Kushki': 'Implementação de IA em Quality Assurance Kushki',
+    'Generador de Casos de Prueba y Análisis de Impacto para Jira': 'Gerador de Casos de Teste e Análise de Impacto para Jira',
+    'Pega el enlace y la descripción de tu historia de usuario o épica de Jira a continuación. La IA generará casos de prueba, sugerirá impactos y pruebas de regresión.': 'Cole abaixo o link e a descrição da sua história de usuário ou épico do Jira. A IA gerará casos de teste e sugerirá impactos e testes de regressão.',
+    'Idioma de los resultados:': 'Idioma dos resultados:',
+    'Idioma de los casos, las prioridades y las exportaciones, independiente del idioma de la interfaz.': 'Idioma dos casos, das prioridades e das exportações, independente do idioma da interface.',
+    'Enlace de Jira': 'Link do Jira',
+    'Ej: {url}': 'Ex.: {url}',
+    'Cargando...': 'Carregando...',
+    'Cargar desde Jira': 'Carregar do Jira',
+    'Componentes: {names}': 'Componentes: {names}',
+    'Etiquetas: {names}': 'Etiquetas: {names}',
+    '{count} incidencias vinculadas': '{count} issues vinculadas',
+    'Importar Descripción desde documentos:': 'Importar Descrição de documentos:',
+    'Importando...': 'Importando...',
+    'Seleccionar archivos': 'Selecionar arquivos',
+    'Reemplazar el contenido actual': 'Substituir o conteúdo atual',
+    'PDF (con vista previa por página, selección de páginas y contraseña; los escaneados se leen con OCR), Word (.docx), HTML (p. ej. exportado de Confluence), Markdown, texto o imágenes (OCR). Se conservan títulos, listas y tablas.': 'PDF (com pré-visualização por página, seleção de páginas e senha; os digitalizados são lidos com OCR), Word (.docx), HTML (p. ex. exportado do Confluence), Markdown, texto ou imagens (OCR). Títulos, listas e tabelas são mantidos.',
+    'Contenido de la historia/épica de Jira': 'Conteúdo da história/épico do Jira',
+    'Pega aquí la descripción completa de tu historia de usuario o épica de Jira (ej. \'Como usuario, quiero...\' o \'Funcionalidad XYZ...\'). También puedes importar documentos.': 'Cole aqui a descrição completa da sua história de usuário ou épico do Jira (ex. \'Como usuário, quero...\' ou \'Funcionalidade XYZ...\'). Você também pode importar documentos.',
+    'Proponer datos de prueba concretos para cada caso (válidos, inválidos, límite y casos extremos; una llamada adicional a la IA)': 'Propor dados de teste concretos para cada caso (válidos, inválidos, limite e casos extremos; uma chamada adicional à IA)',
+    'Analizando...': 'Analisando...',
+    'Generar Análisis Completo': 'Gerar Análise Completa',
+    'Validación de la respuesta de la IA:': 'Validação da resposta da IA:',
+    'Casos de Prueba Generados (Principales):': 'Casos de Teste Gerados (Principais):',
+    'Información:': 'Informação:',
+    'No se generaron casos de prueba principales para la descripción proporcionada.': 'Nenhum caso de teste principal foi gerado para a descrição fornecida.',
+    'Sugerencias de Pruebas de Regresión (Texto):': 'Sugestões de Testes de Regressão (Texto):',
+    'Casos de Prueba de Regresión Generados (Gherkin):': 'Casos de Teste de Regressão Gerados (Gherkin):',
+    'No se pudieron generar casos de prueba Gherkin a partir de las sugerencias de regresión.': 'Não foi possível gerar casos de teste Gherkin a partir das sugestões de regressão.',
+    'Exportar a CSV (Compatible con Google Sheets)': 'Exportar para CSV (compatível com Google Sheets)',
+    'Exportar a Excel (.xlsx)': 'Exportar para Excel (.xlsx)',
+    'Exportar a Gherkin (.feature en .zip)': 'Exportar para Gherkin (.feature em .zip)',
+    'Propone datos de entrada concretos para cada caso; sustituye los datos que ya tuvieran': 'Propõe dados de entrada concretos para cada caso; substitui os dados que já tivessem',
+    'Generando datos...': 'Gerando dados...',
+    'Generar datos de prueba': 'Gerar dados de teste',
+    'Compartir para revisión:': 'Compartilhar para revisão:',
+    'Copiar enlace': 'Copiar link',
+    'Descargar (.json)': 'Baixar (.json)',
+    'Enlace copiado al portapapeles (recoge el análisis tal como está ahora):': 'Link copiado para a área de transferência (contém a análise como está agora):',
+    'Copia el enlace (recoge el análisis tal como está ahora):': 'Copie o link (contém a análise como está agora):',
+    'Enlace de revisión': 'Link de revisão',
+    'Cargando desde Jira': 'Carregando do Jira',
+    'Instrucción sobre el idioma de los resultados': 'Instrução sobre o idioma dos resultados',
+    'Prefijo de los escenarios en el idioma de los resultados': 'Prefixo dos cenários no idioma dos resultados',
+    'Prioridades en el idioma de los resultados': 'Prioridades no idioma dos resultados',
+    'ID de Jira de la historia': 'ID do Jira da história',
+    'Contenido de la historia': 'Conteúdo da história',
+    'Contexto adicional obtenido de Jira': 'Contexto adicional obtido do Jira',
+    'Pruebas de regresión sugeridas en la primera llamada': 'Testes de regressão sugeridos na primeira chamada',
+    'Impactos detectados en la primera llamada, con su ID': 'Impactos detectados na primeira chamada, com seu ID',
+    'Lead QA ISTQB (general)': 'Lead QA ISTQB (geral)',
+    'Pruebas de API': 'Testes de API',
+    'Aplicaciones móviles': 'Aplicativos móveis',
+    'Pagos / PCI DSS': 'Pagamentos / PCI DSS',
+    'Claves API, tokens y JWT': 'Chaves de API, tokens e JWT',
+    'Números de tarjeta (con verificación Luhn)': 'Números de cartão (com verificação Luhn)',
+    'Correos electrónicos': 'E-mails',
+    'URLs y hosts internos': 'URLs e hosts internos',
+    'Direcciones IP': 'Endereços IP',
+    'Teléfonos': 'Telefones',
+    'Alta': 'Alta',
+    'Media': 'Média',
+    'Baja': 'Baixa',
+    'Alto': 'Alto',
+    'Medio': 'Médio',
+    'Bajo': 'Baixo',
+    'Historia individual': 'História individual',
+    'Lote de historias': 'Lote de histórias',
+    'Sin indicar': 'Não indicado',
+    'no es un objeto': 'não é um objeto',
+    '{field}: lista de pasos convertida a texto': '{field}: lista de passos convertida em texto',
+    'falta "{field}"': 'falta "{field}"',
+    'Característica vacía: se asignó "General"': 'Funcionalidade vazia: atribuído "General"',
+    'Escenario: prefijo "{prefix}" añadido o corregido': 'Cenário: prefixo "{prefix}" adicionado ou corrigido',
+    'ID de Jira "{jiraId}" corregido a "{expected}"': 'ID do Jira "{jiraId}" corrigido para "{expected}"',
+    'ID de Jira añadido: "{expected}"': 'ID do Jira adicionado: "{expected}"',
+    'Prioridad "{priority}" normalizada a "{normalized}"': 'Prioridade "{priority}" normalizada para "{normalized}"',
+    'Prioridad desconocida "{priority}": se asignó "{default}"': 'Prioridade desconhecida "{priority}": atribuída "{default}"',
+    'Prioridad vacía: se asignó "{default}"': 'Prioridade vazia: atribuída "{default}"',
+    'Tipo de prueba "{value}" normalizado a "{normalized}"': 'Tipo de teste "{value}" normalizado para "{normalized}"',
+    'Técnica "{value}" normalizada a "{normalized}"': 'Técnica "{value}" normalizada para "{normalized}"',
+    'Ejemplos: lista de objetos convertida a tabla': 'Exemplos: lista de objetos convertida em tabela',
+    'Ejemplos: columna "{name}" añadida (vacía)': 'Exemplos: coluna "{name}" adicionada (vazia)',
+    'Caso {number}': 'Caso {number}',
+    '{label}: la respuesta de la IA no era válida y se regeneró automáticamente.': '{label}: a resposta da IA não era válida e foi gerada novamente de forma automática.',
+    '{label}: la respuesta de la IA llegó cortada y se reparó; pueden faltar casos.': '{label}: a resposta da IA chegou cortada e foi reparada; podem faltar casos.',
+    '{label}: 1 caso corregido automáticamente (marcados en la tabla).': '{label}: 1 caso corrigido automaticamente (marcados na tabela).',
+    '{label}: {count} casos corregidos automáticamente (marcados en la tabla).': '{label}: {count} casos corrigidos automaticamente (marcados na tabela).',
+    '{label}: se descartó "{scenario}" ({errors}).': '{label}: "{scenario}" foi descartado ({errors}).',
+    'respuesta': 'resposta',
+    '"{path}" debe ser un arreglo': '"{path}" deve ser uma lista',
+    '"{path}" debe ser un objeto': '"{path}" deve ser um objeto',
+    'falta la propiedad "{key}"': 'falta a propriedade "{key}"',
+    'Proveedor de IA desconocido: {provider}': 'Provedor de IA desconhecido: {provider}',
+    'Error desconocido en la llamada a {provider}.': 'Erro desconhecido na chamada a {provider}.',
+    'la respuesta de la IA está vacía': 'a resposta da IA está vazia',
+    'JSON no válido o incompleto ({message})': 'JSON inválido ou incompleto ({message})',
+    'no sigue el formato pedido: {errors}': 'não segue o formato pedido: {errors}',
+    'Datos de prueba: no se pudieron generar ({message}). Puedes volver a pedirlos con "Generar datos de prueba".': 'Dados de teste: não foi possível gerá-los ({message}). Você pode pedi-los novamente com "Gerar dados de teste".',
+    'El archivo CSV está vacío.': 'O arquivo CSV está vazio.',
+    'El CSV no parece una exportación de Jira: faltan las columnas "Issue key" y "Summary".': 'O CSV não parece uma exportação do Jira: faltam as colunas "Issue key" e "Summary".',
+    'Regresión: {message}': 'Regressão: {message}',
+    'el PDF está protegido con contraseña': 'o PDF está protegido por senha',
+    'página {number} de {total}': 'página {number} de {total}',
+    'OCR de la página {number} de {total}': 'OCR da página {number} de {total}',
+    '"{part}" no es una página ni un rango válido (p. ej. 1-3, 5).': '"{part}" não é uma página nem um intervalo válido (ex.: 1-3, 5).',
+    '"{part}" está fuera de las páginas del documento (1-{count}).': '"{part}" está fora das páginas do documento (1-{count}).',
+    'no es un documento de Word (.docx) válido': 'não é um documento do Word (.docx) válido',
+    'OCR de la imagen': 'OCR da imagem',
+    'formato no soportado (usa PDF, Word .docx, HTML, Markdown, texto o imágenes)': 'formato não suportado (use PDF, Word .docx, HTML, Markdown, texto ou imagens)',
+    'Leyendo {name}...': 'Lendo {name}...',
+    'Leyendo {name}: {status}...': 'Lendo {name}: {status}...',
+    'no se encontró texto': 'nenhum texto foi encontrado',
+    'El archivo no es un JSON válido.': 'O arquivo não é um JSON válido.',
+    'El archivo no contiene perfiles de prompt.': 'O arquivo não contém perfis de prompt.',
+    'Este navegador no permite guardar el historial (IndexedDB no disponible).': 'Este navegador não permite salvar o histórico (IndexedDB indisponível).',
+    'El archivo no contiene un historial de análisis.': 'O arquivo não contém um histórico de análises.',
+    'No es un análisis compartido para revisión.': 'Não é uma análise compartilhada para revisão.',
+    'El análisis se compartió con una versión más reciente de la aplicación.': 'A análise foi compartilhada com uma versão mais recente da aplicação.',
+    'Este navegador no puede comprimir el enlace; descarga el análisis (.json) y compártelo.': 'Este navegador não consegue comprimir o link; baixe a análise (.json) e compartilhe-a.',
+    'El análisis es demasiado grande para un enlace; descarga el análisis (.json) y compártelo.': 'A análise é grande demais para um link; baixe a análise (.json) e compartilhe-a.',
+    'El enlace está incompleto o dañado.': 'O link está incompleto ou danificado.',
+    '{source}: falta la columna "Escenario".': '{source}: falta a coluna "Escenario".',
+    'El CSV: falta la columna "Escenario".': 'O CSV: falta a coluna "Escenario".',
+    '{fileName}: formato no soportado (usa .csv o .feature).': '{fileName}: formato não suportado (use .csv ou .feature).',
+    'Framework de automatización desconocido: {framework}': 'Framework de automação desconhecido: {framework}',
+    'Error {status} del servidor.': 'Erro {status} do servidor.',
+    'la expresión coincide con un texto vacío': 'a expressão corresponde a um texto vazio'
+};
@@ -0,0 +1,78 @@
+import { toGeminiSchema } from './schema';
+
+/**
+ * Google Gemini adapter ("generateContent" REST API).
+ */
+const geminiProvider = {
+    id: 'gemini',
+    label: 'Google Gemini (clave propia)',
+    defaultModel: 'gemini-2.0-flash',
+    defaultEndpoint: 'https://generativelanguage.googleapis.com/v1beta',
+    suggestedModels: ['gemini-2.0-flash', 'gemini-2.0-flash-lite', 'gemini-1.5-pro', 'gemini-2.5-flash', 'gemini-2.5-pro'],
+    requiresApiKey: true,
+
+    /**
+     * Builds the "generateContent" request body.
+     * @param {string} prompt The user prompt.
+     * @param {object} schema The JSON Schema of the expected answer.
+     * @returns {object} The request payload.
+     */
+    buildPayload(prompt, schema) {
+        let chatHistory = [];
+        chatHistory.push({ role: "user", parts: [{ text: prompt }] });
+        return {
+            contents: chatHistory,
+            generationConfig: {
+                responseMimeType: "application/json",
+                responseSchema: toGeminiSchema(schema)
+            }
+        };
+    },
+
+    /**
+     * Reads the generated text from a "generateContent" response.
+     * @param {object} result The parsed response body.
+     * @returns {string} The generated text, empty if the response has no candidates.
+     */
+    parseResponse(result) {
+        // Robust check for the API response structure
+        if (result.candidates && result.candidates.length > 0 &&
+            result.candidates[0].content && result.candidates[0].content.parts &&
+            result.candidates[0].content.parts.length > 0 &&
+            result.candidates[0].content.parts[0].text) {
+            return result.candidates[0].content.parts[0].text;
+        }
+        return '';
+    },
+
+    /**
+     * Reads the text fragment carried by one server-sent event of "streamGenerateContent".
+     * @param {string} data The event data (a partial "generateContent" response).
+     * @returns {string} The text fragment, empty if the event has none.
+     */
+    parseStreamEvent(data) {
+        return this.parseResponse(JSON.parse(data));
+    },
+
+    /**
+     * Sends a prompt to Gemini.
+     * @param {object} settings The provider settings ({ model, endpoint, apiKey }).
+     * @param {{prompt: string, schema: object, stream: boolean, signal: AbortSignal}} request The prompt, the
+     *   expected answer schema, whether to stream the answer and the signal to cancel the call.
+     * @returns {Promise<Response>} The raw HTTP response.
+     */
+    request(settings, { prompt, schema, stream = false, signal }) {
+        const endpoint = (settings.endpoint || this.defaultEndpoint).replace(/\/+$/, '');
+        const model = settings.model || this.defaultModel;
+        const method = stream ? 'streamGenerateContent?alt=sse&' : 'generateContent?';
+        const apiUrl = `${endpoint}/models/${model}:${method}key=${settings.apiKey}`;
+        return fetch(apiUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(this.buildPayload(prompt, schema)),
+            signal
+        });
+    }
+};
+
+export default geminiProvider;
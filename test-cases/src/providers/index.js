@@ -0,0 +1,206 @@
+import proxyProvider from './proxy';
+import geminiProvider from './gemini';
+import { openAiProvider, ollamaProvider } from './openaiCompatible';
+import { extractJsonText } from './schema';
+import { readServerSentEvents } from './stream';
+import { buildCorrectivePrompt, findStructureErrors, repairTruncatedJson } from '../utils/validation';
+import { TranslatableError, defaultTranslate } from '../i18n';
+
+// Available LLM providers, in the order shown in the settings panel (their labels are interface texts, see i18n)
+export const PROVIDERS = {
+    [proxyProvider.id]: proxyProvider,
+    [geminiProvider.id]: geminiProvider,
+    [openAiProvider.id]: openAiProvider,
+    [ollamaProvider.id]: ollamaProvider
+};
+
+const SETTINGS_STORAGE_KEY = 'iacases.providerSettings';
+
+// Corrective calls made when an answer is not valid JSON or does not follow the schema
+const MAX_REPAIR_ATTEMPTS = 1;
+
+// Error thrown when the provider answers with an HTTP error (status and Retry-After kept for retries)
+export class ProviderRequestError extends Error {
+    constructor(message, status, retryAfterSeconds) {
+        super(message);
+        this.name = 'ProviderRequestError';
+        this.status = status;
+        this.retryAfterSeconds = retryAfterSeconds;
+    }
+}
+
+// Error thrown when the AI answer cannot be used even after repairing it
+export class InvalidAiResponseError extends Error {
+    constructor(message, responseText) {
+        super(message);
+        this.name = 'InvalidAiResponseError';
+        this.responseText = responseText;
+    }
+}
+
+/**
+ * Returns the default settings of a provider.
+ * @param {string} providerId The provider id.
+ * @returns {{providerId: string, model: string, endpoint: string, apiKey: string}} The settings.
+ */
+export const getDefaultProviderSettings = (providerId = proxyProvider.id) => {
+    const provider = PROVIDERS[providerId] || proxyProvider;
+    return {
+        providerId: provider.id,
+        model: provider.defaultModel,
+        endpoint: provider.defaultEndpoint,
+        apiKey: ''
+    };
+};
+
+/**
+ * Loads the provider settings saved in the browser, falling back to the defaults.
+ * @returns {object} The provider settings.
+ */
+export const loadProviderSettings = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY));
+        if (saved && PROVIDERS[saved.providerId]) {
+            return { ...getDefaultProviderSettings(saved.providerId), ...saved };
+        }
+    } catch (error) {
+        console.warn('No se pudo leer la configuración del proveedor de IA:', error);
+    }
+    return getDefaultProviderSettings();
+};
+
+/**
+ * Saves the provider settings in the browser.
+ * @param {object} settings The provider settings.
+ */
+export const saveProviderSettings = (settings) => {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+};
+
+/**
+ * Reads the error message from a failed provider response, whatever its format.
+ * @param {Response} response The failed HTTP response.
+ * @returns {Promise<string>} The error message, empty if none could be read.
+ */
+const readErrorMessage = async (response) => {
+    try {
+        const errorData = await response.json();
+        return (errorData.error && errorData.error.message) || errorData.message || '';
+    } catch {
+        return '';
+    }
+};
+
+/**
+ * Sends a prompt to the configured provider and returns the generated JSON text.
+ * When "onText" is given the answer is streamed and "onText" receives the text generated so far
+ * after every fragment, so callers can render partial results.
+ * With a redactor (see utils/redaction), the sensitive values of the prompt are replaced by
+ * placeholders before it leaves the browser, and put back in the answer.
+ * @param {object} settings The provider settings ({ providerId, model, endpoint, apiKey }).
+ * @param {{prompt: string, schema: object, stage: string, signal: AbortSignal, onText: function(string): void,
+ *   redactor: object, t: function(string, object=): string}} request
+ *   The prompt, the JSON Schema of the expected answer, the pipeline stage ("analyze", "regression",
+ *   "refine" or "test-data"), an optional signal to cancel the call, an optional streaming callback,
+ *   an optional redactor and the translation function of the error messages.
+ * @returns {Promise<string>} The generated JSON text, empty if the model returned nothing.
+ */
+export const generateJsonText = async (settings, request) => {
+    const provider = PROVIDERS[settings.providerId];
+    if (!provider) {
+        throw new TranslatableError('Proveedor de IA desconocido: {provider}', { provider: settings.providerId });
+    }
+
+    const stream = Boolean(request.onText);
+    const { redactor } = request;
+    const restore = (text) => (redactor ? redactor.restoreJson(text) : text);
+    const prompt = redactor ? redactor.redact(request.prompt) : request.prompt;
+    const response = await provider.request(settings, { ...request, prompt, stream });
+    if (!response.ok) {
+        const t = request.t || defaultTranslate;
+        const message = await readErrorMessage(response) || t('Error desconocido en la llamada a {provider}.', { provider: t(provider.label) });
+        const retryAfterSeconds = Number(response.headers.get('Retry-After')) || null;
+        throw new ProviderRequestError(
+            `Error ${response.status}: ${message}`,
+            response.status,
+            retryAfterSeconds
+        );
+    }
+
+    if (!stream) {
+        const result = await response.json();
+        return restore(extractJsonText(provider.parseResponse(result, request)));
+    }
+
+    let text = '';
+    await readServerSentEvents(response, (data) => {
+        const fragment = provider.parseStreamEvent(data);
+        if (fragment) {
+            text += fragment;
+            request.onText(restore(text));
+        }
+    });
+    return restore(extractJsonText(provider.unwrapAnswer ? provider.unwrapAnswer(text, request) : text));
+};
+
+/**
+ * Parses a generated JSON text and checks its structure against the schema.
+ * The reason an answer cannot be used is given twice: in Spanish for the corrective prompt
+ * ("problem") and translated for the user ("reason").
+ * @param {string} text The generated JSON text.
+ * @param {object} schema The JSON Schema of the expected answer.
+ * @param {function(string, object=): string} t The translation function of the reason.
+ * @returns {{data: *, problem: string|null, reason: string|null}} The parsed answer, or the reason it cannot be used.
+ */
+const parseAnswer = (text, schema, t) => {
+    const failure = (describe) => ({ data: undefined, problem: describe(defaultTranslate), reason: describe(t) });
+    if (!text) {
+        return failure(translate => translate('la respuesta de la IA está vacía'));
+    }
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        return failure(translate => translate('JSON no válido o incompleto ({message})', { message: error.message }));
+    }
+    return findStructureErrors(data, schema).length > 0
+        ? failure(translate => translate('no sigue el formato pedido: {errors}', { errors: findStructureErrors(data, schema, translate).join('; ') }))
+        : { data, problem: null, reason: null };
+};
+
+/**
+ * Generates an answer and returns it parsed. Malformed, truncated or mis-shaped answers are sent
+ * back to the model with a corrective prompt; if that fails too, a truncated answer is closed locally.
+ * @param {object} settings The provider settings ({ providerId, model, endpoint, apiKey }).
+ * @param {{prompt: string, schema: object, stage: string, signal: AbortSignal, onText: function(string): void,
+ *   onRetry: function(string): void}} request The same request as generateJsonText, plus an optional
+ *   callback told why a corrective call is being made (in the language of "t").
+ * @returns {Promise<{data: *, repair: string|null}>} The parsed answer, and how it was repaired:
+ *   null, "retry" (regenerated by the model) or "truncated" (closed locally, it may be incomplete).
+ * @throws {InvalidAiResponseError} If no usable answer could be obtained.
+ */
+export const generateJson = async (settings, request) => {
+    let prompt = request.prompt;
+    const t = request.t || defaultTranslate;
+    let lastText = '';
+    let lastReason = '';
+    for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+        if (attempt > 0 && request.onRetry) {
+            request.onRetry(lastReason);
+        }
+        const text = await generateJsonText(settings, { ...request, prompt });
+        const { data, problem, reason } = parseAnswer(text, request.schema, t);
+        if (!problem) {
+            return { data, repair: attempt > 0 ? 'retry' : null };
+        }
+        lastText = text;
+        lastReason = reason;
+        prompt = buildCorrectivePrompt(request.prompt, text, problem);
+    }
+
+    const repaired = repairTruncatedJson(lastText);
+    if (repaired !== undefined && findStructureErrors(repaired, request.schema).length === 0) {
+        return { data: repaired, repair: 'truncated' };
+    }
+    throw new InvalidAiResponseError(lastReason, lastText);
+};
@@ -0,0 +1,142 @@
+import { extractJsonText, toStrictJsonSchema } from './schema';
+
+// Property used to wrap non-object answers, since JSON modes only return objects at the root
+const WRAPPER_PROPERTY = 'items';
+
+/**
+ * Wraps a non-object schema (e.g. an array) inside an object.
+ * @param {object} schema The JSON Schema of the expected answer.
+ * @returns {object} A schema whose root is an object.
+ */
+const wrapSchema = (schema) => (schema.type === 'object'
+    ? schema
+    : { type: 'object', properties: { [WRAPPER_PROPERTY]: schema } });
+
+/**
+ * Creates an adapter for any server exposing the OpenAI "chat/completions" API
+ * (OpenAI, Azure-style gateways, LiteLLM, Ollama, LM Studio, vLLM...).
+ * @param {object} options The provider identity and defaults.
+ * @returns {object} The provider adapter.
+ */
+export const createOpenAiCompatibleProvider = ({ id, label, defaultModel, defaultEndpoint, suggestedModels = [], requiresApiKey = true }) => ({
+    id,
+    label,
+    defaultModel,
+    defaultEndpoint,
+    suggestedModels,
+    requiresApiKey,
+
+    /**
+     * Builds the "chat/completions" request body, asking for a JSON answer that follows the schema.
+     * The schema is also described in the system message for servers that ignore "response_format".
+     * @param {string} model The model name.
+     * @param {string} prompt The user prompt.
+     * @param {object} schema The JSON Schema of the expected answer.
+     * @returns {object} The request payload.
+     */
+    buildPayload(model, prompt, schema) {
+        const rootSchema = wrapSchema(schema);
+        return {
+            model,
+            messages: [
+                {
+                    role: 'system',
+                    content: `Responde únicamente con JSON válido, sin texto adicional ni bloques de código, que cumpla este JSON Schema:\n${JSON.stringify(rootSchema)}`
+                },
+                { role: 'user', content: prompt }
+            ],
+            response_format: {
+                type: 'json_schema',
+                json_schema: { name: 'respuesta', strict: true, schema: toStrictJsonSchema(rootSchema) }
+            }
+        };
+    },
+
+    /**
+     * Reads the generated text from a "chat/completions" response.
+     * @param {object} result The parsed response body.
+     * @param {{schema: object}} request The original request.
+     * @returns {string} The generated text, empty if the response has no choices.
+     */
+    parseResponse(result, request) {
+        if (!(result.choices && result.choices.length > 0 &&
+            result.choices[0].message && result.choices[0].message.content)) {
+            return '';
+        }
+        return this.unwrapAnswer(result.choices[0].message.content, request);
+    },
+
+    /**
+     * Reads the text fragment carried by one server-sent event of a streamed completion.
+     * @param {string} data The event data (a "chat.completion.chunk", or "[DONE]").
+     * @returns {string} The text fragment, empty if the event has none.
+     */
+    parseStreamEvent(data) {
+        if (data === '[DONE]') {
+            return '';
+        }
+        const chunk = JSON.parse(data);
+        return (chunk.choices && chunk.choices.length > 0 && chunk.choices[0].delta && chunk.choices[0].delta.content) || '';
+    },
+
+    /**
+     * Turns the complete answer text (streamed or not) into the expected JSON, unwrapping
+     * non-object answers that were wrapped by buildPayload.
+     * @param {string} text The complete answer text.
+     * @param {{schema: object}} request The original request.
+     * @returns {string} The generated text.
+     */
+    unwrapAnswer(text, { schema }) {
+        if (schema.type === 'object') {
+            return text;
+        }
+        try {
+            const parsed = JSON.parse(extractJsonText(text));
+            return JSON.stringify(parsed && parsed[WRAPPER_PROPERTY] !== undefined ? parsed[WRAPPER_PROPERTY] : parsed);
+        } catch {
+            return text; // Leave the invalid JSON to the caller's error handling
+        }
+    },
+
+    /**
+     * Sends a prompt to the "chat/completions" endpoint.
+     * @param {object} settings The provider settings ({ model, endpoint, apiKey }).
+     * @param {{prompt: string, schema: object, stream: boolean, signal: AbortSignal}} request The prompt, the
+     *   expected answer schema, whether to stream the answer and the signal to cancel the call.
+     * @returns {Promise<Response>} The raw HTTP response.
+     */
+    request(settings, { prompt, schema, stream = false, signal }) {
+        const endpoint = (settings.endpoint || defaultEndpoint).replace(/\/+$/, '');
+        const headers = { 'Content-Type': 'application/json' };
+        if (settings.apiKey) {
+            headers.Authorization = `Bearer ${settings.apiKey}`;
+        }
+        const payload = this.buildPayload(settings.model || defaultModel, prompt, schema);
+        if (stream) {
+            payload.stream = true;
+        }
+        return fetch(`${endpoint}/chat/completions`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(payload),
+            signal
+        });
+    }
+});
+
+export const openAiProvider = createOpenAiCompatibleProvider({
+    id: 'openai',
+    label: 'OpenAI / compatible',
+    defaultModel: 'gpt-4o-mini',
+    defaultEndpoint: 'https://api.openai.com/v1',
+    suggestedModels: ['gpt-4o-mini', 'gpt-4o', 'gpt-4.1-mini', 'gpt-4.1']
+});
+
+export const ollamaProvider = createOpenAiCompatibleProvider({
+    id: 'ollama',
+    label: 'Servidor local (Ollama / LM Studio)',
+    defaultModel: 'llama3.1',
+    defaultEndpoint: 'http://localhost:11434/v1',
+    suggestedModels: ['llama3.1', 'qwen2.5', 'mistral', 'gemma2'],
+    requiresApiKey: false
+});
@@ -0,0 +1,56 @@
+import geminiProvider from './gemini';
+
+/**
+ * Adapter for the app's own backend (see server/), which holds the Gemini API key.
+ * It sends the same "generateContent" payload and receives the same response as the
+ * Gemini adapter, on /api/analyze, /api/regression, /api/refine or /api/test-data depending on the stage.
+ */
+const proxyProvider = {
+    id: 'proxy',
+    label: 'Servidor de la aplicación (Gemini)',
+    defaultModel: 'gemini-2.0-flash',
+    // Relative to the page, so it works both on the Node server and under the Vite dev proxy
+    defaultEndpoint: 'api',
+    suggestedModels: geminiProvider.suggestedModels,
+    requiresApiKey: false,
+    hidesApiKey: true,
+
+    /**
+     * Reads the generated text from the proxied Gemini response.
+     * @param {object} result The parsed response body.
+     * @returns {string} The generated text, empty if the response has no candidates.
+     */
+    parseResponse(result) {
+        return geminiProvider.parseResponse(result);
+    },
+
+    /**
+     * Reads the text fragment carried by one relayed "streamGenerateContent" event.
+     * @param {string} data The event data.
+     * @returns {string} The text fragment.
+     */
+    parseStreamEvent(data) {
+        return geminiProvider.parseStreamEvent(data);
+    },
+
+    /**
+     * Sends a prompt to the backend proxy.
+     * @param {object} settings The provider settings ({ model, endpoint }).
+     * @param {{prompt: string, schema: object, stage: string, stream: boolean, signal: AbortSignal}} request
+     *   The prompt, the expected answer schema, the pipeline stage ("analyze", "regression", "refine" or "test-data"),
+     *   whether to stream the answer and the signal to cancel the call.
+     * @returns {Promise<Response>} The raw HTTP response.
+     */
+    request(settings, { prompt, schema, stage = 'analyze', stream = false, signal }) {
+        const endpoint = (settings.endpoint || this.defaultEndpoint).replace(/\/+$/, '');
+        const model = encodeURIComponent(settings.model || this.defaultModel);
+        return fetch(`${endpoint}/${stage}?model=${model}${stream ? '&stream=1' : ''}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(geminiProvider.buildPayload(prompt, schema)),
+            signal
+        });
+    }
+};
+
+export default proxyProvider;
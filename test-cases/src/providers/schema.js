@@ -0,0 +1,63 @@
+/**
+ * Response schemas are written once in plain JSON Schema (lowercase types) and converted
+ * to the dialect each provider understands.
+ */
+
+/**
+ * Converts a JSON Schema into the OpenAPI subset used by Gemini's "responseSchema"
+ * (uppercase types and "propertyOrdering" taken from the declared property order).
+ * @param {object} schema The JSON Schema.
+ * @returns {object} The Gemini response schema.
+ */
+export const toGeminiSchema = (schema) => {
+    const geminiSchema = { type: String(schema.type).toUpperCase() };
+    if (schema.description) {
+        geminiSchema.description = schema.description;
+    }
+    if (schema.enum) {
+        geminiSchema.enum = schema.enum;
+    }
+    if (schema.items) {
+        geminiSchema.items = toGeminiSchema(schema.items);
+    }
+    if (schema.properties) {
+        geminiSchema.properties = Object.fromEntries(
+            Object.entries(schema.properties).map(([key, value]) => [key, toGeminiSchema(value)])
+        );
+        geminiSchema.propertyOrdering = Object.keys(schema.properties);
+    }
+    return geminiSchema;
+};
+
+/**
+ * Converts a JSON Schema into the strict form expected by OpenAI-compatible
+ * "json_schema" response formats: every property required and no extra properties.
+ * @param {object} schema The JSON Schema.
+ * @returns {object} The strict JSON Schema.
+ */
+export const toStrictJsonSchema = (schema) => {
+    const strictSchema = { ...schema };
+    if (schema.items) {
+        strictSchema.items = toStrictJsonSchema(schema.items);
+    }
+    if (schema.properties) {
+        strictSchema.properties = Object.fromEntries(
+            Object.entries(schema.properties).map(([key, value]) => [key, toStrictJsonSchema(value)])
+        );
+        strictSchema.required = Object.keys(schema.properties);
+        strictSchema.additionalProperties = false;
+    }
+    return strictSchema;
+};
+
+/**
+ * Extracts the JSON document from a model answer, removing the markdown code fences
+ * some models add even when structured output is requested.
+ * @param {string} text The raw model answer.
+ * @returns {string} The JSON text.
+ */
+export const extractJsonText = (text) => {
+    const trimmed = String(text || '').trim();
+    const fenced = trimmed.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+    return fenced ? fenced[1] : trimmed;
+};
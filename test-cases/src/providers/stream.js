@@ -0,0 +1,39 @@
+/**
+ * Reads a "text/event-stream" response and calls back with the data of each event as it arrives.
+ * Both Gemini ("alt=sse") and OpenAI-compatible ("stream": true) servers use this format.
+ * @param {Response} response The streaming HTTP response.
+ * @param {function(string): void} onData Called with the "data" of each event.
+ * @returns {Promise<void>} Resolves when the stream ends.
+ */
+export const readServerSentEvents = async (response, onData) => {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const flushEvents = (final) => {
+        const events = buffer.split(/\r?\n\r?\n/);
+        // The last piece may be an incomplete event, unless the stream has ended
+        buffer = final ? '' : events.pop();
+        events.forEach(event => {
+            const data = event
+                .split(/\r?\n/)
+                .filter(line => line.startsWith('data:'))
+                .map(line => line.slice(5).replace(/^ /, ''))
+                .join('\n');
+            if (data) {
+                onData(data);
+            }
+        });
+    };
+
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) {
+            buffer += decoder.decode();
+            flushEvents(true);
+            return;
+        }
+        buffer += decoder.decode(value, { stream: true });
+        flushEvents(false);
+    }
+};
@@ -0,0 +1,293 @@
+import { InvalidAiResponseError, generateJson } from '../providers';
+import { ANALYSIS_SCHEMA, REGRESSION_SCHEMA, TEST_DATA_SCHEMA } from './schemas';
+import { extractCompleteArrayItems, hasJsonProperty } from './partialJson';
+import { describeValidation, toText, validateTestCases } from './validation';
+import { sortTestCasesByPriority } from './testCases';
+import { DEFAULT_PROMPT_PROFILE, renderPromptTemplate, usesTemplateVariable } from './promptProfiles';
+import { linkCasesToCriteria, normalizeAcceptanceCriteria } from './traceability';
+import { formatImpactsText, linkCasesToImpacts, normalizeImpacts } from './impacts';
+import { MAIN_CASE_ID_PREFIX, REGRESSION_CASE_ID_PREFIX, applyTestData } from './testData';
+import { DEFAULT_OUTPUT_LANGUAGE, getLanguageVariables } from './outputLanguage';
+import { defaultTranslate } from '../i18n';
+
+/**
+ * The analysis pipeline of one story (prompts and AI calls), shared by the single-story form
+ * and the batch mode.
+ */
+
+/**
+ * Renders a profile template with the output language variables. Templates that do not use
+ * {{languageRule}} (written before the output language could be chosen) get the rule appended.
+ * @param {string} template The template.
+ * @param {object} variables The other variables.
+ * @param {string} language The output language (see outputLanguage).
+ * @returns {string} The prompt.
+ */
+const renderWithLanguage = (template, variables, language) => {
+    const languageVariables = getLanguageVariables(language);
+    const prompt = renderPromptTemplate(template, { ...variables, ...languageVariables });
+    if (usesTemplateVariable(template, 'languageRule')) {
+        return prompt;
+    }
+    return `${prompt}
+
+            Idioma: ${languageVariables.languageRule} "scenario" debe comenzar con "${languageVariables.scenarioPrefix}" y "priority" debe ser ${languageVariables.priorities}.`;
+};
+
+/**
+ * Builds the prompt of the first call: main test cases, impacts and regression suggestions.
+ * @param {string} jiraId The Jira ID of the story.
+ * @param {string} content The story content.
+ * @param {string} additionalContext The context obtained from Jira.
+ * @param {object} [profile] The prompt profile (see promptProfiles).
+ * @param {string} [language] The output language (see outputLanguage).
+ * @returns {string} The prompt.
+ */
+export const buildAnalysisPrompt = (jiraId, content, additionalContext, profile = DEFAULT_PROMPT_PROFILE, language = DEFAULT_OUTPUT_LANGUAGE) => renderWithLanguage(
+    profile.analysisTemplate,
+    { jiraId, content, context: additionalContext },
+    language
+);
+
+/**
+ * Builds the prompt of the second call: Gherkin test cases from the regression suggestions.
+ * @param {string} jiraId The Jira ID of the story.
+ * @param {string} regressionTests The regression suggestions of the first call.
+ * @param {object[]} impacts The impacts of the first call, which the cases must name.
+ * @param {object} [profile] The prompt profile (see promptProfiles).
+ * @param {string} [language] The output language (see outputLanguage).
+ * @returns {string} The prompt.
+ */
+export const buildRegressionPrompt = (jiraId, regressionTests, impacts, profile = DEFAULT_PROMPT_PROFILE, language = DEFAULT_OUTPUT_LANGUAGE) => renderWithLanguage(
+    profile.regressionTemplate,
+    { jiraId, regressionTests, impacts: formatImpactsText(impacts) },
+    language
+);
+
+/**
+ * Builds the prompt that regenerates a single test case, optionally following a user instruction.
+ * @param {{originalCase: object, instruction: string, input: {jiraId: string, content: string, additionalContext: string},
+ *   otherCases: object[], outputLanguage: string}} options The case to rewrite, the instruction, the original analysis input,
+ *   the rest of the suite and the output language (the default one if omitted).
+ * @returns {string} The prompt.
+ */
+export const buildRefinePrompt = ({ originalCase, instruction, input, otherCases, outputLanguage = DEFAULT_OUTPUT_LANGUAGE }) => {
+    const { languageRule, scenarioPrefix, priorities } = getLanguageVariables(outputLanguage);
+    return `Eres Lead QA certificado ISTQB. Reescribe UN ÚNICO caso de prueba Gherkin de una suite existente.
+            ${instruction.trim()
+                ? `Instrucción del usuario para este caso: "${instruction.trim()}"`
+                : 'Regenera el caso con una versión mejorada, más precisa y verificable, manteniendo su objetivo.'}
+
+            Reglas:
+            - Devuelve un objeto JSON con las propiedades "jiraId", "feature", "scenario", "given", "when", "then", "priority", "testType" y "technique".
+            - "jiraId" debe ser "${originalCase.jiraId || input.jiraId}".
+            - "scenario" debe comenzar con la palabra "${scenarioPrefix}".
+            - "priority" debe ser una de: ${priorities}.
+            - "testType" debe ser Funcional, Seguridad, Rendimiento, No funcional o Estructural, y "technique" la técnica ISTQB aplicada (en español).
+            - Usa saltos de línea y "Y" (o su equivalente en el idioma de la respuesta) para encadenar pasos dentro de "given", "when" y "then".
+            - Si el caso debe probarse con varios datos, escríbelo como Scenario Outline: parámetros "<nombre>" en los pasos y la propiedad "examples" con "headers" (los parámetros, sin ángulos) y "rows" (una fila por ejecución). Si no, deja "headers" y "rows" vacíos.
+            - No dupliques casos que ya existan en el resto de la suite.
+            - ${languageRule}
+
+            Caso a reescribir:
+            ${JSON.stringify(originalCase, null, 2)}
+
+            Descripción de Jira:
+            "${input.content}"
+
+            Contexto Adicional (del enlace de Jira):
+            "${input.additionalContext}"
+
+            Resto de la suite (solo como contexto, no lo modifiques):
+            ${JSON.stringify(otherCases.map(({ feature, scenario, priority, technique }) => ({ feature, scenario, priority, technique })), null, 2)}
+
+            Genera el caso reescrito en JSON ahora:`;
+};
+
+/**
+ * Builds the prompt of the test data stage: concrete input data sets for each case, which is
+ * identified by the id given to it here (C1, C2... for main cases and R1, R2... for regression ones).
+ * @param {{content: string, testCases: object[], regressionCases: object[], outputLanguage: string}} options The story,
+ *   its cases and the output language (the default one if omitted).
+ * @returns {string} The prompt.
+ */
+export const buildTestDataPrompt = ({ content, testCases, regressionCases, outputLanguage = DEFAULT_OUTPUT_LANGUAGE }) => {
+    const describeCases = (cases, prefix) => (cases || []).map((testCase, index) => ({
+        caseId: `${prefix}${index + 1}`,
+        scenario: testCase.scenario,
+        given: testCase.given,
+        when: testCase.when,
+        then: testCase.then,
+        technique: testCase.technique
+    }));
+    return `Eres Lead QA certificado ISTQB, experto en diseño de datos de prueba. Para cada caso de prueba de la lista, propone conjuntos de datos de entrada concretos, listos para ejecutar el caso, en lugar de descripciones genéricas como "credenciales válidas" o "un monto fuera de rango".
+
+            Reglas:
+            - Devuelve un objeto JSON con la propiedad "testData": un arreglo con un elemento por caso, con "caseId" (el identificador del caso, p. ej. "C1") y "dataSets".
+            - Cada conjunto de "dataSets" tiene "type" (Válido, Inválido, Límite o Caso extremo), "description" (qué comprueba el conjunto) y "values" (un arreglo de objetos con "field", el campo o parámetro, y "value", su valor como texto).
+            - Propón entre 2 y 4 conjuntos por caso según su técnica: valores válidos e inválidos de cada partición, valores en los límites y justo fuera de ellos, y cadenas de casos extremos (vacía, solo espacios, muy larga, caracteres especiales, acentos, emojis, inyección SQL o HTML cuando aplique).
+            - Todos los datos deben ser ficticios. Para tarjetas usa solo números de prueba públicos de las pasarelas de pago (p. ej. 4111 1111 1111 1111 o 4242 4242 4242 4242), para correos dominios de ejemplo (example.com) y nunca datos de personas reales.
+            - Marca con "synthetic": true todo valor que parezca un dato sensible (tarjetas, CVV, contraseñas, documentos de identidad, cuentas bancarias, correos, teléfonos, tokens); en el resto usa false.
+            - Si un caso es un Scenario Outline con parámetros "<nombre>", usa esos nombres como "field".
+            - ${getLanguageVariables(outputLanguage).languageRule} Los propios datos pueden estar en cualquier idioma.
+
+            Descripción de Jira:
+            "${content}"
+
+            Casos de prueba:
+            ${JSON.stringify([...describeCases(testCases, MAIN_CASE_ID_PREFIX), ...describeCases(regressionCases, REGRESSION_CASE_ID_PREFIX)], null, 2)}
+
+            Genera los datos de prueba en JSON ahora:`;
+};
+
+/**
+ * Runs the test data stage: one AI call that proposes data sets for every case, added to the
+ * cases as "testData".
+ * @param {object} settings The provider settings.
+ * @param {{content: string, testCases: object[], regressionCases: object[], outputLanguage: string, redactor: object,
+ *   signal: AbortSignal, t: function(string, object=): string}} options The story, its cases, the output language,
+ *   an optional redactor for the prompt (see utils/redaction), an optional signal to cancel and the translation
+ *   function of the messages.
+ * @returns {Promise<{testCases: object[], regressionCases: object[], warnings: string[]}>} The cases with their data,
+ *   and a message if the answer had to be repaired.
+ * @throws {InvalidAiResponseError} If the answer cannot be used.
+ */
+export const runTestDataGeneration = async (settings, { content, testCases, regressionCases, outputLanguage, redactor, signal, t = defaultTranslate }) => {
+    const answer = await generateJson(settings, {
+        prompt: buildTestDataPrompt({ content, testCases, regressionCases, outputLanguage }),
+        schema: TEST_DATA_SCHEMA,
+        stage: 'test-data',
+        redactor,
+        signal,
+        t
+    });
+    return {
+        testCases: applyTestData(testCases || [], answer.data.testData, MAIN_CASE_ID_PREFIX),
+        regressionCases: applyTestData(regressionCases || [], answer.data.testData, REGRESSION_CASE_ID_PREFIX),
+        warnings: describeValidation('Datos de prueba', { fixedCount: 0, dropped: [] }, answer.repair, t)
+    };
+};
+
+/**
+ * Runs the analysis of one story: a first AI call for the acceptance criteria, main test cases,
+ * impacts and regression suggestions, and a second one that turns the suggestions into Gherkin cases. Both answers are
+ * streamed, validated and repaired (see generateJson). With "withTestData", a third call proposes test
+ * data for every case (see runTestDataGeneration); its failure only adds a warning. With a redactor,
+ * the sensitive data of every prompt is masked before it is sent and restored in the answers.
+ * @param {object} settings The provider settings.
+ * @param {{jiraId: string, content: string, additionalContext: string, profile: object, outputLanguage: string, withTestData: boolean,
+ *   redactor: object, signal: AbortSignal, t: function(string, object=): string, onProgress: function(object): void,
+ *   onOutputs: function(object, boolean): void}} options
+ *   The story, the prompt profile and the output language (the default ones if omitted), whether to run the test data stage,
+ *   an optional redactor (see utils/redaction), an optional signal to cancel, the translation function of the messages, a callback
+ *   receiving progress patches ({ stage, casesCount, regressionCount, retryReason }) and a callback
+ *   receiving output patches as they are produced (the second argument tells whether the patch is
+ *   partial, i.e. still streaming).
+ * @returns {Promise<{outputs: object, warnings: string[], regressionError: InvalidAiResponseError|null}>}
+ *   The outputs ({ acceptanceCriteria, testCases, impacts, regressionTestSuggestions, regressionGherkinTestCases }), the
+ *   validation messages, and the error of the second call if its answer could not be used.
+ * @throws {InvalidAiResponseError} If the answer of the first call cannot be used.
+ */
+export const runAnalysis = async (settings, { jiraId, content, additionalContext, profile = DEFAULT_PROMPT_PROFILE, outputLanguage = DEFAULT_OUTPUT_LANGUAGE, withTestData = false, redactor, signal, t = defaultTranslate, onProgress = () => {}, onOutputs = () => {} }) => {
+    // --- FIRST AI CALL: Generate main test cases, impacts, and regression test suggestions ---
+    const firstAnswer = await generateJson(settings, {
+        prompt: buildAnalysisPrompt(jiraId, content, additionalContext, profile, outputLanguage),
+        schema: ANALYSIS_SCHEMA,
+        stage: 'analyze',
+        redactor,
+        signal,
+        t,
+        onText: (text) => {
+            // Show each case as soon as it is complete, and follow the answer through its sections
+            const partialCases = extractCompleteArrayItems(text, 'testCases');
+            if (partialCases.length > 0) {
+                onOutputs({ testCases: partialCases }, true);
+            }
+            const stage = hasJsonProperty(text, 'regressionTests') ? 'regression' : (hasJsonProperty(text, 'impacts') ? 'impacts' : 'cases');
+            onProgress({ stage, casesCount: partialCases.length });
+        },
+        onRetry: (problem) => {
+            onOutputs({ testCases: null }, true);
+            onProgress({ stage: 'cases', casesCount: 0, retryReason: problem });
+        }
+    });
+
+    // Normalise the cases (priority, "Validar " prefix, Jira ID...) and drop the unusable ones
+    const mainValidation = validateTestCases(firstAnswer.data.testCases, jiraId, outputLanguage, t);
+    const acceptanceCriteria = normalizeAcceptanceCriteria(firstAnswer.data.acceptanceCriteria);
+    const impacts = normalizeImpacts(firstAnswer.data.impacts);
+    const outputs = {
+        acceptanceCriteria,
+        testCases: sortTestCasesByPriority(linkCasesToCriteria(mainValidation.cases, acceptanceCriteria)),
+        impacts,
+        regressionTestSuggestions: toText(firstAnswer.data.regressionTests),
+        regressionGherkinTestCases: null
+    };
+    const warnings = describeValidation('Casos principales', mainValidation, firstAnswer.repair, t);
+    onOutputs({ acceptanceCriteria, testCases: outputs.testCases, impacts, regressionTestSuggestions: outputs.regressionTestSuggestions }, false);
+
+    // --- SECOND AI CALL: Generate Gherkin test cases from regression suggestions ---
+    let regressionError = null;
+    if (outputs.regressionTestSuggestions) {
+        onProgress({ stage: 'regression' });
+        try {
+            const secondAnswer = await generateJson(settings, {
+                prompt: buildRegressionPrompt(jiraId, outputs.regressionTestSuggestions, impacts, profile, outputLanguage),
+                schema: REGRESSION_SCHEMA,
+                stage: 'regression',
+                redactor,
+                signal,
+                t,
+                onText: (text) => {
+                    const partialCases = extractCompleteArrayItems(text);
+                    if (partialCases.length > 0) {
+                        onOutputs({ regressionGherkinTestCases: partialCases }, true);
+                    }
+                    onProgress({ regressionCount: partialCases.length });
+                },
+                onRetry: (problem) => {
+                    onOutputs({ regressionGherkinTestCases: null }, true);
+                    onProgress({ regressionCount: 0, retryReason: problem });
+                }
+            });
+            const regressionValidation = validateTestCases(secondAnswer.data, jiraId, outputLanguage, t);
+            // Sort regression test cases by priority
+            const linkedCases = linkCasesToImpacts(linkCasesToCriteria(regressionValidation.cases, acceptanceCriteria), impacts);
+            outputs.regressionGherkinTestCases = sortTestCasesByPriority(linkedCases);
+            warnings.push(...describeValidation('Regresión', regressionValidation, secondAnswer.repair, t));
+        } catch (error) {
+            if (!(error instanceof InvalidAiResponseError)) {
+                throw error;
+            }
+            regressionError = error;
+        }
+        onOutputs({ regressionGherkinTestCases: outputs.regressionGherkinTestCases }, false);
+    }
+
+    // --- OPTIONAL THIRD AI CALL: Propose test data for every case ---
+    if (withTestData && (outputs.testCases.length > 0 || (outputs.regressionGherkinTestCases || []).length > 0)) {
+        onProgress({ stage: 'testData' });
+        try {
+            const testData = await runTestDataGeneration(settings, {
+                content,
+                testCases: outputs.testCases,
+                regressionCases: outputs.regressionGherkinTestCases,
+                outputLanguage,
+                redactor,
+                signal,
+                t
+            });
+            outputs.testCases = testData.testCases;
+            outputs.regressionGherkinTestCases = outputs.regressionGherkinTestCases && testData.regressionCases;
+            warnings.push(...testData.warnings);
+            onOutputs({ testCases: outputs.testCases, regressionGherkinTestCases: outputs.regressionGherkinTestCases }, false);
+        } catch (error) {
+            if (!(error instanceof InvalidAiResponseError)) {
+                throw error;
+            }
+            warnings.push(t('Datos de prueba: no se pudieron generar ({message}). Puedes volver a pedirlos con "Generar datos de prueba".', { message: error.message }));
+        }
+    }
+
+    return { outputs, warnings, regressionError };
+};
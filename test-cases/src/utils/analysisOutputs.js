@@ -0,0 +1,75 @@
+import { toText, validateTestCase } from './validation';
+import { normalizeAcceptanceCriteria, normalizeCaseCriteria } from './traceability';
+import { normalizeImpacts } from './impacts';
+import { normalizeTestData } from './testData';
+
+/**
+ * Normalisation of the outputs of an analysis that come from outside the app: a shared review
+ * bundle or an imported history. They are untrusted input, so they go through the same checks
+ * as the AI answers and cannot break the views that show them.
+ */
+
+// Review statuses a case can have (an empty status is pending)
+const REVIEW_STATUSES = ['aprobado', 'rechazado'];
+
+/**
+ * Normalises a list of cases: anything that is not an object is dropped, and the rest go through
+ * the same validation as the AI answers. The validation notes are the ones the cases carried,
+ * not those of this check.
+ * @param {*} value The cases.
+ * @param {string[]} criterionIds The ids of the analysis' acceptance criteria.
+ * @param {string} language The output language of the analysis.
+ * @returns {object[]|null} The usable cases, null if the value is not a list.
+ */
+const normalizeOutputCases = (value, criterionIds, language) => (Array.isArray(value) ? value
+    .map(testCase => ({ ...validateTestCase(testCase, '', language), original: testCase }))
+    .filter(result => result.errors.length === 0)
+    .map(({ testCase, original }) => {
+        const normalized = {
+            ...testCase,
+            criteria: normalizeCaseCriteria(testCase.criteria, criterionIds),
+            impactId: toText(testCase.impactId)
+        };
+        const fixes = Array.isArray(original.validationFixes) ? original.validationFixes.map(toText).filter(Boolean) : [];
+        if (fixes.length > 0) {
+            normalized.validationFixes = fixes;
+        } else {
+            delete normalized.validationFixes;
+        }
+        const { review } = testCase;
+        if (review && typeof review === 'object') {
+            normalized.review = {
+                status: REVIEW_STATUSES.includes(review.status) ? review.status : '',
+                comment: toText(review.comment),
+                reviewer: toText(review.reviewer)
+            };
+        } else {
+            delete normalized.review;
+        }
+        if (testCase.testData === undefined) {
+            delete normalized.testData;
+        } else {
+            normalized.testData = normalizeTestData(testCase.testData);
+        }
+        return normalized;
+    }) : null);
+
+/**
+ * Normalises the outputs of an analysis.
+ * @param {*} outputs The outputs ({ acceptanceCriteria, testCases, impacts, regressionTestSuggestions,
+ *   regressionGherkinTestCases }).
+ * @param {string} language The output language of the analysis.
+ * @returns {object} The outputs, with every field present (the case lists are null when missing).
+ */
+export const normalizeAnalysisOutputs = (outputs, language) => {
+    const source = outputs && typeof outputs === 'object' && !Array.isArray(outputs) ? outputs : {};
+    const acceptanceCriteria = normalizeAcceptanceCriteria(source.acceptanceCriteria);
+    const criterionIds = acceptanceCriteria.map(criterion => criterion.id);
+    return {
+        acceptanceCriteria,
+        testCases: normalizeOutputCases(source.testCases, criterionIds, language),
+        impacts: normalizeImpacts(source.impacts),
+        regressionTestSuggestions: toText(source.regressionTestSuggestions),
+        regressionGherkinTestCases: normalizeOutputCases(source.regressionGherkinTestCases, criterionIds, language)
+    };
+};
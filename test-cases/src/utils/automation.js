@@ -0,0 +1,352 @@
+import JSZip from 'jszip';
+import { GHERKIN_KEYWORDS, buildFeatureFile, buildTags, getUniqueFileName, groupCasesByFeature, slugify, splitSteps } from './gherkin';
+import { PLACEHOLDER_REGEX, expandExamples } from './examples';
+import { TranslatableError } from '../i18n';
+
+/**
+ * Automation skeletons: turns test cases into a runnable project with Cucumber step definitions
+ * (one per distinct step text), or Playwright / Cypress specs (one test per scenario, or per example
+ * row of a Scenario Outline). Every step is left as a TODO placeholder, so the tests are reported
+ * as pending until they are implemented.
+ */
+
+// Frameworks a project can be generated for
+export const AUTOMATION_FRAMEWORKS = {
+    cucumber: { label: 'Cucumber (step definitions en JavaScript)' },
+    playwright: { label: 'Playwright' },
+    cypress: { label: 'Cypress' }
+};
+
+// Step sections of a test case, and the Cucumber function of each one
+const STEP_SECTIONS = [
+    ['given', 'Given'],
+    ['when', 'When'],
+    ['then', 'Then']
+];
+
+// Scenarios listed above a step definition, at most
+const MAX_STEP_USAGES = 3;
+
+const TODO_COMMENT = '// TODO: implementar el paso';
+
+/**
+ * Writes a text as a single-quoted JavaScript string literal.
+ * @param {string} text The text.
+ * @returns {string} The literal.
+ */
+const toJsString = (text) => `'${String(text || '')
+    .replace(/\s*\n\s*/g, ' ')
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, '\\\'')}'`;
+
+/**
+ * Escapes the characters with a meaning in Cucumber expressions, so that a step text matches
+ * itself literally.
+ * @param {string} text The step text.
+ * @returns {string} The Cucumber expression.
+ */
+const toCucumberExpression = (text) => text.replace(/[(){}/\\]/g, '\\$&');
+
+/**
+ * Converts an outline parameter name into a JavaScript identifier (e.g. "fecha de alta" -> "fecha_de_alta").
+ * @param {string} name The parameter name.
+ * @returns {string} The identifier.
+ */
+const toIdentifier = (name) => {
+    const identifier = name
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '') // Drop accents
+        .trim()
+        .replace(/\W+/g, '_');
+    return /^[A-Za-z_]/.test(identifier) ? identifier : `_${identifier}`;
+};
+
+/**
+ * Builds the Cucumber expression and the function parameters of a step text. The parameters of a
+ * Scenario Outline ("<monto>") become anonymous "{}" parameters, which match any example value.
+ * @param {string} text The step text.
+ * @returns {{expression: string, parameters: string[]}} The expression and the parameter names.
+ */
+const toStepPattern = (text) => {
+    const parameters = [];
+    const expression = text.split(PLACEHOLDER_REGEX).map((part, index) => {
+        if (index % 2 === 0) {
+            return toCucumberExpression(part);
+        }
+        let parameter = toIdentifier(part);
+        for (let suffix = 2; parameters.includes(parameter); suffix++) {
+            parameter = `${toIdentifier(part)}${suffix}`;
+        }
+        parameters.push(parameter);
+        return '{}';
+    }).join('');
+    return { expression, parameters };
+};
+
+/**
+ * Returns the steps of a test case with their keyword in the chosen language (e.g. "Dado ...", "Y ...").
+ * @param {object} testCase The test case.
+ * @param {object} keywords The keyword set of the chosen language.
+ * @returns {string[]} The steps.
+ */
+const getStepTitles = (testCase, keywords) => STEP_SECTIONS.flatMap(([section]) => splitSteps(testCase[section])
+    .map((text, index) => `${index === 0 ? keywords[section] : keywords.and} ${text}`));
+
+/**
+ * Returns the tags of a scenario (e.g. ["@PROJ-123", "@prioridad-alta"]).
+ * @param {object} testCase The test case.
+ * @param {object} keywords The keyword set of the chosen language.
+ * @param {boolean} isRegression Whether the case comes from the regression suite.
+ * @returns {string[]} The tags.
+ */
+const getTags = (testCase, keywords, isRegression) => buildTags(testCase, keywords, isRegression).split(' ').filter(Boolean);
+
+/**
+ * Returns the single-line title of a scenario.
+ * @param {object} testCase The test case.
+ * @returns {string} The title.
+ */
+const getScenarioTitle = (testCase) => String(testCase.scenario || '').replace(/\s*\n\s*/g, ' ').trim() || 'Escenario sin título';
+
+/**
+ * Collects the distinct step texts of the cases. Cucumber matches a step by its text whatever its
+ * keyword, so a text used in several scenarios (or sections) gets a single definition.
+ * @param {{testCase: object}[]} entries The cases.
+ * @returns {{section: string, text: string, scenarios: string[]}[]} The steps, in order of appearance.
+ */
+export const collectStepDefinitions = (entries) => {
+    const steps = new Map();
+    entries.forEach(({ testCase }) => {
+        STEP_SECTIONS.forEach(([section]) => {
+            splitSteps(testCase[section]).forEach(text => {
+                if (!steps.has(text)) {
+                    steps.set(text, { section, text, scenarios: [] });
+                }
+                const scenarios = steps.get(text).scenarios;
+                if (!scenarios.includes(getScenarioTitle(testCase))) {
+                    scenarios.push(getScenarioTitle(testCase));
+                }
+            });
+        });
+    });
+    return [...steps.values()];
+};
+
+/**
+ * Renders the step definitions file of a Cucumber project.
+ * @param {{testCase: object}[]} entries The cases.
+ * @returns {string} The file content.
+ */
+const buildStepDefinitionsFile = (entries) => {
+    const definitions = collectStepDefinitions(entries).map(({ section, text, scenarios }) => {
+        const usages = scenarios.slice(0, MAX_STEP_USAGES).join(' | ') + (scenarios.length > MAX_STEP_USAGES ? ` | y ${scenarios.length - MAX_STEP_USAGES} más` : '');
+        const cucumberFunction = STEP_SECTIONS.find(([name]) => name === section)[1];
+        const { expression, parameters } = toStepPattern(text);
+        return [
+            `// Usado en: ${usages.replace(/\s*\n\s*/g, ' ')}`,
+            `${cucumberFunction}(${toJsString(expression)}, async function (${parameters.join(', ')}) {`,
+            `    ${TODO_COMMENT}`,
+            '    return \'pending\';',
+            '});'
+        ].join('\n');
+    });
+    return `const { Given, When, Then } = require('@cucumber/cucumber');\n\n${definitions.join('\n\n')}\n`;
+};
+
+/**
+ * Expands the Scenario Outlines of a feature into one test per example row. The tests of an
+ * outline are numbered, so that their titles stay unique when the scenario has no parameters.
+ * @param {{testCase: object, isRegression: boolean}[]} entries The scenarios of the feature.
+ * @returns {{testCase: object, isRegression: boolean, title: string}[]} The tests, with their title.
+ */
+const expandTests = (entries) => entries.flatMap(({ testCase, isRegression }) => expandExamples(testCase)
+    .map((example, index) => ({
+        testCase: example.testCase,
+        isRegression,
+        title: example.row ? `${getScenarioTitle(example.testCase)} (ejemplo ${index + 1})` : getScenarioTitle(testCase)
+    })));
+
+/**
+ * Renders a Playwright spec with one test per scenario (or example row), each step as a test step.
+ * @param {string} feature The feature name.
+ * @param {{testCase: object, isRegression: boolean}[]} entries The scenarios of the feature.
+ * @param {object} keywords The keyword set of the chosen language.
+ * @returns {string} The spec content.
+ */
+const buildPlaywrightSpec = (feature, entries, keywords) => {
+    const tests = expandTests(entries).map(({ testCase, isRegression, title }) => {
+        const tags = getTags(testCase, keywords, isRegression);
+        const options = tags.length > 0 ? ` { tag: [${tags.map(toJsString).join(', ')}] },` : '';
+        const steps = getStepTitles(testCase, keywords).map(title => [
+            `        await test.step(${toJsString(title)}, async () => {`,
+            `            ${TODO_COMMENT}`,
+            '        });'
+        ].join('\n'));
+        return [
+            `    test.fixme(${toJsString(title)},${options} async ({ page }) => {`,
+            ...(steps.length > 0 ? steps : [`        ${TODO_COMMENT}`]),
+            '    });'
+        ].join('\n');
+    });
+    return [
+        'import { test, expect } from \'@playwright/test\';',
+        '',
+        '// Las pruebas están marcadas con test.fixme: quítalo cuando implementes sus pasos',
+        `test.describe(${toJsString(feature)}, () => {`,
+        tests.join('\n\n'),
+        '});',
+        ''
+    ].join('\n');
+};
+
+/**
+ * Renders a Cypress spec with one test per scenario (or example row), each step as a comment.
+ * @param {string} feature The feature name.
+ * @param {{testCase: object, isRegression: boolean}[]} entries The scenarios of the feature.
+ * @param {object} keywords The keyword set of the chosen language.
+ * @returns {string} The spec content.
+ */
+const buildCypressSpec = (feature, entries, keywords) => {
+    const tests = expandTests(entries).map(({ testCase, isRegression, title }) => {
+        const tags = getTags(testCase, keywords, isRegression);
+        const steps = getStepTitles(testCase, keywords).map(stepTitle => `        // ${stepTitle}\n        ${TODO_COMMENT}`);
+        return [
+            `    it.skip(${toJsString(`${title}${tags.length > 0 ? ` ${tags.join(' ')}` : ''}`)}, () => {`,
+            ...(steps.length > 0 ? steps : [`        ${TODO_COMMENT}`]),
+            '    });'
+        ].join('\n');
+    });
+    return [
+        '// Las pruebas están marcadas con it.skip: quítalo cuando implementes sus pasos',
+        `describe(${toJsString(feature)}, () => {`,
+        tests.join('\n\n'),
+        '});',
+        ''
+    ].join('\n');
+};
+
+/**
+ * Renders the package.json of the generated project.
+ * @param {string} name The project name.
+ * @param {object} scripts The npm scripts.
+ * @param {object} devDependencies The dependencies.
+ * @param {boolean} isModule Whether the project uses ES modules.
+ * @returns {string} The file content.
+ */
+const buildPackageJson = (name, scripts, devDependencies, isModule) => `${JSON.stringify({
+    name,
+    private: true,
+    version: '0.0.0',
+    ...(isModule ? { type: 'module' } : {}),
+    scripts,
+    devDependencies
+}, null, 2)}\n`;
+
+/**
+ * Renders the README of the generated project.
+ * @param {string} framework The framework ("cucumber", "playwright" or "cypress").
+ * @param {string} command The command that runs the tests.
+ * @returns {string} The file content.
+ */
+const buildReadme = (framework, command) => [
+    `# Automatización generada (${AUTOMATION_FRAMEWORKS[framework].label})`,
+    '',
+    'Esqueleto generado a partir de los casos de prueba: cada paso queda como `TODO` y las pruebas',
+    'aparecen como pendientes hasta que se implementan.',
+    '',
+    '```bash',
+    'npm install',
+    command,
+    '```',
+    ''
+].join('\n');
+
+/**
+ * Builds the files of the automation project for some test cases.
+ * @param {{testCase: object, isRegression: boolean}[]} entries The selected cases.
+ * @param {string} framework The framework ("cucumber", "playwright" or "cypress").
+ * @param {string} language The Gherkin language of the step titles ("es", "en" or "pt").
+ * @param {string} projectName The project name (e.g. the Jira ID).
+ * @returns {{path: string, content: string}[]} The files.
+ */
+export const buildAutomationFiles = (entries, framework, language = 'es', projectName = '') => {
+    const keywords = GHERKIN_KEYWORDS[language] || GHERKIN_KEYWORDS.es;
+    const name = `${slugify(projectName) || 'casos'}-automatizacion`;
+    const groups = groupCasesByFeature(
+        entries.filter(entry => !entry.isRegression).map(entry => entry.testCase),
+        entries.filter(entry => entry.isRegression).map(entry => entry.testCase)
+    );
+    const usedNames = new Set();
+    const files = [];
+
+    if (framework === 'cucumber') {
+        groups.forEach((featureEntries, feature) => {
+            const fileName = getUniqueFileName(usedNames, slugify(feature) || 'feature', '.feature');
+            files.push({ path: `features/${fileName}`, content: buildFeatureFile(feature, featureEntries, language) });
+        });
+        files.push({ path: 'features/step_definitions/steps.js', content: buildStepDefinitionsFile(entries) });
+        files.push({ path: 'package.json', content: buildPackageJson(name, { test: 'cucumber-js' }, { '@cucumber/cucumber': '^11.0.0' }, false) });
+        files.push({ path: 'README.md', content: buildReadme(framework, 'npm test') });
+    } else if (framework === 'playwright') {
+        groups.forEach((featureEntries, feature) => {
+            const fileName = getUniqueFileName(usedNames, slugify(feature) || 'feature', '.spec.js');
+            files.push({ path: `tests/${fileName}`, content: buildPlaywrightSpec(feature, featureEntries, keywords) });
+        });
+        files.push({
+            path: 'playwright.config.js',
+            content: [
+                'import { defineConfig } from \'@playwright/test\';',
+                '',
+                'export default defineConfig({',
+                '    testDir: \'./tests\',',
+                '    use: {',
+                '        baseURL: \'http://localhost:3000\' // TODO: URL de la aplicación bajo prueba',
+                '    }',
+                '});',
+                ''
+            ].join('\n')
+        });
+        files.push({ path: 'package.json', content: buildPackageJson(name, { test: 'playwright test' }, { '@playwright/test': '^1.48.0' }, true) });
+        files.push({ path: 'README.md', content: buildReadme(framework, 'npx playwright install\nnpm test') });
+    } else if (framework === 'cypress') {
+        groups.forEach((featureEntries, feature) => {
+            const fileName = getUniqueFileName(usedNames, slugify(feature) || 'feature', '.cy.js');
+            files.push({ path: `cypress/e2e/${fileName}`, content: buildCypressSpec(feature, featureEntries, keywords) });
+        });
+        files.push({
+            path: 'cypress.config.js',
+            content: [
+                'import { defineConfig } from \'cypress\';',
+                '',
+                'export default defineConfig({',
+                '    e2e: {',
+                '        baseUrl: \'http://localhost:3000\', // TODO: URL de la aplicación bajo prueba',
+                '        supportFile: false',
+                '    }',
+                '});',
+                ''
+            ].join('\n')
+        });
+        files.push({ path: 'package.json', content: buildPackageJson(name, { test: 'cypress run' }, { cypress: '^13.0.0' }, true) });
+        files.push({ path: 'README.md', content: buildReadme(framework, 'npm test') });
+    } else {
+        throw new TranslatableError('Framework de automatización desconocido: {framework}', { framework });
+    }
+    return files;
+};
+
+/**
+ * Builds the automation project as a zip.
+ * @param {{testCase: object, isRegression: boolean}[]} entries The selected cases.
+ * @param {string} framework The framework ("cucumber", "playwright" or "cypress").
+ * @param {string} language The Gherkin language of the step titles ("es", "en" or "pt").
+ * @param {string} projectName The project name (e.g. the Jira ID).
+ * @returns {Promise<Blob>} The zip file.
+ */
+export const buildAutomationZip = async (entries, framework, language = 'es', projectName = '') => {
+    const zip = new JSZip();
+    buildAutomationFiles(entries, framework, language, projectName).forEach(file => {
+        zip.file(file.path, file.content);
+    });
+    return zip.generateAsync({ type: 'blob' });
+};
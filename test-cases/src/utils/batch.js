@@ -0,0 +1,219 @@
+import { ProviderRequestError } from '../providers';
+import { parseCsv } from './csv';
+import { fetchJiraIssue, formatJiraIssueContent, formatJiraIssueContext, getJiraIdFromUrl } from './jira';
+import { runAnalysis } from './analysis';
+import { DEFAULT_OUTPUT_LANGUAGE } from './outputLanguage';
+import { TranslatableError, defaultTranslate } from '../i18n';
+
+/**
+ * Batch mode: reading many stories (Jira CSV export or list of links) and analysing them
+ * through a queue with a concurrency limit and retries.
+ */
+
+// Jira CSV export columns, by field (lowercase headers, English and Spanish Jira)
+const JIRA_CSV_COLUMNS = {
+    key: ['issue key', 'clave de incidencia', 'clave', 'key'],
+    summary: ['summary', 'resumen'],
+    description: ['description', 'descripción', 'descripcion'],
+    issueType: ['issue type', 'tipo de incidencia'],
+    status: ['status', 'estado'],
+    priority: ['priority', 'prioridad'],
+    components: ['component/s', 'componente/s', 'components', 'componentes'],
+    labels: ['labels', 'etiquetas'],
+    acceptanceCriteria: ['custom field (acceptance criteria)', 'campo personalizado (acceptance criteria)', 'campo personalizado (criterios de aceptación)', 'acceptance criteria', 'criterios de aceptación']
+};
+
+// Base delay before retrying a failed story, doubled on each attempt
+const RETRY_BASE_DELAY_MS = 2000;
+
+/**
+ * Reads the stories of a Jira CSV export ("Exportar > CSV"). Multi-value fields such as
+ * components and labels come as repeated columns with the same header.
+ * @param {string} text The CSV text.
+ * @returns {{jiraId: string, jiraLink: string, summary: string, content: string, additionalContext: string}[]} The stories.
+ */
+export const parseJiraCsvExport = (text) => {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) {
+        throw new TranslatableError('El archivo CSV está vacío.');
+    }
+    const headers = header.map(cell => cell.trim().toLowerCase());
+    const columns = Object.fromEntries(Object.entries(JIRA_CSV_COLUMNS).map(([field, names]) => [
+        field,
+        headers.flatMap((name, index) => (names.includes(name) ? [index] : []))
+    ]));
+    if (columns.key.length === 0 || columns.summary.length === 0) {
+        throw new TranslatableError('El CSV no parece una exportación de Jira: faltan las columnas "Issue key" y "Summary".');
+    }
+
+    const values = (row, field) => columns[field].map(index => (row[index] || '').trim()).filter(Boolean);
+    const stories = new Map();
+    rows.forEach(row => {
+        const key = (values(row, 'key')[0] || '').toUpperCase();
+        if (!key || stories.has(key)) {
+            return;
+        }
+        // Same shape as the issues returned by the server, so the story is formatted the same way
+        const issue = {
+            key,
+            summary: values(row, 'summary')[0] || '',
+            description: values(row, 'description')[0] || '',
+            acceptanceCriteria: values(row, 'acceptanceCriteria')[0] || '',
+            issueType: values(row, 'issueType')[0] || '',
+            status: values(row, 'status')[0] || '',
+            priority: values(row, 'priority')[0] || '',
+            components: values(row, 'components'),
+            labels: values(row, 'labels'),
+            parent: null,
+            linkedIssues: []
+        };
+        stories.set(key, {
+            jiraId: key,
+            jiraLink: key,
+            summary: issue.summary,
+            content: formatJiraIssueContent(issue),
+            additionalContext: formatJiraIssueContext(issue)
+        });
+    });
+    return [...stories.values()];
+};
+
+/**
+ * Reads a list of Jira links or issue keys (one per line, or separated by commas or spaces).
+ * Their content is fetched from Jira when the story is analysed.
+ * @param {string} text The list.
+ * @returns {{jiraId: string, jiraLink: string, summary: string, content: string, additionalContext: string}[]} The stories.
+ */
+export const parseStoryLinks = (text) => {
+    const stories = new Map();
+    String(text || '').split(/[\s,;]+/).filter(Boolean).forEach(token => {
+        const jiraId = (/^https?:\/\//i.test(token) ? getJiraIdFromUrl(token) : token).toUpperCase();
+        if (/^[A-Z][A-Z0-9_]*-\d+$/.test(jiraId) && !stories.has(jiraId)) {
+            stories.set(jiraId, { jiraId, jiraLink: token, summary: '', content: '', additionalContext: '' });
+        }
+    });
+    return [...stories.values()];
+};
+
+/**
+ * Tells whether a failed story is worth retrying: network errors, rate limits, server errors
+ * and unusable answers are; configuration errors (bad key, unknown model...) are not.
+ * @param {Error} error The error.
+ * @returns {boolean} Whether to retry.
+ */
+const isRetryableError = (error) => !(error instanceof ProviderRequestError)
+    || error.status === 408 || error.status === 429 || error.status >= 500;
+
+/**
+ * Waits, resolving early if the signal is aborted.
+ * @param {number} ms The delay.
+ * @param {AbortSignal} signal The cancel signal.
+ * @returns {Promise<void>}
+ */
+const wait = (ms, signal) => new Promise(resolve => {
+    const timeoutId = setTimeout(resolve, ms);
+    if (signal) {
+        signal.addEventListener('abort', () => {
+            clearTimeout(timeoutId);
+            resolve();
+        }, { once: true });
+    }
+});
+
+/**
+ * Runs tasks through a queue with a concurrency limit, retrying failed ones with exponential
+ * backoff (or the Retry-After of a rate limit).
+ * @param {number[]} indexes The positions of the tasks to run.
+ * @param {function(number, {signal: AbortSignal, onProgress: function(object): void}): Promise<*>} worker
+ *   Runs one task and resolves with its result.
+ * @param {{concurrency: number, maxRetries: number, signal: AbortSignal, onUpdate: function(number, object): void}} options
+ *   The limits, the cancel signal, and a callback receiving status patches per task
+ *   ({ status: "queued"|"running"|"retrying"|"done"|"failed"|"cancelled", attempt, error, result, ... }); "error" is
+ *   the Error of the last attempt, so that the interface shows it in its language (see i18n.translateError).
+ * @returns {Promise<void>} Resolves when every task has finished, failed or been cancelled.
+ */
+export const runQueue = async (indexes, worker, { concurrency = 2, maxRetries = 2, signal, onUpdate }) => {
+    indexes.forEach(index => onUpdate(index, { status: 'queued', attempt: 0, error: null }));
+    const pending = [...indexes];
+
+    const runTask = async (index) => {
+        for (let attempt = 0; ; attempt++) {
+            if (signal && signal.aborted) {
+                onUpdate(index, { status: 'cancelled' });
+                return;
+            }
+            onUpdate(index, { status: 'running', attempt, retryInSeconds: null });
+            try {
+                const result = await worker(index, { signal, onProgress: patch => onUpdate(index, patch) });
+                onUpdate(index, { status: 'done', result, error: null });
+                return;
+            } catch (error) {
+                if (error.name === 'AbortError' || (signal && signal.aborted)) {
+                    onUpdate(index, { status: 'cancelled' });
+                    return;
+                }
+                if (attempt >= maxRetries || !isRetryableError(error)) {
+                    onUpdate(index, { status: 'failed', error });
+                    return;
+                }
+                const delayMs = error.retryAfterSeconds ? error.retryAfterSeconds * 1000 : RETRY_BASE_DELAY_MS * 2 ** attempt;
+                onUpdate(index, { status: 'retrying', error, retryInSeconds: Math.ceil(delayMs / 1000) });
+                await wait(delayMs, signal);
+            }
+        }
+    };
+
+    const runWorker = async () => {
+        while (pending.length > 0) {
+            await runTask(pending.shift());
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, indexes.length) }, runWorker));
+};
+
+/**
+ * Analyses one story of the batch, fetching it from Jira first when only its key is known.
+ * @param {object} settings The provider settings.
+ * @param {{jiraId: string, jiraLink: string, summary: string, content: string, additionalContext: string}} story The story.
+ * @param {{profile: object, outputLanguage: string, redactor: object, signal: AbortSignal, t: function(string, object=): string,
+ *   onProgress: function(object): void}} options
+ *   The prompt profile, the output language, an optional redactor (see utils/redaction), the cancel signal, the translation
+ *   function of the warnings and a progress callback.
+ * @returns {Promise<object>} The analysis, ready to be stored in the history.
+ */
+export const analyzeStory = async (settings, story, { profile, outputLanguage = DEFAULT_OUTPUT_LANGUAGE, redactor, signal, t = defaultTranslate, onProgress }) => {
+    let { summary, content, additionalContext } = story;
+    if (!content) {
+        onProgress({ stage: 'jira' });
+        const issue = await fetchJiraIssue(story.jiraId);
+        summary = issue.summary;
+        content = formatJiraIssueContent(issue);
+        additionalContext = formatJiraIssueContext(issue);
+    }
+
+    onProgress({ stage: 'cases', casesCount: 0, regressionCount: 0 });
+    const { outputs, warnings, regressionError } = await runAnalysis(settings, {
+        jiraId: story.jiraId,
+        content,
+        additionalContext,
+        profile,
+        outputLanguage,
+        redactor,
+        signal,
+        t,
+        onProgress
+    });
+    return {
+        name: summary ? `${story.jiraId} · ${summary}` : story.jiraId,
+        jiraId: story.jiraId,
+        jiraLink: story.jiraLink,
+        jiraContent: content,
+        additionalContext,
+        provider: settings.providerId,
+        model: settings.model,
+        promptProfile: profile && profile.name,
+        outputLanguage,
+        outputs,
+        warnings: regressionError ? [...warnings, t('Regresión: {message}', { message: regressionError.message })] : warnings
+    };
+};
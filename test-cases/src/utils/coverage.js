@@ -0,0 +1,151 @@
+import { TECHNIQUE_OPTIONS, TEST_TYPE_OPTIONS } from './testCases';
+import { DEFAULT_OUTPUT_LANGUAGE, getPriorityOptions, localizePriority } from './outputLanguage';
+
+/**
+ * ISTQB technique and test type of the test cases: normalisation of the values written by the AI
+ * and coverage summary of a suite.
+ */
+
+// Technique names the AI writes instead of the expected ones (lowercase, without accents or parentheses)
+const TECHNIQUE_ALIASES = {
+    'ep': 'Partición de equivalencia',
+    'equivalence partitioning': 'Partición de equivalencia',
+    'particion de equivalencia': 'Partición de equivalencia',
+    'particiones de equivalencia': 'Partición de equivalencia',
+    'particion en clases de equivalencia': 'Partición de equivalencia',
+    'clases de equivalencia': 'Partición de equivalencia',
+    'bva': 'Valores límite',
+    'boundary value analysis': 'Valores límite',
+    'analisis de valores limite': 'Valores límite',
+    'valores limite': 'Valores límite',
+    'valores limites': 'Valores límite',
+    'valor limite': 'Valores límite',
+    'dt': 'Tabla de decisión',
+    'decision table': 'Tabla de decisión',
+    'decision tables': 'Tabla de decisión',
+    'tabla de decision': 'Tabla de decisión',
+    'tablas de decision': 'Tabla de decisión',
+    'st': 'Transición de estados',
+    'state transition': 'Transición de estados',
+    'transicion de estados': 'Transición de estados',
+    'transicion de estado': 'Transición de estados',
+    'use case': 'Casos de uso',
+    'use cases': 'Casos de uso',
+    'caso de uso': 'Casos de uso',
+    'casos de uso': 'Casos de uso',
+    'pairwise': 'Pairwise',
+    'pruebas por pares': 'Pairwise',
+    'error guessing': 'Predicción de errores',
+    'prediccion de errores': 'Predicción de errores',
+    'adivinanza de errores': 'Predicción de errores',
+    'exploratory': 'Pruebas exploratorias',
+    'exploratoria': 'Pruebas exploratorias',
+    'pruebas exploratorias': 'Pruebas exploratorias',
+    'prueba exploratoria': 'Pruebas exploratorias',
+    'cobertura estructural': 'Cobertura estructural',
+    'cobertura de sentencias': 'Cobertura estructural',
+    'cobertura de ramas': 'Cobertura estructural',
+    'cobertura de condiciones': 'Cobertura estructural',
+    'statement coverage': 'Cobertura estructural',
+    'branch coverage': 'Cobertura estructural',
+    'mc dc': 'Cobertura estructural'
+};
+
+// Test type names the AI writes instead of the expected ones (lowercase, without accents or parentheses)
+const TEST_TYPE_ALIASES = {
+    'funcional': 'Funcional',
+    'functional': 'Funcional',
+    'seguridad': 'Seguridad',
+    'security': 'Seguridad',
+    'rendimiento': 'Rendimiento',
+    'performance': 'Rendimiento',
+    'carga': 'Rendimiento',
+    'no funcional': 'No funcional',
+    'non functional': 'No funcional',
+    'nonfunctional': 'No funcional',
+    'usabilidad': 'No funcional',
+    'compatibilidad': 'No funcional',
+    'accesibilidad': 'No funcional',
+    'estructural': 'Estructural',
+    'structural': 'Estructural',
+    'caja blanca': 'Estructural',
+    'white box': 'Estructural'
+};
+
+// Label of the cases without a value
+export const UNSPECIFIED_LABEL = 'Sin indicar';
+
+/**
+ * Reduces a value written by the AI to the key used in the alias tables.
+ * @param {*} value The value.
+ * @returns {string} The key.
+ */
+const toAliasKey = (value) => String(value === null || value === undefined ? '' : value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Drop accents
+    .replace(/\([^)]*\)/g, ' ') // Drop abbreviations such as "(BVA)"
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .replace(/^pruebas? de |^tecnica de | testing$/g, ''); // "Pruebas de seguridad", "Security testing"...
+
+/**
+ * Maps a technique written by the AI to one of TECHNIQUE_OPTIONS.
+ * @param {*} value The technique from the AI.
+ * @returns {string|null} The normalised technique, null if it is not recognised.
+ */
+export const normalizeTechnique = (value) => TECHNIQUE_ALIASES[toAliasKey(value)] || null;
+
+/**
+ * Maps a test type written by the AI to one of TEST_TYPE_OPTIONS.
+ * @param {*} value The test type from the AI.
+ * @returns {string|null} The normalised test type, null if it is not recognised.
+ */
+export const normalizeTestType = (value) => TEST_TYPE_ALIASES[toAliasKey(value)] || null;
+
+/**
+ * Counts the cases of a suite by one field: every expected value is listed (with 0 when no case
+ * uses it), followed by the other values found and the cases without a value.
+ * @param {object[]} cases The test cases.
+ * @param {string} field The field to count by.
+ * @param {string[]} options The expected values.
+ * @param {function(string): string} [toOption] Maps a value to the expected value it stands for.
+ * @returns {{value: string, count: number, expected: boolean}[]} The counts.
+ */
+const countBy = (cases, field, options, toOption = value => value) => {
+    const counts = new Map(options.map(option => [option, 0]));
+    cases.forEach(testCase => {
+        const value = toOption(String(testCase[field] || '').trim()) || UNSPECIFIED_LABEL;
+        counts.set(value, (counts.get(value) || 0) + 1);
+    });
+    return [...counts.entries()].map(([value, count]) => ({ value, count, expected: options.includes(value) }));
+};
+
+/**
+ * Summarises the coverage of a suite by test type, technique and priority. Priorities written in
+ * another output language are counted as the one of the same level (e.g. "High" as "Alta").
+ * @param {object[]} cases The test cases.
+ * @param {string} [language] The output language whose priorities are expected.
+ * @returns {{total: number, groups: {id: string, label: string, counts: {value: string, count: number, expected: boolean}[],
+ *   missing: string[]}[]}} The number of cases and, per group, the counts and the expected values without cases.
+ */
+export const summarizeCoverage = (cases, language = DEFAULT_OUTPUT_LANGUAGE) => {
+    const priorities = getPriorityOptions(language);
+    const groups = [
+        { id: 'testType', label: 'Tipo de prueba', options: TEST_TYPE_OPTIONS },
+        { id: 'technique', label: 'Técnica', options: TECHNIQUE_OPTIONS },
+        { id: 'priority', label: 'Prioridad', options: priorities, toOption: value => localizePriority(value, language) }
+    ];
+    return {
+        total: cases.length,
+        groups: groups.map(({ id, label, options, toOption }) => {
+            const counts = countBy(cases, id, options, toOption);
+            return {
+                id,
+                label,
+                counts,
+                missing: counts.filter(entry => entry.expected && entry.count === 0).map(entry => entry.value)
+            };
+        })
+    };
+};
@@ -0,0 +1,184 @@
+import { buildTraceabilityMatrix } from './traceability';
+import { buildRiskRows } from './impacts';
+import { formatExamplesTable, isScenarioOutline } from './examples';
+import { formatTestDataLines } from './testData';
+import { DEFAULT_OUTPUT_LANGUAGE, getExportLabels, localizePriority } from './outputLanguage';
+
+/**
+ * CSV reading (Jira exports) and writing (results export).
+ */
+
+/**
+ * Guesses the delimiter of a CSV text from its first line (comma, or semicolon in some locales).
+ * @param {string} text The CSV text.
+ * @returns {string} The delimiter.
+ */
+const detectDelimiter = (text) => {
+    const firstLine = text.slice(0, text.search(/\r?\n|$/));
+    const count = (char) => firstLine.split(char).length - 1;
+    return count(';') > count(',') ? ';' : ',';
+};
+
+/**
+ * Parses a CSV text into rows of cells, supporting quoted cells with delimiters,
+ * escaped quotes ("") and line breaks. Empty rows are skipped.
+ * @param {string} text The CSV text.
+ * @returns {string[][]} The rows.
+ */
+export const parseCsv = (text) => {
+    // Drop the byte order mark added by Excel/Jira
+    const source = String(text || '').replace(/^\uFEFF/, '');
+    const delimiter = detectDelimiter(source);
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    const endRow = () => {
+        row.push(cell);
+        if (row.some(value => value.trim() !== '')) {
+            rows.push(row);
+        }
+        row = [];
+        cell = '';
+    };
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') {
+                i++;
+            }
+            endRow();
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        endRow();
+    }
+    return rows;
+};
+
+/**
+ * Helper function to escape text for CSV, handling commas, double quotes, and newlines.
+ * It also ensures compatibility with various special characters by using UTF-8 encoding
+ * when creating the Blob, which is standard for Google Sheets compatibility.
+ * Special characters beyond those handled by CSV standard (e.g., accents) are preserved
+ * due to UTF-8 encoding. If a stricter "omission" of non-standard characters is needed,
+ * a specific regex filter would be required here (e.g., `text.replace(/[^a-zA-Z0-9\s.,]/g, '')`).
+ * This current implementation focuses on CSV format integrity.
+ * @param {string} text The text to escape.
+ * @returns {string} The escaped text.
+ */
+export const escapeCsv = (text) => {
+    if (text === null || text === undefined) return '';
+    let escapedText = String(text).replace(/"/g, '""').replace(/\n/g, ' '); // Replace internal double quotes and newlines
+    // Enclose in double quotes if the text contains commas or double quotes (after replacement)
+    if (escapedText.includes(',') || escapedText.includes('"')) {
+        escapedText = `"${escapedText}"`;
+    }
+    return escapedText;
+};
+
+/**
+ * Formats the generated test cases and analysis into a CSV string for export.
+ * @param {{testCases: object[], regressionGherkinTestCases: object[], impacts: object[], regressionTestSuggestions: string,
+ *   acceptanceCriteria: object[]}} analysis The results to export.
+ * @param {string} [language] The output language of the headers and labels (see outputLanguage).
+ * @returns {string} The formatted CSV content.
+ */
+export const buildCsvExport = ({ testCases, regressionGherkinTestCases, impacts, regressionTestSuggestions, acceptanceCriteria }, language = DEFAULT_OUTPUT_LANGUAGE) => {
+    const labels = getExportLabels(language);
+    const headers = ['jiraId', 'feature', 'scenario', 'priority', 'testType', 'technique', 'criteria', 'impact', 'given', 'when', 'then', 'examples', 'testData']
+        .map(key => labels[key]);
+    let csvContent = headers.map(h => `"${h}"`).join(',') + '\n';
+
+    const addTestCasesToCsv = (cases) => {
+        cases.forEach(tc => {
+            const row = [
+                escapeCsv(tc.jiraId),
+                escapeCsv(tc.feature),
+                escapeCsv(tc.scenario),
+                escapeCsv(tc.priority),
+                escapeCsv(tc.testType),
+                escapeCsv(tc.technique),
+                escapeCsv((tc.criteria || []).join(' ')),
+                escapeCsv(tc.impactId),
+                escapeCsv(tc.given),
+                escapeCsv(tc.when),
+                escapeCsv(tc.then),
+                escapeCsv(isScenarioOutline(tc) ? formatExamplesTable(tc.examples).join('\n') : ''),
+                escapeCsv(formatTestDataLines(tc.testData).join('\n'))
+            ];
+            csvContent += row.join(',') + '\n';
+        });
+    };
+
+    if (testCases && testCases.length > 0) {
+        csvContent += `\n"--- ${labels.mainCasesSection} ---"\n`;
+        addTestCasesToCsv(testCases);
+    }
+
+    if (regressionGherkinTestCases && regressionGherkinTestCases.length > 0) {
+        csvContent += `\n"--- ${labels.regressionCasesSection} ---"\n`;
+        addTestCasesToCsv(regressionGherkinTestCases);
+    }
+
+    // Traceability matrix: one row per acceptance criterion with the main cases covering it
+    if (acceptanceCriteria && acceptanceCriteria.length > 0) {
+        const { rows } = buildTraceabilityMatrix(acceptanceCriteria, testCases || []);
+        csvContent += `\n"--- ${labels.traceabilitySection} ---"\n`;
+        csvContent += [labels.criterion, labels.description, labels.status, labels.cases].map(h => `"${h}"`).join(',') + '\n';
+        rows.forEach(({ criterion, caseIndexes }) => {
+            const row = [
+                escapeCsv(criterion.jiraId ? `${criterion.jiraId} ${criterion.id}` : criterion.id),
+                escapeCsv(criterion.text),
+                caseIndexes.length > 0 ? labels.covered : labels.uncovered,
+                escapeCsv(caseIndexes.map(index => testCases[index].scenario).join(' | '))
+            ];
+            csvContent += row.join(',') + '\n';
+        });
+    }
+
+    // Impacts: one row per impact with its risk and the regression cases mitigating it
+    if (impacts && impacts.length > 0) {
+        const regressionCases = regressionGherkinTestCases || [];
+        csvContent += `\n"--- ${labels.impactsSection} ---"\n`;
+        csvContent += [labels.impact, labels.area, labels.description, labels.severity, labels.probability, labels.risk, labels.mitigatingTests]
+            .map(h => `"${h}"`).join(',') + '\n';
+        buildRiskRows(impacts, regressionCases).forEach(({ impact, riskScore, riskLevel, caseIndexes }) => {
+            const row = [
+                escapeCsv(impact.jiraId ? `${impact.jiraId} ${impact.id}` : impact.id),
+                escapeCsv(impact.area),
+                escapeCsv(impact.description),
+                escapeCsv(localizePriority(impact.severity, language)),
+                escapeCsv(localizePriority(impact.probability, language)),
+                riskScore ? `${riskScore} (${labels.riskLevels[riskLevel]})` : '',
+                escapeCsv(caseIndexes.map(index => regressionCases[index].scenario).join(' | '))
+            ];
+            csvContent += row.join(',') + '\n';
+        });
+    }
+
+    // Add the regression suggestions as a separate section if needed
+    if (regressionTestSuggestions) {
+        csvContent += `\n"--- ${labels.suggestionsSection} ---"\n"${escapeCsv(regressionTestSuggestions)}"\n`;
+    }
+
+    return csvContent;
+};
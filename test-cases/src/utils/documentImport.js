@@ -0,0 +1,499 @@
+import JSZip from 'jszip';
+import { TranslatableError, defaultTranslate, translateError } from '../i18n';
+
+/**
+ * Import of the story description from documents: PDF, Word (.docx), HTML (e.g. Confluence
+ * exports), Markdown or plain text, and images or scanned PDF pages through OCR. The structure
+ * is kept as Markdown-like text: headings ("#"), list items ("-") and tables ("| a | b |").
+ * PDF.js and Tesseract.js are bundled with the app (and loaded the first time they are needed),
+ * and the OCR engine and language data are served by the app too, so nothing needs the network.
+ */
+
+// Directory where the build places the files Tesseract.js loads at runtime (see vite.config.js)
+const TESSERACT_DIR = 'tesseract/';
+
+// Languages recognised by the OCR
+const OCR_LANGUAGES = ['spa', 'eng'];
+
+// A PDF page with less text than this is considered scanned and read with OCR
+const MIN_PAGE_TEXT_LENGTH = 20;
+
+// Scale of the PDF pages rendered for the OCR (higher reads better but is slower)
+const OCR_RENDER_SCALE = 2;
+
+// Vertical gap, in line heights, from which two PDF lines belong to different paragraphs
+const PARAGRAPH_GAP = 1.8;
+
+// Files accepted by the import input
+export const IMPORT_ACCEPT = '.pdf,.docx,.html,.htm,.md,.markdown,.txt,image/*';
+
+/**
+ * Tidies the extracted text: no trailing spaces and at most one blank line in a row.
+ * @param {string} text The text.
+ * @returns {string} The tidied text.
+ */
+const cleanText = (text) => text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+/**
+ * Renders table rows as a Markdown table.
+ * @param {string[][]} rows The cell texts of each row.
+ * @returns {string} The table, one line per row.
+ */
+const formatTable = (rows) => rows
+    .filter(cells => cells.length > 0)
+    .flatMap((cells, index) => {
+        const line = `| ${cells.map(cell => cell.replace(/\s+/g, ' ').replace(/\|/g, '/').trim()).join(' | ')} |`;
+        return index === 0 ? [line, `| ${cells.map(() => '---').join(' | ')} |`] : [line];
+    })
+    .join('\n');
+
+/**
+ * Starts a Tesseract worker that loads its engine and language data from the app.
+ * @returns {Promise<object>} The worker.
+ */
+const createTesseractWorker = async () => {
+    const { createWorker } = await import('tesseract.js');
+    const baseUrl = new URL(TESSERACT_DIR, document.baseURI).href;
+    return createWorker(OCR_LANGUAGES, undefined, {
+        workerPath: `${baseUrl}worker.min.js`,
+        corePath: `${baseUrl}core`,
+        langPath: `${baseUrl}lang`
+    });
+};
+
+/**
+ * Creates an OCR reader. Tesseract's worker loads its engine and language data the first time, so
+ * one reader is shared by all the images of an import.
+ * @returns {{recognize: function(*): Promise<string>, terminate: function(): Promise<void>}} The reader.
+ */
+const createOcrReader = () => {
+    let workerPromise = null;
+    return {
+        recognize: async (image) => {
+            if (!workerPromise) {
+                workerPromise = createTesseractWorker();
+            }
+            const worker = await workerPromise;
+            const { data } = await worker.recognize(image);
+            return cleanText(data.text || '');
+        },
+        terminate: async () => {
+            if (workerPromise) {
+                // A worker that failed to load was already reported by recognize
+                const worker = await workerPromise.catch(() => null);
+                if (worker) {
+                    await worker.terminate();
+                }
+            }
+        }
+    };
+};
+
+/**
+ * Joins the text items of a PDF page into lines and paragraphs, from their position.
+ * @param {object[]} items The items of the page text content.
+ * @returns {string} The page text.
+ */
+const pdfItemsToText = (items) => {
+    let text = '';
+    let lastY = null;
+    let lastHeight = 0;
+    items.forEach(item => {
+        if (typeof item.str !== 'string') {
+            return;
+        }
+        const y = item.transform[5];
+        if (lastY !== null && Math.abs(y - lastY) > 1) {
+            text = text.trimEnd() + (Math.abs(lastY - y) > lastHeight * PARAGRAPH_GAP ? '\n\n' : '\n');
+        } else if (text && !/\s$/.test(text) && item.str && !/^\s/.test(item.str)) {
+            text += ' ';
+        }
+        text += item.str;
+        if (item.str.trim()) {
+            lastY = y;
+            lastHeight = item.height || lastHeight;
+        }
+    });
+    return text;
+};
+
+let pdfJsPromise = null;
+
+/**
+ * Loads the bundled PDF.js and points it to its bundled worker, once.
+ * @returns {Promise<object>} The PDF.js module.
+ */
+const loadPdfJs = () => {
+    if (!pdfJsPromise) {
+        pdfJsPromise = Promise.all([import('pdfjs-dist'), import('pdfjs-dist/build/pdf.worker.min.mjs?url')])
+            .then(([pdfjsLib, worker]) => {
+                pdfjsLib.GlobalWorkerOptions.workerSrc = worker.default;
+                return pdfjsLib;
+            })
+            .catch(error => {
+                pdfJsPromise = null; // Try again on the next import
+                throw error;
+            });
+    }
+    return pdfJsPromise;
+};
+
+/**
+ * Opens a PDF, asking for its password while it is protected and the given one is wrong.
+ * @param {File} file The PDF file.
+ * @param {function(string, boolean): Promise<string|null>} requestPassword Receives the file name and
+ *   whether the previous password was wrong; resolves with the password, or null to cancel.
+ * @returns {Promise<object>} The PDF.js document.
+ */
+const openPdf = async (file, requestPassword) => {
+    const pdfjsLib = await loadPdfJs();
+    const loadingTask = pdfjsLib.getDocument({ data: new Uint8Array(await file.arrayBuffer()) });
+    let isCancelled = false;
+    loadingTask.onPassword = (updatePassword, reason) => {
+        requestPassword(file.name, reason === pdfjsLib.PasswordResponses.INCORRECT_PASSWORD).then(password => {
+            if (password === null) {
+                isCancelled = true;
+                loadingTask.destroy();
+            } else {
+                updatePassword(password);
+            }
+        });
+    };
+    try {
+        return await loadingTask.promise;
+    } catch (error) {
+        if (isCancelled || error.name === 'PasswordException') {
+            throw new TranslatableError('el PDF está protegido con contraseña');
+        }
+        throw error;
+    }
+};
+
+/**
+ * Reads the text layer of every page of a PDF. Pages with almost no text (scanned documents) are
+ * flagged to be read with OCR if they are imported.
+ * @param {object} pdf The PDF.js document.
+ * @param {function(string): void} onProgress Receives a status message.
+ * @param {function(string, object=): string} t The translation function of the messages.
+ * @returns {Promise<{number: number, text: string, needsOcr: boolean}[]>} The pages.
+ */
+const readPdfPages = async (pdf, onProgress, t) => {
+    const pages = [];
+    for (let number = 1; number <= pdf.numPages; number++) {
+        onProgress(t('página {number} de {total}', { number, total: pdf.numPages }));
+        const page = await pdf.getPage(number);
+        const text = cleanText(pdfItemsToText((await page.getTextContent()).items));
+        pages.push({ number, text, needsOcr: text.replace(/\s/g, '').length < MIN_PAGE_TEXT_LENGTH });
+    }
+    return pages;
+};
+
+/**
+ * Reads a PDF page with OCR, rendering it to a canvas.
+ * @param {object} pdf The PDF.js document.
+ * @param {number} number The page number.
+ * @param {object} ocr The OCR reader.
+ * @returns {Promise<string>} The text.
+ */
+const recognizePdfPage = async (pdf, number, ocr) => {
+    const page = await pdf.getPage(number);
+    const viewport = page.getViewport({ scale: OCR_RENDER_SCALE });
+    const canvas = document.createElement('canvas');
+    canvas.width = viewport.width;
+    canvas.height = viewport.height;
+    await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+    return ocr.recognize(canvas);
+};
+
+/**
+ * Extracts the text of a PDF. The pages are shown for review first, so that only some of them
+ * are imported; the scanned ones among them are read with OCR.
+ * @param {File} file The PDF file.
+ * @param {object} ocr The OCR reader.
+ * @param {function(string): void} onProgress Receives a status message.
+ * @param {object} options See importDocuments.
+ * @returns {Promise<string|null>} The text, or null if the review was cancelled.
+ */
+const extractPdfText = async (file, ocr, onProgress, { requestPassword, reviewPdf, t }) => {
+    const pdf = await openPdf(file, requestPassword);
+    try {
+        const pages = await readPdfPages(pdf, onProgress, t);
+        const pageNumbers = await reviewPdf(file.name, pages);
+        if (!pageNumbers) {
+            return null;
+        }
+        const texts = [];
+        for (const number of pageNumbers) {
+            const page = pages[number - 1];
+            if (page.needsOcr) {
+                onProgress(t('OCR de la página {number} de {total}', { number, total: pages.length }));
+                texts.push(await recognizePdfPage(pdf, number, ocr));
+            } else {
+                texts.push(page.text);
+            }
+        }
+        return cleanText(texts.join('\n\n'));
+    } finally {
+        pdf.destroy();
+    }
+};
+
+/**
+ * Reads a list of pages such as "1-3, 5, 8-" (an open range goes to the last page).
+ * @param {string} text The page list.
+ * @param {number} pageCount The number of pages of the document.
+ * @returns {number[]} The page numbers, sorted and without repetitions.
+ */
+export const parsePageRange = (text, pageCount) => {
+    const numbers = new Set();
+    String(text || '').split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+        const match = part.match(/^(\d+)\s*(?:-\s*(\d*))?$/);
+        if (!match) {
+            throw new TranslatableError('"{part}" no es una página ni un rango válido (p. ej. 1-3, 5).', { part });
+        }
+        const first = Number(match[1]);
+        const last = match[2] === undefined ? first : (match[2] === '' ? pageCount : Number(match[2]));
+        if (first < 1 || last > pageCount || first > last) {
+            throw new TranslatableError('"{part}" está fuera de las páginas del documento (1-{count}).', { part, count: pageCount });
+        }
+        for (let number = first; number <= last; number++) {
+            numbers.add(number);
+        }
+    });
+    return [...numbers].sort((a, b) => a - b);
+};
+
+/**
+ * Writes page numbers as a compact list, e.g. [1, 2, 3, 5] as "1-3, 5".
+ * @param {number[]} numbers The sorted page numbers.
+ * @returns {string} The page list.
+ */
+export const formatPageRange = (numbers) => {
+    const ranges = [];
+    numbers.forEach(number => {
+        const last = ranges[ranges.length - 1];
+        if (last && last[1] === number - 1) {
+            last[1] = number;
+        } else {
+            ranges.push([number, number]);
+        }
+    });
+    return ranges.map(([first, last]) => (first === last ? String(first) : `${first}-${last}`)).join(', ');
+};
+
+/**
+ * Returns the text of a .docx paragraph, keeping tabs and line breaks.
+ * @param {Element} paragraph The "w:p" element.
+ * @returns {string} The text.
+ */
+const docxParagraphText = (paragraph) => Array.from(paragraph.getElementsByTagName('*'))
+    .map(node => {
+        if (node.nodeName === 'w:t') {
+            return node.textContent;
+        }
+        if (node.nodeName === 'w:tab') {
+            return '\t';
+        }
+        return node.nodeName === 'w:br' || node.nodeName === 'w:cr' ? '\n' : '';
+    })
+    .join('');
+
+/**
+ * Returns the direct children of an element with a given name.
+ * @param {Element} element The element.
+ * @param {string} name The qualified name (e.g. "w:tr").
+ * @returns {Element[]} The children.
+ */
+const childElements = (element, name) => Array.from(element.childNodes).filter(node => node.nodeName === name);
+
+/**
+ * Renders a block of a .docx body: a paragraph (heading, list item or plain), a table or a content control.
+ * @param {Element} block The "w:p", "w:tbl" or "w:sdt" element.
+ * @returns {string} The text.
+ */
+const renderDocxBlock = (block) => {
+    if (block.nodeName === 'w:tbl') {
+        return `\n${formatTable(childElements(block, 'w:tr').map(row => childElements(row, 'w:tc')
+            .map(cell => childElements(cell, 'w:p').map(docxParagraphText).join(' '))))}\n`;
+    }
+    if (block.nodeName === 'w:sdt') {
+        // Content controls (e.g. a table of contents) wrap their own blocks
+        return childElements(block, 'w:sdtContent').flatMap(content => Array.from(content.childNodes).map(renderDocxBlock)).join('\n');
+    }
+    if (block.nodeName !== 'w:p') {
+        return '';
+    }
+    const text = docxParagraphText(block).trim();
+    if (!text) {
+        return '';
+    }
+    const style = block.getElementsByTagName('w:pStyle')[0];
+    const styleId = style ? style.getAttribute('w:val') || '' : '';
+    // Built-in heading styles: "Heading1", "Title", and their Spanish ids ("Ttulo1", "Ttulo")
+    const heading = styleId.match(/^(?:heading|ttulo|titulo)(\d)$/i);
+    if (heading || /^(?:title|ttulo|titulo)$/i.test(styleId)) {
+        return `\n${'#'.repeat(heading ? Number(heading[1]) : 1)} ${text}\n`;
+    }
+    const listLevel = block.getElementsByTagName('w:ilvl')[0];
+    if (block.getElementsByTagName('w:numPr').length > 0) {
+        return `${'  '.repeat(listLevel ? Number(listLevel.getAttribute('w:val')) || 0 : 0)}- ${text}`;
+    }
+    return `${text}\n`;
+};
+
+/**
+ * Extracts the text of a Word document (.docx).
+ * @param {File} file The .docx file.
+ * @returns {Promise<string>} The text.
+ */
+const extractDocxText = async (file) => {
+    const zip = await JSZip.loadAsync(await file.arrayBuffer());
+    const documentFile = zip.file('word/document.xml');
+    if (!documentFile) {
+        throw new TranslatableError('no es un documento de Word (.docx) válido');
+    }
+    const xml = new DOMParser().parseFromString(await documentFile.async('string'), 'application/xml');
+    const body = xml.getElementsByTagName('w:body')[0];
+    return cleanText(body ? Array.from(body.childNodes).map(renderDocxBlock).join('\n') : '');
+};
+
+/**
+ * Renders an HTML node as text, keeping headings, lists and tables.
+ * @param {Node} node The node.
+ * @param {number} depth The list nesting level.
+ * @returns {string} The text.
+ */
+const renderHtmlNode = (node, depth = 0) => {
+    if (node.nodeType === Node.TEXT_NODE) {
+        return node.textContent.replace(/\s+/g, ' ');
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+        return '';
+    }
+    const tag = node.tagName.toLowerCase();
+    const renderChildren = (childDepth = depth) => Array.from(node.childNodes).map(child => renderHtmlNode(child, childDepth)).join('');
+    const heading = tag.match(/^h([1-6])$/);
+    if (heading) {
+        return `\n\n${'#'.repeat(Number(heading[1]))} ${renderChildren().trim()}\n\n`;
+    }
+    switch (tag) {
+        case 'script':
+        case 'style':
+        case 'noscript':
+            return '';
+        case 'br':
+            return '\n';
+        case 'pre':
+            return `\n${node.textContent}\n`;
+        case 'ul':
+        case 'ol':
+            return `\n${Array.from(node.children)
+                .filter(child => child.tagName.toLowerCase() === 'li')
+                .map((item, index) => `${'  '.repeat(depth)}${tag === 'ol' ? `${index + 1}.` : '-'} ${Array.from(item.childNodes)
+                    .map(child => renderHtmlNode(child, depth + 1))
+                    .join('')
+                    .trim()}`)
+                .join('\n')}\n`;
+        case 'table':
+            return `\n${formatTable(Array.from(node.rows).map(row => Array.from(row.cells).map(cell => renderHtmlNode(cell, depth))))}\n`;
+        case 'p':
+        case 'div':
+        case 'section':
+        case 'article':
+        case 'blockquote':
+        case 'header':
+        case 'footer':
+            return `\n${renderChildren().trim()}\n`;
+        default:
+            return renderChildren();
+    }
+};
+
+/**
+ * Extracts the text of an HTML document (e.g. a Confluence page export).
+ * @param {File} file The HTML file.
+ * @returns {Promise<string>} The text.
+ */
+const extractHtmlText = async (file) => {
+    const html = new DOMParser().parseFromString(await file.text(), 'text/html');
+    return cleanText(renderHtmlNode(html.body));
+};
+
+/**
+ * Extracts the text of a document, by its extension or type.
+ * @param {File} file The file (.pdf, .docx, .html, .md, .txt or an image).
+ * @param {object} ocr The OCR reader (see createOcrReader).
+ * @param {function(string): void} onProgress Receives a status message.
+ * @param {object} options See importDocuments.
+ * @returns {Promise<string|null>} The text, or null if the import of the file was cancelled.
+ */
+const extractDocumentText = async (file, ocr, onProgress, options) => {
+    const name = file.name.toLowerCase();
+    if (file.type === 'application/pdf' || name.endsWith('.pdf')) {
+        return extractPdfText(file, ocr, onProgress, options);
+    }
+    if (name.endsWith('.docx')) {
+        return extractDocxText(file);
+    }
+    if (file.type === 'text/html' || /\.html?$/.test(name)) {
+        return extractHtmlText(file);
+    }
+    if (/\.(md|markdown|txt)$/.test(name) || file.type === 'text/plain' || file.type === 'text/markdown') {
+        return cleanText(await file.text());
+    }
+    if (file.type.startsWith('image/')) {
+        onProgress(options.t('OCR de la imagen'));
+        return ocr.recognize(file);
+    }
+    throw new TranslatableError('formato no soportado (usa PDF, Word .docx, HTML, Markdown, texto o imágenes)');
+};
+
+/**
+ * Extracts the text of several documents, each one preceded by a line with its file name.
+ * Files that cannot be read are reported without stopping the others.
+ * @param {File[]} files The files.
+ * @param {object} [options]
+ * @param {function(string): void} [options.onProgress] Receives a status message.
+ * @param {function(string, boolean): Promise<string|null>} [options.requestPassword] Asks for the
+ *   password of a protected PDF (file name, whether the previous one was wrong); null cancels.
+ * @param {function(string, object[]): Promise<number[]|null>} [options.reviewPdf] Shows the pages of
+ *   a PDF (file name, pages with their text) and resolves with the numbers of the pages to import,
+ *   or null to skip the file. By default every page is imported.
+ * @param {function(string, object=): string} [options.t] The translation function of the messages.
+ * @returns {Promise<{text: string, errors: string[]}>} The combined text and the errors, one per failed file.
+ */
+export const importDocuments = async (files, {
+    onProgress = () => {},
+    requestPassword = () => Promise.resolve(null),
+    reviewPdf = (fileName, pages) => Promise.resolve(pages.map(page => page.number)),
+    t = defaultTranslate
+} = {}) => {
+    const ocr = createOcrReader();
+    const parts = [];
+    const errors = [];
+    try {
+        for (const file of files) {
+            onProgress(t('Leyendo {name}...', { name: file.name }));
+            try {
+                const text = await extractDocumentText(file, ocr, status => onProgress(t('Leyendo {name}: {status}...', { name: file.name, status })), { requestPassword, reviewPdf, t });
+                if (text === null) {
+                    continue; // Cancelled by the user
+                }
+                if (!text) {
+                    throw new TranslatableError('no se encontró texto');
+                }
+                parts.push(files.length > 1 ? `--- ${file.name} ---\n${text}` : text);
+            } catch (error) {
+                console.error(`Error al leer ${file.name}:`, error);
+                errors.push(`${file.name}: ${translateError(error, t)}`);
+            }
+        }
+    } finally {
+        await ocr.terminate();
+    }
+    return { text: parts.join('\n\n'), errors };
+};
@@ -0,0 +1,15 @@
+/**
+ * Triggers a browser download for the given Blob.
+ * @param {Blob} blob The content to download.
+ * @param {string} fileName The name proposed to the user for the downloaded file.
+ */
+export const downloadBlob = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url); // Clean up the URL object
+};
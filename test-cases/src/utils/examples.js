@@ -0,0 +1,110 @@
+/**
+ * Scenario Outlines: a test case whose steps use parameters ("<amount>") carries an "examples"
+ * table ({ headers: ['amount'], rows: [['0'], ['100']] }) with one row per run of the scenario.
+ * Cases without the table (or with an empty one) are plain scenarios.
+ */
+
+// Parameters in the steps of a Scenario Outline, e.g. "<monto>"
+export const PLACEHOLDER_REGEX = /<([^<>\n]+)>/g;
+
+/**
+ * Normalises the examples table of a test case. The AI sometimes returns the rows as objects
+ * ({ "monto": "0" }) instead of a table; they are converted. Header names lose their "<>".
+ * @param {*} value The examples from the AI or the editor.
+ * @returns {{headers: string[], rows: string[][]}|null} The table, null if it has no columns or rows.
+ */
+export const normalizeExamples = (value) => {
+    if (!value || typeof value !== 'object') {
+        return null;
+    }
+    const toCell = (cell) => (cell === null || cell === undefined ? '' : String(cell).replace(/\s*\n\s*/g, ' ').trim());
+    const toHeader = (header) => toCell(header).replace(/^<|>$/g, '');
+    // Rows as objects: one column per distinct key
+    const objectRows = (Array.isArray(value) ? value : [])
+        .filter(row => row && typeof row === 'object' && !Array.isArray(row))
+        .map(row => Object.fromEntries(Object.entries(row).map(([key, cell]) => [toHeader(key), cell])));
+    const headers = objectRows.length > 0
+        ? [...new Set(objectRows.flatMap(row => Object.keys(row)))]
+        : (Array.isArray(value.headers) ? value.headers : []).map(toHeader);
+    const rows = (objectRows.length > 0
+        ? objectRows.map(row => headers.map(header => row[header]))
+        : (Array.isArray(value.rows) ? value.rows : []))
+        .filter(Array.isArray)
+        .map(row => headers.map((header, index) => toCell(row[index])))
+        .filter(row => row.some(Boolean));
+    if (headers.length === 0 || headers.every(header => !header) || rows.length === 0) {
+        return null;
+    }
+    return { headers, rows };
+};
+
+/**
+ * Tells whether a test case is a Scenario Outline (it has an examples table with rows).
+ * @param {object} testCase The test case.
+ * @returns {boolean} Whether it is an outline.
+ */
+export const isScenarioOutline = (testCase) => Boolean(testCase.examples
+    && testCase.examples.headers && testCase.examples.headers.length > 0
+    && testCase.examples.rows && testCase.examples.rows.length > 0);
+
+/**
+ * Lists the parameters used in the scenario and steps of a test case.
+ * @param {object} testCase The test case.
+ * @returns {string[]} The parameter names, without "<>", in order of appearance.
+ */
+export const getPlaceholders = (testCase) => {
+    const names = [];
+    ['scenario', 'given', 'when', 'then'].forEach(field => {
+        for (const match of String(testCase[field] || '').matchAll(PLACEHOLDER_REGEX)) {
+            if (!names.includes(match[1].trim())) {
+                names.push(match[1].trim());
+            }
+        }
+    });
+    return names;
+};
+
+/**
+ * Replaces the parameters of a text with the values of one example row.
+ * @param {string} text The text with "<parameter>" placeholders.
+ * @param {{headers: string[]}} examples The examples table.
+ * @param {string[]} row The example row.
+ * @returns {string} The text with the values.
+ */
+export const fillPlaceholders = (text, examples, row) => String(text || '').replace(PLACEHOLDER_REGEX, (placeholder, name) => {
+    const index = examples.headers.indexOf(name.trim());
+    return index === -1 ? placeholder : row[index];
+});
+
+/**
+ * Expands a Scenario Outline into one concrete case per example row (a plain case is returned as is).
+ * @param {object} testCase The test case.
+ * @returns {{testCase: object, row: string[]|null}[]} The concrete cases, with the row they come from.
+ */
+export const expandExamples = (testCase) => {
+    if (!isScenarioOutline(testCase)) {
+        return [{ testCase, row: null }];
+    }
+    return testCase.examples.rows.map(row => ({
+        testCase: {
+            ...testCase,
+            scenario: fillPlaceholders(testCase.scenario, testCase.examples, row),
+            given: fillPlaceholders(testCase.given, testCase.examples, row),
+            when: fillPlaceholders(testCase.when, testCase.examples, row),
+            then: fillPlaceholders(testCase.then, testCase.examples, row)
+        },
+        row
+    }));
+};
+
+/**
+ * Renders an examples table as Gherkin table lines ("| monto | resultado |"), with the columns
+ * aligned. A "|" inside a cell is escaped as Gherkin expects.
+ * @param {{headers: string[], rows: string[][]}} examples The examples table.
+ * @returns {string[]} The table lines.
+ */
+export const formatExamplesTable = (examples) => {
+    const lines = [examples.headers, ...examples.rows].map(cells => cells.map(cell => String(cell).replace(/\\/g, '\\\\').replace(/\|/g, '\\|')));
+    const widths = examples.headers.map((header, index) => Math.max(...lines.map(cells => cells[index].length)));
+    return lines.map(cells => `| ${cells.map((cell, index) => cell.padEnd(widths[index])).join(' | ')} |`);
+};
@@ -0,0 +1,240 @@
+import JSZip from 'jszip';
+import { formatExamplesTable, isScenarioOutline } from './examples';
+import { formatTestDataLines } from './testData';
+
+// Gherkin keywords per supported language
+export const GHERKIN_KEYWORDS = {
+    es: {
+        label: 'Español',
+        feature: 'Característica',
+        scenario: 'Escenario',
+        scenarioOutline: 'Esquema del escenario',
+        examples: 'Ejemplos',
+        given: 'Dado',
+        when: 'Cuando',
+        then: 'Entonces',
+        and: 'Y',
+        priorityTag: 'prioridad',
+        regressionTag: 'regresion',
+        criterionTag: 'criterio',
+        impactTag: 'impacto',
+        testData: 'Datos de prueba'
+    },
+    en: {
+        label: 'English',
+        feature: 'Feature',
+        scenario: 'Scenario',
+        scenarioOutline: 'Scenario Outline',
+        examples: 'Examples',
+        given: 'Given',
+        when: 'When',
+        then: 'Then',
+        and: 'And',
+        priorityTag: 'priority',
+        regressionTag: 'regression',
+        criterionTag: 'criterion',
+        impactTag: 'impact',
+        testData: 'Test data'
+    },
+    pt: {
+        label: 'Português',
+        feature: 'Funcionalidade',
+        scenario: 'Cenário',
+        scenarioOutline: 'Esquema do Cenário',
+        examples: 'Exemplos',
+        given: 'Dado',
+        when: 'Quando',
+        then: 'Então',
+        and: 'E',
+        priorityTag: 'prioridade',
+        regressionTag: 'regressao',
+        criterionTag: 'criterio',
+        impactTag: 'impacto',
+        testData: 'Dados de teste'
+    }
+};
+
+// Leading step keywords the AI sometimes writes inside given/when/then, in every language
+const LEADING_KEYWORD_REGEX = /^(dado|dada|dados|dadas|cuando|entonces|y|e|pero|quando|então|entao|mas|given|when|then|and|but)\s+/i;
+
+/**
+ * Converts free text into a lowercase slug safe for tags and file names.
+ * @param {string} text The text to convert.
+ * @returns {string} The slug.
+ */
+export const slugify = (text) => String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Drop accents
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+/**
+ * Splits a multi-line given/when/then value into clean step texts,
+ * removing any keyword the AI already prefixed (e.g. "Y tengo credenciales válidas").
+ * @param {string} text The step block.
+ * @returns {string[]} The individual step texts.
+ */
+export const splitSteps = (text) => String(text || '')
+    .split('\n')
+    .map(line => line.trim().replace(LEADING_KEYWORD_REGEX, '').trim())
+    .filter(Boolean);
+
+/**
+ * Builds the tag line of a scenario, e.g. "@PROJ-123 @prioridad-alta @criterio-ca1 @impacto-imp1".
+ * @param {object} testCase The test case.
+ * @param {object} keywords The keyword set of the chosen language.
+ * @param {boolean} isRegression Whether the case comes from the regression suite.
+ * @returns {string} The tag line, empty if there are no tags.
+ */
+export const buildTags = (testCase, keywords, isRegression) => {
+    const tags = [];
+    if (testCase.jiraId) {
+        tags.push(`@${String(testCase.jiraId).trim().replace(/\s+/g, '-')}`);
+    }
+    if (testCase.priority) {
+        tags.push(`@${keywords.priorityTag}-${slugify(testCase.priority)}`);
+    }
+    (testCase.criteria || []).forEach(criterionId => {
+        tags.push(`@${keywords.criterionTag}-${slugify(criterionId)}`);
+    });
+    if (testCase.impactId) {
+        tags.push(`@${keywords.impactTag}-${slugify(testCase.impactId)}`);
+    }
+    if (isRegression) {
+        tags.push(`@${keywords.regressionTag}`);
+    }
+    return tags.join(' ');
+};
+
+/**
+ * Renders the steps of one section (given/when/then), using "And" for every line after the first.
+ * @param {string} keyword The main keyword of the section.
+ * @param {string} text The step block.
+ * @param {object} keywords The keyword set of the chosen language.
+ * @returns {string[]} The rendered step lines.
+ */
+const buildStepLines = (keyword, text, keywords) => splitSteps(text)
+    .map((step, index) => `    ${index === 0 ? keyword : keywords.and} ${step}`);
+
+/**
+ * Renders the Examples block of a Scenario Outline (nothing for a plain scenario).
+ * @param {object} testCase The test case.
+ * @param {object} keywords The keyword set of the chosen language.
+ * @returns {string[]} The block lines, the table indented under the keyword.
+ */
+const buildExamplesLines = (testCase, keywords) => (isScenarioOutline(testCase)
+    ? ['', `    ${keywords.examples}:`, ...formatExamplesTable(testCase.examples).map(line => `      ${line}`)]
+    : []);
+
+/**
+ * Renders the Given/When/Then steps of a test case, without tags or scenario title
+ * (the format of Xray's "Cucumber Scenario" field). Outlines end with their Examples table.
+ * @param {object} testCase The test case.
+ * @param {string} language The Gherkin language ("es", "en" or "pt").
+ * @returns {string} The steps, one per line.
+ */
+export const buildScenarioSteps = (testCase, language = 'es') => {
+    const keywords = GHERKIN_KEYWORDS[language] || GHERKIN_KEYWORDS.es;
+    return [
+        ...buildStepLines(keywords.given, testCase.given, keywords),
+        ...buildStepLines(keywords.when, testCase.when, keywords),
+        ...buildStepLines(keywords.then, testCase.then, keywords),
+        ...buildExamplesLines(testCase, keywords)
+    ].map(line => line.replace(/^ {4}/, '')).join('\n');
+};
+
+/**
+ * Renders a single scenario block (a Scenario Outline when the case has examples), with its test
+ * data as comments.
+ * @param {object} testCase The test case.
+ * @param {object} keywords The keyword set of the chosen language.
+ * @param {boolean} isRegression Whether the case comes from the regression suite.
+ * @returns {string} The scenario block.
+ */
+const buildScenario = (testCase, keywords, isRegression) => {
+    const lines = [];
+    const tags = buildTags(testCase, keywords, isRegression);
+    if (tags) {
+        lines.push(`  ${tags}`);
+    }
+    const keyword = isScenarioOutline(testCase) ? keywords.scenarioOutline : keywords.scenario;
+    lines.push(`  ${keyword}: ${String(testCase.scenario || '').replace(/\s*\n\s*/g, ' ').trim()}`);
+    lines.push(...buildStepLines(keywords.given, testCase.given, keywords));
+    lines.push(...buildStepLines(keywords.when, testCase.when, keywords));
+    lines.push(...buildStepLines(keywords.then, testCase.then, keywords));
+    lines.push(...buildExamplesLines(testCase, keywords));
+    // Test data goes in comments: Gherkin has no place for it and runners ignore comments
+    const testDataLines = formatTestDataLines(testCase.testData);
+    if (testDataLines.length > 0) {
+        lines.push(`    # ${keywords.testData}:`, ...testDataLines.map(line => `    #   ${line.replace(/\s*\n\s*/g, ' ')}`));
+    }
+    return lines.join('\n');
+};
+
+/**
+ * Groups main and regression test cases by their "feature" value, keeping the original order.
+ * @param {object[]} mainCases The main test cases.
+ * @param {object[]} regressionCases The regression test cases.
+ * @returns {Map<string, {testCase: object, isRegression: boolean}[]>} The cases grouped by feature.
+ */
+export const groupCasesByFeature = (mainCases = [], regressionCases = []) => {
+    const groups = new Map();
+    const addCase = (testCase, isRegression) => {
+        const feature = String(testCase.feature || '').trim() || 'Sin característica';
+        if (!groups.has(feature)) {
+            groups.set(feature, []);
+        }
+        groups.get(feature).push({ testCase, isRegression });
+    };
+    (mainCases || []).forEach(tc => addCase(tc, false));
+    (regressionCases || []).forEach(tc => addCase(tc, true));
+    return groups;
+};
+
+/**
+ * Renders the content of a .feature file.
+ * @param {string} feature The feature name.
+ * @param {{testCase: object, isRegression: boolean}[]} entries The scenarios of the feature.
+ * @param {string} language The Gherkin language ("es", "en" or "pt").
+ * @returns {string} The .feature file content.
+ */
+export const buildFeatureFile = (feature, entries, language = 'es') => {
+    const keywords = GHERKIN_KEYWORDS[language] || GHERKIN_KEYWORDS.es;
+    const header = [`# language: ${language}`, `${keywords.feature}: ${feature.replace(/\s*\n\s*/g, ' ')}`];
+    const scenarios = entries.map(({ testCase, isRegression }) => buildScenario(testCase, keywords, isRegression));
+    return `${header.join('\n')}\n\n${scenarios.join('\n\n')}\n`;
+};
+
+/**
+ * Returns a file name not used yet, adding a numeric suffix when needed
+ * (different feature names can produce the same slug), and marks it as used.
+ * @param {Set<string>} usedNames The names already used.
+ * @param {string} baseName The name without extension.
+ * @param {string} extension The extension, with its dot (e.g. ".feature").
+ * @returns {string} The file name.
+ */
+export const getUniqueFileName = (usedNames, baseName, extension) => {
+    let fileName = `${baseName}${extension}`;
+    for (let suffix = 2; usedNames.has(fileName); suffix++) {
+        fileName = `${baseName}-${suffix}${extension}`;
+    }
+    usedNames.add(fileName);
+    return fileName;
+};
+
+/**
+ * Builds a zip with one .feature file per feature.
+ * @param {object[]} mainCases The main test cases.
+ * @param {object[]} regressionCases The regression test cases.
+ * @param {string} language The Gherkin language ("es", "en" or "pt").
+ * @returns {Promise<Blob>} The zip file.
+ */
+export const buildGherkinZip = async (mainCases, regressionCases, language = 'es') => {
+    const zip = new JSZip();
+    const usedNames = new Set();
+    groupCasesByFeature(mainCases, regressionCases).forEach((entries, feature) => {
+        zip.file(getUniqueFileName(usedNames, slugify(feature) || 'feature', '.feature'), buildFeatureFile(feature, entries, language));
+    });
+    return zip.generateAsync({ type: 'blob' });
+};
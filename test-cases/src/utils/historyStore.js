@@ -0,0 +1,206 @@
+import { TranslatableError } from '../i18n';
+import { toText } from './validation';
+import { normalizeAnalysisOutputs } from './analysisOutputs';
+
+/**
+ * Browser storage (IndexedDB) of past analyses.
+ * Each record: { id, name, jiraId, jiraLink, jiraContent, additionalContext, provider, model,
+ * promptProfile, outputLanguage, createdAt, updatedAt, outputs: { acceptanceCriteria, testCases, impacts,
+ * regressionTestSuggestions, regressionGherkinTestCases } }.
+ */
+
+const DB_NAME = 'iacases';
+const DB_VERSION = 1;
+const STORE_NAME = 'analyses';
+const EXPORT_FORMAT_VERSION = 1;
+
+// Text fields of a record, besides its id and timestamps
+const TEXT_FIELDS = ['name', 'jiraId', 'jiraLink', 'jiraContent', 'additionalContext', 'provider', 'model', 'promptProfile', 'outputLanguage'];
+
+let dbPromise = null;
+
+/**
+ * Wraps an IndexedDB request in a Promise.
+ * @param {IDBRequest} request The request.
+ * @returns {Promise<*>} The request result.
+ */
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+/**
+ * Opens (and creates or upgrades when needed) the database.
+ * @returns {Promise<IDBDatabase>} The database.
+ */
+const openDb = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new TranslatableError('Este navegador no permite guardar el historial (IndexedDB no disponible).'));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                store.createIndex('createdAt', 'createdAt');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Allow a new attempt after a failure (e.g. private mode)
+        dbPromise.catch(() => {
+            dbPromise = null;
+        });
+    }
+    return dbPromise;
+};
+
+/**
+ * Runs a callback against the analyses store inside a transaction.
+ * @param {IDBTransactionMode} mode "readonly" or "readwrite".
+ * @param {function(IDBObjectStore): IDBRequest|void} callback The operation.
+ * @returns {Promise<*>} The result of the request returned by the callback.
+ */
+const withStore = async (mode, callback) => {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = callback(transaction.objectStore(STORE_NAME));
+        let result;
+        if (request) {
+            promisifyRequest(request).then(value => {
+                result = value;
+            }, reject);
+        }
+        transaction.oncomplete = () => resolve(result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+};
+
+/**
+ * Generates an id for a new record.
+ * @returns {string} The id.
+ */
+const createId = () => (typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now()}-${Math.random().toString(36).slice(2)}`);
+
+/**
+ * Lists every stored analysis, newest first.
+ * @returns {Promise<object[]>} The analyses.
+ */
+export const listAnalyses = async () => {
+    const analyses = await withStore('readonly', store => store.getAll());
+    // Records imported by older versions were not checked: their dates may not be text
+    return (analyses || []).sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')));
+};
+
+/**
+ * Stores a new analysis.
+ * @param {object} analysis The analysis, without id or timestamps.
+ * @returns {Promise<object>} The stored record.
+ */
+export const saveAnalysis = async (analysis) => {
+    const now = new Date().toISOString();
+    const record = {
+        ...analysis,
+        id: createId(),
+        name: analysis.name || analysis.jiraId || 'Análisis sin nombre',
+        createdAt: now,
+        updatedAt: now
+    };
+    await withStore('readwrite', store => store.put(record));
+    return record;
+};
+
+/**
+ * Updates some fields of a stored analysis.
+ * @param {string} id The record id.
+ * @param {object} changes The fields to change (e.g. { name } or { outputs }).
+ * @returns {Promise<object|null>} The updated record, null if it no longer exists.
+ */
+export const updateAnalysis = async (id, changes) => {
+    const current = await withStore('readonly', store => store.get(id));
+    if (!current) {
+        return null;
+    }
+    const record = { ...current, ...changes, id, updatedAt: new Date().toISOString() };
+    await withStore('readwrite', store => store.put(record));
+    return record;
+};
+
+/**
+ * Deletes a stored analysis.
+ * @param {string} id The record id.
+ */
+export const deleteAnalysis = async (id) => {
+    await withStore('readwrite', store => store.delete(id));
+};
+
+/**
+ * Serialises the whole history as a JSON document.
+ * @returns {Promise<string>} The JSON export.
+ */
+export const exportHistory = async () => JSON.stringify({
+    format: 'iacases-history',
+    version: EXPORT_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    analyses: await listAnalyses()
+}, null, 2);
+
+/**
+ * Returns a date of an imported record, if it is an ISO date.
+ * @param {*} value The date from the file.
+ * @param {string} fallback The date used otherwise.
+ * @returns {string} The date.
+ */
+const toImportedDate = (value, fallback) => (typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? value : fallback);
+
+/**
+ * Normalises a record of an imported history: the file is untrusted input, so its fields are
+ * normalised as text and its outputs as the AI answers are (see analysisOutputs).
+ * @param {object} analysis The record from the file.
+ * @param {string} now The date given to the records without a valid one.
+ * @returns {object} The record to store.
+ */
+const normalizeImportedAnalysis = (analysis, now) => {
+    const fields = Object.fromEntries(TEXT_FIELDS.map(field => [field, toText(analysis[field])]));
+    const createdAt = toImportedDate(analysis.createdAt, now);
+    return {
+        ...analysis,
+        ...fields,
+        name: fields.name || fields.jiraId || 'Análisis sin nombre',
+        id: typeof analysis.id === 'string' && analysis.id ? analysis.id : createId(),
+        createdAt,
+        updatedAt: toImportedDate(analysis.updatedAt, createdAt),
+        outputs: normalizeAnalysisOutputs(analysis.outputs, fields.outputLanguage)
+    };
+};
+
+/**
+ * Imports a JSON export, adding new analyses and replacing the ones with the same id.
+ * @param {string} jsonText The JSON export.
+ * @returns {Promise<number>} The number of imported analyses.
+ */
+export const importHistory = async (jsonText) => {
+    let data;
+    try {
+        data = JSON.parse(jsonText);
+    } catch {
+        throw new TranslatableError('El archivo no es un JSON válido.');
+    }
+    const analyses = Array.isArray(data) ? data : data && data.analyses;
+    if (!Array.isArray(analyses)) {
+        throw new TranslatableError('El archivo no contiene un historial de análisis.');
+    }
+    const now = new Date().toISOString();
+    const valid = analyses
+        .filter(analysis => analysis && typeof analysis === 'object' && analysis.outputs && typeof analysis.outputs === 'object')
+        .map(analysis => normalizeImportedAnalysis(analysis, now));
+    await withStore('readwrite', store => {
+        valid.forEach(analysis => store.put(analysis));
+    });
+    return valid.length;
+};
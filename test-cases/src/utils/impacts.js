@@ -0,0 +1,126 @@
+import { normalizePriority, toText } from './validation';
+
+/**
+ * Impact analysis: impacts of the change as structured items ({ id, area, description, severity,
+ * probability }), their risk score, and the regression cases that mitigate each of them
+ * (each regression case names the impact it mitigates in "impactId").
+ */
+
+// Severity and probability levels, highest first (the exports show them in the output language)
+export const RISK_LEVEL_OPTIONS = ['Alta', 'Media', 'Baja'];
+
+// Prefix of the ids given to impacts the AI returned without one
+const IMPACT_ID_PREFIX = 'IMP';
+
+// Weight of each level in the risk score (severity × probability, from 1 to 9)
+const LEVEL_WEIGHTS = { Alta: 3, Media: 2, Baja: 1 };
+
+// Risk score from which an impact is considered of high or medium risk
+const HIGH_RISK_SCORE = 6;
+const MEDIUM_RISK_SCORE = 3;
+
+/**
+ * Normalises the impacts from the AI. Older answers and prompt templates give them as text, one
+ * per line: each line becomes an impact with only its description.
+ * @param {*} value The impacts from the AI (list of objects or text).
+ * @returns {{id: string, area: string, description: string, severity: string, probability: string}[]} The impacts.
+ */
+export const normalizeImpacts = (value) => {
+    const items = Array.isArray(value)
+        ? value
+        : toText(value).split('\n').map(line => line.trim().replace(/^([-*•]|\d+[.)])\s+/, ''));
+    const impacts = [];
+    const usedIds = new Set();
+    items.forEach(item => {
+        const fields = item && typeof item === 'object' ? item : { description: item };
+        const description = toText(fields.description);
+        if (!description) {
+            return;
+        }
+        let id = toText(fields.id).toUpperCase();
+        for (let number = impacts.length + 1; !id || usedIds.has(id); number++) {
+            id = `${IMPACT_ID_PREFIX}${number}`;
+        }
+        usedIds.add(id);
+        impacts.push({
+            id,
+            area: toText(fields.area),
+            description,
+            severity: normalizePriority(fields.severity) || '',
+            probability: normalizePriority(fields.probability) || ''
+        });
+    });
+    return impacts;
+};
+
+/**
+ * Returns the risk score of an impact: severity × probability, from 1 to 9.
+ * @param {{severity: string, probability: string}} impact The impact.
+ * @returns {number|null} The score, null if the severity or the probability is unknown.
+ */
+export const getRiskScore = (impact) => {
+    const severity = LEVEL_WEIGHTS[impact.severity];
+    const probability = LEVEL_WEIGHTS[impact.probability];
+    return severity && probability ? severity * probability : null;
+};
+
+/**
+ * Classifies a risk score.
+ * @param {number|null} score The risk score.
+ * @returns {string} "Alto", "Medio", "Bajo", or empty if the score is unknown.
+ */
+export const getRiskLevel = (score) => {
+    if (!score) {
+        return '';
+    }
+    if (score >= HIGH_RISK_SCORE) {
+        return 'Alto';
+    }
+    return score >= MEDIUM_RISK_SCORE ? 'Medio' : 'Bajo';
+};
+
+/**
+ * Keeps, in each case, only an "impactId" that matches one of the impacts.
+ * @param {object[]} cases The test cases.
+ * @param {{id: string}[]} impacts The impacts of the story.
+ * @returns {object[]} The cases with a normalised "impactId" (empty if it mitigates none).
+ */
+export const linkCasesToImpacts = (cases, impacts) => {
+    const knownIds = impacts.map(impact => impact.id);
+    return cases.map(testCase => {
+        const impactId = String(testCase.impactId || '').trim().toUpperCase();
+        return { ...testCase, impactId: knownIds.includes(impactId) ? impactId : '' };
+    });
+};
+
+/**
+ * Builds the rows of the risk table: each impact with its risk score and the positions of the
+ * cases that mitigate it. Impacts carrying a "jiraId" (combined exports of several stories) only
+ * match the cases of that story.
+ * @param {object[]} impacts The impacts.
+ * @param {object[]} cases The regression cases.
+ * @returns {{impact: object, riskScore: number|null, riskLevel: string, caseIndexes: number[]}[]} The rows.
+ */
+export const buildRiskRows = (impacts, cases) => impacts.map(impact => {
+    const riskScore = getRiskScore(impact);
+    return {
+        impact,
+        riskScore,
+        riskLevel: getRiskLevel(riskScore),
+        caseIndexes: cases.flatMap((testCase, index) => (testCase.impactId === impact.id
+            && (!impact.jiraId || impact.jiraId === testCase.jiraId) ? [index] : []))
+    };
+});
+
+/**
+ * Renders the impacts as text, one per line (for prompts and plain-text exports).
+ * @param {object[]} impacts The impacts.
+ * @returns {string} The text.
+ */
+export const formatImpactsText = (impacts) => impacts.map(impact => {
+    const levels = [
+        impact.severity && `severidad ${impact.severity.toLowerCase()}`,
+        impact.probability && `probabilidad ${impact.probability.toLowerCase()}`
+    ].filter(Boolean);
+    return `${impact.id}: ${impact.area ? `[${impact.area}] ` : ''}${impact.description}${levels.length > 0 ? ` (${levels.join(', ')})` : ''}`;
+}).join('\n');
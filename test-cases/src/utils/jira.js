@@ -0,0 +1,120 @@
+import { TranslatableError } from '../i18n';
+
+// Jira endpoints of the app's server (see server/jira), relative to the page
+const JIRA_API_URL = 'api/jira';
+
+// Issue key written on its own instead of a link (e.g. PROJ-123)
+const ISSUE_KEY_REGEX = /^[A-Z][A-Z0-9_]*-\d+$/i;
+
+// Function to extract Jira ID from URL (a bare issue key is also accepted)
+export const getJiraIdFromUrl = (url) => {
+    if (ISSUE_KEY_REGEX.test(String(url || '').trim())) {
+        return url.trim().toUpperCase();
+    }
+    try {
+        const urlObj = new URL(url);
+        // Assuming Jira ID is the last segment after /browse/ or /ticket/
+        const pathSegments = urlObj.pathname.split('/');
+        const idIndex = pathSegments.findIndex(segment => segment === 'browse' || segment === 'ticket');
+        if (idIndex !== -1 && idIndex + 1 < pathSegments.length) {
+            return pathSegments[idIndex + 1];
+        }
+        // Fallback if common patterns not found, just return the last segment
+        return pathSegments[pathSegments.length - 1];
+    } catch (error) {
+        console.warn("Invalid Jira URL provided:", url, error);
+        return '';
+    }
+};
+
+/**
+ * Reads the JSON body of a server response, throwing its error message on failure.
+ * @param {Response} response The HTTP response.
+ * @returns {Promise<object>} The parsed body.
+ */
+export const readServerResponse = async (response) => {
+    let data = null;
+    try {
+        data = await response.json();
+    } catch {
+        data = null;
+    }
+    if (!response.ok) {
+        const message = data && data.error && data.error.message;
+        throw message ? new Error(message) : new TranslatableError('Error {status} del servidor.', { status: response.status });
+    }
+    return data;
+};
+
+/**
+ * Fetches a Jira issue through the server-side proxy.
+ * @param {string} key The issue key (e.g. PROJ-123).
+ * @returns {Promise<object>} The normalised issue ({ key, summary, description, acceptanceCriteria,
+ *   components, labels, linkedIssues, ... }).
+ */
+export const fetchJiraIssue = async (key) => {
+    const response = await fetch(`${JIRA_API_URL}/issue?key=${encodeURIComponent(key)}`);
+    return readServerResponse(response);
+};
+
+/**
+ * Builds the story content shown in the textarea from a Jira issue.
+ * @param {object} issue The normalised issue.
+ * @returns {string} The story content.
+ */
+export const formatJiraIssueContent = (issue) => {
+    const sections = [`${issue.key}: ${issue.summary}`];
+    if (issue.description) {
+        sections.push(issue.description);
+    }
+    // Acceptance criteria from a custom field are not part of the description
+    if (issue.acceptanceCriteria && !issue.description.includes(issue.acceptanceCriteria)) {
+        sections.push(`Criterios de aceptación:\n${issue.acceptanceCriteria}`);
+    }
+    return sections.join('\n\n');
+};
+
+/**
+ * Builds the additional context sent to the AI from the issue metadata.
+ * @param {object} issue The normalised issue.
+ * @returns {string} The additional context.
+ */
+export const formatJiraIssueContext = (issue) => {
+    const lines = [`Incidencia ${issue.key} (${issue.issueType || 'tipo desconocido'}, estado: ${issue.status || 'desconocido'}, prioridad en Jira: ${issue.priority || 'sin prioridad'}).`];
+    if (issue.parent) {
+        lines.push(`Pertenece a: ${issue.parent.key} - ${issue.parent.summary}`);
+    }
+    if (issue.components && issue.components.length > 0) {
+        lines.push(`Componentes afectados: ${issue.components.join(', ')}`);
+    }
+    if (issue.labels && issue.labels.length > 0) {
+        lines.push(`Etiquetas: ${issue.labels.join(', ')}`);
+    }
+    if (issue.acceptanceCriteria) {
+        lines.push(`Criterios de aceptación:\n${issue.acceptanceCriteria}`);
+    }
+    if (issue.linkedIssues && issue.linkedIssues.length > 0) {
+        lines.push('Incidencias vinculadas (posibles áreas de impacto y regresión):');
+        issue.linkedIssues.forEach(linked => {
+            lines.push(`- ${linked.type} ${linked.key}: ${linked.summary}${linked.status ? ` [${linked.status}]` : ''}`);
+        });
+    }
+    return lines.join('\n');
+};
+
+/**
+ * Creates one Test issue per case in Jira / Xray and links them to the story.
+ * @param {string} storyKey The story issue key.
+ * @param {{summary: string, gherkin: string, priority: string, labels: string[]}[]} tests The tests to create.
+ * @returns {Promise<{index: number, summary: string, key: string|null, url: string|null, linked: boolean, error: string|null}[]>}
+ *   One result per test, in the same order.
+ */
+export const publishTestsToJira = async (storyKey, tests) => {
+    const response = await fetch(`${JIRA_API_URL}/tests`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ storyKey, tests })
+    });
+    const data = await readServerResponse(response);
+    return data.results;
+};
@@ -0,0 +1,265 @@
+/**
+ * Language of the generated content (independent of the interface language): the language the
+ * prompts ask for, the prefix of every scenario, the priority vocabulary and the labels of the
+ * CSV and Excel exports. Test types and ISTQB techniques keep their Spanish names in every
+ * language: they are the categories of the coverage summary.
+ */
+
+const OUTPUT_LANGUAGE_STORAGE_KEY = 'iacases.outputLanguage';
+
+export const DEFAULT_OUTPUT_LANGUAGE = 'es';
+
+// Output languages, with the rule the prompts include to ask for them and the context given when
+// the story has none
+export const OUTPUT_LANGUAGES = {
+    es: {
+        id: 'es',
+        label: 'Español',
+        scenarioPrefix: 'Validar ',
+        // Highest first
+        priorities: ['Alta', 'Media', 'Baja'],
+        rule: 'La respuesta completa a menos de que sean terminos tecnicos debe estar en español, los terminos tecnicos pueden estar en ingles.',
+        missingContext: 'No se pudo obtener contexto adicional significativo del enlace:'
+    },
+    en: {
+        id: 'en',
+        label: 'English',
+        scenarioPrefix: 'Validate ',
+        priorities: ['High', 'Medium', 'Low'],
+        rule: 'La respuesta completa debe estar en inglés (English), aunque la historia y los ejemplos de formato estén en español: traduce también los textos de los ejemplos. Solo los valores de "testType" y "technique" se escriben en español, tal como se indican.',
+        missingContext: 'No meaningful additional context could be obtained from the link:'
+    },
+    pt: {
+        id: 'pt',
+        label: 'Português',
+        scenarioPrefix: 'Validar ',
+        priorities: ['Alta', 'Média', 'Baixa'],
+        rule: 'La respuesta completa debe estar en portugués (português), aunque la historia y los ejemplos de formato estén en español: traduce también los textos de los ejemplos. Solo los valores de "testType" y "technique" se escriben en español, tal como se indican.',
+        missingContext: 'Não foi possível obter contexto adicional significativo do link:'
+    }
+};
+
+// Labels of the CSV and Excel exports, by output language
+const EXPORT_LABELS = {
+    es: {
+        jiraId: 'ID de Jira',
+        feature: 'Característica',
+        scenario: 'Escenario',
+        priority: 'Prioridad',
+        testType: 'Tipo de prueba',
+        technique: 'Técnica',
+        criteria: 'Criterios',
+        criterion: 'Criterio',
+        impact: 'Impacto',
+        given: 'Dado',
+        when: 'Cuando',
+        then: 'Entonces',
+        examples: 'Ejemplos',
+        testData: 'Datos de prueba',
+        description: 'Descripción',
+        status: 'Estado',
+        cases: 'Casos',
+        covered: 'Cubierto',
+        uncovered: 'Sin cobertura',
+        area: 'Área',
+        severity: 'Severidad',
+        probability: 'Probabilidad',
+        risk: 'Riesgo',
+        mitigatingTests: 'Pruebas que lo mitigan',
+        noTests: 'Sin pruebas',
+        suggestedRegressionTest: 'Prueba de regresión sugerida',
+        mainCasesSection: 'Casos de Prueba Principales',
+        regressionCasesSection: 'Casos de Prueba de Regresión',
+        traceabilitySection: 'Matriz de Trazabilidad',
+        impactsSection: 'Impactos Sugeridos',
+        suggestionsSection: 'Sugerencias de Pruebas de Regresión (Texto)',
+        mainCasesSheet: 'Casos principales',
+        regressionCasesSheet: 'Casos de regresión',
+        traceabilitySheet: 'Trazabilidad',
+        impactsSheet: 'Impactos',
+        suggestionsSheet: 'Sugerencias de regresión',
+        riskLevels: { Alto: 'Alto', Medio: 'Medio', Bajo: 'Bajo' }
+    },
+    en: {
+        jiraId: 'Jira ID',
+        feature: 'Feature',
+        scenario: 'Scenario',
+        priority: 'Priority',
+        testType: 'Test type',
+        technique: 'Technique',
+        criteria: 'Criteria',
+        criterion: 'Criterion',
+        impact: 'Impact',
+        given: 'Given',
+        when: 'When',
+        then: 'Then',
+        examples: 'Examples',
+        testData: 'Test data',
+        description: 'Description',
+        status: 'Status',
+        cases: 'Cases',
+        covered: 'Covered',
+        uncovered: 'Not covered',
+        area: 'Area',
+        severity: 'Severity',
+        probability: 'Probability',
+        risk: 'Risk',
+        mitigatingTests: 'Mitigating tests',
+        noTests: 'No tests',
+        suggestedRegressionTest: 'Suggested regression test',
+        mainCasesSection: 'Main Test Cases',
+        regressionCasesSection: 'Regression Test Cases',
+        traceabilitySection: 'Traceability Matrix',
+        impactsSection: 'Suggested Impacts',
+        suggestionsSection: 'Regression Test Suggestions (Text)',
+        mainCasesSheet: 'Main cases',
+        regressionCasesSheet: 'Regression cases',
+        traceabilitySheet: 'Traceability',
+        impactsSheet: 'Impacts',
+        suggestionsSheet: 'Regression suggestions',
+        riskLevels: { Alto: 'High', Medio: 'Medium', Bajo: 'Low' }
+    },
+    pt: {
+        jiraId: 'ID do Jira',
+        feature: 'Funcionalidade',
+        scenario: 'Cenário',
+        priority: 'Prioridade',
+        testType: 'Tipo de teste',
+        technique: 'Técnica',
+        criteria: 'Critérios',
+        criterion: 'Critério',
+        impact: 'Impacto',
+        given: 'Dado',
+        when: 'Quando',
+        then: 'Então',
+        examples: 'Exemplos',
+        testData: 'Dados de teste',
+        description: 'Descrição',
+        status: 'Status',
+        cases: 'Casos',
+        covered: 'Coberto',
+        uncovered: 'Sem cobertura',
+        area: 'Área',
+        severity: 'Severidade',
+        probability: 'Probabilidade',
+        risk: 'Risco',
+        mitigatingTests: 'Testes que o mitigam',
+        noTests: 'Sem testes',
+        suggestedRegressionTest: 'Teste de regressão sugerido',
+        mainCasesSection: 'Casos de Teste Principais',
+        regressionCasesSection: 'Casos de Teste de Regressão',
+        traceabilitySection: 'Matriz de Rastreabilidade',
+        impactsSection: 'Impactos Sugeridos',
+        suggestionsSection: 'Sugestões de Testes de Regressão (Texto)',
+        mainCasesSheet: 'Casos principais',
+        regressionCasesSheet: 'Casos de regressão',
+        traceabilitySheet: 'Rastreabilidade',
+        impactsSheet: 'Impactos',
+        suggestionsSheet: 'Sugestões de regressão',
+        riskLevels: { Alto: 'Alto', Medio: 'Médio', Bajo: 'Baixo' }
+    }
+};
+
+/**
+ * Returns an output language, the default one if the id is unknown.
+ * @param {string} language The language id ("es", "en" or "pt").
+ * @returns {{id: string, label: string, scenarioPrefix: string, priorities: string[], rule: string, missingContext: string}}
+ *   The language.
+ */
+export const getOutputLanguage = (language) => OUTPUT_LANGUAGES[language] || OUTPUT_LANGUAGES[DEFAULT_OUTPUT_LANGUAGE];
+
+/**
+ * Returns the labels of the CSV and Excel exports in an output language.
+ * @param {string} language The language id.
+ * @returns {object} The labels.
+ */
+export const getExportLabels = (language) => EXPORT_LABELS[getOutputLanguage(language).id];
+
+/**
+ * Returns the priority levels of an output language, highest first.
+ * @param {string} language The language id.
+ * @returns {string[]} The priorities.
+ */
+export const getPriorityOptions = (language) => getOutputLanguage(language).priorities;
+
+// Position of each priority of every output language, highest first (e.g. "high" and "alta" -> 0)
+const PRIORITY_RANKS = Object.values(OUTPUT_LANGUAGES).reduce((ranks, language) => {
+    language.priorities.forEach((priority, index) => {
+        ranks[priority.toLowerCase()] = index;
+    });
+    return ranks;
+}, {});
+
+// Rank of an empty or unknown priority
+const UNKNOWN_PRIORITY_RANK = 3;
+
+/**
+ * Returns the position of a priority, written in any output language, highest first.
+ * @param {string} priority The priority.
+ * @returns {number} 0, 1 or 2, or 3 if the priority is empty or unknown.
+ */
+export const getPriorityRank = (priority) => {
+    const rank = PRIORITY_RANKS[String(priority || '').trim().toLowerCase()];
+    return rank === undefined ? UNKNOWN_PRIORITY_RANK : rank;
+};
+
+/**
+ * Translates a priority (or a severity or probability level) into an output language.
+ * @param {string} priority The priority, in any output language.
+ * @param {string} language The language id.
+ * @returns {string} The priority of the same level in that language, or the value itself if it is unknown.
+ */
+export const localizePriority = (priority, language) => getPriorityOptions(language)[getPriorityRank(priority)] || priority;
+
+/**
+ * Lists the scenario prefixes of every output language (without the trailing space), e.g. to
+ * replace the prefix of a case written in another language.
+ * @returns {string[]} The prefixes.
+ */
+export const getScenarioPrefixes = () => [...new Set(Object.values(OUTPUT_LANGUAGES).map(language => language.scenarioPrefix.trim()))];
+
+/**
+ * Builds the variables the prompt templates use to ask for the output language.
+ * @param {string} language The language id.
+ * @returns {{languageRule: string, scenarioPrefix: string, priorities: string}} The variables.
+ */
+export const getLanguageVariables = (language) => {
+    const { rule, scenarioPrefix, priorities } = getOutputLanguage(language);
+    return { languageRule: rule, scenarioPrefix, priorities: priorities.join(', ') };
+};
+
+/**
+ * Builds the additional context of a story whose Jira issue could not be read.
+ * @param {string} link The link of the story.
+ * @param {string} language The language id.
+ * @returns {string} The context.
+ */
+export const buildMissingContext = (link, language) => `${getOutputLanguage(language).missingContext} ${link}.`;
+
+/**
+ * Loads the output language saved in the browser.
+ * @returns {string} The language id.
+ */
+export const loadOutputLanguage = () => {
+    try {
+        const saved = localStorage.getItem(OUTPUT_LANGUAGE_STORAGE_KEY);
+        if (OUTPUT_LANGUAGES[saved]) {
+            return saved;
+        }
+    } catch (error) {
+        console.warn('No se pudo leer el idioma de los resultados:', error);
+    }
+    return DEFAULT_OUTPUT_LANGUAGE;
+};
+
+/**
+ * Saves the output language in the browser.
+ * @param {string} language The language id.
+ */
+export const saveOutputLanguage = (language) => {
+    try {
+        localStorage.setItem(OUTPUT_LANGUAGE_STORAGE_KEY, language);
+    } catch (error) {
+        console.warn('No se pudo guardar el idioma de los resultados:', error);
+    }
+};
@@ -0,0 +1,79 @@
+/**
+ * Helpers to read a JSON answer while it is still being streamed (incomplete text).
+ */
+
+/**
+ * Escapes a string for use inside a regular expression.
+ * @param {string} text The text.
+ * @returns {string} The escaped text.
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Checks whether the partial JSON already contains a property.
+ * @param {string} text The partial JSON text.
+ * @param {string} key The property name.
+ * @returns {boolean} Whether the property has started.
+ */
+export const hasJsonProperty = (text, key) => new RegExp(`"${escapeRegExp(key)}"\\s*:`).test(text);
+
+/**
+ * Returns the objects of an array that are already complete in a partial JSON text.
+ * The array is the value of the property "key", or the first array in the text when no key is given
+ * (root arrays, or arrays wrapped in a single property by some providers).
+ * @param {string} text The partial JSON text.
+ * @param {string} [key] The property holding the array.
+ * @returns {object[]} The complete objects, in order.
+ */
+export const extractCompleteArrayItems = (text, key) => {
+    const start = key
+        ? text.search(new RegExp(`"${escapeRegExp(key)}"\\s*:\\s*\\[`))
+        : text.indexOf('[');
+    if (start === -1) {
+        return [];
+    }
+
+    const items = [];
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let itemStart = -1;
+    for (let i = text.indexOf('[', start) + 1; i < text.length; i++) {
+        const char = text[i];
+        if (inString) {
+            if (escaped) {
+                escaped = false;
+            } else if (char === '\\') {
+                escaped = true;
+            } else if (char === '"') {
+                inString = false;
+            }
+            continue;
+        }
+        if (char === '"') {
+            inString = true;
+        } else if (char === '{' || char === '[') {
+            if (depth === 0) {
+                itemStart = i;
+            }
+            depth++;
+        } else if (char === '}' || char === ']') {
+            if (depth === 0) {
+                break; // End of the array
+            }
+            depth--;
+            if (depth === 0 && itemStart !== -1) {
+                try {
+                    const item = JSON.parse(text.slice(itemStart, i + 1));
+                    if (item && typeof item === 'object' && !Array.isArray(item)) {
+                        items.push(item);
+                    }
+                } catch {
+                    // Malformed item: the final parse will report it
+                }
+                itemStart = -1;
+            }
+        }
+    }
+    return items;
+};
@@ -0,0 +1,336 @@
+import { TranslatableError } from '../i18n';
+
+/**
+ * Prompt templates and QA profiles. A profile holds the templates of the two analysis calls;
+ * variables are written as {{name}} and replaced when the prompt is built.
+ * Built-in profiles are read-only; the user's own profiles are saved in the browser.
+ */
+
+const PROFILES_STORAGE_KEY = 'iacases.promptProfiles';
+const SELECTED_PROFILE_STORAGE_KEY = 'iacases.promptProfileId';
+const EXPORT_FORMAT_VERSION = 1;
+
+// Variables of the output language, available in both templates (see outputLanguage). They are
+// optional: the language rule is appended to the templates that do not use it
+const LANGUAGE_VARIABLES = [
+    { name: 'languageRule', description: 'Instrucción sobre el idioma de los resultados', optional: true },
+    { name: 'scenarioPrefix', description: 'Prefijo de los escenarios en el idioma de los resultados', optional: true },
+    { name: 'priorities', description: 'Prioridades en el idioma de los resultados', optional: true }
+];
+
+// Variables available in each template, as shown in the profile editor
+export const TEMPLATE_VARIABLES = {
+    analysisTemplate: [
+        { name: 'jiraId', description: 'ID de Jira de la historia' },
+        { name: 'content', description: 'Contenido de la historia' },
+        { name: 'context', description: 'Contexto adicional obtenido de Jira' },
+        ...LANGUAGE_VARIABLES
+    ],
+    regressionTemplate: [
+        { name: 'jiraId', description: 'ID de Jira de la historia' },
+        { name: 'regressionTests', description: 'Pruebas de regresión sugeridas en la primera llamada' },
+        { name: 'impacts', description: 'Impactos detectados en la primera llamada, con su ID' },
+        ...LANGUAGE_VARIABLES
+    ]
+};
+
+// Task and answer format of the first call, shared by the built-in profiles (must match ANALYSIS_SCHEMA)
+const ANALYSIS_FORMAT = `Analiza la siguiente descripción de una historia de usuario o épica de Jira y el contexto adicional. Genera:
+            0. La lista de criterios de aceptación de la historia, tal como aparecen en la descripción, cada uno con un identificador (CA1, CA2, ...). Si la descripción no tiene criterios de aceptación, devuelve una lista vacía.
+            1. Una lista de casos de prueba detallados en lenguaje Gherkin. Para cada caso de prueba, incluye las propiedades "jiraId" con el ID de Jira "{{jiraId}}", "priority" (Prioridad: {{priorities}}), "testType" (Tipo de prueba: Funcional, Seguridad, Rendimiento, No funcional o Estructural) y "technique" (la técnica ISTQB aplicada, por ejemplo: Partición de equivalencia, Valores límite, Tabla de decisión, Transición de estados, Casos de uso, Pairwise, Predicción de errores), y "criteria" (los identificadores de los criterios de aceptación que cubre el caso). Asegúrate de que cada criterio de aceptación quede cubierto por al menos un caso. El valor de la propiedad "scenario" debe comenzar con la palabra "{{scenarioPrefix}}". Cuando un mismo caso deba probarse con varios datos (valores límite, particiones de equivalencia, tablas de decisión), escríbelo como un Scenario Outline: usa parámetros entre ángulos (por ejemplo "<monto>") en "scenario", "given", "when" y "then", e incluye la propiedad "examples" con "headers" (los nombres de los parámetros, sin ángulos) y "rows" (una fila de valores por cada ejecución). En los casos que no son esquemas, "examples" debe tener "headers" y "rows" vacíos.
+            2. Una lista de posibles impactos del cambio. Para cada impacto incluye las propiedades "id" (IMP1, IMP2, ...), "area" (el área o módulo afectado), "description", "severity" (Severidad: Alta, Media, Baja) y "probability" (Probabilidad de que ocurra: Alta, Media, Baja).
+            3. Una lista de pruebas de regresión necesarias. La propiedad "regressionTests" debe ser una cadena de texto que contenga una lista numerada o con viñetas de las pruebas de regresión sugeridas, cada una en una línea separada e indicando entre paréntesis el impacto que mitiga (por ejemplo "(IMP1)"), que luego se utilizarán para generar escenarios Gherkin.
+
+            La respuesta debe ser un objeto JSON con las siguientes propiedades: "acceptanceCriteria" (un arreglo de objetos con "id" y "text"), "testCases" (un arreglo de objetos Gherkin), "impacts" (un arreglo de objetos con "id", "area", "description", "severity" y "probability"), y "regressionTests" (una cadena de texto con saltos de línea para cada prueba de regresión).
+            Cada objeto de caso de prueba en "testCases" debe tener las propiedades: "feature", "scenario", "given", "when", "then", "jiraId", "priority", "testType", "technique", "criteria" y "examples".
+
+            Descripción de Jira:
+            "{{content}}"
+
+            Contexto Adicional (del enlace de Jira):
+            "{{context}}"
+
+            Ejemplo de formato JSON deseado:
+            {
+              "acceptanceCriteria": [
+                { "id": "CA1", "text": "El usuario puede iniciar sesión con credenciales válidas" }
+              ],
+              "testCases": [
+                {
+                  "jiraId": "{{jiraId}}",
+                  "feature": "Gestión de Usuarios",
+                  "scenario": "Validar Inicio de sesión exitoso",
+                  "given": "Estoy en la página de inicio de sesión\\nY tengo credenciales válidas",
+                  "when": "Ingreso mis credenciales\\nY hago clic en el botón 'Iniciar Sesión'",
+                  "then": "Debería ser redirigido al panel de control\\nY mi nombre de usuario debería mostrarse en la esquina superior",
+                  "priority": "Alta",
+                  "testType": "Funcional",
+                  "technique": "Partición de equivalencia",
+                  "criteria": ["CA1"],
+                  "examples": { "headers": [], "rows": [] }
+                },
+                {
+                  "jiraId": "{{jiraId}}",
+                  "feature": "Gestión de Usuarios",
+                  "scenario": "Validar longitud de la contraseña con <longitud> caracteres",
+                  "given": "Estoy en la página de registro",
+                  "when": "Ingreso una contraseña de <longitud> caracteres",
+                  "then": "Debería ver el resultado <resultado>",
+                  "priority": "Media",
+                  "testType": "Funcional",
+                  "technique": "Valores límite",
+                  "criteria": ["CA1"],
+                  "examples": { "headers": ["longitud", "resultado"], "rows": [["7", "Contraseña rechazada"], ["8", "Contraseña aceptada"], ["64", "Contraseña aceptada"], ["65", "Contraseña rechazada"]] }
+                }
+              ],
+              "impacts": [
+                { "id": "IMP1", "area": "Autenticación", "description": "El nuevo formulario puede romper el inicio de sesión existente", "severity": "Alta", "probability": "Media" },
+                { "id": "IMP2", "area": "Gestión de Usuarios", "description": "La creación de usuarios comparte la validación modificada", "severity": "Media", "probability": "Baja" }
+              ],
+              "regressionTests": "1. Validar que el inicio de sesión existente sigue funcionando (IMP1)\\n2. Validar que la creación de usuarios no se ve afectada (IMP2)"
+            }
+
+            ---
+
+            Genera el análisis completo en JSON ahora:`;
+
+/**
+ * Builds the first-call template of a built-in profile from its QA instructions.
+ * @param {string} instructions The role, techniques and domain rules of the profile.
+ * @returns {string} The template.
+ */
+const buildAnalysisTemplate = (instructions) => `${ANALYSIS_FORMAT}
+            sin embargo, ten en cuenta lo siguiente:
+            ${instructions}`;
+
+// Language rules shared by the domain profiles
+const LANGUAGE_RULES = '{{languageRule}} En "feature" indica el área probada, en "technique" la técnica ISTQB aplicada y en "testType" el tipo de prueba.';
+
+// Template of the second call, shared by the built-in profiles (must match REGRESSION_SCHEMA)
+const REGRESSION_TEMPLATE = `Convierte la siguiente lista de pruebas de regresión sugeridas en un arreglo JSON de objetos de casos de prueba en formato Gherkin. Cada objeto debe tener las propiedades: "feature" (usa "Regresión" o una característica relevante si se puede inferir), "scenario" (debe comenzar con "{{scenarioPrefix}}"), "given", "when", "then", "testType" (Funcional, Seguridad, Rendimiento, No funcional o Estructural) y "technique" (la técnica ISTQB en la que se basa la prueba, por ejemplo Casos de uso o Transición de estados), e "impactId" (el ID del impacto que mitiga la prueba, de la lista de impactos). Incluye la propiedad "jiraId" con el ID de Jira "{{jiraId}}" y la propiedad "priority" ({{priorities}}).
+                {{languageRule}}
+
+                Lista de pruebas de regresión sugeridas:
+                "{{regressionTests}}"
+
+                Impactos del cambio:
+                "{{impacts}}"
+
+                Ejemplo de formato JSON deseado:
+                [
+                  {
+                    "jiraId": "{{jiraId}}",
+                    "feature": "Regresión",
+                    "scenario": "Validar funcionalidad de inicio de sesión",
+                    "given": "El usuario está en la página de inicio de sesión",
+                    "when": "Ingresa credenciales válidas",
+                    "then": "El usuario es redirigido al panel principal",
+                    "priority": "Media",
+                    "testType": "Funcional",
+                    "technique": "Casos de uso",
+                    "impactId": "IMP1"
+                  },
+                  {
+                    "jiraId": "{{jiraId}}",
+                    "feature": "Regresión",
+                    "scenario": "Validar creación de nuevos usuarios",
+                    "given": "El administrador está en la sección de gestión de usuarios",
+                    "when": "Intenta crear un nuevo usuario con datos válidos",
+                    "then": "El nuevo usuario es creado exitosamente",
+                    "priority": "Alta",
+                    "testType": "Funcional",
+                    "technique": "Partición de equivalencia",
+                    "impactId": "IMP2"
+                  }
+                ]
+
+                ---
+
+                Genera los casos de prueba de regresión en Gherkin ahora:`;
+
+// Profiles shipped with the application
+export const BUILT_IN_PROFILES = [
+    {
+        id: 'istqb',
+        name: 'Lead QA ISTQB (general)',
+        builtIn: true,
+        analysisTemplate: buildAnalysisTemplate(`Actúa como Lead QA certificado ISTQB. A partir de cualquier historia de usuario o especificación, diseña una suite completa y priorizada de casos de prueba aplicando técnicas ISTQB apropiadas según el tipo de prueba detectado (funcional, seguridad, rendimiento, otras no funcionales, y estructurales/básicas).
+
+            A partir de la historia de usuario o requerimiento que reciba, genera casos de prueba aplicando ISTQB, seleccionando automáticamente la técnica según el tipo de prueba:
+            Funcional (ISTQB CTFL/CTAL-TA): Equivalence Partitioning (EP), Boundary Value Analysis (BVA), Decision Tables (DT), State Transition (ST), Use Cases, Pairwise.
+            Seguridad (ISTQB CT-SEC): autenticación, autorización, sesión, validación de entrada, cifrado, logging, errores, pruebas negativas y de abuso.
+            Rendimiento (ISTQB CT-PT): carga, estrés, pico/spike, resistencia, escalabilidad, con métricas y SLAs claros.
+            No funcionales (ISTQB CTFL/CTAL-TA): usabilidad, compatibilidad, confiabilidad, accesibilidad, mantenibilidad.
+             Estructurales (CTFL/CTAL-TTA): cobertura por sentencias, ramas, condiciones, MC/DC. Indica la técnica de ISTQB aplicada en la propiedad "technique" y el tipo de prueba en "testType", sin repetirlos en "scenario" ni en "feature".
+             {{languageRule}} Las tecnicas de ISTQB si deben estar en español.`),
+        regressionTemplate: REGRESSION_TEMPLATE
+    },
+    {
+        id: 'api',
+        name: 'Pruebas de API',
+        builtIn: true,
+        analysisTemplate: buildAnalysisTemplate(`Actúa como Lead QA certificado ISTQB especializado en pruebas de APIs REST.
+            Diseña los casos a nivel de API (sin interfaz de usuario): indica en "given" el endpoint, método HTTP, cabeceras y cuerpo relevantes, y en "then" el código de estado, el esquema y los valores esperados de la respuesta.
+            Cubre: contrato y validación de esquema, Equivalence Partitioning y Boundary Value Analysis sobre cada parámetro, campos obligatorios ausentes o con tipo incorrecto, autenticación y autorización (token ausente, caducado, sin permisos), idempotencia y reintentos, paginación y filtros, manejo de errores 4xx/5xx, timeouts y límites de tasa (429).
+            ${LANGUAGE_RULES}`),
+        regressionTemplate: REGRESSION_TEMPLATE
+    },
+    {
+        id: 'mobile',
+        name: 'Aplicaciones móviles',
+        builtIn: true,
+        analysisTemplate: buildAnalysisTemplate(`Actúa como Lead QA certificado ISTQB especializado en aplicaciones móviles (Android e iOS).
+            Además de la funcionalidad (Equivalence Partitioning, Boundary Value Analysis, State Transition), cubre: interrupciones (llamadas, notificaciones, pasar a segundo plano y volver), pérdida y recuperación de conectividad, permisos del sistema concedidos y denegados, rotación de pantalla y distintos tamaños, versiones mínimas del sistema operativo, consumo de batería y datos, accesibilidad (lectores de pantalla, tamaño de fuente) y actualización de la app con datos existentes.
+            ${LANGUAGE_RULES}`),
+        regressionTemplate: REGRESSION_TEMPLATE
+    },
+    {
+        id: 'payments',
+        name: 'Pagos / PCI DSS',
+        builtIn: true,
+        analysisTemplate: buildAnalysisTemplate(`Actúa como Lead QA certificado ISTQB especializado en medios de pago y cumplimiento PCI DSS.
+            Cubre: flujos de autorización, captura, anulación, reembolso total y parcial, y contracargos; montos límite, decimales y monedas (Boundary Value Analysis); tarjetas de prueba aprobadas, rechazadas, vencidas y con fondos insuficientes; 3-D Secure; idempotencia ante reintentos y pagos duplicados; timeouts del adquirente y conciliación.
+            Seguridad (ISTQB CT-SEC y PCI DSS): los datos de tarjeta (PAN, CVV) nunca deben mostrarse, registrarse en logs ni almacenarse en claro; valida el enmascaramiento, la tokenización, el cifrado en tránsito y el control de acceso a los datos de titulares.
+            ${LANGUAGE_RULES}`),
+        regressionTemplate: REGRESSION_TEMPLATE
+    }
+];
+
+export const DEFAULT_PROMPT_PROFILE = BUILT_IN_PROFILES[0];
+
+/**
+ * Replaces the {{name}} variables of a template. Unknown variables are left as they are.
+ * @param {string} template The template.
+ * @param {object} variables The values, by variable name.
+ * @returns {string} The prompt.
+ */
+export const renderPromptTemplate = (template, variables) => template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (
+    Object.prototype.hasOwnProperty.call(variables, name) ? String(variables[name] || '') : match
+));
+
+/**
+ * Tells whether a template uses a variable.
+ * @param {string} template The template.
+ * @param {string} name The variable name.
+ * @returns {boolean} Whether the template uses it.
+ */
+export const usesTemplateVariable = (template, name) => new RegExp(`\\{\\{\\s*${name}\\s*\\}\\}`).test(template);
+
+/**
+ * Lists the required variables of a template field that the template does not use.
+ * @param {string} template The template.
+ * @param {string} field "analysisTemplate" or "regressionTemplate".
+ * @returns {string[]} The names of the unused variables.
+ */
+export const findMissingVariables = (template, field) => TEMPLATE_VARIABLES[field]
+    .filter(variable => !variable.optional)
+    .map(variable => variable.name)
+    .filter(name => !usesTemplateVariable(template, name));
+
+/**
+ * Creates an id for a new profile.
+ * @returns {string} The id.
+ */
+const createId = () => (typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now()}-${Math.random().toString(36).slice(2)}`);
+
+/**
+ * Creates an editable profile from another one.
+ * @param {object} base The profile to copy.
+ * @param {string} name The name of the new profile.
+ * @returns {object} The new profile.
+ */
+export const createPromptProfile = (base, name) => ({
+    id: createId(),
+    name,
+    builtIn: false,
+    analysisTemplate: base.analysisTemplate,
+    regressionTemplate: base.regressionTemplate
+});
+
+/**
+ * Loads the profiles: the built-in ones followed by the ones saved in the browser.
+ * @returns {object[]} The profiles.
+ */
+export const loadPromptProfiles = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PROFILES_STORAGE_KEY));
+        if (Array.isArray(saved)) {
+            return [...BUILT_IN_PROFILES, ...saved.map(profile => ({ ...profile, builtIn: false }))];
+        }
+    } catch (error) {
+        console.warn('No se pudieron leer los perfiles de prompt:', error);
+    }
+    return [...BUILT_IN_PROFILES];
+};
+
+/**
+ * Saves the user's profiles in the browser (the built-in ones are not stored).
+ * @param {object[]} profiles The profiles.
+ */
+export const savePromptProfiles = (profiles) => {
+    localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(profiles.filter(profile => !profile.builtIn)));
+};
+
+/**
+ * Loads the id of the profile selected in the form.
+ * @returns {string} The profile id.
+ */
+export const loadSelectedProfileId = () => localStorage.getItem(SELECTED_PROFILE_STORAGE_KEY) || DEFAULT_PROMPT_PROFILE.id;
+
+/**
+ * Saves the id of the profile selected in the form.
+ * @param {string} profileId The profile id.
+ */
+export const saveSelectedProfileId = (profileId) => {
+    localStorage.setItem(SELECTED_PROFILE_STORAGE_KEY, profileId);
+};
+
+/**
+ * Serialises the user's profiles as a JSON export.
+ * @param {object[]} profiles The profiles.
+ * @returns {string} The JSON export.
+ */
+export const exportPromptProfiles = (profiles) => JSON.stringify({
+    format: 'iacases-prompt-profiles',
+    version: EXPORT_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    profiles: profiles
+        .filter(profile => !profile.builtIn)
+        .map(({ id, name, analysisTemplate, regressionTemplate }) => ({ id, name, analysisTemplate, regressionTemplate }))
+}, null, 2);
+
+/**
+ * Reads a JSON export of profiles, replacing the ones with the same id.
+ * @param {string} jsonText The JSON export.
+ * @param {object[]} profiles The current profiles.
+ * @returns {{profiles: object[], count: number}} The updated profiles and the number of imported ones.
+ */
+export const importPromptProfiles = (jsonText, profiles) => {
+    let data;
+    try {
+        data = JSON.parse(jsonText);
+    } catch {
+        throw new TranslatableError('El archivo no es un JSON válido.');
+    }
+    const imported = Array.isArray(data) ? data : data && data.profiles;
+    if (!Array.isArray(imported)) {
+        throw new TranslatableError('El archivo no contiene perfiles de prompt.');
+    }
+    const valid = imported
+        .filter(profile => profile && typeof profile.name === 'string' && typeof profile.analysisTemplate === 'string')
+        .map(profile => ({
+            // A built-in id cannot be replaced: the profile is imported as a new one
+            id: profile.id && !BUILT_IN_PROFILES.some(builtIn => builtIn.id === profile.id) ? profile.id : createId(),
+            name: profile.name,
+            builtIn: false,
+            analysisTemplate: profile.analysisTemplate,
+            regressionTemplate: typeof profile.regressionTemplate === 'string' ? profile.regressionTemplate : REGRESSION_TEMPLATE
+        }));
+    const importedIds = new Set(valid.map(profile => profile.id));
+    return {
+        profiles: [...profiles.filter(profile => !importedIds.has(profile.id)), ...valid],
+        count: valid.length
+    };
+};
@@ -0,0 +1,370 @@
+import { defaultTranslate } from '../i18n';
+
+/**
+ * Redaction of sensitive data before a prompt is sent to the AI: built-in detectors (e-mails,
+ * phones, card numbers, API keys and tokens, IPs, URLs and internal hosts) plus the user's own
+ * regex rules. Each value is replaced by a placeholder ("[EMAIL_1]") that is kept in a local
+ * mapping, so the values can be restored in the generated answer without leaving the browser.
+ */
+
+const REDACTION_STORAGE_KEY = 'iacases.redaction';
+
+// Public test card numbers of the payment gateways (Stripe, Adyen, Braintree...). They are not
+// masked by any detector: they are no secret, and the prompts name them so that the AI uses them as test data.
+const PUBLIC_TEST_CARD_NUMBERS = new Set([
+    '4111111111111111', // Visa
+    '4242424242424242', // Visa
+    '4012888888881881', // Visa
+    '4000056655665556', // Visa (debit)
+    '5555555555554444', // Mastercard
+    '5105105105105100', // Mastercard
+    '2223003122003222', // Mastercard (2-series)
+    '378282246310005', // American Express
+    '371449635398431', // American Express
+    '6011111111111117', // Discover
+    '3056930009020004', // Diners Club
+    '3566002020360505' // JCB
+]);
+
+// Built-in detectors, in priority order (an earlier detector wins when two match the same text).
+// "group" masks only that capture group, "validate" discards false positives and "pick" returns
+// the part of the match to mask (null to discard it).
+export const REDACTION_DETECTORS = [
+    {
+        id: 'secret',
+        label: 'Claves API, tokens y JWT',
+        placeholder: 'SECRETO',
+        patterns: [
+            /\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, // JWT
+            /\b(?:sk|pk|rk)_(?:live|test)_[A-Za-z0-9]{10,}\b/g, // Stripe
+            /\bAKIA[0-9A-Z]{16}\b/g, // AWS
+            /\bgh[pousr]_[A-Za-z0-9]{36,}\b/g, // GitHub
+            /\bAIza[\w-]{35}\b/g, // Google
+            /\bxox[abprs]-[\w-]{10,}/g, // Slack
+            { regex: /\bBearer\s+([\w.~+/-]{8,}=*)/gi, group: 1 },
+            { regex: /\b(?:api[_-]?key|access[_-]?token|token|secret|password|contraseña|clave)\s*[:=]\s*["']?([^\s"',;]{6,})/gi, group: 1 }
+        ]
+    },
+    {
+        id: 'card',
+        label: 'Números de tarjeta (con verificación Luhn)',
+        placeholder: 'TARJETA',
+        patterns: [/\b\d(?:[ -]?\d){12,18}\b/g],
+        // The match may run into the digits that follow the number (CVV, expiry date...)
+        pick: (value) => findCardNumber(value)
+    },
+    {
+        id: 'email',
+        label: 'Correos electrónicos',
+        placeholder: 'EMAIL',
+        patterns: [/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g]
+    },
+    {
+        id: 'url',
+        label: 'URLs y hosts internos',
+        placeholder: 'URL',
+        patterns: [
+            /\bhttps?:\/\/[^\s<>"'`)\]]+/gi,
+            /\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:internal|local|corp|lan|intranet|intra)\b/gi
+        ]
+    },
+    {
+        id: 'ip',
+        label: 'Direcciones IP',
+        placeholder: 'IP',
+        patterns: [/\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b/g]
+    },
+    {
+        id: 'phone',
+        label: 'Teléfonos',
+        placeholder: 'TELEFONO',
+        patterns: [/(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]?\d{2,4}){2,4}\b/g],
+        // Dates and short references also look like phone numbers
+        validate: (value) => {
+            const digits = value.replace(/\D/g, '').length;
+            return digits >= 9 && digits <= 15 && !/^\d{4}[-/.]\d{1,2}[-/.]\d{1,2}$/.test(value);
+        }
+    }
+];
+
+/**
+ * Tells whether a value looks like a card number: 13 to 19 digits (spaces and dashes allowed)
+ * that pass the Luhn check.
+ * @param {string} value The value.
+ * @returns {boolean} Whether it looks like a card number.
+ */
+export const isCardNumber = (value) => {
+    if (!/^\d(?:[ -]?\d){12,18}$/.test(value)) {
+        return false;
+    }
+    const digits = value.replace(/\D/g, '').split('').map(Number).reverse();
+    const sum = digits.reduce((total, digit, index) => {
+        if (index % 2 === 0) {
+            return total + digit;
+        }
+        return total + (digit * 2 > 9 ? digit * 2 - 9 : digit * 2);
+    }, 0);
+    return sum % 10 === 0;
+};
+
+/**
+ * Lists the runs of whole digit groups of a value ("5400 0000 0000 0005 123" has "5400", "5400 0000"...,
+ * "0000 0005 123"...): splitting a group would find false card numbers in any long number.
+ * @param {string} value The digits (spaces and dashes allowed).
+ * @returns {{start: number, text: string}[]} The runs, with their position in the value.
+ */
+const getDigitGroupRuns = (value) => {
+    const groups = [...value.matchAll(/\d+/g)];
+    return groups.flatMap((firstGroup, first) => groups.slice(first).map(lastGroup => ({
+        start: firstGroup.index,
+        text: value.slice(firstGroup.index, lastGroup.index + lastGroup[0].length)
+    })));
+};
+
+/**
+ * Tells whether a value is one of the public test card numbers (see PUBLIC_TEST_CARD_NUMBERS).
+ * @param {string} value The value (spaces and dashes allowed).
+ * @returns {boolean} Whether it is a public test card number.
+ */
+const isPublicTestCardNumber = (value) => isCardNumber(value) && PUBLIC_TEST_CARD_NUMBERS.has(value.replace(/\D/g, ''));
+
+/**
+ * Finds a card number to mask within a run of digit groups, such as a number followed by its CVV
+ * or expiry date ("5400 0000 0000 0005 123"). Only whole groups are tried, the longest first and
+ * then the ones that start earlier. Public test card numbers are skipped.
+ * @param {string} value The digits (spaces and dashes allowed).
+ * @returns {string|null} The card number as written in the value, null if there is none.
+ */
+const findCardNumber = (value) => {
+    // Stable sort: among the candidates of the same length, the earlier one wins
+    const candidates = getDigitGroupRuns(value).map(run => run.text)
+        .sort((a, b) => b.replace(/\D/g, '').length - a.replace(/\D/g, '').length);
+    return candidates.find(candidate => isCardNumber(candidate) && !isPublicTestCardNumber(candidate)) || null;
+};
+
+/**
+ * Finds the public test card numbers of a text, written in any grouping ("3782 822463 10005"),
+ * so that no detector masks them (a phone number looks like one, for example).
+ * @param {string} text The text.
+ * @returns {{start: number, end: number}[]} Their positions.
+ */
+const findPublicTestCardNumbers = (text) => [...text.matchAll(/\b\d(?:[ -]?\d){12,18}\b/g)]
+    .flatMap(match => getDigitGroupRuns(match[0])
+        .filter(run => isPublicTestCardNumber(run.text))
+        .map(run => ({ start: match.index + run.start, end: match.index + run.start + run.text.length })));
+
+/**
+ * Returns the default redaction settings: every detector on, no custom rules.
+ * @returns {{enabled: boolean, restoreOutput: boolean, detectors: object, customRules: object[]}} The settings.
+ */
+const getDefaultRedactionSettings = () => ({
+    enabled: true,
+    restoreOutput: true,
+    detectors: Object.fromEntries(REDACTION_DETECTORS.map(detector => [detector.id, true])),
+    customRules: []
+});
+
+/**
+ * Loads the redaction settings saved in the browser.
+ * @returns {object} The settings.
+ */
+export const loadRedactionSettings = () => {
+    const defaults = getDefaultRedactionSettings();
+    try {
+        const saved = JSON.parse(localStorage.getItem(REDACTION_STORAGE_KEY));
+        if (saved && typeof saved === 'object') {
+            return {
+                ...defaults,
+                ...saved,
+                detectors: { ...defaults.detectors, ...saved.detectors },
+                customRules: Array.isArray(saved.customRules) ? saved.customRules : []
+            };
+        }
+    } catch (error) {
+        console.warn('No se pudo leer la configuración de anonimización:', error);
+    }
+    return defaults;
+};
+
+/**
+ * Saves the redaction settings in the browser.
+ * @param {object} settings The settings.
+ */
+export const saveRedactionSettings = (settings) => {
+    try {
+        localStorage.setItem(REDACTION_STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.warn('No se pudo guardar la configuración de anonimización:', error);
+    }
+};
+
+/**
+ * Compiles the pattern of a custom rule.
+ * @param {{pattern: string}} rule The rule.
+ * @param {function(string, object=): string} [t] The translation function of the error.
+ * @returns {{regex: RegExp|null, error: string}} The global, case-insensitive regex, or why it is not valid.
+ */
+export const compileCustomRule = (rule, t = defaultTranslate) => {
+    if (!rule.pattern) {
+        return { regex: null, error: '' };
+    }
+    try {
+        const regex = new RegExp(rule.pattern, 'gi');
+        // A pattern matching the empty string would mask nothing and loop forever
+        return regex.test('') ? { regex: null, error: t('la expresión coincide con un texto vacío') } : { regex, error: '' };
+    } catch (error) {
+        return { regex: null, error: error.message };
+    }
+};
+
+/**
+ * Converts the label of a custom rule into a placeholder name (e.g. "ID de cliente" -> "ID_DE_CLIENTE").
+ * @param {string} label The label.
+ * @returns {string} The placeholder name.
+ */
+const toPlaceholderName = (label) => String(label || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Drop accents
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '') || 'DATO';
+
+/**
+ * Lists the detectors and custom rules enabled in the settings, as { name, patterns, validate, pick }.
+ * @param {object} settings The redaction settings.
+ * @returns {object[]} The active rules, in priority order.
+ */
+const getActiveRules = (settings) => [
+    ...REDACTION_DETECTORS
+        .filter(detector => settings.detectors[detector.id])
+        .map(detector => ({ name: detector.placeholder, patterns: detector.patterns, validate: detector.validate, pick: detector.pick })),
+    ...settings.customRules
+        .map(rule => ({ name: toPlaceholderName(rule.label), patterns: [compileCustomRule(rule).regex].filter(Boolean) }))
+        .filter(rule => rule.patterns.length > 0)
+];
+
+/**
+ * Finds the sensitive values of a text: the values already redacted (known) and the matches of the
+ * active rules. Overlapping matches are resolved in favour of the one that starts first, then
+ * the longest, then the rule with more priority. Rule matches over a public test card number are dropped.
+ * @param {string} text The text.
+ * @param {object[]} rules The active rules.
+ * @param {Map<string, string>} known The values already redacted, with their placeholder name.
+ * @returns {{start: number, end: number, value: string, name: string}[]} The matches, in text order.
+ */
+const findMatches = (text, rules, known) => {
+    const matches = [];
+    const publicCardNumbers = findPublicTestCardNumbers(text);
+    known.forEach((name, value) => {
+        for (let start = text.indexOf(value); start !== -1; start = text.indexOf(value, start + value.length)) {
+            matches.push({ start, end: start + value.length, value, name, priority: -1 });
+        }
+    });
+    rules.forEach((rule, priority) => {
+        rule.patterns.forEach(pattern => {
+            const { regex, group } = pattern instanceof RegExp ? { regex: pattern, group: 0 } : pattern;
+            for (const match of text.matchAll(regex)) {
+                const matched = match[group];
+                const value = matched && rule.pick ? rule.pick(matched) : matched;
+                if (!value || (rule.validate && !rule.validate(value))) {
+                    continue;
+                }
+                const start = match.index + match[0].indexOf(matched) + matched.indexOf(value);
+                const end = start + value.length;
+                if (publicCardNumbers.some(card => start < card.end && end > card.start)) {
+                    continue;
+                }
+                matches.push({ start, end, value, name: rule.name, priority });
+            }
+        });
+    });
+    matches.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start) || a.priority - b.priority);
+    const kept = [];
+    matches.forEach(match => {
+        if (kept.length === 0 || match.start >= kept[kept.length - 1].end) {
+            kept.push(match);
+        }
+    });
+    return kept;
+};
+
+/**
+ * Creates a redactor for the settings. It keeps the mapping between placeholders and values, so
+ * a value gets the same placeholder in every prompt of an analysis (also when a restored value is
+ * sent again, e.g. when a case is refined) and the answers can be restored.
+ * @param {object} settings The redaction settings.
+ * @returns {{redact: function(string): string, restoreJson: function(string): string, getMapping: function(): object[]}}
+ *   The redactor: "redact" masks a prompt, "restoreJson" puts the values back in a JSON answer
+ *   (unless the settings ask to keep the placeholders) and "getMapping" lists the redacted values.
+ */
+export const createRedactor = (settings) => {
+    const rules = getActiveRules(settings);
+    // Value -> placeholder name, value -> placeholder, and the count of each name
+    const names = new Map();
+    const placeholders = new Map();
+    const counts = {};
+
+    const getPlaceholder = (value, name) => {
+        if (!placeholders.has(value)) {
+            counts[name] = (counts[name] || 0) + 1;
+            names.set(value, name);
+            placeholders.set(value, `[${name}_${counts[name]}]`);
+        }
+        return placeholders.get(value);
+    };
+
+    return {
+        redact: (text) => {
+            const source = String(text || '');
+            let result = '';
+            let position = 0;
+            findMatches(source, rules, names).forEach(match => {
+                result += source.slice(position, match.start) + getPlaceholder(match.value, match.name);
+                position = match.end;
+            });
+            return result + source.slice(position);
+        },
+        restoreJson: (text) => {
+            if (!settings.restoreOutput || placeholders.size === 0) {
+                return text;
+            }
+            let restored = text;
+            placeholders.forEach((placeholder, value) => {
+                // The value goes inside a JSON string: escape it as JSON would
+                restored = restored.split(placeholder).join(JSON.stringify(value).slice(1, -1));
+            });
+            return restored;
+        },
+        getMapping: () => [...placeholders].map(([value, placeholder]) => ({ placeholder, value }))
+    };
+};
+
+/**
+ * Previews what would be redacted in a text, for the diff shown before sending it.
+ * @param {string} text The text.
+ * @param {object} settings The redaction settings.
+ * @returns {{segments: {text: string, placeholder: string}[], counts: object}} The text split into
+ *   kept segments (empty placeholder) and redacted ones, and the number of distinct values per placeholder name.
+ */
+export const previewRedaction = (text, settings) => {
+    const source = String(text || '');
+    const placeholders = new Map();
+    const counts = {};
+    const segments = [];
+    let position = 0;
+    findMatches(source, getActiveRules(settings), new Map()).forEach(match => {
+        if (!placeholders.has(match.value)) {
+            counts[match.name] = (counts[match.name] || 0) + 1;
+            placeholders.set(match.value, `[${match.name}_${counts[match.name]}]`);
+        }
+        if (match.start > position) {
+            segments.push({ text: source.slice(position, match.start), placeholder: '' });
+        }
+        segments.push({ text: match.value, placeholder: placeholders.get(match.value) });
+        position = match.end;
+    });
+    if (position < source.length) {
+        segments.push({ text: source.slice(position), placeholder: '' });
+    }
+    return { segments, counts };
+};
@@ -0,0 +1,199 @@
+/**
+ * Sharing of an analysis for review. The analysis (inputs and outputs) is serialised into a
+ * bundle that travels as a .json file or compressed in the hash of a link (the hash never reaches
+ * a server). Reviewers approve or reject each case and comment on it; the review is kept in the
+ * case itself ("review": { status, comment, reviewer }), so it survives the author's later edits.
+ */
+
+import { toText } from './validation';
+import { normalizeAnalysisOutputs } from './analysisOutputs';
+import { TranslatableError } from '../i18n';
+
+const BUNDLE_FORMAT = 'iacases-review';
+const BUNDLE_FORMAT_VERSION = 1;
+
+// Hash of the links that open an analysis in the review view
+const SHARE_HASH_PREFIX = '#revision=';
+
+// Longest link offered: chat tools and mail clients cut longer ones (the .json is used instead)
+const MAX_SHARE_URL_LENGTH = 16000;
+
+const REVIEWER_STORAGE_KEY = 'iacases.reviewer';
+
+// Fields of a stored analysis that travel in the bundle, besides its outputs
+const ANALYSIS_FIELDS = ['name', 'jiraId', 'jiraLink', 'jiraContent', 'additionalContext', 'provider', 'model', 'promptProfile', 'outputLanguage'];
+
+/**
+ * Builds the review bundle of an analysis.
+ * @param {object} analysis The analysis, with the fields of a history record and its outputs.
+ * @returns {object} The bundle.
+ */
+export const buildReviewBundle = (analysis) => ({
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_FORMAT_VERSION,
+    sharedAt: new Date().toISOString(),
+    analysis: {
+        ...Object.fromEntries(ANALYSIS_FIELDS.map(field => [field, analysis[field] || ''])),
+        outputs: analysis.outputs
+    }
+});
+
+/**
+ * Checks a review bundle read from a file or a link. The bundle is untrusted input: its fields
+ * are normalised as text and its outputs as the AI answers are (see analysisOutputs).
+ * @param {*} data The parsed bundle.
+ * @returns {object} The bundle, with every output present.
+ */
+const validateReviewBundle = (data) => {
+    if (!data || data.format !== BUNDLE_FORMAT || !data.analysis || typeof data.analysis.outputs !== 'object' || !data.analysis.outputs) {
+        throw new TranslatableError('No es un análisis compartido para revisión.');
+    }
+    if (data.version > BUNDLE_FORMAT_VERSION) {
+        throw new TranslatableError('El análisis se compartió con una versión más reciente de la aplicación.');
+    }
+    const fields = Object.fromEntries(ANALYSIS_FIELDS.map(field => [field, toText(data.analysis[field])]));
+    // The link is shown as such in the review view: only web addresses
+    if (!/^https?:\/\//i.test(fields.jiraLink)) {
+        fields.jiraLink = '';
+    }
+    const outputs = normalizeAnalysisOutputs(data.analysis.outputs, fields.outputLanguage);
+    return {
+        ...data,
+        analysis: {
+            ...fields,
+            outputs: {
+                ...outputs,
+                testCases: outputs.testCases || [],
+                regressionGherkinTestCases: outputs.regressionGherkinTestCases || []
+            }
+        }
+    };
+};
+
+/**
+ * Serialises a review bundle for a .json file.
+ * @param {object} bundle The bundle.
+ * @returns {string} The JSON text.
+ */
+export const serializeReviewBundle = (bundle) => JSON.stringify(bundle, null, 2);
+
+/**
+ * Reads a review bundle from a .json file.
+ * @param {string} jsonText The file content.
+ * @returns {object} The bundle.
+ */
+export const parseReviewBundle = (jsonText) => {
+    let data;
+    try {
+        data = JSON.parse(jsonText);
+    } catch {
+        throw new TranslatableError('El archivo no es un JSON válido.');
+    }
+    return validateReviewBundle(data);
+};
+
+/**
+ * Encodes bytes as base64url (the base64 variant allowed in URLs without escaping).
+ * @param {Uint8Array} bytes The bytes.
+ * @returns {string} The encoded text.
+ */
+const toBase64Url = (bytes) => {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * Decodes base64url text.
+ * @param {string} text The encoded text.
+ * @returns {Uint8Array} The bytes.
+ */
+const fromBase64Url = (text) => {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+};
+
+/**
+ * Compresses or decompresses data with gzip through the browser streams.
+ * @param {BlobPart} data The data.
+ * @param {CompressionStream|DecompressionStream} stream The transform.
+ * @returns {Response} The transformed data.
+ */
+const transformData = (data, stream) => new Response(new Blob([data]).stream().pipeThrough(stream));
+
+/**
+ * Builds the link that opens the bundle in the review view of this app.
+ * @param {object} bundle The bundle.
+ * @returns {Promise<string>} The link.
+ */
+export const buildShareUrl = async (bundle) => {
+    if (typeof CompressionStream === 'undefined') {
+        throw new TranslatableError('Este navegador no puede comprimir el enlace; descarga el análisis (.json) y compártelo.');
+    }
+    const compressed = await transformData(JSON.stringify(bundle), new CompressionStream('gzip')).arrayBuffer();
+    const url = `${window.location.origin}${window.location.pathname}${SHARE_HASH_PREFIX}${toBase64Url(new Uint8Array(compressed))}`;
+    if (url.length > MAX_SHARE_URL_LENGTH) {
+        throw new TranslatableError('El análisis es demasiado grande para un enlace; descarga el análisis (.json) y compártelo.');
+    }
+    return url;
+};
+
+/**
+ * Reads the bundle carried by the hash of a link.
+ * @param {string} hash The hash of the current URL (window.location.hash).
+ * @returns {Promise<object|null>} The bundle, null if the hash carries none.
+ */
+export const readShareHash = async (hash) => {
+    if (!hash.startsWith(SHARE_HASH_PREFIX)) {
+        return null;
+    }
+    let data;
+    try {
+        data = JSON.parse(await transformData(fromBase64Url(hash.slice(SHARE_HASH_PREFIX.length)), new DecompressionStream('gzip')).text());
+    } catch {
+        throw new TranslatableError('El enlace está incompleto o dañado.');
+    }
+    return validateReviewBundle(data);
+};
+
+/**
+ * Counts the review status of some cases.
+ * @param {object[]} cases The cases.
+ * @returns {{approved: number, rejected: number, pending: number, commented: number}} The counts.
+ */
+export const getReviewSummary = (cases) => {
+    const reviews = cases.map(testCase => testCase.review || {});
+    return {
+        approved: reviews.filter(review => review.status === 'aprobado').length,
+        rejected: reviews.filter(review => review.status === 'rechazado').length,
+        pending: reviews.filter(review => !review.status).length,
+        commented: reviews.filter(review => review.comment).length
+    };
+};
+
+/**
+ * Loads the reviewer name saved in the browser.
+ * @returns {string} The name.
+ */
+export const loadReviewerName = () => {
+    try {
+        return localStorage.getItem(REVIEWER_STORAGE_KEY) || '';
+    } catch (error) {
+        console.warn('No se pudo leer el nombre del revisor:', error);
+        return '';
+    }
+};
+
+/**
+ * Saves the reviewer name in the browser.
+ * @param {string} name The name.
+ */
+export const saveReviewerName = (name) => {
+    try {
+        localStorage.setItem(REVIEWER_STORAGE_KEY, name);
+    } catch (error) {
+        console.warn('No se pudo guardar el nombre del revisor:', error);
+    }
+};
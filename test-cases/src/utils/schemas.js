@@ -0,0 +1,119 @@
+import { TECHNIQUE_OPTIONS, TEST_TYPE_OPTIONS } from './testCases';
+import { RISK_LEVEL_OPTIONS } from './impacts';
+import { TEST_DATA_TYPES } from './testData';
+
+/**
+ * JSON Schemas of the AI answers. They are provider-neutral: each provider adapter
+ * converts them to its own structured-output format.
+ */
+
+// A single Gherkin test case
+export const TEST_CASE_SCHEMA = {
+    type: 'object',
+    properties: {
+        jiraId: { type: 'string' },
+        feature: { type: 'string' },
+        scenario: { type: 'string' },
+        given: { type: 'string' },
+        when: { type: 'string' },
+        then: { type: 'string' },
+        priority: { type: 'string' },
+        testType: { type: 'string', enum: TEST_TYPE_OPTIONS },
+        technique: { type: 'string', description: `Técnica ISTQB aplicada, p. ej.: ${TECHNIQUE_OPTIONS.join(', ')}` },
+        criteria: { type: 'array', items: { type: 'string' }, description: 'IDs de los criterios de aceptación que cubre el caso' },
+        examples: {
+            type: 'object',
+            description: 'Tabla de ejemplos de un Scenario Outline: una columna por parámetro <...> de los pasos y una fila por ejecución. Vacía si el caso no es un esquema',
+            properties: {
+                headers: { type: 'array', items: { type: 'string' } },
+                rows: { type: 'array', items: { type: 'array', items: { type: 'string' } } }
+            }
+        }
+    },
+    // Older prompt templates do not ask for the covered criteria nor for Scenario Outlines
+    required: ['jiraId', 'feature', 'scenario', 'given', 'when', 'then', 'priority', 'testType', 'technique']
+};
+
+// An acceptance criterion of the story
+const ACCEPTANCE_CRITERION_SCHEMA = {
+    type: 'object',
+    properties: {
+        id: { type: 'string' },
+        text: { type: 'string' }
+    }
+};
+
+// An impact of the change
+const IMPACT_SCHEMA = {
+    type: 'object',
+    properties: {
+        id: { type: 'string' },
+        area: { type: 'string', description: 'Área o módulo afectado' },
+        description: { type: 'string' },
+        severity: { type: 'string', enum: RISK_LEVEL_OPTIONS },
+        probability: { type: 'string', enum: RISK_LEVEL_OPTIONS }
+    }
+};
+
+// First call: acceptance criteria, main test cases, impacts and regression suggestions
+export const ANALYSIS_SCHEMA = {
+    type: 'object',
+    properties: {
+        acceptanceCriteria: { type: 'array', items: ACCEPTANCE_CRITERION_SCHEMA },
+        testCases: { type: 'array', items: TEST_CASE_SCHEMA },
+        impacts: { type: 'array', items: IMPACT_SCHEMA },
+        regressionTests: { type: 'string' }
+    },
+    // Older prompt templates do not ask for the acceptance criteria and ask for the impacts as text
+    required: ['testCases', 'regressionTests']
+};
+
+// Second call: Gherkin test cases generated from the regression suggestions
+export const REGRESSION_SCHEMA = {
+    type: 'array',
+    items: {
+        ...TEST_CASE_SCHEMA,
+        properties: {
+            ...TEST_CASE_SCHEMA.properties,
+            impactId: { type: 'string', description: 'ID del impacto que mitiga el caso' }
+        }
+    }
+};
+
+// A set of input data for a test case
+const TEST_DATA_SET_SCHEMA = {
+    type: 'object',
+    properties: {
+        type: { type: 'string', enum: TEST_DATA_TYPES },
+        description: { type: 'string' },
+        values: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    field: { type: 'string' },
+                    value: { type: 'string' },
+                    synthetic: { type: 'boolean', description: 'true si el valor parece un dato sensible (tarjeta, contraseña, documento, correo...)' }
+                }
+            }
+        }
+    }
+};
+
+// Optional third call: test data sets for each case, by the id the case had in the prompt
+export const TEST_DATA_SCHEMA = {
+    type: 'object',
+    properties: {
+        testData: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    caseId: { type: 'string' },
+                    dataSets: { type: 'array', items: TEST_DATA_SET_SCHEMA }
+                }
+            }
+        }
+    },
+    required: ['testData']
+};
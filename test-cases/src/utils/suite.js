@@ -0,0 +1,342 @@
+import { parseCsv } from './csv';
+import { GHERKIN_KEYWORDS, splitSteps } from './gherkin';
+import { normalizePriority } from './validation';
+import { TranslatableError } from '../i18n';
+
+/**
+ * Existing test suite: import from the app's own CSV export or from Gherkin .feature files, and
+ * comparison of the generated cases against it to flag duplicates.
+ */
+
+const SUITE_STORAGE_KEY = 'iacases.existingSuite';
+
+// Similarity from which a generated case is considered a duplicate or a similar case
+const DUPLICATE_THRESHOLD = 0.85;
+const SIMILAR_THRESHOLD = 0.55;
+
+// Words ignored when comparing cases (they make any two Spanish or English sentences look alike)
+const STOP_WORDS = new Set([
+    'a', 'al', 'con', 'de', 'del', 'el', 'en', 'es', 'la', 'las', 'lo', 'los', 'o', 'para', 'por', 'que', 'se',
+    'su', 'un', 'una', 'y', 'validar', 'an', 'and', 'is', 'of', 'on', 'or', 'the', 'to', 'validate'
+]);
+
+// CSV columns, by field (lowercase headers, as written by buildCsvExport in any output language)
+const CSV_COLUMNS = {
+    jiraId: ['id de jira', 'jira id', 'id do jira', 'jira'],
+    feature: ['característica', 'caracteristica', 'feature', 'funcionalidade'],
+    scenario: ['escenario', 'scenario', 'cenário', 'cenario'],
+    priority: ['prioridad', 'priority', 'prioridade'],
+    testType: ['tipo de prueba', 'test type', 'tipo de teste'],
+    technique: ['técnica', 'tecnica', 'technique'],
+    given: ['dado', 'given'],
+    when: ['cuando', 'when', 'quando'],
+    then: ['entonces', 'then', 'então', 'entao']
+};
+
+/**
+ * Builds the regex of some Gherkin keywords: the ones the app exports in every language (see
+ * GHERKIN_KEYWORDS) plus other synonyms of the Gherkin dialects.
+ * @param {string[]} fields The GHERKIN_KEYWORDS fields of the keywords.
+ * @param {string[]} synonyms The other keywords (lowercase).
+ * @param {string} suffix The regex source that follows the keyword.
+ * @returns {RegExp} The case-insensitive regex, with the keyword as its first group.
+ */
+const buildKeywordRegex = (fields, synonyms, suffix) => {
+    const exported = Object.values(GHERKIN_KEYWORDS).flatMap(keywords => fields.map(field => keywords[field].toLowerCase()));
+    // Longest first, so that "scenario outline" is tried before "scenario"
+    const keywords = [...new Set([...exported, ...synonyms])].sort((a, b) => b.length - a.length);
+    return new RegExp(`^(${keywords.map(keyword => keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})${suffix}`, 'i');
+};
+
+// Gherkin keywords, in Spanish, English and Portuguese
+const FEATURE_REGEX = buildKeywordRegex(['feature'], ['caracteristica', 'funcionalidad', 'necesidad del negocio', 'business need'], '\\s*:\\s*(.*)$');
+const SCENARIO_REGEX = buildKeywordRegex(['scenario', 'scenarioOutline'], ['scenario template', 'example', 'ejemplo', 'cenario', 'esquema do cenario', 'delineação do cenário', 'exemplo'], '\\s*:\\s*(.*)$');
+const BLOCK_REGEX = buildKeywordRegex(['examples'], ['background', 'antecedentes', 'contexto', 'scenarios', 'escenarios', 'cenários', 'rule', 'regla', 'regra'], '\\s*:');
+const STEP_REGEXES = [
+    ['given', buildKeywordRegex(['given'], ['dada', 'dados', 'dadas'], '\\s+')],
+    ['when', buildKeywordRegex(['when'], [], '\\s+')],
+    ['then', buildKeywordRegex(['then'], ['entao'], '\\s+')],
+    ['and', buildKeywordRegex(['and'], ['but', 'pero', 'mas', '*'], '\\s+')]
+];
+
+// Prefixes of the priority tags, e.g. "prioridad" in "@prioridad-alta"
+const PRIORITY_TAG_REGEX = new RegExp(`^(${[...new Set(Object.values(GHERKIN_KEYWORDS).map(keywords => keywords.priorityTag))].join('|')})-`, 'i');
+
+/**
+ * Builds a suite case with every field of a test case.
+ * @param {object} fields The known fields.
+ * @param {string} source The file the case comes from.
+ * @returns {object} The case.
+ */
+const createSuiteCase = (fields, source) => ({
+    jiraId: '',
+    feature: '',
+    scenario: '',
+    given: '',
+    when: '',
+    then: '',
+    priority: '',
+    testType: '',
+    technique: '',
+    ...fields,
+    source
+});
+
+/**
+ * Reads the test cases of a CSV with the columns of the app's CSV export. Section rows
+ * ("--- ... ---") are skipped, and so is everything under a section that is not a case list.
+ * @param {string} text The CSV text.
+ * @param {string} source The file name.
+ * @returns {object[]} The cases.
+ */
+export const parseSuiteCsv = (text, source = '') => {
+    const rows = parseCsv(text);
+    const headerIndex = rows.findIndex(row => row.some(cell => CSV_COLUMNS.scenario.includes(cell.trim().toLowerCase())));
+    if (headerIndex === -1) {
+        throw source
+            ? new TranslatableError('{source}: falta la columna "Escenario".', { source })
+            : new TranslatableError('El CSV: falta la columna "Escenario".');
+    }
+    const headers = rows[headerIndex].map(cell => cell.trim().toLowerCase());
+    const columns = Object.entries(CSV_COLUMNS)
+        .map(([field, names]) => [field, headers.findIndex(name => names.includes(name))])
+        .filter(([, index]) => index !== -1);
+
+    const cases = [];
+    let inCaseSection = true;
+    rows.slice(headerIndex + 1).forEach(row => {
+        const firstCell = row[0].trim();
+        if (firstCell.startsWith('---')) {
+            inCaseSection = /casos|cases/i.test(firstCell);
+            return;
+        }
+        if (!inCaseSection || row.join(',').toLowerCase() === headers.join(',')) {
+            return;
+        }
+        const fields = Object.fromEntries(columns.map(([field, index]) => [field, (row[index] || '').trim()]));
+        if (fields.scenario) {
+            cases.push(createSuiteCase({ ...fields, priority: normalizePriority(fields.priority) || fields.priority || '' }, source));
+        }
+    });
+    return cases;
+};
+
+/**
+ * Reads the scenarios of a Gherkin .feature file (Spanish, English or Portuguese keywords). Tags such as
+ * "@PROJ-123" and "@prioridad-alta" fill the Jira ID and the priority; backgrounds and example
+ * tables are ignored.
+ * @param {string} text The .feature file content.
+ * @param {string} source The file name.
+ * @returns {object[]} The cases.
+ */
+export const parseFeatureFile = (text, source = '') => {
+    const cases = [];
+    let feature = '';
+    let tags = [];
+    let current = null;
+    let section = null;
+
+    String(text || '').split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('#')) {
+            return;
+        }
+        if (line.startsWith('@')) {
+            tags.push(...line.split(/\s+/).filter(tag => tag.startsWith('@')).map(tag => tag.slice(1)));
+            return;
+        }
+        const featureMatch = line.match(FEATURE_REGEX);
+        if (featureMatch) {
+            feature = featureMatch[2].trim();
+            tags = [];
+            current = null;
+            return;
+        }
+        const scenarioMatch = line.match(SCENARIO_REGEX);
+        if (scenarioMatch) {
+            const jiraTag = tags.find(tag => /^[A-Z][A-Z0-9]+-\d+$/.test(tag));
+            const priorityTag = tags.find(tag => PRIORITY_TAG_REGEX.test(tag));
+            current = createSuiteCase({
+                jiraId: jiraTag || '',
+                feature,
+                scenario: scenarioMatch[2].trim(),
+                priority: priorityTag ? normalizePriority(priorityTag.replace(/^[^-]+-/, '')) || '' : ''
+            }, source);
+            cases.push(current);
+            tags = [];
+            section = null;
+            return;
+        }
+        if (BLOCK_REGEX.test(line)) {
+            // Background steps and example tables do not belong to any case
+            current = null;
+            return;
+        }
+        const step = STEP_REGEXES.find(([, regex]) => regex.test(line));
+        if (!current || !step) {
+            return;
+        }
+        section = step[0] === 'and' ? section : step[0];
+        if (section) {
+            const stepText = line.replace(step[1], '').trim();
+            current[section] = current[section] ? `${current[section]}\n${stepText}` : stepText;
+        }
+    });
+    return cases;
+};
+
+/**
+ * Reads the cases of one file of the existing suite, by its extension.
+ * @param {string} fileName The file name (.csv or .feature).
+ * @param {string} text The file content.
+ * @returns {object[]} The cases.
+ */
+export const parseSuiteFile = (fileName, text) => {
+    if (/\.feature$/i.test(fileName)) {
+        return parseFeatureFile(text, fileName);
+    }
+    if (/\.csv$/i.test(fileName)) {
+        return parseSuiteCsv(text, fileName);
+    }
+    throw new TranslatableError('{fileName}: formato no soportado (usa .csv o .feature).', { fileName });
+};
+
+/**
+ * Loads the existing suite saved in the browser.
+ * @returns {object[]} The cases.
+ */
+export const loadExistingSuite = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SUITE_STORAGE_KEY));
+        if (Array.isArray(saved)) {
+            return saved;
+        }
+    } catch (error) {
+        console.warn('No se pudo leer la suite existente:', error);
+    }
+    return [];
+};
+
+/**
+ * Saves the existing suite in the browser.
+ * @param {object[]} suite The cases.
+ */
+export const saveExistingSuite = (suite) => {
+    try {
+        localStorage.setItem(SUITE_STORAGE_KEY, JSON.stringify(suite));
+    } catch (error) {
+        // A very large suite may not fit; it is still used until the page is reloaded
+        console.warn('No se pudo guardar la suite existente:', error);
+    }
+};
+
+/**
+ * Normalises a text for comparison: no accents, lowercase, only letters and digits.
+ * @param {string} text The text.
+ * @returns {string} The normalised text.
+ */
+const normalizeForComparison = (text) => String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Drop accents
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+/**
+ * Returns the significant words of a text.
+ * @param {string} text The text.
+ * @returns {Set<string>} The words.
+ */
+const toWordSet = (text) => new Set(normalizeForComparison(text).split(' ').filter(word => word && !STOP_WORDS.has(word)));
+
+/**
+ * Dice similarity of two word sets (1 when equal, 0 when they share no word).
+ * @param {Set<string>} a The first set.
+ * @param {Set<string>} b The second set.
+ * @returns {number} The similarity.
+ */
+const diceSimilarity = (a, b) => {
+    if (a.size === 0 && b.size === 0) {
+        return 0;
+    }
+    let shared = 0;
+    a.forEach(word => {
+        if (b.has(word)) {
+            shared++;
+        }
+    });
+    return (2 * shared) / (a.size + b.size);
+};
+
+/**
+ * Similarity between two test cases, from their scenario and their steps. When either case has
+ * no steps (e.g. a CSV with only titles) only the scenario is compared.
+ * @param {object} a The first case.
+ * @param {object} b The second case.
+ * @returns {number} The similarity, from 0 to 1.
+ */
+const caseSimilarity = (a, b) => {
+    const scenario = diceSimilarity(toWordSet(a.scenario), toWordSet(b.scenario));
+    const stepsA = toWordSet([a.given, a.when, a.then].join(' '));
+    const stepsB = toWordSet([b.given, b.when, b.then].join(' '));
+    if (stepsA.size === 0 || stepsB.size === 0) {
+        return scenario;
+    }
+    return 0.4 * scenario + 0.6 * diceSimilarity(stepsA, stepsB);
+};
+
+/**
+ * Compares each generated case with the existing suite.
+ * @param {object[]} cases The generated cases.
+ * @param {object[]} suite The existing cases.
+ * @returns {{status: string, match: object|null, score: number}[]} Per case, "nuevo", "duplicado"
+ *   or "similar", with the closest existing case and its similarity.
+ */
+export const compareWithSuite = (cases, suite) => cases.map(testCase => {
+    let match = null;
+    let score = 0;
+    suite.forEach(existing => {
+        const similarity = caseSimilarity(testCase, existing);
+        if (similarity > score) {
+            match = existing;
+            score = similarity;
+        }
+    });
+    if (score >= DUPLICATE_THRESHOLD) {
+        return { status: 'duplicado', match, score };
+    }
+    if (score >= SIMILAR_THRESHOLD) {
+        return { status: 'similar', match, score };
+    }
+    return { status: 'nuevo', match: null, score };
+});
+
+/**
+ * Merges a generated case into the existing one it resembles: the existing title and steps are
+ * kept and the generated steps it does not have are appended. The generated metadata (Jira ID,
+ * priority, type, technique, criteria) is kept.
+ * @param {object} testCase The generated case.
+ * @param {object} existing The existing case.
+ * @returns {object} The merged case.
+ */
+export const mergeWithExisting = (testCase, existing) => {
+    const mergeSteps = (existingText, generatedText) => {
+        const steps = splitSteps(existingText);
+        const known = new Set(steps.map(normalizeForComparison));
+        splitSteps(generatedText).forEach(step => {
+            if (!known.has(normalizeForComparison(step))) {
+                known.add(normalizeForComparison(step));
+                steps.push(step);
+            }
+        });
+        return steps.join('\n');
+    };
+    return {
+        ...testCase,
+        feature: existing.feature || testCase.feature,
+        scenario: existing.scenario,
+        given: mergeSteps(existing.given, testCase.given),
+        when: mergeSteps(existing.when, testCase.when),
+        then: mergeSteps(existing.then, testCase.then)
+    };
+};
@@ -0,0 +1,56 @@
+import { DEFAULT_OUTPUT_LANGUAGE, getOutputLanguage, getPriorityRank } from './outputLanguage';
+
+// Test types, as named in ISTQB
+export const TEST_TYPE_OPTIONS = ['Funcional', 'Seguridad', 'Rendimiento', 'No funcional', 'Estructural'];
+
+// ISTQB test design techniques offered when editing a test case (the AI may use others)
+export const TECHNIQUE_OPTIONS = [
+    'Partición de equivalencia',
+    'Valores límite',
+    'Tabla de decisión',
+    'Transición de estados',
+    'Casos de uso',
+    'Pairwise',
+    'Predicción de errores',
+    'Pruebas exploratorias',
+    'Cobertura estructural'
+];
+
+// Editable fields of a test case, in table order
+export const TEST_CASE_FIELDS = ['jiraId', 'priority', 'testType', 'technique', 'feature', 'scenario', 'given', 'when', 'then'];
+
+// Helper function to sort test cases by priority (in any output language, so mixed suites sort too)
+export const sortTestCasesByPriority = (cases) => [...cases].sort((a, b) => getPriorityRank(a.priority) - getPriorityRank(b.priority));
+
+/**
+ * Creates a blank test case for manual additions.
+ * @param {string} jiraId The Jira ID of the story.
+ * @param {string} [language] The output language (see outputLanguage).
+ * @returns {object} The test case.
+ */
+export const createEmptyTestCase = (jiraId = '', language = DEFAULT_OUTPUT_LANGUAGE) => ({
+    jiraId,
+    feature: '',
+    scenario: getOutputLanguage(language).scenarioPrefix,
+    given: '',
+    when: '',
+    then: '',
+    priority: getOutputLanguage(language).priorities[1],
+    testType: '',
+    technique: '',
+    criteria: []
+});
+
+/**
+ * Returns a copy of the list with one item moved to another position.
+ * @param {object[]} cases The test cases.
+ * @param {number} fromIndex The current position.
+ * @param {number} toIndex The new position.
+ * @returns {object[]} The reordered list.
+ */
+export const moveTestCase = (cases, fromIndex, toIndex) => {
+    const reordered = [...cases];
+    const [moved] = reordered.splice(fromIndex, 1);
+    reordered.splice(toIndex, 0, moved);
+    return reordered;
+};
@@ -0,0 +1,120 @@
+import { toText } from './validation';
+import { isCardNumber } from './redaction';
+
+/**
+ * Test data: concrete input data sets proposed by the AI for each case ({ type, description,
+ * values: [{ field, value, synthetic }] }), kept in "testData" on the case. Values that look
+ * sensitive (card numbers, passwords, documents, e-mails...) are always marked as synthetic.
+ */
+
+// Kinds of data set, in display order
+export const TEST_DATA_TYPES = ['Válido', 'Inválido', 'Límite', 'Caso extremo'];
+
+// Kinds the AI writes instead of the expected ones (lowercase, without accents)
+const TEST_DATA_TYPE_ALIASES = {
+    valido: 'Válido',
+    valid: 'Válido',
+    positivo: 'Válido',
+    invalido: 'Inválido',
+    invalid: 'Inválido',
+    negativo: 'Inválido',
+    limite: 'Límite',
+    boundary: 'Límite',
+    'valor limite': 'Límite',
+    'caso extremo': 'Caso extremo',
+    extremo: 'Caso extremo',
+    'edge case': 'Caso extremo',
+    edge: 'Caso extremo'
+};
+
+// Prefix of the ids the cases are given in the prompt (main and regression cases)
+export const MAIN_CASE_ID_PREFIX = 'C';
+export const REGRESSION_CASE_ID_PREFIX = 'R';
+
+// Field names whose values are treated as sensitive, in Spanish and English
+const SENSITIVE_FIELD_REGEX = /tarjeta|card|\bpan\b|cvv|cvc|caducidad|expir|contrase|password|clave|\bpin\b|iban|cuenta|account|\bdni\b|\bnif\b|\bnie\b|\bssn\b|pasaporte|passport|documento|correo|e-?mail|tel[eé]fono|phone|token|secret/i;
+
+// Values that look like an e-mail address or an IBAN
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const IBAN_REGEX = /^[A-Z]{2}\d{2}(?: ?[A-Z0-9]){10,30}$/;
+
+/**
+ * Tells whether a test data value looks sensitive, by its field name or its content.
+ * @param {string} field The field name.
+ * @param {string} value The value.
+ * @returns {boolean} Whether it must be marked as synthetic.
+ */
+export const looksSensitive = (field, value) => SENSITIVE_FIELD_REGEX.test(field)
+    || isCardNumber(value) || EMAIL_REGEX.test(value) || IBAN_REGEX.test(value);
+
+/**
+ * Maps a data set kind written by the AI to one of TEST_DATA_TYPES.
+ * @param {*} value The kind from the AI.
+ * @returns {string} The kind, "Válido" if it is not recognised.
+ */
+const normalizeTestDataType = (value) => {
+    const key = toText(value)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '') // Drop accents
+        .toLowerCase();
+    return TEST_DATA_TYPE_ALIASES[key] || TEST_DATA_TYPES[0];
+};
+
+/**
+ * Normalises the data sets of a case. Sets without values are dropped; values given as an object
+ * ({ "monto": "100" }) are converted into a list.
+ * @param {*} value The data sets from the AI.
+ * @returns {{type: string, description: string, values: {field: string, value: string, synthetic: boolean}[]}[]} The data sets.
+ */
+export const normalizeTestData = (value) => (Array.isArray(value) ? value : [])
+    .filter(dataSet => dataSet && typeof dataSet === 'object')
+    .map(dataSet => {
+        const values = Array.isArray(dataSet.values)
+            ? dataSet.values
+            : Object.entries(dataSet.values || {}).map(([field, fieldValue]) => ({ field, value: fieldValue }));
+        return {
+            type: normalizeTestDataType(dataSet.type),
+            description: toText(dataSet.description),
+            values: values
+                .filter(item => item && typeof item === 'object')
+                .map(item => {
+                    const field = toText(item.field);
+                    const itemValue = toText(item.value);
+                    return { field, value: itemValue, synthetic: item.synthetic === true || looksSensitive(field, itemValue) };
+                })
+                .filter(item => item.field)
+        };
+    })
+    .filter(dataSet => dataSet.values.length > 0);
+
+/**
+ * Adds to the cases the data sets of an AI answer, matched by the id each case had in the prompt
+ * (e.g. "C1" for the first main case). Cases without data keep the ones they had.
+ * @param {object[]} cases The cases.
+ * @param {{caseId: string, dataSets: object[]}[]} answer The data sets of each case.
+ * @param {string} prefix The prefix of the case ids.
+ * @returns {object[]} The cases with their data sets.
+ */
+export const applyTestData = (cases, answer, prefix) => {
+    const byId = new Map((Array.isArray(answer) ? answer : [])
+        .filter(item => item && typeof item === 'object')
+        .map(item => [toText(item.caseId).toUpperCase(), normalizeTestData(item.dataSets)]));
+    return cases.map((testCase, index) => {
+        const dataSets = byId.get(`${prefix}${index + 1}`);
+        return dataSets && dataSets.length > 0 ? { ...testCase, testData: dataSets } : testCase;
+    });
+};
+
+/**
+ * Renders one value of a data set, e.g. "tarjeta = 4111 1111 1111 1111 (sintético)".
+ * @param {{field: string, value: string, synthetic: boolean}} item The value.
+ * @returns {string} The text.
+ */
+export const formatTestDataValue = (item) => `${item.field} = ${item.value || '(vacío)'}${item.synthetic ? ' (sintético)' : ''}`;
+
+/**
+ * Renders the data sets of a case as text, one per line (CSV, Excel and Gherkin exports).
+ * @param {object[]} dataSets The data sets.
+ * @returns {string[]} The lines, e.g. "[Límite] Monto máximo: monto = 10000".
+ */
+export const formatTestDataLines = (dataSets) => (dataSets || []).map(dataSet => `[${dataSet.type}]${dataSet.description ? ` ${dataSet.description}` : ''}: ${dataSet.values.map(formatTestDataValue).join('; ')}`);
@@ -0,0 +1,96 @@
+import { toText } from './validation';
+
+/**
+ * Traceability between the acceptance criteria of a story and its test cases.
+ * Criteria are { id, text } (ids such as "CA1"); each case lists the ids it covers in "criteria".
+ */
+
+// Prefix of the ids given to criteria the AI returned without one
+const CRITERION_ID_PREFIX = 'CA';
+
+/**
+ * Normalises the acceptance criteria extracted by the AI: text-only items get an id, and empty
+ * or repeated ones are dropped.
+ * @param {*} value The criteria from the AI.
+ * @returns {{id: string, text: string}[]} The criteria.
+ */
+export const normalizeAcceptanceCriteria = (value) => {
+    const criteria = [];
+    const usedIds = new Set();
+    (Array.isArray(value) ? value : []).forEach(item => {
+        const text = toText(item && typeof item === 'object' ? item.text : item);
+        if (!text) {
+            return;
+        }
+        let id = toText(item && typeof item === 'object' ? item.id : '').toUpperCase();
+        for (let number = criteria.length + 1; !id || usedIds.has(id); number++) {
+            id = `${CRITERION_ID_PREFIX}${number}`;
+        }
+        usedIds.add(id);
+        criteria.push({ id, text });
+    });
+    return criteria;
+};
+
+/**
+ * Normalises the criteria a case says it covers, keeping only known ids.
+ * @param {*} value The "criteria" of the case (list of ids, or ids separated by commas).
+ * @param {string[]} knownIds The ids of the story's criteria.
+ * @returns {string[]} The ids, in the order of the story's criteria.
+ */
+export const normalizeCaseCriteria = (value, knownIds) => {
+    const ids = (Array.isArray(value) ? value : String(value || '').split(/[,;\s]+/))
+        .map(id => String(id || '').trim().toUpperCase());
+    return knownIds.filter(id => ids.includes(id));
+};
+
+/**
+ * Links the cases to the known criteria (see normalizeCaseCriteria).
+ * @param {object[]} cases The test cases.
+ * @param {{id: string}[]} criteria The story's criteria.
+ * @returns {object[]} The cases with a normalised "criteria" list.
+ */
+export const linkCasesToCriteria = (cases, criteria) => {
+    const knownIds = criteria.map(criterion => criterion.id);
+    return cases.map(testCase => ({ ...testCase, criteria: normalizeCaseCriteria(testCase.criteria, knownIds) }));
+};
+
+/**
+ * Adds or removes a criterion from the ones a case covers.
+ * @param {object} testCase The test case.
+ * @param {string} criterionId The criterion id.
+ * @returns {object} The updated test case.
+ */
+export const toggleCaseCriterion = (testCase, criterionId) => {
+    const current = Array.isArray(testCase.criteria) ? testCase.criteria : [];
+    return {
+        ...testCase,
+        criteria: current.includes(criterionId)
+            ? current.filter(id => id !== criterionId)
+            : [...current, criterionId]
+    };
+};
+
+/**
+ * Builds the criterion × case matrix. Criteria carrying a "jiraId" (combined exports of several
+ * stories) only match the cases of that story.
+ * @param {{id: string, text: string, jiraId: string}[]} criteria The acceptance criteria.
+ * @param {object[]} cases The test cases.
+ * @returns {{rows: {criterion: object, caseIndexes: number[]}[], uncovered: object[], unlinkedCaseIndexes: number[]}}
+ *   Per criterion, the positions of the cases covering it; the criteria without cases; and the cases
+ *   not linked to any criterion.
+ */
+export const buildTraceabilityMatrix = (criteria, cases) => {
+    const covers = (testCase, criterion) => Array.isArray(testCase.criteria)
+        && testCase.criteria.includes(criterion.id)
+        && (!criterion.jiraId || criterion.jiraId === testCase.jiraId);
+    const rows = criteria.map(criterion => ({
+        criterion,
+        caseIndexes: cases.flatMap((testCase, index) => (covers(testCase, criterion) ? [index] : []))
+    }));
+    return {
+        rows,
+        uncovered: rows.filter(row => row.caseIndexes.length === 0).map(row => row.criterion),
+        unlinkedCaseIndexes: cases.flatMap((testCase, index) => (criteria.some(criterion => covers(testCase, criterion)) ? [] : [index]))
+    };
+};
@@ -0,0 +1,381 @@
+import { TECHNIQUE_OPTIONS, TEST_TYPE_OPTIONS } from './testCases';
+import { DEFAULT_OUTPUT_LANGUAGE, getOutputLanguage, getScenarioPrefixes } from './outputLanguage';
+import { normalizeTechnique, normalizeTestType } from './coverage';
+import { getPlaceholders, normalizeExamples } from './examples';
+import { defaultTranslate } from '../i18n';
+
+/**
+ * Validation and repair of the AI answers: structural checks against the response schema,
+ * local repair of truncated JSON, and normalisation of each generated test case.
+ */
+
+// Scenario prefix of any output language, replaced by the one of the language asked for
+const SCENARIO_PREFIX_REGEX = new RegExp(`^(?:${getScenarioPrefixes().join('|')})\\b\\s*:?\\s*`, 'i');
+
+// Fields a test case cannot be used without
+const REQUIRED_FIELDS = ['scenario', 'given', 'when', 'then'];
+
+// Labels of the fields in the messages shown to the user (interface texts, see i18n)
+const FIELD_LABELS = {
+    jiraId: 'ID de Jira',
+    feature: 'Característica',
+    scenario: 'Escenario',
+    given: 'Dado',
+    when: 'Cuando',
+    then: 'Entonces',
+    priority: 'Prioridad',
+    testType: 'Tipo de prueba',
+    technique: 'Técnica'
+};
+
+// Priority values the AI writes instead of the expected ones (lowercase, without accents),
+// as their position among the priorities of an output language (0 is the highest)
+const PRIORITY_ALIASES = {
+    alta: 0,
+    alto: 0,
+    high: 0,
+    critica: 0,
+    critical: 0,
+    urgente: 0,
+    urgent: 0,
+    blocker: 0,
+    p0: 0,
+    p1: 0,
+    media: 1,
+    medio: 1,
+    medium: 1,
+    normal: 1,
+    moderada: 1,
+    moderate: 1,
+    p2: 1,
+    baja: 2,
+    bajo: 2,
+    baixa: 2,
+    baixo: 2,
+    low: 2,
+    menor: 2,
+    minor: 2,
+    trivial: 2,
+    p3: 2
+};
+
+// Position of the priority used when the AI gives none or an unknown one
+const DEFAULT_PRIORITY_RANK = 1;
+
+/**
+ * Maps a priority written by the AI (in any language) to one of the priorities of an output language.
+ * @param {*} value The priority from the AI.
+ * @param {string} [language] The output language (see outputLanguage).
+ * @returns {string|null} The normalised priority, null if it is not recognised.
+ */
+export const normalizePriority = (value, language = DEFAULT_OUTPUT_LANGUAGE) => {
+    const key = String(value === null || value === undefined ? '' : value)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '') // Drop accents
+        .trim()
+        .toLowerCase();
+    const rank = PRIORITY_ALIASES[key];
+    return rank === undefined ? null : getOutputLanguage(language).priorities[rank];
+};
+
+/**
+ * Converts a field value into text: step lists are joined one per line.
+ * @param {*} value The field value.
+ * @returns {string} The text.
+ */
+export const toText = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (Array.isArray(value)) {
+        return value.map(toText).filter(Boolean).join('\n');
+    }
+    return String(value).trim();
+};
+
+/**
+ * Validates and normalises one generated test case.
+ * Recoverable problems are fixed and described in "fixes"; missing required fields are "errors".
+ * @param {object} testCase The test case from the AI.
+ * @param {string} expectedJiraId The Jira ID the case must carry.
+ * @param {string} [language] The output language: its scenario prefix and priorities are enforced.
+ * @param {function(string, object=): string} [t] The translation function of the messages.
+ * @returns {{testCase: object, fixes: string[], errors: string[]}} The normalised case and its report.
+ */
+export const validateTestCase = (testCase, expectedJiraId, language = DEFAULT_OUTPUT_LANGUAGE, t = defaultTranslate) => {
+    const { scenarioPrefix, priorities } = getOutputLanguage(language);
+    const fixes = [];
+    const errors = [];
+    if (!testCase || typeof testCase !== 'object' || Array.isArray(testCase)) {
+        return { testCase: null, fixes, errors: [t('no es un objeto')] };
+    }
+
+    const normalized = { ...testCase };
+    Object.keys(FIELD_LABELS).forEach(field => {
+        const text = toText(testCase[field]);
+        if (Array.isArray(testCase[field])) {
+            fixes.push(t('{field}: lista de pasos convertida a texto', { field: t(FIELD_LABELS[field]) }));
+        }
+        normalized[field] = text;
+    });
+
+    REQUIRED_FIELDS.forEach(field => {
+        if (!normalized[field]) {
+            errors.push(t('falta "{field}"', { field: t(FIELD_LABELS[field]) }));
+        }
+    });
+
+    if (!normalized.feature) {
+        normalized.feature = 'General';
+        fixes.push(t('Característica vacía: se asignó "General"'));
+    }
+
+    if (normalized.scenario && !normalized.scenario.startsWith(scenarioPrefix)) {
+        const withoutPrefix = normalized.scenario.replace(SCENARIO_PREFIX_REGEX, '');
+        normalized.scenario = `${scenarioPrefix}${withoutPrefix}`;
+        fixes.push(t('Escenario: prefijo "{prefix}" añadido o corregido', { prefix: scenarioPrefix.trim() }));
+    }
+
+    if (expectedJiraId && normalized.jiraId !== expectedJiraId) {
+        fixes.push(normalized.jiraId
+            ? t('ID de Jira "{jiraId}" corregido a "{expected}"', { jiraId: normalized.jiraId, expected: expectedJiraId })
+            : t('ID de Jira añadido: "{expected}"', { expected: expectedJiraId }));
+        normalized.jiraId = expectedJiraId;
+    }
+
+    if (!priorities.includes(normalized.priority)) {
+        const priority = normalizePriority(normalized.priority, language);
+        const defaultPriority = priorities[DEFAULT_PRIORITY_RANK];
+        if (priority) {
+            fixes.push(t('Prioridad "{priority}" normalizada a "{normalized}"', { priority: normalized.priority, normalized: priority }));
+        } else {
+            fixes.push(normalized.priority
+                ? t('Prioridad desconocida "{priority}": se asignó "{default}"', { priority: normalized.priority, default: defaultPriority })
+                : t('Prioridad vacía: se asignó "{default}"', { default: defaultPriority }));
+        }
+        normalized.priority = priority || defaultPriority;
+    }
+
+    // Test type and technique are optional: only known synonyms are normalised
+    if (normalized.testType && !TEST_TYPE_OPTIONS.includes(normalized.testType)) {
+        const testType = normalizeTestType(normalized.testType);
+        if (testType) {
+            fixes.push(t('Tipo de prueba "{value}" normalizado a "{normalized}"', { value: normalized.testType, normalized: testType }));
+            normalized.testType = testType;
+        }
+    }
+    if (normalized.technique && !TECHNIQUE_OPTIONS.includes(normalized.technique)) {
+        const technique = normalizeTechnique(normalized.technique);
+        if (technique) {
+            fixes.push(t('Técnica "{value}" normalizada a "{normalized}"', { value: normalized.technique, normalized: technique }));
+            normalized.technique = technique;
+        }
+    }
+
+    // Scenario Outline: the table must have a column for every parameter of the steps
+    const examples = normalizeExamples(testCase.examples);
+    if (examples) {
+        if (Array.isArray(testCase.examples)) {
+            fixes.push(t('Ejemplos: lista de objetos convertida a tabla'));
+        }
+        getPlaceholders(normalized).filter(name => !examples.headers.includes(name)).forEach(name => {
+            examples.headers.push(name);
+            examples.rows.forEach(row => row.push(''));
+            fixes.push(t('Ejemplos: columna "{name}" añadida (vacía)', { name }));
+        });
+        normalized.examples = examples;
+    } else {
+        delete normalized.examples;
+    }
+
+    if (fixes.length > 0) {
+        normalized.validationFixes = fixes;
+    } else {
+        delete normalized.validationFixes;
+    }
+    return { testCase: normalized, fixes, errors };
+};
+
+/**
+ * Validates a list of generated test cases, keeping the valid (possibly fixed) ones.
+ * @param {object[]} cases The test cases from the AI.
+ * @param {string} expectedJiraId The Jira ID the cases must carry.
+ * @param {string} [language] The output language (see validateTestCase).
+ * @param {function(string, object=): string} [t] The translation function of the messages.
+ * @returns {{cases: object[], fixedCount: number, dropped: {scenario: string, errors: string[]}[]}}
+ *   The usable cases, how many of them were fixed, and the discarded ones with the reasons.
+ */
+export const validateTestCases = (cases, expectedJiraId, language = DEFAULT_OUTPUT_LANGUAGE, t = defaultTranslate) => {
+    const valid = [];
+    const dropped = [];
+    let fixedCount = 0;
+    (Array.isArray(cases) ? cases : []).forEach((testCase, index) => {
+        const result = validateTestCase(testCase, expectedJiraId, language, t);
+        if (result.errors.length > 0) {
+            dropped.push({
+                scenario: (result.testCase && result.testCase.scenario) || t('Caso {number}', { number: index + 1 }),
+                errors: result.errors
+            });
+            return;
+        }
+        if (result.fixes.length > 0) {
+            fixedCount++;
+        }
+        valid.push(result.testCase);
+    });
+    return { cases: valid, fixedCount, dropped };
+};
+
+/**
+ * Describes, for the user, how an answer and its cases were repaired or discarded.
+ * @param {string} label The results the messages refer to (e.g. "Casos principales").
+ * @param {{fixedCount: number, dropped: object[]}} validation The result of validateTestCases.
+ * @param {string|null} repair How the answer was repaired (see generateJson).
+ * @param {function(string, object=): string} [t] The translation function of the messages (and the label).
+ * @returns {string[]} The messages, empty if nothing had to be changed.
+ */
+export const describeValidation = (label, validation, repair, t = defaultTranslate) => {
+    const messages = [];
+    const results = t(label);
+    if (repair === 'retry') {
+        messages.push(t('{label}: la respuesta de la IA no era válida y se regeneró automáticamente.', { label: results }));
+    } else if (repair === 'truncated') {
+        messages.push(t('{label}: la respuesta de la IA llegó cortada y se reparó; pueden faltar casos.', { label: results }));
+    }
+    if (validation.fixedCount === 1) {
+        messages.push(t('{label}: 1 caso corregido automáticamente (marcados en la tabla).', { label: results }));
+    } else if (validation.fixedCount > 1) {
+        messages.push(t('{label}: {count} casos corregidos automáticamente (marcados en la tabla).', { label: results, count: validation.fixedCount }));
+    }
+    validation.dropped.forEach(({ scenario, errors }) => {
+        messages.push(t('{label}: se descartó "{scenario}" ({errors}).', { label: results, scenario, errors: errors.join(', ') }));
+    });
+    return messages;
+};
+
+/**
+ * Returns a copy of a test case without its validation report (used once the user edits it).
+ * @param {object} testCase The test case.
+ * @returns {object} The test case without "validationFixes".
+ */
+export const clearValidationFixes = (testCase) => {
+    if (!testCase.validationFixes) {
+        return testCase;
+    }
+    const cleaned = { ...testCase };
+    delete cleaned.validationFixes;
+    return cleaned;
+};
+
+/**
+ * Lists the structural mismatches between a parsed answer and its JSON Schema
+ * (wrong root type, missing or non-array lists). Missing or malformed case fields are
+ * left to validateTestCase, and properties left out of "required" are not checked.
+ * @param {*} value The parsed answer.
+ * @param {object} schema The JSON Schema.
+ * @param {function(string, object=): string} [t] The translation function of the messages.
+ * @param {string} [path] The path of the value, for the messages.
+ * @returns {string[]} The problems found, empty if the structure is right.
+ */
+export const findStructureErrors = (value, schema, t = defaultTranslate, path = t('respuesta')) => {
+    if (schema.type === 'array') {
+        if (!Array.isArray(value)) {
+            return [t('"{path}" debe ser un arreglo', { path })];
+        }
+        return schema.items && schema.items.type === 'object'
+            ? value.flatMap((item, index) => (item && typeof item === 'object' && !Array.isArray(item) ? [] : [t('"{path}" debe ser un objeto', { path: `${path}[${index}]` })]))
+            : [];
+    }
+    if (schema.type === 'object') {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            return [t('"{path}" debe ser un objeto', { path })];
+        }
+        return Object.entries(schema.properties || {}).flatMap(([key, propertySchema]) => {
+            if (propertySchema.type !== 'array' && propertySchema.type !== 'object') {
+                return [];
+            }
+            if (schema.required && !schema.required.includes(key)) {
+                return [];
+            }
+            if (value[key] === undefined) {
+                return [t('falta la propiedad "{key}"', { key })];
+            }
+            return findStructureErrors(value[key], propertySchema, t, key);
+        });
+    }
+    return [];
+};
+
+/**
+ * Tries to close a truncated JSON text (answer cut by the token limit): drops the last
+ * incomplete value and closes the open arrays and objects.
+ * @param {string} text The truncated JSON text.
+ * @returns {*} The parsed value, or undefined if it cannot be repaired.
+ */
+export const repairTruncatedJson = (text) => {
+    const source = String(text || '').trim();
+    const closers = [];
+    // Last position where the text can be cut keeping a valid prefix, with the closers open there
+    let lastSafeCut = null;
+    let inString = false;
+    let escaped = false;
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (inString) {
+            if (escaped) {
+                escaped = false;
+            } else if (char === '\\') {
+                escaped = true;
+            } else if (char === '"') {
+                inString = false;
+            }
+            continue;
+        }
+        if (char === '"') {
+            inString = true;
+        } else if (char === '{' || char === '[') {
+            closers.push(char === '{' ? '}' : ']');
+        } else if (char === '}' || char === ']') {
+            closers.pop();
+            lastSafeCut = { index: i + 1, closers: [...closers] };
+        } else if (char === ',') {
+            lastSafeCut = { index: i, closers: [...closers] };
+        }
+    }
+
+    // Prefer dropping the cut value over keeping half a step text
+    const candidates = [];
+    if (lastSafeCut) {
+        candidates.push(`${source.slice(0, lastSafeCut.index)}${[...lastSafeCut.closers].reverse().join('')}`);
+    }
+    candidates.push(`${source}${inString ? '"' : ''}${[...closers].reverse().join('')}`);
+    for (const candidate of candidates) {
+        try {
+            return JSON.parse(candidate);
+        } catch {
+            // Try the next candidate
+        }
+    }
+    return undefined;
+};
+
+/**
+ * Builds the follow-up prompt sent when an answer is not valid JSON or does not follow the schema.
+ * @param {string} prompt The original prompt.
+ * @param {string} answer The invalid answer.
+ * @param {string} problem What was wrong with it.
+ * @returns {string} The corrective prompt.
+ */
+export const buildCorrectivePrompt = (prompt, answer, problem) => {
+    // Only the end of a long answer is needed to show where it broke
+    const excerpt = answer.length > 1500 ? `...${answer.slice(-1500)}` : answer;
+    return `${prompt}
+
+            ---
+
+            ATENCIÓN: tu respuesta anterior no se pudo usar (${problem}).
+            Final de la respuesta anterior:
+            ${excerpt || '(vacía)'}
+
+            Genera de nuevo la respuesta COMPLETA como JSON válido que cumpla exactamente el formato pedido, sin texto adicional ni bloques de código. Si la respuesta es muy larga, sé más conciso en los pasos para que no quede cortada.`;
+};
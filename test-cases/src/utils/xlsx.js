@@ -0,0 +1,285 @@
+import JSZip from 'jszip';
+import { buildTraceabilityMatrix } from './traceability';
+import { buildRiskRows, normalizeImpacts } from './impacts';
+import { formatExamplesTable, isScenarioOutline } from './examples';
+import { formatTestDataLines } from './testData';
+import { DEFAULT_OUTPUT_LANGUAGE, getExportLabels, getPriorityRank, localizePriority } from './outputLanguage';
+
+/**
+ * Excel (.xlsx) export: a minimal SpreadsheetML writer (inline strings, a fixed style sheet,
+ * frozen header, autofilter) and the workbook of the analysis results, one sheet per section.
+ */
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Cell styles, by their index in the "cellXfs" list of styles.xml
+const STYLES = {
+    text: 0,
+    header: 1,
+    wrapped: 2,
+    priorityAlta: 3,
+    priorityMedia: 4,
+    priorityBaja: 5,
+    uncovered: 6
+};
+
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><color rgb="FFFFFFFF"/><name val="Calibri"/></font></fonts>
+<fills count="7"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill><fill><patternFill patternType="solid"><fgColor rgb="FF1F4E79"/></patternFill></fill><fill><patternFill patternType="solid"><fgColor rgb="FFF8CBAD"/></patternFill></fill><fill><patternFill patternType="solid"><fgColor rgb="FFFFE699"/></patternFill></fill><fill><patternFill patternType="solid"><fgColor rgb="FFC6EFCE"/></patternFill></fill><fill><patternFill patternType="solid"><fgColor rgb="FFFFC7CE"/></patternFill></fill></fills>
+<borders count="2"><border/><border><left style="thin"><color rgb="FFBFBFBF"/></left><right style="thin"><color rgb="FFBFBFBF"/></right><top style="thin"><color rgb="FFBFBFBF"/></top><bottom style="thin"><color rgb="FFBFBFBF"/></bottom></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="7">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="1" xfId="0" applyBorder="1" applyAlignment="1"><alignment vertical="top"/></xf>
+<xf numFmtId="0" fontId="1" fillId="2" borderId="1" xfId="0" applyFont="1" applyFill="1" applyBorder="1" applyAlignment="1"><alignment vertical="center" wrapText="1"/></xf>
+<xf numFmtId="0" fontId="0" fillId="0" borderId="1" xfId="0" applyBorder="1" applyAlignment="1"><alignment vertical="top" wrapText="1"/></xf>
+<xf numFmtId="0" fontId="0" fillId="3" borderId="1" xfId="0" applyFill="1" applyBorder="1" applyAlignment="1"><alignment horizontal="center" vertical="top"/></xf>
+<xf numFmtId="0" fontId="0" fillId="4" borderId="1" xfId="0" applyFill="1" applyBorder="1" applyAlignment="1"><alignment horizontal="center" vertical="top"/></xf>
+<xf numFmtId="0" fontId="0" fillId="5" borderId="1" xfId="0" applyFill="1" applyBorder="1" applyAlignment="1"><alignment horizontal="center" vertical="top"/></xf>
+<xf numFmtId="0" fontId="0" fillId="6" borderId="1" xfId="0" applyFill="1" applyBorder="1" applyAlignment="1"><alignment vertical="top" wrapText="1"/></xf>
+</cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`;
+
+/**
+ * Tells whether a character is allowed in XML (control characters are not, except tab and line breaks).
+ * @param {string} char The character.
+ * @returns {boolean} Whether it is allowed.
+ */
+const isAllowedXmlChar = (char) => char >= ' ' || char === '\t' || char === '\n' || char === '\r';
+
+/**
+ * Escapes a value for XML text or attributes, dropping the characters XML does not allow.
+ * @param {*} value The value.
+ * @returns {string} The escaped text.
+ */
+const escapeXml = (value) => Array.from(String(value === null || value === undefined ? '' : value))
+    .filter(isAllowedXmlChar)
+    .join('')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Returns the column letters of a zero-based column index (0 -> "A", 27 -> "AB").
+ * @param {number} index The column index.
+ * @returns {string} The column letters.
+ */
+const columnLetter = (index) => {
+    let letters = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+    }
+    return letters;
+};
+
+/**
+ * Renders one worksheet.
+ * @param {{columns: {header: string, width: number, wrap: boolean}[], rows: {value: *, style: number}[][], filter: boolean}} sheet
+ *   The sheet: column definitions, rows of cells (a cell may be a plain value) and whether to add an autofilter.
+ * @returns {string} The worksheet XML.
+ */
+const buildSheetXml = ({ columns, rows, filter }) => {
+    const lastColumn = columnLetter(columns.length - 1);
+    const renderRow = (cells, rowIndex) => {
+        const cellsXml = cells.map((cell, columnIndex) => {
+            const { value, style } = cell && typeof cell === 'object' ? cell : { value: cell };
+            const cellStyle = style !== undefined ? style : (columns[columnIndex].wrap ? STYLES.wrapped : STYLES.text);
+            const ref = `${columnLetter(columnIndex)}${rowIndex + 1}`;
+            return `<c r="${ref}" s="${cellStyle}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+        }).join('');
+        return `<row r="${rowIndex + 1}">${cellsXml}</row>`;
+    };
+    const header = columns.map(column => ({ value: column.header, style: STYLES.header }));
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>
+<cols>${columns.map((column, index) => `<col min="${index + 1}" max="${index + 1}" width="${column.width}" customWidth="1"/>`).join('')}</cols>
+<sheetData>${[header, ...rows].map(renderRow).join('')}</sheetData>
+${filter ? `<autoFilter ref="A1:${lastColumn}${rows.length + 1}"/>` : ''}
+</worksheet>`;
+};
+
+/**
+ * Builds an .xlsx file.
+ * @param {{name: string, columns: object[], rows: object[][], filter: boolean}[]} sheets The sheets (see buildSheetXml).
+ * @returns {Promise<Blob>} The workbook.
+ */
+const buildWorkbook = async (sheets) => {
+    const zip = new JSZip();
+    zip.file('[Content_Types].xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+${sheets.map((sheet, index) => `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('\n')}
+</Types>`);
+    zip.file('_rels/.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`);
+
+    // The autofilter ranges are also declared as hidden names, as Excel does
+    const filterNames = sheets
+        .map((sheet, index) => (sheet.filter
+            ? `<definedName name="_xlnm._FilterDatabase" localSheetId="${index}" hidden="1">'${escapeXml(sheet.name.replace(/'/g, "''"))}'!$A$1:$${columnLetter(sheet.columns.length - 1)}$${sheet.rows.length + 1}</definedName>`
+            : ''))
+        .join('');
+    zip.file('xl/workbook.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets>${sheets.map((sheet, index) => `<sheet name="${escapeXml(sheet.name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('')}</sheets>
+${filterNames ? `<definedNames>${filterNames}</definedNames>` : ''}
+</workbook>`);
+    zip.file('xl/_rels/workbook.xml.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+${sheets.map((sheet, index) => `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join('\n')}
+<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`);
+    zip.file('xl/styles.xml', STYLES_XML);
+    sheets.forEach((sheet, index) => zip.file(`xl/worksheets/sheet${index + 1}.xml`, buildSheetXml(sheet)));
+    return zip.generateAsync({ type: 'blob', mimeType: XLSX_MIME_TYPE, compression: 'DEFLATE' });
+};
+
+// Columns of the test case sheets ("label" is the key of the header in the export labels)
+const CASE_COLUMNS = [
+    { label: 'jiraId', width: 14, field: 'jiraId' },
+    { label: 'priority', width: 11, field: 'priority' },
+    { label: 'testType', width: 16, field: 'testType' },
+    { label: 'technique', width: 24, field: 'technique', wrap: true },
+    { label: 'criteria', width: 12, field: 'criteria' },
+    { label: 'impact', width: 10, field: 'impactId' },
+    { label: 'feature', width: 28, field: 'feature', wrap: true },
+    { label: 'scenario', width: 40, field: 'scenario', wrap: true },
+    { label: 'given', width: 45, field: 'given', wrap: true },
+    { label: 'when', width: 45, field: 'when', wrap: true },
+    { label: 'then', width: 45, field: 'then', wrap: true },
+    { label: 'examples', width: 35, field: 'examples', wrap: true },
+    { label: 'testData', width: 50, field: 'testData', wrap: true }
+];
+
+// Fill of the priority, severity and probability cells, by level (highest first, in any output language)
+const PRIORITY_STYLES = [STYLES.priorityAlta, STYLES.priorityMedia, STYLES.priorityBaja];
+
+// Fill of the risk level cells
+const RISK_STYLES = {
+    Alto: STYLES.priorityAlta,
+    Medio: STYLES.priorityMedia,
+    Bajo: STYLES.priorityBaja
+};
+
+/**
+ * Builds the rows of a test case sheet.
+ * @param {object[]} cases The test cases.
+ * @returns {object[][]} The rows.
+ */
+const buildCaseRows = (cases) => cases.map(testCase => CASE_COLUMNS.map(({ field }) => {
+    if (field === 'priority') {
+        return { value: testCase.priority, style: PRIORITY_STYLES[getPriorityRank(testCase.priority)] };
+    }
+    if (field === 'criteria') {
+        return (testCase.criteria || []).join(' ');
+    }
+    if (field === 'examples') {
+        return isScenarioOutline(testCase) ? formatExamplesTable(testCase.examples).join('\n') : '';
+    }
+    if (field === 'testData') {
+        return formatTestDataLines(testCase.testData).join('\n');
+    }
+    return testCase[field];
+}));
+
+/**
+ * Splits a free-text section (regression suggestions) into one row per line.
+ * @param {{jiraId: string, text: string}[]} texts The text of each story.
+ * @returns {string[][]} The rows ([jiraId, line]).
+ */
+const buildLineRows = (texts) => texts.flatMap(({ jiraId, text }) => String(text || '')
+    .split('\n')
+    .map(line => line.trim().replace(/^[-*•]\s+/, ''))
+    .filter(Boolean)
+    .map(line => [jiraId, line]));
+
+/**
+ * Builds the Excel export of one or several analyses, with one sheet per section: main cases,
+ * regression cases, traceability, impacts and regression suggestions.
+ * @param {{jiraId: string, outputs: object}[]} analyses The analyses (outputs as stored in the history).
+ * @param {string} [language] The output language of the sheet names, headers and labels (see outputLanguage).
+ * @returns {Promise<Blob>} The .xlsx file.
+ */
+export const buildXlsxExport = (analyses, language = DEFAULT_OUTPUT_LANGUAGE) => {
+    const labels = getExportLabels(language);
+    const caseColumns = CASE_COLUMNS.map(column => ({ ...column, header: labels[column.label] }));
+    const levelCell = (level) => ({ value: localizePriority(level, language), style: PRIORITY_STYLES[getPriorityRank(level)] });
+    const allCases = (field) => analyses.flatMap(({ outputs }) => outputs[field] || []);
+    const traceabilityRows = analyses.flatMap(({ jiraId, outputs }) => {
+        const cases = outputs.testCases || [];
+        return buildTraceabilityMatrix(outputs.acceptanceCriteria || [], cases).rows.map(({ criterion, caseIndexes }) => [
+            jiraId,
+            criterion.id,
+            criterion.text,
+            caseIndexes.length > 0
+                ? labels.covered
+                : { value: labels.uncovered, style: STYLES.uncovered },
+            caseIndexes.map(index => cases[index].scenario).join('\n')
+        ]);
+    });
+    const impactRows = analyses.flatMap(({ jiraId, outputs }) => {
+        const cases = outputs.regressionGherkinTestCases || [];
+        return buildRiskRows(normalizeImpacts(outputs.impacts), cases).map(({ impact, riskScore, riskLevel, caseIndexes }) => [
+            jiraId,
+            impact.id,
+            impact.area,
+            impact.description,
+            levelCell(impact.severity),
+            levelCell(impact.probability),
+            { value: riskScore ? `${riskScore} (${labels.riskLevels[riskLevel]})` : '', style: RISK_STYLES[riskLevel] },
+            caseIndexes.length > 0
+                ? caseIndexes.map(index => cases[index].scenario).join('\n')
+                : { value: labels.noTests, style: STYLES.uncovered }
+        ]);
+    });
+
+    return buildWorkbook([
+        { name: labels.mainCasesSheet, columns: caseColumns, rows: buildCaseRows(allCases('testCases')), filter: true },
+        { name: labels.regressionCasesSheet, columns: caseColumns, rows: buildCaseRows(allCases('regressionGherkinTestCases')), filter: true },
+        {
+            name: labels.traceabilitySheet,
+            columns: [
+                { header: labels.jiraId, width: 14 },
+                { header: labels.criterion, width: 10 },
+                { header: labels.description, width: 60, wrap: true },
+                { header: labels.status, width: 16 },
+                { header: labels.cases, width: 60, wrap: true }
+            ],
+            rows: traceabilityRows,
+            filter: true
+        },
+        {
+            name: labels.impactsSheet,
+            columns: [
+                { header: labels.jiraId, width: 14 },
+                { header: labels.impact, width: 10 },
+                { header: labels.area, width: 24, wrap: true },
+                { header: labels.description, width: 60, wrap: true },
+                { header: labels.severity, width: 12 },
+                { header: labels.probability, width: 13 },
+                { header: labels.risk, width: 12 },
+                { header: labels.mitigatingTests, width: 60, wrap: true }
+            ],
+            rows: impactRows,
+            filter: true
+        },
+        {
+            name: labels.suggestionsSheet,
+            columns: [
+                { header: labels.jiraId, width: 14 },
+                { header: labels.suggestedRegressionTest, width: 100, wrap: true }
+            ],
+            rows: buildLineRows(analyses.map(({ jiraId, outputs }) => ({ jiraId, text: outputs.regressionTestSuggestions }))),
+            filter: true
+        }
+    ]);
+};
@@ -1,6 +1,16 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
+import { viteStaticCopy } from 'vite-plugin-static-copy'
+
+// Files Tesseract.js loads at runtime (worker, LSTM engine and OCR language data), served
+// from the app so that the OCR works with no external network (see utils/documentImport.js)
+const TESSERACT_FILES = [
+  { src: 'node_modules/tesseract.js/dist/worker.min.js', dest: 'tesseract' },
+  { src: 'node_modules/tesseract.js-core/tesseract-core-*lstm.wasm.js', dest: 'tesseract/core' },
+  { src: 'node_modules/@tesseract.js-data/spa/4.0.0_best_int/spa.traineddata.gz', dest: 'tesseract/lang' },
+  { src: 'node_modules/@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz', dest: 'tesseract/lang' },
+]
 
 // https://vite.dev/config/
 export default defineConfig({
@@ -8,6 +18,12 @@ export default defineConfig({
   plugins:
    [
     tailwindcss(),
-    react()],
-
+    react(),
+    viteStaticCopy({ targets: TESSERACT_FILES })],
+  server: {
+    // Forward API calls to the Node server (npm run server) during development
+    proxy: {
+      '/api': 'http://127.0.0.1:8787',
+    },
+  },
 })